@@ -1,12 +1,15 @@
 import React, { useState, useEffect, Suspense } from 'react';
 import { Routes, Route, Navigate, useLocation, useNavigate } from 'react-router-dom';
-import { WagmiProvider } from 'wagmi';
+import { WagmiProvider, useAccount } from 'wagmi';
 import { getDefaultConfig, RainbowKitProvider } from '@rainbow-me/rainbowkit';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { ARC_TESTNET } from './constants/contracts';
 import '@rainbow-me/rainbowkit/styles.css';
 import { NotificationProvider, useNotifications } from './components/NotificationProvider';
 import Sidebar from './components/Sidebar';
+import { useEthersProvider } from './hooks/useEthers';
+import { useRiskAlerts } from './hooks/useRiskAlerts';
+import { useLimitOrderWatcher } from './hooks/useLimitOrders';
 // Lazy load route components for code splitting
 const Dashboard = React.lazy(() => import('./components/Dashboard'));
 const Swap = React.lazy(() => import('./components/Swap'));
@@ -14,6 +17,8 @@ const LendBorrow = React.lazy(() => import('./components/LendBorrow'));
 const Faucet = React.lazy(() => import('./components/Faucet'));
 const Activity = React.lazy(() => import('./components/Activity'));
 const Pool = React.lazy(() => import('./components/Pool'));
+const PoolAnalytics = React.lazy(() => import('./components/PoolAnalytics'));
+const Markets = React.lazy(() => import('./components/Markets'));
 import { Twitter, MessageSquare, Bell, Menu, Plus, X, Github, Home, ChevronsLeft, ChevronsRight } from 'lucide-react';
 import FeedbackModal from './components/FeedbackModal';
 import ChangelogModal from './components/ChangelogModal';
@@ -130,6 +135,12 @@ function AppLayout() {
     return saved === 'true';
   });
   const { isBlurActive } = useNotifications();
+  const { address } = useAccount();
+  const provider = useEthersProvider();
+  // Liquidation-risk alerts run on every page, not just Lend & Borrow
+  useRiskAlerts(provider, address);
+  // Limit orders are watched on every page too; /swap only lists them
+  useLimitOrderWatcher(provider, address);
 
   // Save preference on change
   useEffect(() => {
@@ -219,7 +230,9 @@ function AppLayout() {
               }} />} />
               <Route path="/swap" element={<Swap />} />
               <Route path="/pool" element={<Pool />} />
+              <Route path="/pool/:pair" element={<PoolAnalytics />} />
               <Route path="/lend-borrow" element={<LendBorrow initialTab={lendBorrowInitialTab} />} />
+              <Route path="/markets" element={<Markets />} />
               <Route path="/faucet" element={<Faucet />} />
               <Route path="/activity" element={<Activity />} />
               <Route path="*" element={<Navigate to="/dashboard" replace />} />
@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatUnits } from 'ethers';
+import { ArrowLeftRight, ArrowDown, AlertTriangle, Loader2, RotateCcw } from 'lucide-react';
+import { useNotifications } from './NotificationProvider';
+import { useSwapSettings } from '../hooks/useSwapSettings';
+import { LENDABLE_TOKENS } from '../constants/tokens';
+import TokenSelector from './TokenSelector';
+import TransactionModal from './TransactionModal';
+import {
+  COLLATERAL_SWAP_STEPS,
+  COLLATERAL_SWAP_CHANGED_EVENT,
+  previewCollateralSwap,
+  getMaxSafeSwapAmount,
+  getPendingCollateralSwap,
+  savePendingCollateralSwap,
+  clearPendingCollateralSwap,
+  startCollateralSwap,
+  withdrawSwapCollateral,
+  approveSwapCollateral,
+  swapCollateral,
+  approveSwapSupply,
+  supplySwappedCollateral,
+} from '../services/collateralSwapService';
+import { formatHealthFactor, MIN_STEP_HEALTH_FACTOR } from '../services/riskService';
+import { formatTokenAmount, parseTokenAmount } from '../utils/formatters';
+
+const findToken = (symbol) => LENDABLE_TOKENS.find(t => t.symbol === symbol);
+
+const stageColor = (healthFactor) => {
+  if (healthFactor === null) return 'text-[#5a8a3a]';
+  return healthFactor < MIN_STEP_HEALTH_FACTOR ? 'text-red-400' : 'text-white';
+};
+
+// Guided withdraw -> swap -> supply between two collateral tokens
+const CollateralSwap = ({ provider, signer, address, accountState, reserves, userCollateral, onComplete }) => {
+  const { showTransaction, addNotification, setIsBlurActive } = useNotifications();
+  const { settings: swapSettings } = useSwapSettings();
+
+  const [fromToken, setFromToken] = useState(LENDABLE_TOKENS[0]);
+  const [toToken, setToToken] = useState(LENDABLE_TOKENS[1]);
+  const [amount, setAmount] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [quoting, setQuoting] = useState(false);
+  const [pending, setPending] = useState(() => getPendingCollateralSwap(address));
+  const [showModal, setShowModal] = useState(false);
+  // Steps already done when the modal opened; fixed so the step list does not shift mid-run
+  const [resumeFrom, setResumeFrom] = useState([]);
+  const progressRef = useRef(null);
+
+  useEffect(() => {
+    const sync = () => setPending(getPendingCollateralSwap(address));
+    sync();
+    window.addEventListener(COLLATERAL_SWAP_CHANGED_EVENT, sync);
+    return () => window.removeEventListener(COLLATERAL_SWAP_CHANGED_EVENT, sync);
+  }, [address]);
+
+  const collateral = userCollateral[fromToken.symbol] || 0n;
+  const fromReserve = reserves[fromToken.symbol];
+  const maxSafe = fromReserve ? getMaxSafeSwapAmount(accountState, fromToken, fromReserve, collateral) : 0n;
+  const amountIn = parseTokenAmount(amount, fromToken.decimals);
+
+  useEffect(() => {
+    if (!provider || amountIn <= 0n || !fromReserve || !reserves[toToken.symbol]) {
+      setPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+    setQuoting(true);
+    const timer = setTimeout(async () => {
+      try {
+        const result = await previewCollateralSwap(provider, accountState, reserves, {
+          fromToken,
+          toToken,
+          amountIn,
+          slippage: swapSettings.slippage,
+        });
+        if (!cancelled) setPreview(result);
+      } catch (error) {
+        console.warn('[RPC] Collateral swap preview failed:', error.code || error.message);
+        if (!cancelled) setPreview(null);
+      } finally {
+        if (!cancelled) setQuoting(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [provider, accountState, reserves, fromToken, toToken, amount, swapSettings.slippage]);
+
+  const selectFrom = (token) => {
+    if (token.symbol === toToken.symbol) setToToken(fromToken);
+    setFromToken(token);
+    setAmount('');
+  };
+
+  const selectTo = (token) => {
+    if (token.symbol === fromToken.symbol) setFromToken(toToken);
+    setToToken(token);
+  };
+
+  const exceedsCollateral = amountIn > collateral;
+  const unsafe = !!preview && !preview.safe;
+
+  const openModal = (progress) => {
+    progressRef.current = progress;
+    setResumeFrom(progress.completed);
+    setShowModal(true);
+    setIsBlurActive(true);
+  };
+
+  const handleStart = () => {
+    if (!preview || !preview.safe || exceedsCollateral) return;
+    const progress = startCollateralSwap(preview, swapSettings.slippage);
+    savePendingCollateralSwap(address, progress);
+    openModal(progress);
+  };
+
+  // Nothing has left the pool until the withdrawal lands, so only then re-check the risk
+  const handleResume = async () => {
+    if (!pending) return;
+    if (!pending.completed.includes('withdraw')) {
+      const recheck = await previewCollateralSwap(provider, accountState, reserves, {
+        fromToken: findToken(pending.from),
+        toToken: findToken(pending.to),
+        amountIn: BigInt(pending.amountIn),
+        slippage: pending.slippage,
+      });
+      if (!recheck || !recheck.safe) {
+        addNotification({
+          type: 'warning',
+          title: 'Collateral swap no longer safe',
+          message: `Prices moved since this swap was planned. Review the ${pending.from} amount before starting again.`,
+        });
+        setFromToken(findToken(pending.from));
+        setToToken(findToken(pending.to));
+        setAmount(formatUnits(BigInt(pending.amountIn), findToken(pending.from).decimals));
+        clearPendingCollateralSwap(address);
+        return;
+      }
+    }
+    openModal(pending);
+  };
+
+  // Record a landed step (plus any values it produced) and persist it
+  const markStep = (key, updates = {}) => {
+    const progress = { ...progressRef.current, ...updates, completed: [...progressRef.current.completed, key] };
+    progressRef.current = progress;
+    savePendingCollateralSwap(address, progress);
+  };
+
+  const handleWithdraw = async () => {
+    const tx = await withdrawSwapCollateral(signer, progressRef.current);
+    markStep('withdraw');
+    return tx;
+  };
+
+  const handleApproveSwap = async () => {
+    const tx = await approveSwapCollateral(signer, progressRef.current);
+    markStep('approveA');
+    return tx;
+  };
+
+  const handleSwap = async () => {
+    const { tx, received } = await swapCollateral(signer, progressRef.current, {
+      deadlineMinutes: swapSettings.deadlineMinutes,
+    });
+    markStep('swap', { received: received.toString() });
+    return tx;
+  };
+
+  const handleApproveSupply = async () => {
+    const tx = await approveSwapSupply(signer, progressRef.current);
+    markStep('approveB');
+    return tx;
+  };
+
+  const handleSupply = async () => {
+    const progress = progressRef.current;
+    const token = findToken(progress.to);
+    const received = formatTokenAmount(BigInt(progress.received), token.decimals);
+
+    const tx = await showTransaction('supply', supplySwappedCollateral(signer, progress), {
+      pendingMessage: `Supplying ${received} ${token.symbol}...`,
+      successMessage: `Collateral swapped from ${progress.from} to ${received} ${token.symbol}`,
+      transactionData: {
+        token: token.symbol,
+        amount: received,
+      },
+    });
+    markStep('execute');
+
+    setAmount('');
+    onComplete?.();
+    return tx;
+  };
+
+  const modalProgress = progressRef.current;
+  const modalFrom = modalProgress ? findToken(modalProgress.from) : fromToken;
+  const modalTo = modalProgress ? findToken(modalProgress.to) : toToken;
+
+  return (
+    <div className="glass-card p-4 sm:p-6 space-y-4">
+      <div className="flex items-center gap-2">
+        <ArrowLeftRight className="w-5 h-5 text-[#5a8a3a]" />
+        <h2 className="text-base sm:text-lg font-semibold text-white">Swap Collateral</h2>
+      </div>
+
+      {pending && !showModal && (
+        <div className="flex items-center justify-between gap-3 p-3 rounded-xl border border-orange-500/30 bg-orange-500/10">
+          <div className="flex items-start gap-2 text-xs">
+            <AlertTriangle className="w-4 h-4 text-orange-400 shrink-0" />
+            <span className="text-gray-300">
+              Unfinished swap of {formatTokenAmount(BigInt(pending.amountIn), findToken(pending.from).decimals)} {pending.from} to {pending.to}
+              {' '}({pending.completed.length} of {COLLATERAL_SWAP_STEPS.length} steps done).
+            </span>
+          </div>
+          <div className="flex gap-2 shrink-0">
+            <button
+              onClick={() => clearPendingCollateralSwap(address)}
+              className="px-3 py-1.5 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] text-xs text-gray-400 hover:text-white transition-colors"
+            >
+              Discard
+            </button>
+            <button
+              onClick={handleResume}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-xl gradient-bg text-xs text-white font-medium hover:opacity-90 transition-opacity"
+            >
+              <RotateCcw className="w-3 h-3" />
+              Resume
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <label className="text-sm text-gray-400 block">From collateral</label>
+        <TokenSelector
+          tokens={LENDABLE_TOKENS}
+          selectedToken={fromToken}
+          onSelect={selectFrom}
+          className="w-full"
+          raised={true}
+          balances={Object.fromEntries(LENDABLE_TOKENS.map(t => [t.symbol, formatTokenAmount(userCollateral[t.symbol] || 0n, t.decimals)]))}
+        />
+        <div className="relative">
+          <input
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value.replace(/,/g, '').replace(/[^0-9.]/g, ''))}
+            placeholder="0.00"
+            className={`w-full bg-[#1a1a1a] border ${exceedsCollateral || unsafe ? 'border-red-500/50 focus:border-red-500' : 'border-[#2a2a2a]'} rounded-xl px-4 py-3 text-white pr-16`}
+          />
+          <button
+            onClick={() => setAmount(formatUnits(maxSafe, fromToken.decimals))}
+            className="absolute right-2 top-1/2 -translate-y-1/2 text-xs gradient-text font-medium"
+          >
+            MAX
+          </button>
+        </div>
+        <p className={`text-xs ${exceedsCollateral ? 'text-red-400' : 'text-gray-500'}`}>
+          Supplied: {formatTokenAmount(collateral, fromToken.decimals)} {fromToken.symbol} · Safe to move: {formatTokenAmount(maxSafe, fromToken.decimals)}
+        </p>
+      </div>
+
+      <div className="flex justify-center">
+        <ArrowDown className="w-4 h-4 text-gray-500" />
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-sm text-gray-400 block">To collateral</label>
+        <TokenSelector
+          tokens={LENDABLE_TOKENS.filter(t => t.symbol !== fromToken.symbol)}
+          selectedToken={toToken}
+          onSelect={selectTo}
+          className="w-full"
+          raised={true}
+        />
+      </div>
+
+      {quoting && !preview && (
+        <div className="flex justify-center py-2">
+          <Loader2 className="w-4 h-4 text-[#5a8a3a] animate-spin" />
+        </div>
+      )}
+
+      {preview && (
+        <div className={`rounded-xl border p-4 space-y-2 ${unsafe ? 'border-red-500/40 bg-red-500/5' : 'border-[#2a2a2a] bg-[#111111]'}`}>
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-400">Expected</span>
+            <span className="text-white font-medium">{formatTokenAmount(preview.expectedOut, toToken.decimals)} {toToken.symbol}</span>
+          </div>
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-400">Minimum supplied ({swapSettings.slippage}% slippage)</span>
+            <span className="text-white font-medium">{formatTokenAmount(preview.amountOutMin, toToken.decimals)} {toToken.symbol}</span>
+          </div>
+          <p className="text-xs text-gray-500 font-medium uppercase tracking-wider pt-2">Health factor after each step</p>
+          {preview.stages.map((stage) => (
+            <div key={stage.key} className="flex items-center justify-between text-sm">
+              <span className="text-gray-400">{stage.label}</span>
+              <span className={`font-bold ${stageColor(stage.state.healthFactor)}`}>{formatHealthFactor(stage.state.healthFactor)}</span>
+            </div>
+          ))}
+          {unsafe && (
+            <div className="flex items-start gap-2 pt-2 text-xs text-red-400">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              <span>
+                Between the withdrawal and the new supply your health factor would fall below {formatHealthFactor(MIN_STEP_HEALTH_FACTOR)}.
+                Move at most {formatTokenAmount(maxSafe, fromToken.decimals)} {fromToken.symbol}, or repay some debt first.
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {amountIn > 0n && !quoting && !preview && (
+        <p className="text-xs text-red-400">No swap route from {fromToken.symbol} to {toToken.symbol}.</p>
+      )}
+
+      <button
+        onClick={handleStart}
+        disabled={!signer || !preview || unsafe || exceedsCollateral || quoting || !!pending}
+        className="w-full gradient-bg text-white py-3 rounded-2xl font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity shadow-md min-h-[44px] text-sm sm:text-base"
+      >
+        {exceedsCollateral ? 'Insufficient Collateral' : unsafe ? 'Health Factor Too Low' : pending ? 'Finish Pending Swap First' : 'Swap Collateral'}
+      </button>
+
+      {showModal && modalProgress && (
+        <TransactionModal
+          isOpen={showModal}
+          onClose={() => {
+            setShowModal(false);
+            setIsBlurActive(false);
+            onComplete?.();
+          }}
+          transactionType="collateral_swap"
+          fromToken={modalFrom}
+          toToken={modalTo}
+          fromAmount={formatTokenAmount(BigInt(modalProgress.amountIn), modalFrom.decimals)}
+          toAmount={formatTokenAmount(BigInt(modalProgress.received || modalProgress.expectedOut), modalTo.decimals)}
+          onWithdraw={handleWithdraw}
+          onApproveA={handleApproveSwap}
+          onSwap={handleSwap}
+          onApproveB={handleApproveSupply}
+          onExecute={handleSupply}
+          transactionParams={{ completedSteps: resumeFrom, slippage: modalProgress.slippage }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CollateralSwap;
@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatUnits } from 'ethers';
+import { X, PlusCircle, Loader2, AlertTriangle, CheckCircle } from 'lucide-react';
+import TokenSelector from './TokenSelector';
+import TransactionModal from './TransactionModal';
+import { useNotifications } from './NotificationProvider';
+import { findPool, addLiquidity, approveToken } from '../services/poolService';
+import { getTokenInfo, getTokenBalance } from '../services/tokenService';
+import { getRegisteredTokens, registerPool } from '../services/poolRegistryService';
+import { formatTokenAmount, formatInputAmount, parseTokenAmount } from '../utils/formatters';
+
+const PRICE_DECIMALS = 18;
+
+const sameToken = (a, b) => !!a && !!b && a.address.toLowerCase() === b.address.toLowerCase();
+
+// Amount of B for `amountA` at "1 A = price B", exact in wei
+const quoteAmountB = (amountA, price, tokenA, tokenB) => {
+  const amountAWei = parseTokenAmount(amountA, tokenA.decimals);
+  const priceWei = parseTokenAmount(price, PRICE_DECIMALS);
+  return (amountAWei * priceWei * 10n ** BigInt(tokenB.decimals)) / (10n ** BigInt(tokenA.decimals) * 10n ** BigInt(PRICE_DECIMALS));
+};
+
+// Token picker with an "import by address" field for tokens the app does not list yet
+const TokenField = ({ label, token, tokens, onSelect, onImport, balance, provider }) => {
+  const [customAddress, setCustomAddress] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState('');
+
+  const handleImport = async () => {
+    if (!customAddress || importing) return;
+    setImporting(true);
+    setImportError('');
+    try {
+      const imported = await getTokenInfo(provider, customAddress.trim());
+      onImport(imported);
+      setCustomAddress('');
+    } catch (error) {
+      setImportError(error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-[#111111] border border-[#2a2a2a] rounded-2xl p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-[10px] text-gray-500 font-black uppercase tracking-wider">{label}</span>
+        {token && balance !== null && (
+          <span className="text-[10px] text-gray-500 font-bold">Balance: {formatTokenAmount(balance, token.decimals)}</span>
+        )}
+      </div>
+      <TokenSelector tokens={tokens} selectedToken={token} onSelect={onSelect} />
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={customAddress}
+          onChange={(e) => setCustomAddress(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleImport()}
+          placeholder="or paste a token address (0x...)"
+          className="flex-1 min-w-0 bg-black/40 border border-[#2a2a2a] rounded-xl px-3 py-2 text-xs font-mono text-white placeholder-gray-600 focus:outline-none focus:border-[#5cb849]/50"
+        />
+        <button
+          onClick={handleImport}
+          disabled={!customAddress || importing}
+          className="px-3 py-2 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] text-[10px] font-black uppercase tracking-wider text-gray-400 hover:text-white hover:border-[#5cb849]/30 transition-all disabled:opacity-40"
+        >
+          {importing ? <Loader2 className="w-3 h-3 animate-spin" /> : 'Import'}
+        </button>
+      </div>
+      {importError && <p className="text-[11px] text-[#c51e3a]">{importError}</p>}
+    </div>
+  );
+};
+
+const CreatePoolModal = ({ isOpen, onClose, provider, signer, address, onCreated }) => {
+  const { showTransaction, setIsBlurActive } = useNotifications();
+  const [tokens, setTokens] = useState(getRegisteredTokens);
+  const [tokenA, setTokenA] = useState(null);
+  const [tokenB, setTokenB] = useState(null);
+  const [amountA, setAmountA] = useState('');
+  const [price, setPrice] = useState('');
+  const [balances, setBalances] = useState({ a: null, b: null });
+  // null = not checked yet; otherwise the findPool() result
+  const [poolState, setPoolState] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [checkError, setCheckError] = useState('');
+  const [registerError, setRegisterError] = useState('');
+  const [showTxModal, setShowTxModal] = useState(false);
+  const seededRef = useRef(false); // Seed deposit confirmed by findPool
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setTokens(getRegisteredTokens());
+    setAmountA('');
+    setPrice('');
+    setRegisterError('');
+  }, [isOpen]);
+
+  // Existence check: getPoolId + pools() for the chosen pair
+  useEffect(() => {
+    setPoolState(null);
+    setCheckError('');
+    if (!provider || !tokenA || !tokenB || sameToken(tokenA, tokenB)) return;
+
+    let cancelled = false;
+    setChecking(true);
+    findPool(provider, tokenA, tokenB)
+      .then((result) => { if (!cancelled) setPoolState(result); })
+      .catch((error) => {
+        console.warn('[RPC] Pool lookup failed:', error.code || error.message);
+        if (!cancelled) setCheckError('Could not check whether this pool exists');
+      })
+      .finally(() => { if (!cancelled) setChecking(false); });
+    return () => { cancelled = true; };
+  }, [provider, tokenA, tokenB]);
+
+  useEffect(() => {
+    if (!provider || !address) return;
+    let cancelled = false;
+    Promise.all([
+      tokenA ? getTokenBalance(provider, tokenA.address, address) : null,
+      tokenB ? getTokenBalance(provider, tokenB.address, address) : null,
+    ]).then(([a, b]) => { if (!cancelled) setBalances({ a, b }); });
+    return () => { cancelled = true; };
+  }, [provider, address, tokenA, tokenB, isOpen]);
+
+  if (!isOpen) return null;
+
+  // Symbols key balances and URLs, so a second token with a listed symbol is refused up front
+  const handleImport = (setter) => (imported) => {
+    if (tokens.some(t => t.symbol === imported.symbol && !sameToken(t, imported))) {
+      throw new Error(`Another token already uses the symbol ${imported.symbol}`);
+    }
+    setTokens(prev => (prev.some(t => sameToken(t, imported)) ? prev : [...prev, imported]));
+    setter(imported);
+  };
+
+  const hasLiquidity = !!poolState && (poolState.reserve0 > 0n || poolState.reserve1 > 0n);
+  // A pool drained to zero takes a new starting price just like a fresh one
+  const canSeed = !!poolState && !hasLiquidity;
+
+  const amountBWei = tokenA && tokenB && parseFloat(amountA) > 0 && parseFloat(price) > 0
+    ? quoteAmountB(amountA, price, tokenA, tokenB)
+    : 0n;
+  const amountB = tokenB ? formatUnits(amountBWei, tokenB.decimals) : '';
+  const amountAWei = tokenA && parseFloat(amountA) > 0 ? parseTokenAmount(amountA, tokenA.decimals) : 0n;
+
+  const insufficient =
+    (tokenA && balances.a !== null && amountAWei > balances.a) ||
+    (tokenB && balances.b !== null && amountBWei > balances.b);
+
+  let buttonText = 'Create Pool';
+  if (!address) buttonText = 'Connect Wallet';
+  else if (!tokenA || !tokenB) buttonText = 'Select Tokens';
+  else if (sameToken(tokenA, tokenB)) buttonText = 'Pick Two Different Tokens';
+  else if (checkError) buttonText = 'Pool Check Failed';
+  else if (checking || !poolState) buttonText = 'Checking Pool...';
+  else if (!amountAWei || !amountBWei) buttonText = 'Enter Amount and Price';
+  else if (insufficient) buttonText = 'Insufficient Balance';
+  const canCreate = buttonText === 'Create Pool' && canSeed && !!signer;
+
+  // Listing an existing pool (or one just seeded) makes it show up in Pool and balances
+  const listPool = () => {
+    setRegisterError('');
+    try {
+      registerPool(tokenA, tokenB);
+      onCreated({ token: tokenA, pair: tokenB });
+    } catch (error) {
+      setRegisterError(error.message);
+    }
+  };
+
+  const handleExecute = async () => {
+    seededRef.current = false;
+    const tx = await addLiquidity(signer, tokenA, tokenB, amountA, amountB);
+    await showTransaction('add_liquidity', Promise.resolve(tx), {
+      pendingMessage: `Creating ${tokenA.symbol}/${tokenB.symbol} pool...`,
+      successMessage: `Created ${tokenA.symbol}/${tokenB.symbol} pool at 1 ${tokenA.symbol} = ${price} ${tokenB.symbol}`,
+    });
+    const created = await findPool(provider, tokenA, tokenB);
+    seededRef.current = !!created && (created.reserve0 > 0n || created.reserve1 > 0n);
+    setPoolState(created);
+    return tx;
+  };
+
+  // The modal's auto-close can call this from a render before setPoolState applied,
+  // so the seed result is read from a ref
+  const closeTxModal = () => {
+    setShowTxModal(false);
+    setIsBlurActive(false);
+    // Only list the pool once the seed deposit went through
+    if (seededRef.current) listPool();
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] flex items-center justify-center p-4 sm:p-6 bg-black/20 backdrop-blur-[6px]">
+      <div className="glass-card w-full max-w-lg border-[#5cb849]/30 relative overflow-hidden animate-in fade-in zoom-in duration-300">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-[#1a1a1a]">
+          <div className="flex items-center gap-3">
+            <div className="p-2 rounded-lg bg-[#5cb849]/10">
+              <PlusCircle className="w-5 h-5 text-[#5cb849]" />
+            </div>
+            <h2 className="text-xl font-black text-white tracking-tight">Create Pool</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-full bg-[#1a1a1a] text-gray-500 hover:text-white transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 max-h-[75vh] overflow-y-auto">
+          <TokenField
+            label="Token"
+            token={tokenA}
+            tokens={tokens}
+            onSelect={setTokenA}
+            onImport={handleImport(setTokenA)}
+            balance={balances.a}
+            provider={provider}
+          />
+          <TokenField
+            label="Priced In"
+            token={tokenB}
+            tokens={tokens}
+            onSelect={setTokenB}
+            onImport={handleImport(setTokenB)}
+            balance={balances.b}
+            provider={provider}
+          />
+
+          {/* Pool status */}
+          {tokenA && tokenB && !sameToken(tokenA, tokenB) && (
+            checking ? (
+              <div className="flex items-center gap-2 text-xs text-gray-500">
+                <Loader2 className="w-3 h-3 animate-spin" /> Checking for an existing pool...
+              </div>
+            ) : checkError ? (
+              <p className="text-xs text-[#c51e3a]">{checkError}</p>
+            ) : hasLiquidity ? (
+              <div className="p-4 rounded-2xl bg-[#5cb849]/5 border border-[#5cb849]/20 space-y-3">
+                <div className="flex items-start gap-2 text-xs text-gray-400">
+                  <CheckCircle className="w-4 h-4 text-[#5cb849] shrink-0" />
+                  <span>A {tokenA.symbol}/{tokenB.symbol} pool already exists. Its price is set by the current reserves, so add liquidity from the pool card instead.</span>
+                </div>
+                <button
+                  onClick={listPool}
+                  className="w-full py-3 rounded-xl bg-[#1a1a1a] border border-[#5cb849]/30 text-xs font-black uppercase tracking-wider text-[#5cb849] hover:bg-[#5cb849]/10 transition-all"
+                >
+                  Open Pool
+                </button>
+              </div>
+            ) : canSeed && (
+              <>
+                <div className="bg-[#111111] border border-[#2a2a2a] rounded-2xl p-4 space-y-3">
+                  <span className="text-[10px] text-gray-500 font-black uppercase tracking-wider">Initial Liquidity</span>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={amountA}
+                      onChange={(e) => /^\d*\.?\d*$/.test(e.target.value) && setAmountA(e.target.value)}
+                      placeholder="0.0"
+                      className="flex-1 min-w-0 bg-transparent text-2xl font-bold text-white placeholder-gray-700 focus:outline-none"
+                    />
+                    <span className="text-sm font-bold text-gray-400">{tokenA.symbol}</span>
+                  </div>
+                  <div className="flex items-center gap-2 text-xs text-gray-500">
+                    <span className="whitespace-nowrap">1 {tokenA.symbol} =</span>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={price}
+                      onChange={(e) => /^\d*\.?\d*$/.test(e.target.value) && setPrice(e.target.value)}
+                      placeholder="0.0"
+                      className="flex-1 min-w-0 bg-black/40 border border-[#2a2a2a] rounded-lg px-2 py-1 font-mono text-white focus:outline-none focus:border-[#5cb849]/50"
+                    />
+                    <span>{tokenB.symbol}</span>
+                  </div>
+                  <div className="flex items-center justify-between text-xs border-t border-[#1a1a1a] pt-3">
+                    <span className="text-gray-500 font-black uppercase tracking-wider text-[10px]">You Deposit</span>
+                    <span className="text-white font-bold">
+                      {amountA || '0'} {tokenA.symbol} + {formatInputAmount(amountBWei, tokenB.decimals) || '0'} {tokenB.symbol}
+                    </span>
+                  </div>
+                </div>
+                <div className="flex items-start gap-2 p-3 rounded-xl bg-orange-500/5 border border-orange-500/20 text-[11px] text-gray-400">
+                  <AlertTriangle className="w-4 h-4 text-orange-400 shrink-0" />
+                  <span>The first deposit sets the pool price. If it is off market, arbitrage will trade against your liquidity.</span>
+                </div>
+              </>
+            )
+          )}
+
+          {registerError && <p className="text-xs text-[#c51e3a]">{registerError}</p>}
+
+          {!hasLiquidity && (
+            <button
+              onClick={() => {
+                setShowTxModal(true);
+                setIsBlurActive(true);
+              }}
+              disabled={!canCreate}
+              className="w-full py-4 rounded-2xl bg-[#5cb849] text-black font-black uppercase tracking-wider hover:bg-[#6bc956] transition-all disabled:bg-[#1a1a1a] disabled:text-gray-600"
+            >
+              {buttonText}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showTxModal && (
+        <TransactionModal
+          isOpen={showTxModal}
+          onClose={closeTxModal}
+          transactionType="add_liquidity"
+          fromToken={tokenA}
+          toToken={tokenB}
+          fromAmount={amountA}
+          toAmount={formatInputAmount(amountBWei, tokenB.decimals)}
+          onApproveA={async () => approveToken(signer, tokenA, amountA)}
+          onApproveB={async () => approveToken(signer, tokenB, amountB)}
+          onExecute={handleExecute}
+          requiresApproval={true}
+          transactionParams={{ pair: `${tokenA.symbol}/${tokenB.symbol}` }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CreatePoolModal;
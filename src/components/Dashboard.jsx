@@ -2,16 +2,22 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { useAccount } from 'wagmi';
 import { useEthersProvider } from '../hooks/useEthers';
 import { useBalances } from '../hooks/useBalances';
+import { usePools } from '../hooks/usePools';
+import { useDebtLedger, getDebtLedgerKey } from '../hooks/useDebtLedger';
 import { getUserCollateral, getUserAccountData, getUserDebt } from '../services/lendingService';
+import { previewRemove, formatShares } from '../services/positionService';
+import { getPoolKey } from '../utils/pools';
 import { formatTokenAmount, formatUSD, formatCompactNumber } from '../utils/formatters';
 import { TOKENS, LENDABLE_TOKENS } from '../constants/tokens';
 import { formatUnits } from 'ethers';
+import DebtLedger from './DebtLedger';
 import { Eye, EyeOff, Wallet, ArrowUpRight, TrendingUp } from 'lucide-react';
 
 const Dashboard = ({ setLendBorrowInitialTab, setActiveTab }) => {
   const { address, isConnected } = useAccount();
   const provider = useEthersProvider();
-  const { balances, rawBalances, fetchBalances } = useBalances(provider, address);
+  const { balances, rawBalances, poolPositions, fetchBalances } = useBalances(provider, address);
+  const pools = usePools(provider);
 
   const [showBalance, setShowBalance] = useState(true);
   const [suppliedTokens, setSuppliedTokens] = useState(Object.create(null));
@@ -22,6 +28,7 @@ const Dashboard = ({ setLendBorrowInitialTab, setActiveTab }) => {
     availableBorrowsUSD: 0n,
     healthFactor: 0n,
   });
+  const debtLedger = useDebtLedger(provider, address, getDebtLedgerKey(borrowedTokens));
   const [performanceData, setPerformanceData] = useState([]);
   const [selectedPeriod, setSelectedPeriod] = useState('24H');
 
@@ -196,8 +203,32 @@ const Dashboard = ({ setLendBorrowInitialTab, setActiveTab }) => {
     return total;
   }, [borrowedTokens]);
 
-  // Total portfolio value (wallet + supplied - borrowed)
-  const totalPortfolioValue = totalWalletBalance + totalSuppliedValue - totalBorrowedValue;
+  // LP positions: exact redeemable amounts from the pool position model
+  const liquidityPositions = useMemo(() => {
+    return pools.map((pool) => {
+      const { token, pair } = pool;
+      const position = poolPositions[getPoolKey(pool)];
+      if (!position || position.shares === 0n) return null;
+
+      const redeem = previewRemove(position, position.shares);
+      const tokenAmount = parseFloat(formatUnits(redeem.tokenAmount, token.decimals));
+      const pairAmount = parseFloat(formatUnits(redeem.pairAmount, pair.decimals));
+      return {
+        token,
+        pair,
+        shares: formatShares(position.shares),
+        shareOfPool: redeem.shareOfPool,
+        tokenAmount,
+        pairAmount,
+        value: tokenAmount * (tokenPrices[token.symbol] || 0) + pairAmount * (tokenPrices[pair.symbol] || 0),
+      };
+    }).filter(Boolean);
+  }, [pools, poolPositions]);
+
+  const totalLiquidityValue = liquidityPositions.reduce((sum, p) => sum + p.value, 0);
+
+  // Total portfolio value (wallet + supplied + liquidity - borrowed)
+  const totalPortfolioValue = totalWalletBalance + totalSuppliedValue + totalLiquidityValue - totalBorrowedValue;
 
   // Handle navigation to lend/borrow tab
   const handleDeposit = () => {
@@ -565,6 +596,44 @@ const Dashboard = ({ setLendBorrowInitialTab, setActiveTab }) => {
 
         </div>
       </div>
+
+      {/* Liquidity Positions Card */}
+      <div className="glass-card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-white">Liquidity Positions</h2>
+          {liquidityPositions.length > 0 && (
+            <span className="text-gray-400 text-sm">{formatUSD(totalLiquidityValue)}</span>
+          )}
+        </div>
+        <div className="space-y-3">
+          {liquidityPositions.map((position) => (
+            <div key={`${position.pair.symbol}-${position.token.symbol}`} className="flex items-center justify-between py-3 border-b border-[#1a1a1a] last:border-b-0 gap-2">
+              <div className="flex items-center gap-2 sm:gap-3 min-w-0">
+                <div className="flex -space-x-2 shrink-0">
+                  <img src={position.pair.icon} alt={position.pair.symbol} className="w-8 h-8 rounded-full z-10" />
+                  <img src={position.token.icon} alt={position.token.symbol} className="w-8 h-8 rounded-full" />
+                </div>
+                <div className="min-w-0">
+                  <p className="text-white font-medium truncate">{position.pair.symbol}/{position.token.symbol}</p>
+                  <p className="text-gray-500 text-xs truncate">{formatCompactNumber(parseFloat(position.shares))} LP · {position.shareOfPool.toFixed(2)}%</p>
+                </div>
+              </div>
+              <div className="text-right min-w-0 flex-shrink-0">
+                <p className="text-white font-semibold text-sm sm:text-base truncate">
+                  {formatCompactNumber(position.pairAmount)} {position.pair.symbol} + {formatCompactNumber(position.tokenAmount)} {position.token.symbol}
+                </p>
+                <p className="text-gray-500 text-xs sm:text-sm truncate">{formatUSD(position.value)}</p>
+              </div>
+            </div>
+          ))}
+          {liquidityPositions.length === 0 && (
+            <p className="text-gray-500 text-sm">No liquidity provided yet.</p>
+          )}
+        </div>
+      </div>
+
+      {/* Debt history, shown once the wallet has borrowed */}
+      {isConnected && <DebtLedger ledger={debtLedger.ledger} loading={debtLedger.loading} address={address} />}
     </div>
   );
 };
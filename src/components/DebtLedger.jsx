@@ -0,0 +1,160 @@
+import React, { useState, useMemo } from 'react';
+import { formatUnits } from 'ethers';
+import { Download, Loader2, ScrollText } from 'lucide-react';
+import { formatTokenAmount } from '../utils/formatters';
+import { downloadCSV } from '../utils/csv';
+
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = 12;
+
+const CSV_COLUMNS = [
+  { label: 'Date', value: e => new Date(e.timestamp).toISOString() },
+  { label: 'Token', value: e => e.tokenSymbol },
+  { label: 'Type', value: e => e.type },
+  { label: 'Amount', value: e => formatUnits(BigInt(e.amount), e.decimals) },
+  { label: 'Principal After', value: e => formatUnits(e.principal, e.decimals) },
+  { label: 'Interest After', value: e => formatUnits(e.interest, e.decimals) },
+  { label: 'Debt After', value: e => formatUnits(e.debt, e.decimals) },
+  { label: 'Transaction', value: e => e.hash },
+];
+
+// Principal and total debt over time; the gap between the lines is accrued interest
+const DebtChart = ({ points, decimals }) => {
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+
+  const paths = useMemo(() => {
+    const start = points[0].timestamp;
+    const span = Math.max(1, points[points.length - 1].timestamp - start);
+    const max = Math.max(...points.map(p => parseFloat(formatUnits(p.debt, decimals))), 1e-9);
+    const toPath = (key) => points.map((p, i) => {
+      const x = CHART_PADDING + ((p.timestamp - start) / span) * innerWidth;
+      const y = CHART_PADDING + innerHeight - (parseFloat(formatUnits(p[key], decimals)) / max) * innerHeight;
+      // Step chart: values hold until the next event
+      return i === 0 ? `M ${x} ${y}` : `H ${x} V ${y}`;
+    }).join(' ');
+    return { principal: toPath('principal'), debt: toPath('debt') };
+  }, [points, decimals, innerWidth, innerHeight]);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full">
+      {[0, 0.5, 1].map((ratio) => (
+        <line
+          key={ratio}
+          x1={CHART_PADDING}
+          x2={CHART_PADDING + innerWidth}
+          y1={CHART_PADDING + ratio * innerHeight}
+          y2={CHART_PADDING + ratio * innerHeight}
+          stroke="rgba(255, 255, 255, 0.05)"
+          strokeWidth="1"
+        />
+      ))}
+      <path d={paths.debt} fill="none" stroke="#f59e0b" strokeWidth="2" strokeLinejoin="round" />
+      <path d={paths.principal} fill="none" stroke="#5a8a3a" strokeWidth="2" strokeLinejoin="round" />
+    </svg>
+  );
+};
+
+// Per-token borrow/repay history with principal vs. accrued interest and CSV export
+const DebtLedger = ({ ledger, loading, address }) => {
+  const symbols = Object.keys(ledger);
+  const [selected, setSelected] = useState(null);
+  const symbol = symbols.includes(selected) ? selected : symbols[0];
+  const entry = symbol ? ledger[symbol] : null;
+
+  if (!entry) {
+    return loading ? (
+      <div className="glass-card p-6 flex items-center justify-center">
+        <Loader2 className="w-5 h-5 text-[#5a8a3a] animate-spin" />
+      </div>
+    ) : null;
+  }
+
+  const { token } = entry;
+  const format = (value) => formatTokenAmount(value, token.decimals);
+
+  const exportCSV = () => {
+    const rows = Object.values(ledger).flatMap(l =>
+      l.entries.map(e => ({ ...e, tokenSymbol: l.token.symbol, decimals: l.token.decimals }))
+    ).sort((a, b) => a.timestamp - b.timestamp);
+    downloadCSV(`debt-ledger-${address.slice(0, 8)}.csv`, rows, CSV_COLUMNS);
+  };
+
+  return (
+    <div className="glass-card p-4 sm:p-6 space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <ScrollText className="w-5 h-5 text-[#5a8a3a]" />
+          <h2 className="text-base sm:text-lg font-semibold text-white">Debt History</h2>
+          {loading && <Loader2 className="w-4 h-4 text-gray-500 animate-spin" />}
+        </div>
+        <button
+          onClick={exportCSV}
+          className="flex items-center gap-1.5 px-3 py-1.5 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] text-xs text-gray-400 hover:text-white hover:border-[#5a8a3a]/30 transition-colors"
+        >
+          <Download className="w-3.5 h-3.5" />
+          CSV
+        </button>
+      </div>
+
+      {symbols.length > 1 && (
+        <div className="flex gap-2">
+          {symbols.map(s => (
+            <button
+              key={s}
+              onClick={() => setSelected(s)}
+              className={`px-3 py-1 rounded-xl text-xs font-medium transition-colors ${s === symbol ? 'gradient-bg text-white' : 'bg-[#1a1a1a] text-gray-400 hover:text-white'}`}
+            >
+              {s}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-3 text-center">
+        <div className="p-3 rounded-xl bg-[#111111] border border-[#2a2a2a]">
+          <p className="text-xs text-gray-500 mb-1">Principal</p>
+          <p className="text-sm font-semibold text-[#5a8a3a]">{format(entry.principal)}</p>
+        </div>
+        <div className="p-3 rounded-xl bg-[#111111] border border-[#2a2a2a]">
+          <p className="text-xs text-gray-500 mb-1">Accrued Interest</p>
+          <p className="text-sm font-semibold text-amber-500">{format(entry.interest)}</p>
+        </div>
+        <div className="p-3 rounded-xl bg-[#111111] border border-[#2a2a2a]">
+          <p className="text-xs text-gray-500 mb-1">Total Debt</p>
+          <p className="text-sm font-semibold text-white">{format(entry.debt)} {token.symbol}</p>
+        </div>
+      </div>
+
+      {entry.points.length > 1 && (
+        <div>
+          <DebtChart points={entry.points} decimals={token.decimals} />
+          <div className="flex items-center justify-center gap-4 text-[10px] text-gray-500">
+            <span className="flex items-center gap-1.5"><span className="w-2 h-2 rounded-full bg-[#5a8a3a]" /> Principal</span>
+            <span className="flex items-center gap-1.5"><span className="w-2 h-2 rounded-full bg-amber-500" /> Principal + interest</span>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-1 max-h-56 overflow-y-auto">
+        {[...entry.entries].reverse().map((e) => (
+          <div key={`${e.hash}-${e.type}-${e.amount}`} className="flex items-center justify-between text-xs py-2 border-b border-[#1a1a1a] last:border-0">
+            <span className="text-gray-500">{new Date(e.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</span>
+            <span className={e.type === 'borrow' ? 'text-white' : 'text-[#5a8a3a]'}>
+              {e.type === 'borrow' ? 'Borrowed' : 'Repaid'} {format(BigInt(e.amount))}
+            </span>
+            <span className="text-gray-400">Debt {format(e.debt)}</span>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-[10px] text-gray-500">
+        Interest between events is estimated from the rate recorded at each borrow; today's figures come from the pool.
+        Totals: borrowed {format(entry.totalBorrowed)}, repaid {format(entry.totalRepaid)} {token.symbol}.
+      </p>
+    </div>
+  );
+};
+
+export default DebtLedger;
@@ -0,0 +1,411 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatUnits } from 'ethers';
+import { Repeat, ArrowRight, AlertTriangle, Loader2, RotateCcw, Undo2 } from 'lucide-react';
+import { useNotifications } from './NotificationProvider';
+import { useSwapSettings } from '../hooks/useSwapSettings';
+import { LENDABLE_TOKENS } from '../constants/tokens';
+import TokenSelector from './TokenSelector';
+import TransactionModal from './TransactionModal';
+import {
+  DEBT_SWAP_STEPS,
+  DEBT_SWAP_CHANGED_EVENT,
+  previewDebtSwap,
+  getPendingDebtSwap,
+  savePendingDebtSwap,
+  clearPendingDebtSwap,
+  startDebtSwap,
+  borrowForDebtSwap,
+  approveDebtSwap,
+  swapForDebtSwap,
+  repayForDebtSwap,
+  rollbackDebtSwap,
+  getDebtSwapLeftover,
+  getDebtSwapRepayAmount,
+} from '../services/debtSwapService';
+import { formatHealthFactor, MIN_STEP_HEALTH_FACTOR } from '../services/riskService';
+import { formatTokenAmount, formatUSD, parseTokenAmount } from '../utils/formatters';
+
+const findToken = (symbol) => LENDABLE_TOKENS.find(t => t.symbol === symbol);
+const usd = (value) => formatUSD(Number(value) / 1e18);
+
+const PROBLEM_MESSAGES = {
+  capacity: (token) => `Borrowing the ${token.symbol} needed exceeds your available borrowing power.`,
+  liquidity: (token) => `The pool does not have enough ${token.symbol} liquidity to lend.`,
+  margin: () => `Right after the borrow your health factor would fall below ${formatHealthFactor(MIN_STEP_HEALTH_FACTOR)}.`,
+};
+
+// Refinance: repay one borrowed token with another, borrow -> swap -> repay
+const DebtSwap = ({ provider, signer, address, accountState, reserves, userDebt, onComplete }) => {
+  const { showTransaction, addNotification, setIsBlurActive } = useNotifications();
+  const { settings: swapSettings } = useSwapSettings();
+
+  const [repayToken, setRepayToken] = useState(LENDABLE_TOKENS[0]);
+  const [borrowToken, setBorrowToken] = useState(LENDABLE_TOKENS[1]);
+  const [amount, setAmount] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [quoting, setQuoting] = useState(false);
+  const [pending, setPending] = useState(() => getPendingDebtSwap(address));
+  const [showModal, setShowModal] = useState(false);
+  const [resumeFrom, setResumeFrom] = useState([]);
+  const progressRef = useRef(null);
+
+  useEffect(() => {
+    const sync = () => setPending(getPendingDebtSwap(address));
+    sync();
+    window.addEventListener(DEBT_SWAP_CHANGED_EVENT, sync);
+    return () => window.removeEventListener(DEBT_SWAP_CHANGED_EVENT, sync);
+  }, [address]);
+
+  const debt = userDebt[repayToken.symbol] || 0n;
+  const repayAmount = parseTokenAmount(amount, repayToken.decimals);
+  const exceedsDebt = repayAmount > debt;
+
+  useEffect(() => {
+    if (!provider || repayAmount <= 0n || !reserves[repayToken.symbol] || !reserves[borrowToken.symbol]) {
+      setPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+    setQuoting(true);
+    const timer = setTimeout(async () => {
+      try {
+        const result = await previewDebtSwap(provider, accountState, reserves, userDebt, {
+          repayToken,
+          borrowToken,
+          repayAmount,
+          slippage: swapSettings.slippage,
+        });
+        if (!cancelled) setPreview(result);
+      } catch (error) {
+        console.warn('[RPC] Debt swap preview failed:', error.code || error.message);
+        if (!cancelled) setPreview(null);
+      } finally {
+        if (!cancelled) setQuoting(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [provider, accountState, reserves, userDebt, repayToken, borrowToken, amount, swapSettings.slippage]);
+
+  const selectRepay = (token) => {
+    if (token.symbol === borrowToken.symbol) setBorrowToken(repayToken);
+    setRepayToken(token);
+    setAmount('');
+  };
+
+  const selectBorrow = (token) => {
+    if (token.symbol === repayToken.symbol) setRepayToken(borrowToken);
+    setBorrowToken(token);
+  };
+
+  const openModal = (progress) => {
+    progressRef.current = progress;
+    setResumeFrom(progress.completed);
+    setShowModal(true);
+    setIsBlurActive(true);
+  };
+
+  const handleStart = () => {
+    if (!preview || preview.problem || exceedsDebt) return;
+    const progress = startDebtSwap(preview, swapSettings.slippage);
+    savePendingDebtSwap(address, progress);
+    openModal(progress);
+  };
+
+  // Until the borrow lands nothing has changed, so re-check the plan against current prices
+  const handleResume = async () => {
+    if (!pending) return;
+    if (!pending.completed.includes('borrow')) {
+      const recheck = await previewDebtSwap(provider, accountState, reserves, userDebt, {
+        repayToken: findToken(pending.repay),
+        borrowToken: findToken(pending.borrow),
+        repayAmount: BigInt(pending.repayAmount),
+        slippage: pending.slippage,
+      });
+      if (!recheck || recheck.problem) {
+        addNotification({
+          type: 'warning',
+          title: 'Debt swap no longer possible',
+          message: `Prices or limits changed since this swap was planned. Review the ${pending.repay} amount before starting again.`,
+        });
+        setRepayToken(findToken(pending.repay));
+        setBorrowToken(findToken(pending.borrow));
+        setAmount(formatUnits(BigInt(pending.repayAmount), findToken(pending.repay).decimals));
+        clearPendingDebtSwap(address);
+        return;
+      }
+      // Borrow what the fresh quote needs
+      const progress = { ...pending, borrowAmount: recheck.borrowAmount.toString() };
+      savePendingDebtSwap(address, progress);
+      openModal(progress);
+      return;
+    }
+    openModal(pending);
+  };
+
+  // Borrowed but not yet swapped: give the borrowed tokens back
+  const handleRollback = async () => {
+    if (!pending || !signer) return;
+    const token = findToken(pending.borrow);
+    const borrowed = formatTokenAmount(BigInt(pending.borrowAmount), token.decimals);
+    try {
+      await showTransaction('repay', rollbackDebtSwap(signer, pending), {
+        pendingMessage: `Repaying ${borrowed} ${token.symbol}...`,
+        successMessage: `Rolled back: repaid ${borrowed} ${token.symbol}`,
+        transactionData: {
+          token: token.symbol,
+          amount: borrowed,
+        },
+      });
+      clearPendingDebtSwap(address);
+      onComplete?.();
+    } catch (error) {
+      console.error('Debt swap rollback error:', error);
+    }
+  };
+
+  const markStep = (key, updates = {}) => {
+    const progress = { ...progressRef.current, ...updates, completed: [...progressRef.current.completed, key] };
+    progressRef.current = progress;
+    savePendingDebtSwap(address, progress);
+  };
+
+  const handleBorrow = async () => {
+    const tx = await borrowForDebtSwap(signer, progressRef.current);
+    markStep('borrow');
+    return tx;
+  };
+
+  const handleApproveSwap = async () => {
+    const tx = await approveDebtSwap(signer, progressRef.current);
+    markStep('approveA');
+    return tx;
+  };
+
+  const handleSwap = async () => {
+    const { tx, spent, received } = await swapForDebtSwap(signer, progressRef.current, {
+      deadlineMinutes: swapSettings.deadlineMinutes,
+    });
+    markStep('swap', { spent: spent.toString(), received: received.toString() });
+    return tx;
+  };
+
+  const handleRepay = async () => {
+    const progress = progressRef.current;
+    const repay = findToken(progress.repay);
+    const borrow = findToken(progress.borrow);
+    const repaid = formatTokenAmount(getDebtSwapRepayAmount(progress), repay.decimals);
+
+    const tx = await showTransaction('repay', repayForDebtSwap(signer, progress), {
+      pendingMessage: `Repaying ${repaid} ${repay.symbol}...`,
+      successMessage: `Refinanced ${repaid} ${repay.symbol} of debt into ${borrow.symbol}`,
+      transactionData: {
+        token: repay.symbol,
+        amount: repaid,
+      },
+    });
+    markStep('execute');
+
+    const leftover = getDebtSwapLeftover(progress);
+    if (leftover > 0n) {
+      addNotification({
+        type: 'success',
+        title: `${borrow.symbol} left in wallet`,
+        message: `The swap used less than borrowed. Repay the remaining ${formatTokenAmount(leftover, borrow.decimals)} ${borrow.symbol} on the Repay tab to trim the new debt.`,
+      });
+    }
+
+    setAmount('');
+    onComplete?.();
+    return tx;
+  };
+
+  const modalProgress = progressRef.current;
+  const modalBorrow = modalProgress ? findToken(modalProgress.borrow) : borrowToken;
+  const modalRepay = modalProgress ? findToken(modalProgress.repay) : repayToken;
+  const problem = preview?.problem;
+  const canRollback = pending && pending.completed.includes('borrow') && !pending.completed.includes('swap');
+
+  return (
+    <div className="glass-card p-4 sm:p-6 space-y-4">
+      <div className="flex items-center gap-2">
+        <Repeat className="w-5 h-5 text-[#5a8a3a]" />
+        <h2 className="text-base sm:text-lg font-semibold text-white">Swap Debt</h2>
+      </div>
+
+      {pending && !showModal && (
+        <div className="p-3 rounded-xl border border-orange-500/30 bg-orange-500/10 space-y-3">
+          <div className="flex items-start gap-2 text-xs">
+            <AlertTriangle className="w-4 h-4 text-orange-400 shrink-0" />
+            <span className="text-gray-300">
+              Unfinished refinance of {formatTokenAmount(BigInt(pending.repayAmount), findToken(pending.repay).decimals)} {pending.repay} debt
+              into {pending.borrow} ({pending.completed.length} of {DEBT_SWAP_STEPS.length} steps done).
+              {canRollback && ` The borrowed ${pending.borrow} is in your wallet: resume, or roll back by repaying it.`}
+              {pending.completed.includes('swap') && ` The ${pending.repay} was bought and is waiting to be repaid.`}
+            </span>
+          </div>
+          <div className="flex justify-end gap-2">
+            {!pending.completed.includes('borrow') && (
+              <button
+                onClick={() => clearPendingDebtSwap(address)}
+                className="px-3 py-1.5 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] text-xs text-gray-400 hover:text-white transition-colors"
+              >
+                Discard
+              </button>
+            )}
+            {canRollback && (
+              <button
+                onClick={handleRollback}
+                className="flex items-center gap-1 px-3 py-1.5 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] text-xs text-gray-400 hover:text-white transition-colors"
+              >
+                <Undo2 className="w-3 h-3" />
+                Roll Back
+              </button>
+            )}
+            <button
+              onClick={handleResume}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-xl gradient-bg text-xs text-white font-medium hover:opacity-90 transition-opacity"
+            >
+              <RotateCcw className="w-3 h-3" />
+              Resume
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <label className="text-sm text-gray-400 block">Repay debt</label>
+        <TokenSelector
+          tokens={LENDABLE_TOKENS}
+          selectedToken={repayToken}
+          onSelect={selectRepay}
+          className="w-full"
+          raised={true}
+          balances={Object.fromEntries(LENDABLE_TOKENS.map(t => [t.symbol, formatTokenAmount(userDebt[t.symbol] || 0n, t.decimals)]))}
+        />
+        <div className="relative">
+          <input
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value.replace(/,/g, '').replace(/[^0-9.]/g, ''))}
+            placeholder="0.00"
+            className={`w-full bg-[#1a1a1a] border ${exceedsDebt || problem ? 'border-red-500/50 focus:border-red-500' : 'border-[#2a2a2a]'} rounded-xl px-4 py-3 text-white pr-16`}
+          />
+          <button
+            onClick={() => setAmount(formatUnits(debt, repayToken.decimals))}
+            className="absolute right-2 top-1/2 -translate-y-1/2 text-xs gradient-text font-medium"
+          >
+            MAX
+          </button>
+        </div>
+        <p className={`text-xs ${exceedsDebt ? 'text-red-400' : 'text-gray-500'}`}>
+          Borrowed: {formatTokenAmount(debt, repayToken.decimals)} {repayToken.symbol}
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-sm text-gray-400 block">Borrow instead</label>
+        <TokenSelector
+          tokens={LENDABLE_TOKENS.filter(t => t.symbol !== repayToken.symbol)}
+          selectedToken={borrowToken}
+          onSelect={selectBorrow}
+          className="w-full"
+          raised={true}
+        />
+      </div>
+
+      {quoting && !preview && (
+        <div className="flex justify-center py-2">
+          <Loader2 className="w-4 h-4 text-[#5a8a3a] animate-spin" />
+        </div>
+      )}
+
+      {preview && (
+        <div className={`rounded-xl border p-4 space-y-2 ${problem ? 'border-red-500/40 bg-red-500/5' : 'border-[#2a2a2a] bg-[#111111]'}`}>
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-400">Borrow ({swapSettings.slippage}% headroom)</span>
+            <span className="text-white font-medium">{formatTokenAmount(preview.borrowAmount, borrowToken.decimals)} {borrowToken.symbol}</span>
+          </div>
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-400">Quoted cost of {repayToken.symbol}</span>
+            <span className="text-white font-medium">{formatTokenAmount(preview.swapAmountIn, borrowToken.decimals)} {borrowToken.symbol}</span>
+          </div>
+          <p className="text-xs text-gray-500">
+            The whole borrow is swapped; {repayToken.symbol} bought above the target is repaid too.
+          </p>
+
+          <p className="text-xs text-gray-500 font-medium uppercase tracking-wider pt-2">Debt after</p>
+          {preview.debts.map(({ token, before, after, afterUSD }) => (
+            <div key={token.symbol} className="flex items-center justify-between text-sm">
+              <span className="text-gray-400">{token.symbol}</span>
+              <span className="flex items-center gap-2 font-medium">
+                <span className="text-gray-500">{formatTokenAmount(before, token.decimals)}</span>
+                <ArrowRight className="w-3 h-3 text-gray-600" />
+                <span className="text-white">{formatTokenAmount(after, token.decimals)}</span>
+                <span className="text-gray-500 text-xs">({usd(afterUSD)})</span>
+              </span>
+            </div>
+          ))}
+
+          <p className="text-xs text-gray-500 font-medium uppercase tracking-wider pt-2">Health factor</p>
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-gray-400">Now → after borrow → after repay</span>
+            <span className="flex items-center gap-2 font-bold">
+              <span className="text-gray-500">{formatHealthFactor(accountState.healthFactor)}</span>
+              <ArrowRight className="w-3 h-3 text-gray-600" />
+              <span className={problem === 'margin' ? 'text-red-400' : 'text-white'}>{formatHealthFactor(preview.afterBorrow.healthFactor)}</span>
+              <ArrowRight className="w-3 h-3 text-gray-600" />
+              <span className="text-[#5a8a3a]">{formatHealthFactor(preview.after.healthFactor)}</span>
+            </span>
+          </div>
+
+          {problem && (
+            <div className="flex items-start gap-2 pt-2 text-xs text-red-400">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              <span>{PROBLEM_MESSAGES[problem](borrowToken)}</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {repayAmount > 0n && !quoting && !preview && (
+        <p className="text-xs text-red-400">No swap route from {borrowToken.symbol} to {repayToken.symbol}.</p>
+      )}
+
+      <button
+        onClick={handleStart}
+        disabled={!signer || !preview || !!problem || exceedsDebt || quoting || !!pending}
+        className="w-full gradient-bg text-white py-3 rounded-2xl font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity shadow-md min-h-[44px] text-sm sm:text-base"
+      >
+        {exceedsDebt ? 'Exceeds Debt' : problem ? 'Cannot Refinance' : pending ? 'Finish Pending Swap First' : 'Swap Debt'}
+      </button>
+
+      {showModal && modalProgress && (
+        <TransactionModal
+          isOpen={showModal}
+          onClose={() => {
+            setShowModal(false);
+            setIsBlurActive(false);
+            onComplete?.();
+          }}
+          transactionType="debt_swap"
+          fromToken={modalBorrow}
+          toToken={modalRepay}
+          fromAmount={formatTokenAmount(BigInt(modalProgress.borrowAmount), modalBorrow.decimals)}
+          toAmount={formatTokenAmount(BigInt(modalProgress.repayAmount), modalRepay.decimals)}
+          onBorrow={handleBorrow}
+          onApproveA={handleApproveSwap}
+          onSwap={handleSwap}
+          onExecute={handleRepay}
+          transactionParams={{ completedSteps: resumeFrom, slippage: modalProgress.slippage }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DebtSwap;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { ArrowRight, AlertTriangle } from 'lucide-react';
+import { formatUSD } from '../utils/formatters';
+import { formatHealthFactor, isLiquidatable } from '../services/riskService';
+
+const healthColor = (healthFactor) => {
+  if (healthFactor === null) return 'text-[#5a8a3a]';
+  const value = Number(healthFactor) / 1e18;
+  if (value < 1) return 'text-red-400';
+  if (value < 1.5) return 'text-orange-400';
+  return 'text-[#5a8a3a]';
+};
+
+const usd = (value) => formatUSD(Number(value) / 1e18);
+
+const Row = ({ label, before, after, className = 'text-white' }) => (
+  <div className="flex items-center justify-between text-sm">
+    <span className="text-gray-400">{label}</span>
+    <span className="flex items-center gap-2 font-medium">
+      <span className="text-gray-500">{before}</span>
+      <ArrowRight className="w-3 h-3 text-gray-600" />
+      <span className={className}>{after}</span>
+    </span>
+  </div>
+);
+
+// Before/after account state for a pending lending action (see riskService)
+const HealthFactorPreview = ({ before, after, title = 'After this transaction' }) => {
+  if (!before || !after) return null;
+  const liquidatable = isLiquidatable(after);
+
+  return (
+    <div className={`rounded-xl border p-4 space-y-2 ${liquidatable ? 'border-red-500/40 bg-red-500/5' : 'border-[#2a2a2a] bg-[#111111]'}`}>
+      <p className="text-xs text-gray-500 font-medium uppercase tracking-wider">{title}</p>
+      <Row label="Collateral" before={usd(before.collateralUSD)} after={usd(after.collateralUSD)} />
+      <Row label="Debt" before={usd(before.debtUSD)} after={usd(after.debtUSD)} />
+      <Row label="Available to Borrow" before={usd(before.availableUSD)} after={usd(after.availableUSD)} />
+      <Row
+        label="Health Factor"
+        before={formatHealthFactor(before.healthFactor)}
+        after={formatHealthFactor(after.healthFactor)}
+        className={`font-bold ${healthColor(after.healthFactor)}`}
+      />
+      {liquidatable && (
+        <div className="flex items-start gap-2 pt-2 text-xs text-red-400">
+          <AlertTriangle className="w-4 h-4 shrink-0" />
+          <span>This would put your health factor below 1.0 and make the position liquidatable.</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HealthFactorPreview;
@@ -1,11 +1,20 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useAccount } from 'wagmi';
+import { useSearchParams } from 'react-router-dom';
 import { useEthersProvider, useEthersSigner } from '../hooks/useEthers';
 import { useBalances } from '../hooks/useBalances';
 import { useTokenPrices } from '../hooks/useTokenPrices';
+import { useDeepLink } from '../hooks/useDeepLink';
+import { useDebtLedger, getDebtLedgerKey } from '../hooks/useDebtLedger';
 import { useNotifications } from './NotificationProvider';
 import { LENDABLE_TOKENS } from '../constants/tokens';
 import TokenSelector from './TokenSelector';
+import HealthFactorPreview from './HealthFactorPreview';
+import RiskPanel from './RiskPanel';
+import DebtLedger from './DebtLedger';
+import CollateralSwap from './CollateralSwap';
+import DebtSwap from './DebtSwap';
+import LeverageTool from './LeverageTool';
 import {
   getUserAccountData,
   getUserCollateral,
@@ -20,28 +29,51 @@ import {
   checkRepayAllowance,
   approveRepayToken,
   executeRepay,
+  checkRepayAllAllowance,
+  approveRepayAll,
+  repayAll,
+  REPAY_ALL_BUFFER_BPS,
+  getReserveData,
 } from '../services/lendingService';
-import { formatTokenAmount, formatUSD } from '../utils/formatters';
+import { getAccountState, projectAccountState, isLiquidatable } from '../services/riskService';
+import { formatTokenAmount, formatUSD, parseTokenAmount } from '../utils/formatters';
+import { parseTokenParam, parseOptionParam } from '../utils/deepLinks';
 import TransactionModal from './TransactionModal';
 
+const TABS = ['supply', 'withdraw', 'borrow', 'repay'];
+
 const LendBorrow = ({ initialTab = 'supply' }) => {
   const { address, isConnected } = useAccount();
   const provider = useEthersProvider();
   const signer = useEthersSigner();
   const { balances, fetchBalances } = useBalances(provider, address);
   const { prices: tokenPrices } = useTokenPrices(provider);
-  const { showTransaction, setIsBlurActive } = useNotifications();
+  const { showTransaction, addNotification, setIsBlurActive } = useNotifications();
 
-  const [activeTab, setActiveTab] = useState(initialTab);
+  // /lend-borrow?tab=borrow&token=DARC takes precedence over the Dashboard's initialTab
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(() => parseOptionParam(searchParams.get('tab'), TABS) || initialTab);
 
-  // Update activeTab when initialTab prop changes
+  // Update activeTab when initialTab prop changes (not on mount, where the URL wins)
+  const initialTabMounted = useRef(false);
   useEffect(() => {
+    if (!initialTabMounted.current) {
+      initialTabMounted.current = true;
+      return;
+    }
     if (initialTab) {
       setActiveTab(initialTab);
     }
   }, [initialTab]);
-  const [selectedToken, setSelectedToken] = useState(LENDABLE_TOKENS[0]);
+  const [selectedToken, setSelectedToken] = useState(() => parseTokenParam(searchParams.get('token'), LENDABLE_TOKENS) || LENDABLE_TOKENS[0]);
+
+  useDeepLink({ tab: activeTab, token: selectedToken.symbol }, (params) => {
+    setActiveTab(parseOptionParam(params.get('tab'), TABS) || 'supply');
+    setSelectedToken(parseTokenParam(params.get('token'), LENDABLE_TOKENS) || LENDABLE_TOKENS[0]);
+  });
   const [amount, setAmount] = useState('');
+  // Repay-all: MAX on the repay tab repays the live debt (interest included) instead of a fixed amount
+  const [repayAllMode, setRepayAllMode] = useState(false);
   const [loading, setLoading] = useState(false);
   const [showModal, setShowModal] = useState(false);
   const [requiresApproval, setRequiresApproval] = useState(true);
@@ -53,6 +85,9 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
   });
   const [userCollateral, setUserCollateral] = useState({});
   const [userDebt, setUserDebt] = useState({});
+  const debtLedger = useDebtLedger(provider, address, getDebtLedgerKey(userDebt));
+  // getReserveData per token symbol (priceUSD, ltv) for the health factor projection
+  const [reserves, setReserves] = useState({});
 
   const MINIMUM_SUPPLY_USD = 5;
   const LTV = 0.8; // 80% Loan-to-Value ratio
@@ -63,11 +98,18 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
     }
   }, [provider, address]);
 
+  useEffect(() => {
+    setRepayAllMode(false);
+  }, [activeTab, selectedToken]);
+
   useEffect(() => {
     const checkApproval = async () => {
       if (provider && address && amount && selectedToken && (activeTab === 'supply' || activeTab === 'repay')) {
         const cleanedAmount = amount.toString().replace(/,/g, '').trim();
-        if (activeTab === 'supply') {
+        if (activeTab === 'repay' && repayAllMode) {
+          const hasAllowance = await checkRepayAllAllowance(provider, address, selectedToken);
+          setRequiresApproval(!hasAllowance);
+        } else if (activeTab === 'supply') {
           const hasAllowance = await checkSupplyAllowance(provider, address, selectedToken, cleanedAmount);
           setRequiresApproval(!hasAllowance);
         } else if (activeTab === 'repay') {
@@ -79,7 +121,7 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
       }
     };
     checkApproval();
-  }, [provider, address, amount, selectedToken, activeTab]);
+  }, [provider, address, amount, selectedToken, activeTab, repayAllMode]);
 
   const fetchAccountData = async () => {
     if (!provider || !address) return;
@@ -90,12 +132,15 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
 
       const collateral = Object.create(null);
       const debt = Object.create(null);
+      const reserveData = Object.create(null);
       for (const token of LENDABLE_TOKENS) {
         collateral[token.symbol] = await getUserCollateral(provider, address, token.address);
         debt[token.symbol] = await getUserDebt(provider, address, token.address);
+        reserveData[token.symbol] = await getReserveData(provider, token);
       }
       setUserCollateral(collateral);
       setUserDebt(debt);
+      setReserves(reserveData);
     } catch (error) {
       console.error('Error fetching account data:', error);
     }
@@ -218,7 +263,7 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
   };
 
   const handleWithdraw = async () => {
-    if (!signer || !amount) return;
+    if (!signer || !amount || wouldLiquidate) return;
     setShowModal(true);
     setIsBlurActive(true);
   };
@@ -269,7 +314,7 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
   };
 
   const handleBorrow = async () => {
-    if (!signer || !amount) return;
+    if (!signer || !amount || wouldLiquidate) return;
     setShowModal(true);
     setIsBlurActive(true);
   };
@@ -327,12 +372,55 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
 
   const handleApproveRepay = async () => {
     if (!signer || !amount || !selectedToken) return;
+    if (repayAllMode) return await approveRepayAll(signer, selectedToken);
     const cleanedAmount = amount.toString().replace(/,/g, '').trim();
     return await approveRepayToken(signer, selectedToken, cleanedAmount);
   };
 
+  const handleExecuteRepayAll = async () => {
+    const { symbol, decimals } = selectedToken;
+
+    try {
+      const result = await repayAll(signer, selectedToken, {
+        onTransaction: (tx, round) => showTransaction('repay', Promise.resolve(tx), {
+          pendingMessage: round === 0 ? `Repaying all ${symbol} debt...` : `Clearing remaining ${symbol} interest...`,
+          successMessage: round === 0 ? `Repaid ${symbol} debt` : `Cleared remaining ${symbol} interest`,
+          transactionData: {
+            token: symbol,
+            amount: amount,
+          },
+        }),
+      });
+
+      // Report what the pool says is left, not what we sent
+      addNotification(result.cleared
+        ? {
+          type: 'success',
+          title: `${symbol} debt fully repaid`,
+          message: `Repaid ${formatTokenAmount(result.repaid, decimals)} ${symbol} in ${result.rounds} transaction${result.rounds === 1 ? '' : 's'}. Remaining debt: 0.`,
+        }
+        : {
+          type: 'warning',
+          persistent: true,
+          title: `${symbol} debt not fully cleared`,
+          message: `Repaid ${formatTokenAmount(result.repaid, decimals)} ${symbol}; ${formatTokenAmount(result.remainingDebt, decimals)} ${symbol} is still owed.`,
+        });
+
+      setAmount('');
+      setRepayAllMode(false);
+      fetchAccountData();
+      fetchBalances();
+
+      return result.lastTx;
+    } catch (error) {
+      console.error('Repay all error:', error);
+      throw error;
+    }
+  };
+
   const handleExecuteRepay = async () => {
     if (!signer || !amount || !selectedToken) return;
+    if (repayAllMode) return await handleExecuteRepayAll();
 
     // Clean the amount: remove commas and ensure it's a valid number
     const cleanedAmount = amount.toString().replace(/,/g, '').trim();
@@ -384,11 +472,17 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
     } else if (activeTab === 'repay') {
       const debt = formatTokenAmount(userDebt[selectedToken.symbol] || 0n, selectedToken.decimals);
       setAmount(debt.replace(/,/g, ''));
+      setRepayAllMode((userDebt[selectedToken.symbol] || 0n) > 0n);
     }
   };
 
   const setPercentageAmount = (percentage) => {
     if (!selectedToken) return;
+    if (activeTab === 'repay' && percentage === 100) {
+      setMaxAmount();
+      return;
+    }
+    setRepayAllMode(false);
 
     let maxAmount = 0;
     let maxAmountFormatted = '0';
@@ -451,12 +545,26 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
     return amountUSD > 0 && amountUSD < MINIMUM_SUPPLY_USD;
   };
 
+  // Account state before and after the pending action, from reserve LTV/prices
+  const accountState = useMemo(() => getAccountState(accountData), [accountData]);
+  const projectedState = useMemo(() => {
+    const reserve = reserves[selectedToken.symbol];
+    const amountWei = parseTokenAmount(amount, selectedToken.decimals);
+    if (!reserve || amountWei <= 0n) return null;
+    return projectAccountState(accountState, [{ action: activeTab, token: selectedToken, reserve, amount: amountWei }]);
+  }, [accountState, reserves, selectedToken, amount, activeTab]);
+
+  // Hard block: never sign something that leaves the account liquidatable
+  const wouldLiquidate = !!projectedState && (activeTab === 'withdraw' || activeTab === 'borrow') && isLiquidatable(projectedState);
+
   const getButtonText = () => {
     if (loading) return 'Processing...';
     if (!isConnected) return 'Connect Wallet';
     if (!amount) return 'Enter Amount';
     if (isInsufficientBalance()) return 'Insufficient Balance';
     if (isBelowMinimum()) return `Minimum $${MINIMUM_SUPPLY_USD}`;
+    if (wouldLiquidate) return 'Health Factor Too Low';
+    if (activeTab === 'repay' && repayAllMode) return 'Repay All';
     return activeTab.charAt(0).toUpperCase() + activeTab.slice(1);
   };
 
@@ -496,7 +604,7 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
 
       {/* Tabs */}
       <div className="flex gap-1 sm:gap-2 glass-card p-1 overflow-x-auto scrollbar-hide rounded-2xl">
-        {['supply', 'withdraw', 'borrow', 'repay'].map((tab) => (
+        {TABS.map((tab) => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
@@ -571,6 +679,7 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
                 // Remove any commas and ensure only numbers and decimal point
                 const cleaned = e.target.value.replace(/,/g, '').replace(/[^0-9.]/g, '');
                 setAmount(cleaned);
+                setRepayAllMode(false);
               }}
               placeholder="0.00"
               className={`w-full bg-[#1a1a1a] border ${isInsufficientBalance() || isBelowMinimum() ? 'border-red-500/50 focus:border-red-500' : 'border-[#2a2a2a]'} rounded-xl px-4 py-3 text-white pr-16`}
@@ -620,12 +729,21 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
               </>
             )}
             {activeTab === 'repay' && `Borrowed: ${formatTokenAmount(userDebt[selectedToken.symbol] || 0n, selectedToken.decimals)}`}
+            {activeTab === 'repay' && repayAllMode && (
+              <span className="block text-[#5a8a3a]">
+                Repay all: pays the live debt including accrued interest. Approval adds a {Number(REPAY_ALL_BUFFER_BPS) / 100}% buffer; leftover dust is repaid automatically.
+              </span>
+            )}
             {isBelowMinimum() && tokenPrices[selectedToken.symbol] && (
               <span className="block mt-1">Minimum supply: ${MINIMUM_SUPPLY_USD} USD</span>
             )}
           </p>
         </div>
 
+        {isConnected && projectedState && (
+          <HealthFactorPreview before={accountState} after={projectedState} />
+        )}
+
         <button
           onClick={
             activeTab === 'supply' ? handleSupply :
@@ -633,13 +751,68 @@ const LendBorrow = ({ initialTab = 'supply' }) => {
                 activeTab === 'borrow' ? handleBorrow :
                   handleRepay
           }
-          disabled={!isConnected || !amount || loading || isInsufficientBalance() || isBelowMinimum()}
+          disabled={!isConnected || !amount || loading || isInsufficientBalance() || isBelowMinimum() || wouldLiquidate}
           className="w-full gradient-bg text-white py-3 rounded-2xl font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity shadow-md min-h-[44px] text-sm sm:text-base"
         >
           {getButtonText()}
         </button>
       </div>
 
+      {/* Move collateral between tokens without dropping below a safe health factor */}
+      {isConnected && (
+        <CollateralSwap
+          provider={provider}
+          signer={signer}
+          address={address}
+          accountState={accountState}
+          reserves={reserves}
+          userCollateral={userCollateral}
+          onComplete={() => {
+            fetchAccountData();
+            fetchBalances();
+          }}
+        />
+      )}
+
+      {/* Refinance one borrowed token into another */}
+      {isConnected && (
+        <DebtSwap
+          provider={provider}
+          signer={signer}
+          address={address}
+          accountState={accountState}
+          reserves={reserves}
+          userDebt={userDebt}
+          onComplete={() => {
+            fetchAccountData();
+            fetchBalances();
+          }}
+        />
+      )}
+
+      {/* Loop collateral with borrowed funds, or unwind an existing loop */}
+      {isConnected && (
+        <LeverageTool
+          provider={provider}
+          signer={signer}
+          accountState={accountState}
+          reserves={reserves}
+          userCollateral={userCollateral}
+          userDebt={userDebt}
+          balances={balances}
+          onComplete={() => {
+            fetchAccountData();
+            fetchBalances();
+          }}
+        />
+      )}
+
+      {/* Liquidation prices, stress test and alert thresholds */}
+      {isConnected && <RiskPanel provider={provider} address={address} refreshKey={accountData} />}
+
+      {/* Borrow/repay history with principal vs. accrued interest */}
+      {isConnected && <DebtLedger ledger={debtLedger.ledger} loading={debtLedger.loading} address={address} />}
+
       {/* Transaction Modal */}
       {showModal && (
         <TransactionModal
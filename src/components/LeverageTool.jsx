@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { formatUnits } from 'ethers';
+import { TrendingUp, AlertTriangle, Loader2 } from 'lucide-react';
+import { useNotifications } from './NotificationProvider';
+import { useSwapSettings } from '../hooks/useSwapSettings';
+import { LENDABLE_TOKENS } from '../constants/tokens';
+import TokenSelector from './TokenSelector';
+import HealthFactorPreview from './HealthFactorPreview';
+import TransactionModal from './TransactionModal';
+import {
+  MAX_LEVERAGE_LOOPS,
+  planLeverage,
+  planUnwind,
+  getTheoreticalMaxLeverage,
+  describeLeverageStep,
+  executeLeverageStep,
+} from '../services/leverageService';
+import { formatHealthFactor, MIN_STEP_HEALTH_FACTOR } from '../services/riskService';
+import { formatTokenAmount, formatUSD, parseTokenAmount } from '../utils/formatters';
+
+const MODES = ['leverage', 'unwind'];
+
+const SummaryRow = ({ label, value, className = 'text-white' }) => (
+  <div className="flex items-center justify-between text-sm">
+    <span className="text-gray-400">{label}</span>
+    <span className={`font-medium ${className}`}>{value}</span>
+  </div>
+);
+
+// Plan and run supply -> borrow -> swap -> supply loops, or unwind them
+const LeverageTool = ({ provider, signer, accountState, reserves, userCollateral, userDebt, balances, onComplete }) => {
+  const { addNotification, setIsBlurActive } = useNotifications();
+  const { settings: swapSettings } = useSwapSettings();
+
+  const [mode, setMode] = useState('leverage');
+  const [collateralToken, setCollateralToken] = useState(LENDABLE_TOKENS[0]);
+  const [debtToken, setDebtToken] = useState(LENDABLE_TOKENS[1]);
+  const [amount, setAmount] = useState('');
+  const [targetLeverage, setTargetLeverage] = useState(2);
+  const [plan, setPlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  // The plan being executed and the last swap's actual output, shared across steps
+  const runningPlanRef = useRef(null);
+  const contextRef = useRef({});
+
+  // riskService snapshot built from LendBorrow's data, no extra reads
+  const snapshot = useMemo(() => {
+    if (LENDABLE_TOKENS.some(t => !reserves[t.symbol])) return null;
+    return {
+      state: accountState,
+      positions: LENDABLE_TOKENS.map(token => ({
+        token,
+        reserve: reserves[token.symbol],
+        collateral: userCollateral[token.symbol] || 0n,
+        debt: userDebt[token.symbol] || 0n,
+      })),
+    };
+  }, [accountState, reserves, userCollateral, userDebt]);
+
+  const maxLeverage = getTheoreticalMaxLeverage(reserves[collateralToken.symbol]);
+  const walletBalance = (balances[collateralToken.symbol] || '0').replace(/,/g, '');
+  const amountWei = parseTokenAmount(amount, collateralToken.decimals);
+  const exceedsBalance = mode === 'leverage' && parseFloat(amount || '0') > parseFloat(walletBalance);
+
+  useEffect(() => {
+    if (!provider || !snapshot || (mode === 'leverage' && amountWei <= 0n)) {
+      setPlan(null);
+      return;
+    }
+
+    let cancelled = false;
+    setPlanning(true);
+    const timer = setTimeout(async () => {
+      try {
+        const options = { collateralToken, debtToken, slippage: swapSettings.slippage };
+        const result = mode === 'leverage'
+          ? await planLeverage(provider, snapshot, { ...options, amount: amountWei, targetLeverage })
+          : await planUnwind(provider, snapshot, options);
+        if (!cancelled) setPlan(result);
+      } catch (error) {
+        console.warn('[RPC] Leverage plan failed:', error.code || error.message);
+        if (!cancelled) setPlan(null);
+      } finally {
+        if (!cancelled) setPlanning(false);
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [provider, snapshot, mode, collateralToken, debtToken, amount, targetLeverage, swapSettings.slippage]);
+
+  const selectCollateral = (token) => {
+    if (token.symbol === debtToken.symbol) setDebtToken(collateralToken);
+    setCollateralToken(token);
+    setAmount('');
+  };
+
+  const selectDebt = (token) => {
+    if (token.symbol === collateralToken.symbol) setCollateralToken(debtToken);
+    setDebtToken(token);
+  };
+
+  // Lowest health factor any planned step passes through
+  const lowestStep = useMemo(() => {
+    if (!plan) return null;
+    return plan.steps.reduce((lowest, step) => {
+      const hf = step.state.healthFactor;
+      return hf !== null && (lowest === null || hf < lowest) ? hf : lowest;
+    }, null);
+  }, [plan]);
+
+  const loopsRequired = mode === 'leverage' ? plan && plan.loops > 0 : plan && plan.steps.length > 0;
+  const canExecute = !!signer && !!plan && loopsRequired && !exceedsBalance && !planning;
+
+  const handleExecute = () => {
+    if (!canExecute) return;
+    runningPlanRef.current = plan;
+    contextRef.current = {};
+    setShowModal(true);
+    setIsBlurActive(true);
+  };
+
+  const handleExecuteStep = async (index) => {
+    const running = runningPlanRef.current;
+    const tx = await executeLeverageStep(signer, running.steps[index], contextRef.current, {
+      slippage: swapSettings.slippage,
+      deadlineMinutes: swapSettings.deadlineMinutes,
+    });
+
+    if (index === running.steps.length - 1) {
+      addNotification({
+        type: 'success',
+        title: running.mode === 'leverage' ? 'Leverage loop complete' : 'Position unwound',
+        message: running.mode === 'leverage'
+          ? `${running.loops} loop${running.loops === 1 ? '' : 's'} run, about ${running.leverage.toFixed(2)}x ${running.collateralToken.symbol} exposure.`
+          : `Repaid ${running.debtToken.symbol} debt over ${running.loops} loop${running.loops === 1 ? '' : 's'}.`,
+      });
+      setAmount('');
+      onComplete?.();
+    }
+    return tx;
+  };
+
+  const running = runningPlanRef.current;
+
+  return (
+    <div className="glass-card p-4 sm:p-6 space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <TrendingUp className="w-5 h-5 text-[#5a8a3a]" />
+          <h2 className="text-base sm:text-lg font-semibold text-white">Leverage</h2>
+        </div>
+        <div className="flex gap-1 p-1 rounded-xl bg-[#1a1a1a]">
+          {MODES.map((m) => (
+            <button
+              key={m}
+              onClick={() => setMode(m)}
+              className={`px-3 py-1 rounded-lg text-xs font-medium transition-colors ${mode === m ? 'gradient-bg text-white' : 'text-gray-400 hover:text-white'}`}
+            >
+              {m === 'leverage' ? 'Leverage' : 'Unwind'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="space-y-2">
+          <label className="text-sm text-gray-400 block">Collateral</label>
+          <TokenSelector
+            tokens={LENDABLE_TOKENS}
+            selectedToken={collateralToken}
+            onSelect={selectCollateral}
+            className="w-full"
+            raised={true}
+            balances={mode === 'leverage'
+              ? balances
+              : Object.fromEntries(LENDABLE_TOKENS.map(t => [t.symbol, formatTokenAmount(userCollateral[t.symbol] || 0n, t.decimals)]))}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm text-gray-400 block">{mode === 'leverage' ? 'Borrow' : 'Repay'}</label>
+          <TokenSelector
+            tokens={LENDABLE_TOKENS.filter(t => t.symbol !== collateralToken.symbol)}
+            selectedToken={debtToken}
+            onSelect={selectDebt}
+            className="w-full"
+            raised={true}
+            balances={mode === 'unwind'
+              ? Object.fromEntries(LENDABLE_TOKENS.map(t => [t.symbol, formatTokenAmount(userDebt[t.symbol] || 0n, t.decimals)]))
+              : {}}
+          />
+        </div>
+      </div>
+
+      {mode === 'leverage' ? (
+        <>
+          <div>
+            <label className="text-sm text-gray-400 mb-2 block">Deposit</label>
+            <div className="relative">
+              <input
+                type="number"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value.replace(/,/g, '').replace(/[^0-9.]/g, ''))}
+                placeholder="0.00"
+                className={`w-full bg-[#1a1a1a] border ${exceedsBalance ? 'border-red-500/50 focus:border-red-500' : 'border-[#2a2a2a]'} rounded-xl px-4 py-3 text-white pr-16`}
+              />
+              <button
+                onClick={() => setAmount(walletBalance)}
+                className="absolute right-2 top-1/2 -translate-y-1/2 text-xs gradient-text font-medium"
+              >
+                MAX
+              </button>
+            </div>
+            <p className={`text-xs mt-2 ${exceedsBalance ? 'text-red-400' : 'text-gray-500'}`}>
+              Balance: {balances[collateralToken.symbol] || '0.00'} {collateralToken.symbol}
+            </p>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between text-sm mb-2">
+              <span className="text-gray-400">Target leverage</span>
+              <span className="text-white font-medium">{targetLeverage.toFixed(1)}x</span>
+            </div>
+            <input
+              type="range"
+              min={1.1}
+              max={Math.max(1.1, Math.floor(maxLeverage * 10) / 10)}
+              step={0.1}
+              value={targetLeverage}
+              onChange={(e) => setTargetLeverage(parseFloat(e.target.value))}
+              className="w-full accent-[#5a8a3a]"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              {collateralToken.symbol} LTV allows up to {maxLeverage.toFixed(1)}x in theory; each loop stays above a {formatHealthFactor(MIN_STEP_HEALTH_FACTOR)} health factor.
+            </p>
+          </div>
+        </>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Sells {collateralToken.symbol} collateral to repay {formatTokenAmount(userDebt[debtToken.symbol] || 0n, debtToken.decimals)} {debtToken.symbol} of debt,
+          withdrawing only as much per loop as keeps the health factor above {formatHealthFactor(MIN_STEP_HEALTH_FACTOR)}.
+        </p>
+      )}
+
+      {planning && !plan && (
+        <div className="flex justify-center py-2">
+          <Loader2 className="w-4 h-4 text-[#5a8a3a] animate-spin" />
+        </div>
+      )}
+
+      {plan && (
+        <div className="space-y-3">
+          <div className="rounded-xl border border-[#2a2a2a] bg-[#111111] p-4 space-y-2">
+            <SummaryRow label="Loops" value={`${plan.loops} of max ${MAX_LEVERAGE_LOOPS}`} />
+            {plan.mode === 'leverage' ? (
+              <>
+                <SummaryRow
+                  label="Leverage"
+                  value={`${plan.leverage.toFixed(2)}x`}
+                  className={plan.reachedTarget ? 'text-[#5a8a3a]' : 'text-orange-400'}
+                />
+                <SummaryRow label={`Total ${collateralToken.symbol} supplied`} value={`${formatTokenAmount(plan.totalCollateral, collateralToken.decimals)} ${collateralToken.symbol}`} />
+                <SummaryRow label={`Total ${debtToken.symbol} borrowed`} value={`${formatTokenAmount(plan.totalBorrowed, debtToken.decimals)} ${debtToken.symbol}`} />
+              </>
+            ) : (
+              <>
+                <SummaryRow label={`${collateralToken.symbol} withdrawn`} value={`${formatTokenAmount(plan.totalWithdrawn, collateralToken.decimals)} ${collateralToken.symbol}`} />
+                <SummaryRow label={`${debtToken.symbol} repaid`} value={`${formatTokenAmount(plan.totalRepaid, debtToken.decimals)} ${debtToken.symbol}`} />
+                <SummaryRow
+                  label="Debt left"
+                  value={`${formatTokenAmount(plan.remainingDebt, debtToken.decimals)} ${debtToken.symbol}`}
+                  className={plan.reachedTarget ? 'text-[#5a8a3a]' : 'text-orange-400'}
+                />
+              </>
+            )}
+            <SummaryRow label="Lowest health factor during loops" value={formatHealthFactor(lowestStep)} />
+            <SummaryRow
+              label={`${collateralToken.symbol} liquidation price`}
+              value={plan.liquidationPrice
+                ? `${formatUSD(plan.liquidationPrice.price)} (${plan.liquidationPrice.change.toFixed(1)}%)`
+                : '—'}
+            />
+          </div>
+
+          {!plan.reachedTarget && (
+            <div className="flex items-start gap-2 text-xs text-orange-400">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              <span>
+                {plan.mode === 'leverage'
+                  ? `The target is not reachable within ${MAX_LEVERAGE_LOOPS} loops while keeping the safety margin; the plan stops at ${plan.leverage.toFixed(2)}x.`
+                  : `Not all debt can be repaid from ${collateralToken.symbol} within ${MAX_LEVERAGE_LOOPS} loops while keeping the safety margin.`}
+              </span>
+            </div>
+          )}
+
+          <HealthFactorPreview before={plan.before} after={plan.after} title={plan.mode === 'leverage' ? 'After all loops' : 'After unwinding'} />
+        </div>
+      )}
+
+      {mode === 'unwind' && !planning && !plan && (
+        <p className="text-xs text-gray-500">No {debtToken.symbol} debt backed by {collateralToken.symbol} collateral to unwind.</p>
+      )}
+
+      <button
+        onClick={handleExecute}
+        disabled={!canExecute}
+        className="w-full gradient-bg text-white py-3 rounded-2xl font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity shadow-md min-h-[44px] text-sm sm:text-base"
+      >
+        {exceedsBalance
+          ? 'Insufficient Balance'
+          : plan && !loopsRequired
+            ? 'Nothing to Loop'
+            : mode === 'leverage' ? 'Open Leveraged Position' : 'Unwind Position'}
+      </button>
+
+      {showModal && running && (
+        <TransactionModal
+          isOpen={showModal}
+          onClose={() => {
+            setShowModal(false);
+            setIsBlurActive(false);
+            onComplete?.();
+          }}
+          transactionType="leverage"
+          fromToken={running.collateralToken}
+          toToken={running.mode === 'leverage' ? running.collateralToken : running.debtToken}
+          fromAmount={formatUnits(running.mode === 'leverage' ? running.steps[0].amount : running.totalWithdrawn, running.collateralToken.decimals)}
+          toAmount={running.mode === 'leverage'
+            ? formatUnits(running.totalCollateral, running.collateralToken.decimals)
+            : formatUnits(running.totalRepaid, running.debtToken.decimals)}
+          onExecuteChunk={handleExecuteStep}
+          transactionParams={{
+            mode: running.mode,
+            stepLabels: running.steps.map(describeLeverageStep),
+            sentLabel: running.mode === 'leverage' ? 'Deposited' : 'Withdrawn',
+            receivedLabel: running.mode === 'leverage' ? 'Total Collateral' : 'Repaid',
+            slippage: swapSettings.slippage,
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default LeverageTool;
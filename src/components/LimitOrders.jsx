@@ -0,0 +1,398 @@
+import React, { useState, useEffect } from 'react';
+import { useAccount } from 'wagmi';
+import { useEthersProvider, useEthersSigner } from '../hooks/useEthers';
+import { useLimitOrders } from '../hooks/useLimitOrders';
+import { useSwapSettings } from '../hooks/useSwapSettings';
+import { useNotifications } from './NotificationProvider';
+import { SWAPPABLE_TOKENS } from '../constants/tokens';
+import { getSpotExchangeRate, checkSwapAllowance, approveSwapToken, executeSwap, decodeSwapReceipt } from '../services/swapService';
+import {
+  findSwappableToken,
+  getLimitOrderMinOut,
+  getTriggeredLimitOrders,
+  getRequestedLimitOrderFill,
+  clearRequestedLimitOrderFill,
+  LIMIT_ORDER_FILL_REQUESTED_EVENT,
+} from '../services/limitOrderService';
+import { buildSwapExecution, recordSwapExecution } from '../services/swapHistoryService';
+import { formatTokenAmount, parseTokenAmount } from '../utils/formatters';
+import { Target, Clock, X, Pencil, Zap } from 'lucide-react';
+import TokenSelector from './TokenSelector';
+import TransactionModal from './TransactionModal';
+
+const EXPIRY_OPTIONS = [
+  { label: '1H', ms: 60 * 60 * 1000 },
+  { label: '24H', ms: 24 * 60 * 60 * 1000 },
+  { label: '7D', ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: '30D', ms: 30 * 24 * 60 * 60 * 1000 },
+  { label: 'Never', ms: null },
+];
+
+const STATUS_STYLES = {
+  open: 'text-[#5cb849] bg-[#5a8a3a]/10',
+  filled: 'text-blue-400 bg-blue-500/10',
+  cancelled: 'text-gray-400 bg-white/5',
+  expired: 'text-orange-400 bg-orange-500/10',
+};
+
+const formatExpiry = (expiresAt) => {
+  if (!expiresAt) return 'No expiry';
+  const remaining = expiresAt - Date.now();
+  if (remaining <= 0) return 'Expired';
+  const hours = Math.floor(remaining / (60 * 60 * 1000));
+  if (hours >= 24) return `${Math.floor(hours / 24)}d left`;
+  if (hours >= 1) return `${hours}h left`;
+  return `${Math.max(1, Math.floor(remaining / 60000))}m left`;
+};
+
+const LimitOrders = ({ balances = {}, onFilled }) => {
+  const { address, isConnected } = useAccount();
+  const provider = useEthersProvider();
+  const signer = useEthersSigner();
+  const { showTransaction, setIsBlurActive } = useNotifications();
+  // The watcher itself runs in the app layout; this is the list view
+  const { orders, triggered, saveOrder, cancelOrder, markFilled, clearClosed } = useLimitOrders(address);
+  const { settings: swapSettings } = useSwapSettings();
+
+  const [fromToken, setFromToken] = useState(SWAPPABLE_TOKENS[0]);
+  const [toToken, setToToken] = useState(SWAPPABLE_TOKENS[1]);
+  const [amount, setAmount] = useState('');
+  const [targetRate, setTargetRate] = useState('');
+  const [expiry, setExpiry] = useState('24H');
+  const [editingId, setEditingId] = useState(null);
+  const [editingExpiresAt, setEditingExpiresAt] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [spotRate, setSpotRate] = useState(null);
+  const [fillingOrder, setFillingOrder] = useState(null);
+  const [fillExecution, setFillExecution] = useState(null);
+  const [requiresApproval, setRequiresApproval] = useState(true);
+  const [fillRequestId, setFillRequestId] = useState(getRequestedLimitOrderFill);
+
+  useEffect(() => {
+    if (!provider || !fromToken || !toToken) return;
+    getSpotExchangeRate(provider, fromToken, toToken).then(setSpotRate).catch(() => setSpotRate(null));
+  }, [provider, fromToken, toToken]);
+
+  const resetForm = () => {
+    setAmount('');
+    setTargetRate('');
+    setExpiry('24H');
+    setEditingId(null);
+    setEditingExpiresAt(null);
+    setFormError('');
+  };
+
+  const handleSubmit = () => {
+    const option = EXPIRY_OPTIONS.find(o => o.label === expiry);
+    // 'Keep' leaves an edited order's original expiry untouched
+    const expiresAt = expiry === 'Keep' ? editingExpiresAt : option?.ms ? Date.now() + option.ms : null;
+    try {
+      saveOrder({
+        id: editingId,
+        fromSymbol: fromToken.symbol,
+        toSymbol: toToken.symbol,
+        amountIn: amount,
+        targetRate,
+        expiresAt,
+      });
+      resetForm();
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handleEdit = (order) => {
+    setEditingId(order.id);
+    setFromToken(findSwappableToken(order.fromSymbol));
+    setToToken(findSwappableToken(order.toSymbol));
+    setAmount(order.amountIn);
+    setTargetRate(String(order.targetRate));
+    setEditingExpiresAt(order.expiresAt);
+    setExpiry('Keep');
+    setFormError('');
+  };
+
+  const handleFill = async (entry) => {
+    if (!signer || !provider) return;
+    const tokenIn = findSwappableToken(entry.order.fromSymbol);
+    const hasAllowance = await checkSwapAllowance(provider, address, tokenIn, entry.order.amountIn);
+    setRequiresApproval(!hasAllowance);
+    setFillExecution(null);
+    setFillingOrder(entry);
+    setIsBlurActive(true);
+  };
+
+  // "Fill order" on a ready notification: open that order's Fill modal once the wallet is available
+  useEffect(() => {
+    const onRequest = () => setFillRequestId(getRequestedLimitOrderFill());
+    window.addEventListener(LIMIT_ORDER_FILL_REQUESTED_EVENT, onRequest);
+    return () => window.removeEventListener(LIMIT_ORDER_FILL_REQUESTED_EVENT, onRequest);
+  }, []);
+
+  useEffect(() => {
+    if (!fillRequestId || !signer || !provider) return;
+    clearRequestedLimitOrderFill();
+    setFillRequestId(null);
+    // Read the watcher's latest triggers directly; the list's copy may not have loaded yet
+    const entry = getTriggeredLimitOrders(address).find(t => t.order.id === fillRequestId);
+    if (entry) handleFill(entry);
+  }, [fillRequestId, signer, provider, address]);
+
+  const handleApprove = async () => {
+    if (!signer || !fillingOrder) return;
+    return await approveSwapToken(signer, findSwappableToken(fillingOrder.order.fromSymbol), fillingOrder.order.amountIn, {
+      infiniteApproval: swapSettings.infiniteApproval,
+    });
+  };
+
+  const handleExecute = async () => {
+    if (!signer || !fillingOrder) return;
+    const { order } = fillingOrder;
+    const tokenIn = findSwappableToken(order.fromSymbol);
+    const tokenOut = findSwappableToken(order.toSymbol);
+
+    // amountOutMin at the limit price - the swap reverts rather than fill below target
+    const txPromise = executeSwap(signer, order.amountIn, tokenIn, tokenOut, getLimitOrderMinOut(order), {
+      deadlineMinutes: swapSettings.deadlineMinutes,
+    });
+
+    const tx = await showTransaction('swap', txPromise, {
+      pendingMessage: `Filling limit order: ${order.amountIn} ${order.fromSymbol} → ${order.toSymbol}...`,
+      successMessage: `Limit order filled: ${order.amountIn} ${order.fromSymbol} → ${order.toSymbol}`,
+      transactionData: {
+        token: `${order.fromSymbol} → ${order.toSymbol}`,
+        amount: `${order.amountIn} → ${formatTokenAmount(fillingOrder.amountOut, tokenOut.decimals)}`,
+      },
+    });
+
+    markFilled(order.id, tx.hash);
+
+    // Keep the actual fill next to the quote that triggered the order
+    try {
+      const actual = decodeSwapReceipt(await tx.wait(), tokenIn, tokenOut);
+      if (actual) {
+        const execution = buildSwapExecution({
+          hash: tx.hash,
+          tokenIn,
+          tokenOut,
+          quoted: { amountIn: parseTokenAmount(order.amountIn, tokenIn.decimals), amountOut: fillingOrder.amountOut },
+          actual,
+          source: 'limit',
+        });
+        recordSwapExecution(address, execution);
+        setFillExecution(execution);
+      }
+    } catch (error) {
+      console.warn('[RPC] Swap receipt decode failed:', error.code || error.message);
+    }
+
+    onFilled?.();
+    return tx;
+  };
+
+  const triggeredIds = new Set(triggered.map(t => t.order.id));
+  const openOrders = orders.filter(o => o.status === 'open');
+  const closedOrders = orders.filter(o => o.status !== 'open');
+  const targetVsSpot = spotRate && parseFloat(targetRate) > 0 ? ((parseFloat(targetRate) - spotRate) / spotRate) * 100 : null;
+
+  return (
+    <div className="glass-card p-4 sm:p-6 mt-4 sm:mt-6">
+      <div className="flex items-center gap-2 mb-4">
+        <Target className="w-5 h-5 text-[#5a8a3a]" />
+        <h2 className="text-lg font-semibold text-white">Limit Orders</h2>
+      </div>
+
+      {!isConnected ? (
+        <p className="text-sm text-gray-500">Connect your wallet to create limit orders.</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+          {/* Order form */}
+          <div className="space-y-3">
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">Sell</label>
+              <div className="flex gap-2">
+                <TokenSelector
+                  tokens={SWAPPABLE_TOKENS.filter(t => t.symbol !== toToken.symbol)}
+                  selectedToken={fromToken}
+                  onSelect={setFromToken}
+                  className="w-40"
+                  balances={balances}
+                />
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value.replace(/[^0-9.]/g, ''))}
+                  placeholder="0.00"
+                  className="flex-1 bg-[#1a1a1a] border border-[#2a2a2a] rounded-xl px-4 py-3 text-white"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">For</label>
+              <TokenSelector
+                tokens={SWAPPABLE_TOKENS.filter(t => t.symbol !== fromToken.symbol)}
+                selectedToken={toToken}
+                onSelect={setToToken}
+                className="w-40"
+                balances={balances}
+              />
+            </div>
+
+            <div>
+              <label className="text-xs text-gray-400 mb-1 block">
+                When 1 {fromToken.symbol} ≥ ({toToken.symbol})
+              </label>
+              <input
+                type="text"
+                inputMode="decimal"
+                value={targetRate}
+                onChange={(e) => setTargetRate(e.target.value.replace(/[^0-9.]/g, ''))}
+                placeholder={spotRate ? spotRate.toFixed(6) : '0.00'}
+                className="w-full bg-[#1a1a1a] border border-[#2a2a2a] rounded-xl px-4 py-3 text-white"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Current: {spotRate !== null ? `1 ${fromToken.symbol} = ${spotRate.toFixed(6)} ${toToken.symbol}` : '—'}
+                {targetVsSpot !== null && (
+                  <span className={targetVsSpot >= 0 ? 'text-[#5cb849]' : 'text-orange-400'}>
+                    {' '}({targetVsSpot >= 0 ? '+' : ''}{targetVsSpot.toFixed(2)}% vs market)
+                  </span>
+                )}
+              </p>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Clock className="w-4 h-4 text-gray-500" />
+              <span className="text-xs text-gray-400">Expires</span>
+              {(editingId ? [{ label: 'Keep' }, ...EXPIRY_OPTIONS] : EXPIRY_OPTIONS).map((option) => (
+                <button
+                  key={option.label}
+                  onClick={() => setExpiry(option.label)}
+                  className={`px-2 py-0.5 text-xs font-medium rounded-lg transition-colors ${expiry === option.label
+                    ? 'bg-[#5a8a3a] text-white'
+                    : 'bg-[#1a1a1a] text-gray-400 hover:text-white'
+                    }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            {formError && <p className="text-xs text-red-400">{formError}</p>}
+
+            <div className="flex gap-2">
+              <button
+                onClick={handleSubmit}
+                disabled={!amount || !targetRate}
+                className="flex-1 gradient-bg text-white py-3 rounded-2xl font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity min-h-[44px]"
+              >
+                {editingId ? 'Update Order' : 'Place Limit Order'}
+              </button>
+              {editingId && (
+                <button
+                  onClick={resetForm}
+                  className="px-4 bg-[#1a1a1a] border border-[#2a2a2a] text-gray-400 rounded-2xl text-sm hover:text-white"
+                >
+                  Cancel Edit
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-gray-500">
+              Orders are stored in this browser and only watched while the app is open. You sign the swap when the target is reached.
+            </p>
+          </div>
+
+          {/* Order list */}
+          <div className="space-y-2">
+            {openOrders.length === 0 && closedOrders.length === 0 && (
+              <p className="text-sm text-gray-500">No limit orders yet.</p>
+            )}
+
+            {openOrders.map((order) => {
+              const ready = triggered.find(t => t.order.id === order.id);
+              const hasBalance = parseFloat((balances[order.fromSymbol] || '0').replace(/,/g, '')) >= parseFloat(order.amountIn);
+              return (
+                <div
+                  key={order.id}
+                  className={`p-3 rounded-xl border ${triggeredIds.has(order.id) ? 'bg-[#5a8a3a]/10 border-[#5a8a3a]/40' : 'bg-[#1a1a1a] border-[#2a2a2a]'}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-white font-medium">
+                      {order.amountIn} {order.fromSymbol} → {order.toSymbol}
+                    </span>
+                    <div className="flex items-center gap-1">
+                      <button onClick={() => handleEdit(order)} className="p-1 text-gray-400 hover:text-white" title="Edit">
+                        <Pencil className="w-3.5 h-3.5" />
+                      </button>
+                      <button onClick={() => cancelOrder(order.id)} className="p-1 text-gray-400 hover:text-red-400" title="Cancel">
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                  <div className="flex items-center justify-between text-xs text-gray-500 mt-1">
+                    <span>at ≥ {order.targetRate} {order.toSymbol}</span>
+                    <span>{formatExpiry(order.expiresAt)}</span>
+                  </div>
+                  {ready && (
+                    <div className="mt-2">
+                      <button
+                        onClick={() => handleFill(ready)}
+                        disabled={!hasBalance}
+                        className="w-full flex items-center justify-center gap-1 text-xs px-3 py-2 rounded-xl bg-[#5a8a3a] hover:bg-[#6b9a4a] text-white font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <Zap className="w-3.5 h-3.5" />
+                        {hasBalance ? `Target hit (${ready.executionRate.toFixed(6)}) — Sign swap` : `Insufficient ${order.fromSymbol} balance`}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+            {closedOrders.length > 0 && (
+              <div className="pt-2">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-xs text-gray-500 uppercase tracking-wider">History</span>
+                  <button onClick={clearClosed} className="text-xs text-gray-500 hover:text-white">Clear</button>
+                </div>
+                {closedOrders.slice(0, 10).map((order) => (
+                  <div key={order.id} className="flex items-center justify-between text-xs py-1">
+                    <span className="text-gray-400">
+                      {order.amountIn} {order.fromSymbol} → {order.toSymbol} @ {order.targetRate}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-md capitalize ${STATUS_STYLES[order.status]}`}>{order.status}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {fillingOrder && (
+        <TransactionModal
+          isOpen={!!fillingOrder}
+          onClose={() => {
+            setFillingOrder(null);
+            setIsBlurActive(false);
+          }}
+          transactionType="swap"
+          fromToken={findSwappableToken(fillingOrder.order.fromSymbol)}
+          toToken={findSwappableToken(fillingOrder.order.toSymbol)}
+          fromAmount={fillingOrder.order.amountIn}
+          toAmount={formatTokenAmount(fillingOrder.amountOut, findSwappableToken(fillingOrder.order.toSymbol).decimals)}
+          onApprove={handleApprove}
+          onExecute={handleExecute}
+          executionResult={fillExecution}
+          requiresApproval={requiresApproval}
+          transactionParams={{
+            exchangeRate: `1 ${fillingOrder.order.fromSymbol} ≥ ${fillingOrder.order.targetRate} ${fillingOrder.order.toSymbol} (limit)`,
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default LimitOrders;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { simulatePriceMove } from '../services/positionService';
+import { formatCompactNumber, formatUSD } from '../utils/formatters';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+
+const MOVE_PRESETS = [-50, -25, 25, 100];
+
+const signed = (value, digits = 2) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+const signedUSD = (value) => `${value >= 0 ? '+' : '-'}${formatUSD(Math.abs(value))}`;
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between items-center text-xs">
+    <span className="text-gray-500">{label}</span>
+    <span className="text-white font-medium text-right">{children}</span>
+  </div>
+);
+
+// LP position card: redeemable amounts, entry vs hold value, impermanent loss and a what-if simulator
+const LiquidityPosition = ({ position, lpBalance, onManage }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [move, setMove] = useState(0);
+  const { token, pair } = position;
+  const simulated = simulatePriceMove(position, move);
+
+  return (
+    <div className="glass-card p-5 border-[#5cb849]/20 bg-[#0a0a0a] group hover:border-[#5cb849]/40 transition-all">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <div className="flex -space-x-3">
+            <div className="w-10 h-10 rounded-full bg-black border border-[#2a2a2a] p-1 z-10">
+              <img src={pair.icon} alt="" className="w-full h-full object-contain" />
+            </div>
+            <div className="w-10 h-10 rounded-full bg-black border border-[#2a2a2a] p-1">
+              <img src={token.icon} alt="" className="w-full h-full object-contain" />
+            </div>
+          </div>
+          <div>
+            <h3 className="font-bold text-white text-sm">{pair.symbol}/{token.symbol}</h3>
+            <p className="text-[#5cb849] font-mono text-xs font-medium">{lpBalance} LP · {position.shareOfPool.toFixed(2)}%</p>
+          </div>
+        </div>
+        <button
+          onClick={onManage}
+          className="px-4 py-2 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] text-[10px] font-black uppercase tracking-wider text-gray-400 hover:text-white hover:bg-[#222] hover:border-[#5cb849]/30 transition-all"
+        >
+          Manage
+        </button>
+      </div>
+
+      <div className="mt-4 space-y-1.5">
+        <Row label="Redeemable">
+          {formatCompactNumber(position.pairAmount)} {pair.symbol} + {formatCompactNumber(position.tokenAmount)} {token.symbol}
+        </Row>
+        <Row label="Current value">{formatUSD(position.value)}</Row>
+        {position.hasHistory ? (
+          <>
+            <Row label="Entry value">{formatUSD(position.entryValue)}</Row>
+            <Row label="If held instead">{formatUSD(position.holdValue)}</Row>
+            <Row label="vs holding">
+              <span className={position.ilValue >= 0 ? 'text-[#5cb849]' : 'text-red-400'}>
+                {signedUSD(position.ilValue)} ({signed(position.ilPercent)}%)
+              </span>
+            </Row>
+          </>
+        ) : (
+          <p className="text-[10px] text-gray-500">No deposits found in recent history - entry value unavailable.</p>
+        )}
+      </div>
+
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="mt-3 w-full flex items-center justify-center gap-1 text-[10px] font-bold uppercase tracking-wider text-gray-500 hover:text-white transition-colors"
+      >
+        What if price moves
+        {expanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-3 p-3 rounded-xl bg-black/60 border border-[#2a2a2a] space-y-3">
+          <div className="flex items-center justify-between text-xs">
+            <span className="text-gray-400">{token.symbol} price change</span>
+            <span className={`font-bold ${move >= 0 ? 'text-[#5cb849]' : 'text-red-400'}`}>{signed(move, 0)}%</span>
+          </div>
+          <input
+            type="range"
+            min={-90}
+            max={300}
+            step={1}
+            value={move}
+            onChange={(e) => setMove(Number(e.target.value))}
+            className="w-full accent-[#5cb849]"
+          />
+          <div className="flex gap-2">
+            {MOVE_PRESETS.map((preset) => (
+              <button
+                key={preset}
+                onClick={() => setMove(preset)}
+                className={`flex-1 px-2 py-1 text-[10px] font-medium rounded-lg border transition-colors ${move === preset
+                  ? 'bg-[#5a8a3a] text-white border-[#5a8a3a]'
+                  : 'bg-[#1a1a1a] text-gray-400 hover:text-white border-[#2a2a2a]'
+                  }`}
+              >
+                {signed(preset, 0)}%
+              </button>
+            ))}
+          </div>
+          <div className="space-y-1.5">
+            <Row label={`${token.symbol} price`}>{simulated.price.toFixed(6)} {pair.symbol}</Row>
+            <Row label="Position would hold">
+              {formatCompactNumber(simulated.pairAmount)} {pair.symbol} + {formatCompactNumber(simulated.tokenAmount)} {token.symbol}
+            </Row>
+            <Row label="LP value">{formatUSD(simulated.value)}</Row>
+            <Row label="Holding today's tokens">{formatUSD(simulated.holdValue)}</Row>
+            <Row label="Impermanent loss">
+              <span className={simulated.ilValue >= -0.005 ? 'text-gray-300' : 'text-red-400'}>
+                {signedUSD(simulated.ilValue)} ({signed(simulated.ilPercent)}%)
+              </span>
+            </Row>
+          </div>
+          <p className="text-[10px] text-gray-500">Assumes arbitrage moves the pool to the new price and ignores future fees.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LiquidityPosition;
@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useEthersProvider } from '../hooks/useEthers';
+import { getMarkets, rateToPercent } from '../services/marketService';
+import { formatTokenAmount, formatUSD, formatCompactUSD } from '../utils/formatters';
+import { ARC_TESTNET } from '../constants/contracts';
+import { BarChart3, ChevronUp, ChevronDown, Loader2, RefreshCw, X, ExternalLink } from 'lucide-react';
+
+const COLUMNS = [
+  { key: 'symbol', label: 'Asset', value: m => m.token.symbol },
+  { key: 'suppliedUSD', label: 'Total Supplied', value: m => m.suppliedUSD },
+  { key: 'borrowedUSD', label: 'Total Borrowed', value: m => m.borrowedUSD },
+  { key: 'availableUSD', label: 'Available', value: m => m.availableUSD },
+  { key: 'utilization', label: 'Utilization', value: m => m.utilization },
+  { key: 'ltv', label: 'LTV', value: m => m.ltv },
+  { key: 'priceUSD', label: 'Oracle Price', value: m => m.priceUSD },
+  { key: 'borrowRate', label: 'Borrow Rate', value: m => m.borrowRate ?? -1 },
+];
+
+const formatRate = (rate) => (rate === null ? '—' : `${rate.toFixed(2)}%`);
+
+const UtilizationBar = ({ value }) => (
+  <div className="h-1.5 w-full rounded-full bg-[#1a1a1a] overflow-hidden">
+    <div
+      className={`h-full rounded-full ${value > 90 ? 'bg-red-400' : value > 75 ? 'bg-orange-400' : 'bg-[#5a8a3a]'}`}
+      style={{ width: `${Math.min(100, value)}%` }}
+    />
+  </div>
+);
+
+const DetailRow = ({ label, value }) => (
+  <div className="flex items-center justify-between text-sm py-2 border-b border-[#1a1a1a] last:border-0">
+    <span className="text-gray-400">{label}</span>
+    <span className="text-white font-medium">{value}</span>
+  </div>
+);
+
+// Side drawer with one market's full figures and its latest borrows
+const MarketDrawer = ({ market, onClose }) => {
+  const { token } = market;
+  return (
+    <div className="fixed inset-0 z-[1000] flex justify-end bg-black/20 backdrop-blur-[6px]" onClick={onClose}>
+      <div
+        className="glass-card h-full w-full max-w-md rounded-none border-l border-[#2a2a2a] overflow-y-auto animate-in slide-in-from-right duration-300"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-[#1a1a1a]">
+          <div className="flex items-center gap-3">
+            <img src={token.icon} alt={token.symbol} className="w-8 h-8 rounded-full" />
+            <div>
+              <h2 className="text-xl font-bold text-white">{token.symbol}</h2>
+              <p className="text-xs text-gray-500">{token.name}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 rounded-full bg-[#1a1a1a] text-gray-500 hover:text-white transition-colors">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div>
+            <div className="flex items-center justify-between text-sm mb-2">
+              <span className="text-gray-400">Utilization</span>
+              <span className="text-white font-medium">{market.utilization.toFixed(2)}%</span>
+            </div>
+            <UtilizationBar value={market.utilization} />
+          </div>
+
+          <div>
+            <DetailRow label="Total Supplied" value={`${formatTokenAmount(market.totalSupplied, token.decimals)} (${formatUSD(market.suppliedUSD)})`} />
+            <DetailRow label="Total Borrowed" value={`${formatTokenAmount(market.totalBorrowed, token.decimals)} (${formatUSD(market.borrowedUSD)})`} />
+            <DetailRow label="Available Liquidity" value={`${formatTokenAmount(market.availableLiquidity, token.decimals)} (${formatUSD(market.availableUSD)})`} />
+            <DetailRow label="Loan-to-Value" value={`${market.ltv.toFixed(0)}%`} />
+            <DetailRow label="Oracle Price" value={formatUSD(market.priceUSD)} />
+            <DetailRow label="Latest Borrow Rate" value={formatRate(market.borrowRate)} />
+            <DetailRow label="Avg. Borrow Rate" value={formatRate(market.avgBorrowRate)} />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <Link
+              to={`/lend-borrow?tab=supply&token=${token.symbol}`}
+              className="text-center py-3 rounded-xl gradient-bg text-white text-sm font-medium hover:opacity-90 transition-opacity"
+            >
+              Supply
+            </Link>
+            <Link
+              to={`/lend-borrow?tab=borrow&token=${token.symbol}`}
+              className="text-center py-3 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] text-white text-sm font-medium hover:border-[#5a8a3a]/50 transition-colors"
+            >
+              Borrow
+            </Link>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-white mb-3">Recent Borrows</h3>
+            {market.borrows.length === 0 ? (
+              <p className="text-xs text-gray-500">No borrows found in the scanned block range.</p>
+            ) : (
+              <div className="space-y-2">
+                {market.borrows.map((borrow) => (
+                  <a
+                    key={`${borrow.hash}-${borrow.user}`}
+                    href={`${ARC_TESTNET.blockExplorers.default.url}/tx/${borrow.hash}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center justify-between p-3 rounded-xl bg-[#111111] border border-[#2a2a2a] text-xs hover:border-[#5a8a3a]/30 transition-colors"
+                  >
+                    <span className="text-gray-400 font-mono">{borrow.user.slice(0, 6)}...{borrow.user.slice(-4)}</span>
+                    <span className="text-white">{formatTokenAmount(BigInt(borrow.amount), token.decimals)} {token.symbol}</span>
+                    <span className="flex items-center gap-1 text-[#5a8a3a]">
+                      {rateToPercent(borrow.rate).toFixed(2)}%
+                      <ExternalLink className="w-3 h-3" />
+                    </span>
+                  </a>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const Markets = () => {
+  const provider = useEthersProvider();
+  const [markets, setMarkets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sort, setSort] = useState({ key: 'suppliedUSD', direction: 'desc' });
+  const [selectedSymbol, setSelectedSymbol] = useState(null);
+
+  const loadMarkets = async () => {
+    if (!provider) return;
+    setLoading(true);
+    try {
+      setMarkets(await getMarkets(provider));
+    } catch (error) {
+      console.error('Error fetching markets:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMarkets();
+  }, [provider]);
+
+  const sortedMarkets = useMemo(() => {
+    const column = COLUMNS.find(c => c.key === sort.key);
+    return [...markets].sort((a, b) => {
+      const va = column.value(a);
+      const vb = column.value(b);
+      const order = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+      return sort.direction === 'asc' ? order : -order;
+    });
+  }, [markets, sort]);
+
+  const toggleSort = (key) => {
+    setSort(prev => (prev.key === key
+      ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: key === 'symbol' ? 'asc' : 'desc' }));
+  };
+
+  const totals = markets.reduce((acc, m) => ({
+    supplied: acc.supplied + m.suppliedUSD,
+    borrowed: acc.borrowed + m.borrowedUSD,
+  }), { supplied: 0, borrowed: 0 });
+
+  const selectedMarket = markets.find(m => m.token.symbol === selectedSymbol);
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <BarChart3 className="w-6 h-6 text-[#5a8a3a]" />
+          <h1 className="text-2xl sm:text-3xl font-bold gradient-text">Markets</h1>
+        </div>
+        <button
+          onClick={loadMarkets}
+          disabled={loading}
+          className="flex items-center gap-2 px-4 py-2 bg-[#1a1a1a] border border-[#2a2a2a] text-gray-400 hover:text-white rounded-xl transition-colors disabled:opacity-50"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          <span className="text-sm">Refresh</span>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 sm:gap-4">
+        <div className="glass-card p-4 rounded-2xl">
+          <p className="text-sm text-gray-400 mb-1">Total Supplied</p>
+          <p className="text-xl font-bold gradient-text">{formatCompactUSD(totals.supplied)}</p>
+        </div>
+        <div className="glass-card p-4 rounded-2xl">
+          <p className="text-sm text-gray-400 mb-1">Total Borrowed</p>
+          <p className="text-xl font-bold text-white">{formatCompactUSD(totals.borrowed)}</p>
+        </div>
+      </div>
+
+      <div className="glass-card p-0 overflow-x-auto">
+        {loading && markets.length === 0 ? (
+          <div className="flex items-center justify-center py-16">
+            <Loader2 className="w-6 h-6 text-[#5a8a3a] animate-spin" />
+          </div>
+        ) : (
+          <table className="w-full text-sm min-w-[760px]">
+            <thead>
+              <tr className="border-b border-[#1a1a1a]">
+                {COLUMNS.map(({ key, label }) => (
+                  <th key={key} className="px-4 py-3 text-left font-medium text-gray-400">
+                    <button onClick={() => toggleSort(key)} className="flex items-center gap-1 hover:text-white transition-colors">
+                      {label}
+                      {sort.key === key && (sort.direction === 'asc' ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />)}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedMarkets.map((market) => (
+                <tr
+                  key={market.token.symbol}
+                  onClick={() => setSelectedSymbol(market.token.symbol)}
+                  className="border-b border-[#1a1a1a] last:border-0 hover:bg-white/5 cursor-pointer transition-colors"
+                >
+                  <td className="px-4 py-3">
+                    <div className="flex items-center gap-2">
+                      <img src={market.token.icon} alt={market.token.symbol} className="w-6 h-6 rounded-full" />
+                      <span className="text-white font-medium">{market.token.symbol}</span>
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 text-white">{formatCompactUSD(market.suppliedUSD)}</td>
+                  <td className="px-4 py-3 text-white">{formatCompactUSD(market.borrowedUSD)}</td>
+                  <td className="px-4 py-3 text-white">{formatCompactUSD(market.availableUSD)}</td>
+                  <td className="px-4 py-3">
+                    <div className="space-y-1 w-24">
+                      <span className="text-white">{market.utilization.toFixed(1)}%</span>
+                      <UtilizationBar value={market.utilization} />
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 text-white">{market.ltv.toFixed(0)}%</td>
+                  <td className="px-4 py-3 text-white">{formatUSD(market.priceUSD)}</td>
+                  <td className="px-4 py-3 text-[#5a8a3a] font-medium">{formatRate(market.borrowRate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Borrow rates come from the interest rate recorded on recent borrows; markets without recent borrows show —.
+      </p>
+
+      {selectedMarket && <MarketDrawer market={selectedMarket} onClose={() => setSelectedSymbol(null)} />}
+    </div>
+  );
+};
+
+export default Markets;
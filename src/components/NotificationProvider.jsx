@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useCallback } from 'react';
-import { X, Loader2, CheckCircle2, XCircle, ExternalLink } from 'lucide-react';
+import { X, Loader2, CheckCircle2, XCircle, ExternalLink, AlertTriangle } from 'lucide-react';
 import { ARC_TESTNET } from '../constants/contracts';
 
 const NotificationContext = createContext();
@@ -13,6 +13,12 @@ export const useNotifications = () => {
 };
 
 const Notification = ({ notification, onDismiss }) => {
+  // Optional call to action: { label, onClick }; clicking it also closes the notification
+  const handleCta = () => {
+    notification.cta.onClick();
+    onDismiss();
+  };
+
   const getIcon = () => {
     switch (notification.type) {
       case 'pending':
@@ -21,6 +27,8 @@ const Notification = ({ notification, onDismiss }) => {
         return <CheckCircle2 className="w-5 h-5 text-[#5a8a3a]" />;
       case 'error':
         return <XCircle className="w-5 h-5 text-red-500" />;
+      case 'warning':
+        return <AlertTriangle className="w-5 h-5 text-orange-400" />;
       default:
         return null;
     }
@@ -79,6 +87,14 @@ const Notification = ({ notification, onDismiss }) => {
               {notification.message}
             </p>
           )}
+          {notification.cta && (
+            <button
+              onClick={handleCta}
+              className="mt-2 text-xs font-medium text-[#5a8a3a] hover:text-[#6b9a4a] transition-colors"
+            >
+              {notification.cta.label}
+            </button>
+          )}
           {notification.hash && (
             <a
               href={`${ARC_TESTNET.blockExplorers.default.url}/tx/${notification.hash}`}
@@ -108,8 +124,8 @@ export const NotificationProvider = ({ children }) => {
 
     setNotifications((prev) => [...prev, newNotification]);
 
-    // Auto-dismiss success/error notifications after 5 seconds
-    if (notification.type !== 'pending') {
+    // Auto-dismiss success/error notifications after 5 seconds; persistent ones stay until closed
+    if (notification.type !== 'pending' && !notification.persistent) {
       setTimeout(() => {
         dismissNotification(id);
       }, 5000);
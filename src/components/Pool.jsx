@@ -1,18 +1,31 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useAccount } from 'wagmi';
+import { Link, useSearchParams } from 'react-router-dom';
 import { formatUnits } from 'ethers';
 import { useEthersProvider, useEthersSigner } from '../hooks/useEthers';
 import { useBalances } from '../hooks/useBalances';
+import { useDeepLink } from '../hooks/useDeepLink';
+import { useLiquidityPositions } from '../hooks/useLiquidityPositions';
+import { useSwapSettings } from '../hooks/useSwapSettings';
+import { usePools } from '../hooks/usePools';
 import { useNotifications } from './NotificationProvider';
-import { TOKENS } from '../constants/tokens';
-import { getPoolReserves, addLiquidity, removeLiquidity, approveToken, getPoolTotalSupply } from '../services/poolService';
-import { formatTokenAmount, formatUSD, formatCompactNumber, formatCompactUSD } from '../utils/formatters';
-import { Plus, Minus, RefreshCw, Info, AlertTriangle, Droplets, ArrowUpRight, Wallet, Library, X } from 'lucide-react';
+import { getPoolKey } from '../utils/pools';
+import { addLiquidity, removeLiquidity, approveToken } from '../services/poolService';
+import { getPoolPosition, previewRemove, previewAdd, formatShares, parseShares } from '../services/positionService';
+import { previewZap, executeZapSwap, getZapDeposit, previewZapOut, decodeRemoveReceipt, executeZapOutSwap } from '../services/zapService';
+import { decodeSwapReceipt } from '../services/swapService';
+import { formatTokenAmount, formatUSD, formatCompactNumber, formatCompactUSD, formatInputAmount, parseTokenAmount } from '../utils/formatters';
+import { parseOptionParam } from '../utils/deepLinks';
+import { getPoolSlug } from '../services/poolAnalyticsService';
+import { Plus, Minus, RefreshCw, Info, AlertTriangle, Droplets, ArrowUpRight, Wallet, Library, X, BarChart3, Zap, PlusCircle } from 'lucide-react';
 import TransactionModal from './TransactionModal';
+import LiquidityPosition from './LiquidityPosition';
+import CreatePoolModal from './CreatePoolModal';
 
-const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, showTransaction, refreshing, isExpanded, onEnter, onClose, mode, setMode, setIsTxModalOpen }) => {
+const PoolCard = ({ token, pair, provider, signer, address, balances, fetchBalances, showTransaction, refreshing, isExpanded, onEnter, onClose, mode, setMode, setIsTxModalOpen }) => {
     const [reserves, setReserves] = useState({ resToken: 0n, resPair: 0n });
-    const [totalLPSupply, setTotalLPSupply] = useState(0n);
+    // Exact reserves/shares model (bigint) behind every LP preview on this card
+    const [position, setPosition] = useState(null);
     const [loading, setLoading] = useState(true);
     // mode and setMode are now passed from parent to sync UI positioning
     const [amountToken, setAmountToken] = useState('');
@@ -22,10 +35,28 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
     const [focusedField, setFocusedField] = useState(null); // 'pair', 'token', or 'lp'
     const [amountLP, setAmountLP] = useState('');
     const [lpBalance, setLpBalance] = useState('0.00');
+    // Zap: single-sided deposit of zapSide ('pair' or 'token')
+    const [zapSide, setZapSide] = useState('pair');
+    const [zapAmount, setZapAmount] = useState('');
+    const [zapPreview, setZapPreview] = useState(null);
+    const [loadingZap, setLoadingZap] = useState(false);
+    const [zapResult, setZapResult] = useState(null);
+    const zapRef = useRef(null); // { plan, deposit } frozen while the modal runs
+    const { settings: swapSettings } = useSwapSettings();
+    const zapInput = zapSide === 'pair' ? pair : token;
+    const zapOutput = zapSide === 'pair' ? token : pair;
+    // Zap-out: remove into a single token (zapOutSide 'pair' or 'token'); null keeps both
+    const [zapOutSide, setZapOutSide] = useState(null);
+    const [zapOutPreview, setZapOutPreview] = useState(null);
+    const [zapOutResult, setZapOutResult] = useState(null);
+    const zapOutRef = useRef(null); // { plan, received } frozen while the modal runs
+    const zapOutTarget = zapOutSide === 'pair' ? pair : token;
+    const zapOutOther = zapOutSide === 'pair' ? token : pair;
+    const isZapOut = mode === 'remove' && !!zapOutSide;
 
     // Update lpBalance when balances state changes
     useEffect(() => {
-        const key = `LP_${pair.symbol}_${token.symbol}`;
+        const key = getPoolKey({ token, pair });
         if (balances[key]) {
             setLpBalance(balances[key]);
         }
@@ -35,22 +66,17 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
         if (!provider) return;
         setLoading(true);
         try {
-            const data = await getPoolReserves(provider, pair, token);
+            const data = await getPoolPosition(provider, address, token, pair);
             if (data) {
-                if (data.token0.toLowerCase() === token.address.toLowerCase()) {
-                    setReserves({ resToken: data.reserve0, resPair: data.reserve1 });
-                } else {
-                    setReserves({ resToken: data.reserve1, resPair: data.reserve0 });
-                }
+                setPosition(data);
+                setReserves({ resToken: data.reserveToken, resPair: data.reservePair });
             }
-            const supply = await getPoolTotalSupply(provider, pair, token);
-            setTotalLPSupply(supply);
         } catch (error) {
             console.error(`Error fetching reserves for ${token.symbol}/${pair.symbol}:`, error);
         } finally {
             setLoading(false);
         }
-    }, [provider, token, pair]);
+    }, [provider, address, token, pair]);
 
     useEffect(() => {
         fetchReserves();
@@ -60,6 +86,44 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
         if (refreshing) fetchReserves();
     }, [refreshing, fetchReserves]);
 
+    // Re-plan the zap when the amount, side or reserves change
+    useEffect(() => {
+        if (mode !== 'zap' || !zapAmount || parseFloat(zapAmount) <= 0) {
+            setZapPreview(null);
+            return;
+        }
+        let cancelled = false;
+        setLoadingZap(true);
+        const timer = setTimeout(async () => {
+            const plan = await previewZap(provider, zapInput, zapOutput, zapAmount);
+            if (!cancelled) {
+                setZapPreview(plan);
+                setLoadingZap(false);
+            }
+        }, 400);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [mode, zapAmount, zapInput, zapOutput, provider, reserves]);
+
+    useEffect(() => {
+        const shares = parseShares(amountLP);
+        if (!isZapOut || shares === 0n) {
+            setZapOutPreview(null);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            const plan = await previewZapOut(provider, zapOutTarget, zapOutOther, shares);
+            if (!cancelled) setZapOutPreview(plan);
+        }, 400);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [isZapOut, amountLP, position, zapOutTarget, zapOutOther, provider, reserves]);
+
     const calculateEquivalent = (value, isPairInput) => {
         if (!reserves.resToken || !reserves.resPair || !value || isNaN(parseFloat(value))) return '';
 
@@ -96,8 +160,29 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
         }
     };
 
+    // Remove mode: underlying amounts for the typed shares, exact to the wei
+    const handleLPChange = (val) => {
+        setAmountLP(val);
+        const preview = previewRemove(position, parseShares(val));
+        if (val !== '' && preview.shares > 0n) {
+            setAmountToken(formatInputAmount(preview.tokenAmount, token.decimals));
+            setAmountPair(formatInputAmount(preview.pairAmount, pair.decimals));
+        } else {
+            setAmountToken('');
+            setAmountPair('');
+        }
+    };
+
     const handleAction = () => {
-        if (!amountToken || !amountPair) return;
+        if (mode === 'zap') {
+            if (!zapPreview) return;
+            zapRef.current = { plan: zapPreview, deposit: null };
+            setZapResult(null);
+        } else if (isZapOut) {
+            if (!zapOutPreview) return;
+            zapOutRef.current = { plan: zapOutPreview, received: null };
+            setZapOutResult(null);
+        } else if (!amountToken || !amountPair) return;
         setShowModal(true);
         if (setIsTxModalOpen) setIsTxModalOpen(true);
     };
@@ -114,11 +199,8 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                     successMessage: `Successfully added liquidity to ${token.symbol}/${pair.symbol} pool`,
                 });
             } else {
-                // For remove, we use the LP amount (shares) directly.
-                // We use floor logic implicitly by passing the exact string the user typed (amountLP).
-                // If the user selected MAX, amountLP comes from the balance.
-                // We need to ensure we don't pass '0' or undefined if empty.
-                const sharesToBurn = amountLP || '0';
+                // Shares at SHARE_DECIMALS; MAX and the percent buttons fill exact amounts
+                const sharesToBurn = parseShares(amountLP);
 
                 tx = await removeLiquidity(signer, pair, token, sharesToBurn);
 
@@ -145,8 +227,110 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
         }
     };
 
+    // Zap step 2: swap the planned portion, then size the deposit from what was actually received
+    const handleZapSwap = async () => {
+        const { plan } = zapRef.current;
+        const tx = await showTransaction('swap', executeZapSwap(signer, plan, swapSettings.slippage, { deadlineMinutes: swapSettings.deadlineMinutes }), {
+            pendingMessage: `Swapping ${formatInputAmount(plan.swapAmount, zapInput.decimals)} ${zapInput.symbol} for ${zapOutput.symbol}...`,
+            successMessage: `Swapped ${formatInputAmount(plan.swapAmount, zapInput.decimals)} ${zapInput.symbol} for ${zapOutput.symbol}`,
+        });
+
+        const receipt = await tx.wait();
+        const fill = decodeSwapReceipt(receipt, zapInput, zapOutput);
+        zapRef.current.deposit = await getZapDeposit(provider, plan, fill ? fill.amountOut : plan.expectedOut);
+        fetchBalances();
+        return tx;
+    };
+
+    // Zap step 4: deposit both sides at the pool ratio; the unpaired remainder stays in the wallet
+    const handleZapExecute = async () => {
+        const { deposit } = zapRef.current || {};
+        if (!signer || !deposit) throw new Error('Zap swap has not completed');
+        setIsProcessing(true);
+        try {
+            const inputAmount = formatUnits(deposit.depositIn, zapInput.decimals);
+            const outputAmount = formatUnits(deposit.depositOut, zapOutput.decimals);
+            const [pairAmount, tokenAmount] = zapSide === 'pair' ? [inputAmount, outputAmount] : [outputAmount, inputAmount];
+            const dust = {
+                dustA: formatInputAmount(deposit.dustIn, zapInput.decimals),
+                dustB: formatInputAmount(deposit.dustOut, zapOutput.decimals),
+            };
+
+            const tx = await addLiquidity(signer, pair, token, pairAmount, tokenAmount);
+            showTransaction('add_liquidity', Promise.resolve(tx), {
+                pendingMessage: `Adding ${formatInputAmount(deposit.depositIn, zapInput.decimals)} ${zapInput.symbol} and ${formatInputAmount(deposit.depositOut, zapOutput.decimals)} ${zapOutput.symbol} to pool...`,
+                successMessage: `Zapped into ${token.symbol}/${pair.symbol} pool. Left in wallet: ${dust.dustA || '0'} ${zapInput.symbol}, ${dust.dustB || '0'} ${zapOutput.symbol}`,
+            });
+            await tx.wait();
+
+            setZapResult({ depositA: inputAmount, depositB: outputAmount, ...dust });
+            fetchBalances();
+            fetchReserves();
+            setZapAmount('');
+            return tx;
+        } catch (error) {
+            console.error('Zap error:', error); // Let modal handle error state
+            throw error;
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    // Zap-out step 1: remove both sides and note what the removal actually paid out
+    const handleZapOutRemove = async () => {
+        const { plan } = zapOutRef.current;
+        const tx = await removeLiquidity(signer, pair, token, plan.shares);
+        showTransaction('remove_liquidity', Promise.resolve(tx), {
+            pendingMessage: `Removing liquidity from ${token.symbol}/${pair.symbol} pool...`,
+            successMessage: `Removed liquidity from ${token.symbol}/${pair.symbol} pool, swapping ${zapOutOther.symbol} to ${zapOutTarget.symbol} next`,
+        });
+
+        const receipt = await tx.wait();
+        const paid = decodeRemoveReceipt(receipt);
+        zapOutRef.current.received = {
+            other: paid?.[zapOutOther.address.toLowerCase()] ?? plan.redeemOther,
+            target: paid?.[zapOutTarget.address.toLowerCase()] ?? plan.redeemOutput,
+        };
+        fetchBalances();
+        fetchReserves();
+        return tx;
+    };
+
+    // Zap-out step 3: sell the unwanted side into the target token
+    const handleZapOutSwap = async () => {
+        const { plan, received } = zapOutRef.current || {};
+        if (!signer || !received) throw new Error('Liquidity removal has not completed');
+        setIsProcessing(true);
+        try {
+            const { tx, expectedOut } = await executeZapOutSwap(signer, plan, received.other, swapSettings.slippage, { deadlineMinutes: swapSettings.deadlineMinutes });
+            await showTransaction('swap', Promise.resolve(tx), {
+                pendingMessage: `Swapping ${formatInputAmount(received.other, zapOutOther.decimals)} ${zapOutOther.symbol} for ${zapOutTarget.symbol}...`,
+                successMessage: `Removed liquidity into ${zapOutTarget.symbol}`,
+            });
+
+            const fill = decodeSwapReceipt(await tx.wait(), zapOutOther, zapOutTarget);
+            const total = received.target + (fill ? fill.amountOut : expectedOut);
+            setZapOutResult({ amountOut: formatUnits(total, zapOutTarget.decimals) });
+            fetchBalances();
+            fetchReserves();
+            setAmountLP('');
+            setAmountToken('');
+            setAmountPair('');
+            return tx;
+        } catch (error) {
+            console.error('Zap-out error:', error); // Let modal handle error state
+            throw error;
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
     const checkInsufficient = () => {
         if (mode === 'remove') return null;
+        if (mode === 'zap') {
+            const balInput = parseFloat((balances[zapInput.symbol] || '0').replace(/,/g, ''));
+            return parseFloat(zapAmount || 0) > balInput ? zapInput.symbol : null;
+        }
         const balToken = parseFloat((balances[token.symbol] || '0').replace(/,/g, ''));
         const balPair = parseFloat((balances[pair.symbol] || '0').replace(/,/g, ''));
         if (parseFloat(amountPair || 0) > balPair) return pair.symbol;
@@ -155,6 +339,14 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
     };
 
     const insufficientToken = checkInsufficient();
+    const ownedShare = position ? previewRemove(position, position.shares).shareOfPool : 0;
+    // Add mode: shares the deposit is expected to mint
+    const addPreview = mode === 'add' && amountToken && amountPair
+        ? previewAdd(position, parseTokenAmount(amountToken, token.decimals), parseTokenAmount(amountPair, pair.decimals))
+        : null;
+    const missingAmount = mode === 'zap' ? !zapPreview || loadingZap
+        : mode === 'add' ? (!amountToken || !amountPair)
+            : !amountLP || (isZapOut && !zapOutPreview);
 
 
     return (
@@ -227,6 +419,14 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                         <span className="text-[8px] text-gray-500 font-bold uppercase tracking-wider">Pooled {token.symbol}</span>
                         <span className="text-white font-black text-[11px]">{loading ? '...' : formatCompactNumber(parseFloat(formatUnits(reserves.resToken, token.decimals)))}</span>
                     </div>
+                    <Link
+                        to={`/pool/${getPoolSlug(token, pair)}`}
+                        onClick={(e) => e.stopPropagation()}
+                        className="flex items-center justify-center gap-1.5 pt-1 text-[9px] text-gray-500 hover:text-[#5cb849] font-bold uppercase tracking-wider transition-colors"
+                    >
+                        <BarChart3 className="w-3 h-3" />
+                        Analytics
+                    </Link>
                 </div>
             )}
 
@@ -263,6 +463,17 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                         >
                             <Plus className="w-4 h-4" /> Add
                         </button>
+                        <button
+                            onClick={() => {
+                                setMode('zap');
+                                setZapAmount('');
+                                setAmountLP('');
+                            }}
+                            className={`flex-1 flex items-center justify-center gap-2 py-2.5 rounded-[15px] text-[10px] font-black uppercase tracking-[0.2em] transition-all ${mode === 'zap' ? 'bg-[#5cb849] text-white shadow-[0_5px_15px_rgba(92,184,73,0.3)]' : 'text-gray-500 hover:text-white'
+                                }`}
+                        >
+                            <Zap className="w-4 h-4" /> Zap
+                        </button>
                         <button
                             onClick={() => {
                                 setMode('remove');
@@ -277,10 +488,84 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                         </button>
                     </div>
 
-                    {/* Inputs */}
                     {/* Inputs */}
                     <div className="space-y-2 mb-4">
-                        {mode === 'add' ? (
+                        {mode === 'zap' ? (
+                            <div className="animate-in fade-in zoom-in duration-500">
+                                {/* Deposit side */}
+                                <div className="flex gap-2 mb-3">
+                                    {[{ side: 'pair', t: pair }, { side: 'token', t: token }].map(({ side, t }) => (
+                                        <button
+                                            key={side}
+                                            onClick={() => {
+                                                setZapSide(side);
+                                                setZapAmount('');
+                                            }}
+                                            className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-xl border text-[10px] font-black uppercase tracking-wider transition-all ${zapSide === side ? 'bg-[#5cb849]/10 border-[#5cb849]/50 text-white' : 'bg-[#0a0a0a] border-[#1a1a1a] text-gray-500 hover:text-white'}`}
+                                        >
+                                            <img src={t.icon} alt="" className="w-4 h-4" />
+                                            Only {t.symbol}
+                                        </button>
+                                    ))}
+                                </div>
+                                <div className="flex justify-between text-[10px] text-gray-500 mb-2 px-2 uppercase font-black tracking-[0.15em]">
+                                    <span>{zapInput.symbol} Amount</span>
+                                    <div className="flex items-center gap-2">
+                                        <Wallet className="w-3.5 h-3.5 text-[#5cb849]/60" />
+                                        <span className="text-gray-400">{balances[zapInput.symbol] || '0.00'}</span>
+                                    </div>
+                                </div>
+                                <div className="relative group/input">
+                                    <input
+                                        type="text"
+                                        inputMode="decimal"
+                                        value={zapAmount}
+                                        onChange={(e) => setZapAmount(e.target.value.replace(/[^0-9.]/g, ''))}
+                                        placeholder="0.00"
+                                        className="w-full bg-[#0a0a0a] border-2 border-[#1a1a1a] rounded-2xl px-4 sm:px-6 py-2.5 sm:py-3 text-white outline-none focus:border-[#5cb849]/40 transition-all caret-[#5cb849] text-lg sm:text-xl font-black placeholder:text-gray-800"
+                                    />
+                                    <button
+                                        onClick={() => setZapAmount(parseFloat((balances[zapInput.symbol] || '0').replace(/,/g, '')).toString())}
+                                        className="absolute right-4 top-1/2 -translate-y-1/2 text-[10px] font-black text-[#5cb849] hover:text-white transition-all bg-[#1a1a1a] px-4 py-2 rounded-xl border border-[#2a2a2a] hover:border-[#5cb849]/50 shadow-xl"
+                                    >
+                                        MAX
+                                    </button>
+                                </div>
+
+                                {/* Zap plan */}
+                                <div className={`overflow-hidden transition-all duration-500 ease-in-out ${zapAmount ? 'max-h-48 opacity-100 mt-4' : 'max-h-0 opacity-0 mt-0'}`}>
+                                    <div className="bg-[#111] rounded-xl p-3 border border-[#2a2a2a] space-y-1.5 text-[11px] shadow-inner">
+                                        {loadingZap ? (
+                                            <p className="text-gray-500 text-center">Calculating optimal swap...</p>
+                                        ) : zapPreview ? (
+                                            <>
+                                                <div className="flex justify-between">
+                                                    <span className="text-gray-500 font-black uppercase tracking-wider text-[10px]">Swap</span>
+                                                    <span className="text-white font-bold">
+                                                        {formatCompactNumber(parseFloat(formatUnits(zapPreview.swapAmount, zapInput.decimals)))} {zapInput.symbol} → ~{formatCompactNumber(parseFloat(formatUnits(zapPreview.expectedOut, zapOutput.decimals)))} {zapOutput.symbol}
+                                                    </span>
+                                                </div>
+                                                <div className="flex justify-between">
+                                                    <span className="text-gray-500 font-black uppercase tracking-wider text-[10px]">Deposit</span>
+                                                    <span className="text-white font-bold">
+                                                        {formatCompactNumber(parseFloat(formatUnits(zapPreview.depositIn, zapInput.decimals)))} {zapInput.symbol} + {formatCompactNumber(parseFloat(formatUnits(zapPreview.depositOut, zapOutput.decimals)))} {zapOutput.symbol}
+                                                    </span>
+                                                </div>
+                                                <div className="flex justify-between">
+                                                    <span className="text-gray-500 font-black uppercase tracking-wider text-[10px]">Price Impact</span>
+                                                    <span className={zapPreview.priceImpact > 5 ? 'text-orange-400 font-bold' : 'text-white font-bold'}>{zapPreview.priceImpact.toFixed(2)}%</span>
+                                                </div>
+                                                <p className="text-[9px] text-gray-500 pt-1">
+                                                    Anything that cannot be paired at the pool ratio stays in your wallet. Swap uses your {swapSettings.slippage}% slippage setting.
+                                                </p>
+                                            </>
+                                        ) : (
+                                            <p className="text-gray-500 text-center">No liquidity to zap into</p>
+                                        )}
+                                    </div>
+                                </div>
+                            </div>
+                        ) : mode === 'add' ? (
                             <>
                                 <div>
                                     <div className="flex justify-between text-[10px] text-gray-500 mb-2 px-2 uppercase font-black tracking-[0.15em]">
@@ -390,6 +675,16 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                                         </div>
                                     </div>
                                 </div>
+
+                                {/* Minted shares estimate */}
+                                {addPreview && addPreview.shares > 0n && (
+                                    <div className="bg-[#111] rounded-xl p-3 border border-[#2a2a2a] flex items-center justify-between shadow-inner mt-3">
+                                        <span className="text-[10px] text-gray-500 font-black uppercase tracking-wider">You'll Receive:</span>
+                                        <span className="text-white font-bold text-xs">
+                                            ~{formatCompactNumber(parseFloat(formatShares(addPreview.shares)))} LP · {addPreview.shareOfPool.toFixed(4)}% of pool
+                                        </span>
+                                    </div>
+                                )}
                             </>
                         ) : (
                             <div className="animate-in fade-in zoom-in duration-500">
@@ -398,9 +693,9 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                                     <div className="flex items-center gap-2">
                                         <Library className="w-3.5 h-3.5 text-[#ef4444]/60" />
                                         <span className="text-gray-400">Balance: {lpBalance}</span>
-                                        {totalLPSupply > 0n && lpBalance && parseFloat(lpBalance.replace(/,/g, '')) > 0 && (
+                                        {ownedShare > 0 && (
                                             <span className="text-gray-500 border-l border-gray-800 pl-2 ml-1">
-                                                Share: {((parseFloat(lpBalance.replace(/,/g, '')) / parseFloat(formatUnits(totalLPSupply, 18))) * 100).toFixed(4)}%
+                                                Share: {ownedShare.toFixed(4)}%
                                             </span>
                                         )}
                                     </div>
@@ -410,48 +705,15 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                                         type="text"
                                         inputMode="decimal"
                                         value={amountLP}
-                                        onChange={(e) => {
-                                            const val = e.target.value.replace(/[^0-9.]/g, '');
-                                            setAmountLP(val);
-                                            // Derive amountPair/amountToken based on LP amount relative to Total Supply
-                                            if (val !== '' && totalLPSupply > 0n) {
-                                                const supplyNum = parseFloat(formatUnits(totalLPSupply, 18));
-                                                // ratio = amountLP / totalLPSupply
-                                                // But simplistic float division might lose precision, but good enough for UI estimate
-                                                const ratio = parseFloat(val) / supplyNum;
-
-                                                const resTokenNum = parseFloat(formatUnits(reserves.resToken, token.decimals));
-                                                const resPairNum = parseFloat(formatUnits(reserves.resPair, pair.decimals));
-
-                                                // Estimate amounts (no slippage factor for "You'll Receive" display, raw estimate)
-                                                setAmountToken((resTokenNum * ratio).toFixed(6));
-                                                setAmountPair((resPairNum * ratio).toFixed(6));
-                                            } else {
-                                                setAmountToken('');
-                                                setAmountPair('');
-                                            }
-                                        }}
+                                        onChange={(e) => handleLPChange(e.target.value.replace(/[^0-9.]/g, ''))}
                                         onFocus={() => setFocusedField('lp')}
                                         placeholder="0.00"
                                         className="w-full bg-[#0a0a0a] border-2 border-[#1a1a1a] rounded-2xl px-4 sm:px-6 py-2.5 sm:py-3 text-white outline-none focus:border-[#ef4444]/40 transition-all caret-[#ef4444] text-lg sm:text-xl font-black placeholder:text-gray-800"
                                     />
                                     <button
                                         onClick={() => {
-                                            const bal = lpBalance.replace(/,/g, '');
-                                            setAmountLP(bal);
+                                            handleLPChange(formatShares(position?.shares));
                                             setFocusedField('lp');
-                                            // Calculate max using the correct ratio against Total Supply
-                                            const balNum = parseFloat(bal);
-                                            const supplyNum = parseFloat(formatUnits(totalLPSupply, 18));
-
-                                            if (supplyNum > 0) {
-                                                const ratio = balNum / supplyNum;
-                                                const resTokenNum = parseFloat(formatUnits(reserves.resToken, token.decimals));
-                                                const resPairNum = parseFloat(formatUnits(reserves.resPair, pair.decimals));
-
-                                                setAmountToken((resTokenNum * ratio).toFixed(6));
-                                                setAmountPair((resPairNum * ratio).toFixed(6));
-                                            }
                                         }}
                                         className="absolute right-4 top-1/2 -translate-y-1/2 text-[10px] font-black text-[#ef4444] hover:text-white transition-all bg-[#1a1a1a] px-4 py-2 rounded-xl border border-[#2a2a2a] hover:border-[#ef4444]/50 shadow-xl"
                                     >
@@ -461,36 +723,61 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                                 {/* Percentage Pop-out Row */}
                                 <div className={`overflow-hidden transition-all duration-700 ease-in-out ${focusedField === 'lp' ? 'max-h-24 opacity-100 mt-6' : 'max-h-0 opacity-0 mt-0'}`}>
                                     <div className="flex items-center justify-between gap-3 px-1">
-                                        {[25, 50, 75, 100].map((percent) => (
-                                            <button
-                                                key={percent}
-                                                onMouseDown={(e) => e.preventDefault()}
-                                                onClick={() => {
-                                                    const bal = parseFloat(lpBalance.replace(/,/g, ''));
-                                                    const amount = ((bal * percent) / 100).toFixed(4);
-                                                    setAmountLP(amount);
-                                                    // Derive amounts
-                                                    if (amount > 0 && totalLPSupply > 0n) {
-                                                        const supplyNum = parseFloat(formatUnits(totalLPSupply, 18));
-                                                        const ratio = parseFloat(amount) / supplyNum;
-
-                                                        const resTokenNum = parseFloat(formatUnits(reserves.resToken, token.decimals));
-                                                        const resPairNum = parseFloat(formatUnits(reserves.resPair, pair.decimals));
-
-                                                        setAmountToken((resTokenNum * ratio).toFixed(6));
-                                                        setAmountPair((resPairNum * ratio).toFixed(6));
-                                                    }
-                                                }}
-                                                className={`flex-1 py-3 text-[11px] font-black rounded-xl border transition-all uppercase tracking-widest ${amountLP && (parseFloat(amountLP) / parseFloat(lpBalance.replace(/,/g, ''))) * 100 === percent ? 'bg-[#ef4444] border-[#ef4444] text-white shadow-[0_0_20px_rgba(239,68,68,0.3)]' : 'bg-[#0a0a0a] border-[#1a1a1a] text-gray-500 hover:text-white hover:border-[#ef4444]/40'}`}
-                                            >
-                                                {percent}%
-                                            </button>
-                                        ))}
+                                        {[25, 50, 75, 100].map((percent) => {
+                                            const percentShares = ((position?.shares || 0n) * BigInt(percent)) / 100n;
+                                            return (
+                                                <button
+                                                    key={percent}
+                                                    onMouseDown={(e) => e.preventDefault()}
+                                                    onClick={() => {
+                                                        if (percentShares > 0n) handleLPChange(formatShares(percentShares));
+                                                    }}
+                                                    className={`flex-1 py-3 text-[11px] font-black rounded-xl border transition-all uppercase tracking-widest ${amountLP && percentShares > 0n && parseShares(amountLP) === percentShares ? 'bg-[#ef4444] border-[#ef4444] text-white shadow-[0_0_20px_rgba(239,68,68,0.3)]' : 'bg-[#0a0a0a] border-[#1a1a1a] text-gray-500 hover:text-white hover:border-[#ef4444]/40'}`}
+                                                >
+                                                    {percent}%
+                                                </button>
+                                            );
+                                        })}
                                     </div>
                                 </div>
 
+                                {/* Receive both sides, or zap out into one of them */}
+                                <div className="flex items-center gap-2 mt-4">
+                                    <span className="text-[10px] text-gray-500 font-black uppercase tracking-wider mr-1">Receive</span>
+                                    {[{ side: null, label: 'Both' }, { side: 'pair', label: `Only ${pair.symbol}` }, { side: 'token', label: `Only ${token.symbol}` }].map(({ side, label }) => (
+                                        <button
+                                            key={label}
+                                            onClick={() => setZapOutSide(side)}
+                                            className={`flex-1 py-2 rounded-xl border text-[10px] font-black uppercase tracking-wider transition-all ${zapOutSide === side ? 'bg-[#ef4444]/10 border-[#ef4444]/50 text-white' : 'bg-[#0a0a0a] border-[#1a1a1a] text-gray-500 hover:text-white'}`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+
                                 {/* "You'll Receive" Preview Section */}
-                                <div className={`overflow-hidden transition-all duration-500 ease-in-out ${amountLP ? 'max-h-20 opacity-100 mt-4' : 'max-h-0 opacity-0 mt-0'}`}>
+                                <div className={`overflow-hidden transition-all duration-500 ease-in-out ${amountLP ? 'max-h-32 opacity-100 mt-4' : 'max-h-0 opacity-0 mt-0'}`}>
+                                    {isZapOut ? (
+                                        <div className="bg-[#111] rounded-xl p-3 border border-[#2a2a2a] space-y-1.5 text-[11px] shadow-inner">
+                                            {zapOutPreview ? (
+                                                <>
+                                                    <div className="flex items-center justify-between">
+                                                        <span className="text-[10px] text-gray-500 font-black uppercase tracking-wider">You'll Receive:</span>
+                                                        <div className="flex items-center gap-1.5">
+                                                            <img src={zapOutTarget.icon} alt="" className="w-3.5 h-3.5" />
+                                                            <span className="text-white font-bold text-xs">~{formatCompactNumber(parseFloat(formatUnits(zapOutPreview.totalOut, zapOutTarget.decimals)))} {zapOutTarget.symbol}</span>
+                                                        </div>
+                                                    </div>
+                                                    <div className="flex justify-between text-gray-500">
+                                                        <span>Includes swap of {formatCompactNumber(parseFloat(formatUnits(zapOutPreview.redeemOther, zapOutOther.decimals)))} {zapOutOther.symbol}</span>
+                                                        <span className={zapOutPreview.priceImpact > 5 ? 'text-orange-400 font-bold' : 'text-gray-300'}>{zapOutPreview.priceImpact.toFixed(2)}% impact</span>
+                                                    </div>
+                                                </>
+                                            ) : (
+                                                <p className="text-gray-500 text-center">Calculating output...</p>
+                                            )}
+                                        </div>
+                                    ) : (
                                     <div className="bg-[#111] rounded-xl p-3 border border-[#2a2a2a] flex items-center justify-between shadow-inner">
                                         <span className="text-[10px] text-gray-500 font-black uppercase tracking-wider">You'll Receive:</span>
                                         <div className="flex items-center gap-3">
@@ -505,6 +792,7 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                                             </div>
                                         </div>
                                     </div>
+                                    )}
                                 </div>
                             </div>
                         )}
@@ -513,19 +801,21 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                     {/* Action Button */}
                     <button
                         onClick={handleAction}
-                        disabled={(mode === 'add' ? (!amountToken || !amountPair) : !amountLP) || (mode === 'add' && insufficientToken) || isProcessing}
-                        className={`w-full py-4 rounded-[20px] font-black transition-all shadow-2xl min-h-[56px] text-[11px] uppercase tracking-[0.3em] mt-4 ${mode === 'add'
+                        disabled={missingAmount || (mode !== 'remove' && insufficientToken) || isProcessing}
+                        className={`w-full py-4 rounded-[20px] font-black transition-all shadow-2xl min-h-[56px] text-[11px] uppercase tracking-[0.3em] mt-4 ${mode !== 'remove'
                             ? 'gradient-bg text-white hover:opacity-90 shadow-[0_10px_30px_rgba(92,184,73,0.4)]'
                             : 'bg-[#ef4444] text-white hover:bg-[#dc2626] shadow-[0_10px_30px_rgba(239,68,68,0.4)]'
                             } disabled:opacity-30 disabled:cursor-not-allowed transform active:scale-[0.98]`}
                     >
                         {isProcessing
                             ? 'Processing...'
-                            : mode === 'add' && insufficientToken
+                            : mode !== 'remove' && insufficientToken
                                 ? `Insufficient ${insufficientToken}`
-                                : (mode === 'add' ? (!amountToken || !amountPair) : !amountLP)
-                                    ? 'Enter Amount'
-                                    : `${mode === 'add' ? 'Add' : 'Remove'} Liquidity`
+                                : missingAmount
+                                    ? (mode === 'zap' && zapAmount ? 'Preparing Zap...' : 'Enter Amount')
+                                    : isZapOut
+                                        ? `Remove to ${zapOutTarget.symbol}`
+                                        : `${mode === 'add' ? 'Add' : mode === 'zap' ? 'Zap' : 'Remove'} Liquidity`
                         }
                     </button>
 
@@ -576,17 +866,27 @@ const PoolCard = ({ token, pair, provider, signer, balances, fetchBalances, show
                         setShowModal(false);
                         if (setIsTxModalOpen) setIsTxModalOpen(false);
                     }}
-                    transactionType={mode === 'add' ? 'add_liquidity' : 'remove_liquidity'}
-                    fromToken={pair}
-                    toToken={token}
-                    fromAmount={amountPair}
-                    toAmount={amountToken}
-                    onApproveA={async () => approveToken(signer, pair, amountPair)}
-                    onApproveB={async () => approveToken(signer, token, amountToken)}
-                    onExecute={handleExecute}
-                    requiresApproval={mode === 'add'}
+                    transactionType={mode === 'zap' ? 'zap_liquidity' : mode === 'add' ? 'add_liquidity' : isZapOut ? 'zap_out_liquidity' : 'remove_liquidity'}
+                    fromToken={mode === 'zap' ? zapInput : isZapOut ? zapOutOther : pair}
+                    toToken={mode === 'zap' ? zapOutput : isZapOut ? zapOutTarget : token}
+                    fromAmount={mode === 'zap' ? zapAmount : isZapOut ? amountLP : amountPair}
+                    toAmount={mode === 'zap' ? '' : isZapOut ? formatInputAmount(zapOutPreview?.totalOut, zapOutTarget.decimals) : amountToken}
+                    // Zap-out approves the side it sells, once the removal has paid it out
+                    onApprove={async () => approveToken(signer, zapOutOther, formatUnits(zapOutRef.current.received.other, zapOutOther.decimals))}
+                    onApproveA={mode === 'zap'
+                        // One approval covers the swap and the deposit leg of the input token
+                        ? async () => approveToken(signer, zapInput, formatUnits(zapRef.current.plan.amountIn, zapInput.decimals))
+                        : async () => approveToken(signer, pair, amountPair)}
+                    onApproveB={mode === 'zap'
+                        ? async () => approveToken(signer, zapOutput, formatUnits(zapRef.current.deposit.depositOut, zapOutput.decimals))
+                        : async () => approveToken(signer, token, amountToken)}
+                    onSwap={handleZapSwap}
+                    onRemove={handleZapOutRemove}
+                    onExecute={mode === 'zap' ? handleZapExecute : isZapOut ? handleZapOutSwap : handleExecute}
+                    executionResult={mode === 'zap' ? zapResult : isZapOut ? zapOutResult : null}
+                    requiresApproval={mode !== 'remove' || isZapOut}
                     transactionParams={{
-                        title: mode === 'add' ? 'Add Liquidity' : 'Remove Liquidity',
+                        title: mode === 'zap' ? 'Zap Liquidity' : mode === 'add' ? 'Add Liquidity' : isZapOut ? 'Zap Out' : 'Remove Liquidity',
                         pair: `${pair.symbol}/${token.symbol}`,
                     }}
                 />
@@ -683,17 +983,68 @@ const LPInfoModal = ({ isOpen, onClose }) => {
     );
 };
 
+const POOL_MODES = ['add', 'zap', 'remove'];
+
+const findPoolIndex = (pools, tokenSymbol, pairSymbol) => pools.findIndex(p =>
+    p.token.symbol.toUpperCase() === tokenSymbol && (!pairSymbol || p.pair.symbol.toUpperCase() === pairSymbol)
+);
+
+// /pool?token=CAT&mode=remove opens that pool's card; unknown tokens leave the grid closed.
+// &pair= picks between pools sharing a token (only written when the first match is not the one open).
+const parsePoolParams = (params, pools) => {
+    const token = params.get('token')?.toUpperCase();
+    const index = token ? findPoolIndex(pools, token, params.get('pair')?.toUpperCase()) : -1;
+    return {
+        expandedIndex: index >= 0 ? index : null,
+        mode: parseOptionParam(params.get('mode'), POOL_MODES) || 'add',
+    };
+};
+
 const Pool = () => {
     const { address, isConnected } = useAccount();
     const provider = useEthersProvider();
     const signer = useEthersSigner();
     const { balances, fetchBalances } = useBalances(provider, address);
     const { showTransaction, isBlurActive, setIsBlurActive } = useNotifications();
+    const pools = usePools(provider);
     const [refreshing, setRefreshing] = useState(false);
     const [isLPModalOpen, setIsLPModalOpen] = useState(false);
+    const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
+    const [pendingOpen, setPendingOpen] = useState(null);
+    // Positions are re-read whenever an LP balance changes (add/remove, refresh)
+    const lpBalancesKey = pools.map(pool => balances[getPoolKey(pool)]).join('|');
+    const { positions } = useLiquidityPositions(provider, address, pools, lpBalancesKey);
+
+    const [searchParams] = useSearchParams();
+    const [initialParams] = useState(() => parsePoolParams(searchParams, pools));
+    const [expandedIndex, setExpandedIndex] = useState(initialParams.expandedIndex);
+    const [mode, setMode] = useState(initialParams.mode); // Track mode at parent level for dynamic positioning
+
+    const expandedPool = expandedIndex !== null ? pools[expandedIndex] : null;
+    useDeepLink(
+        expandedPool ? {
+            token: expandedPool.token.symbol,
+            pair: findPoolIndex(pools, expandedPool.token.symbol.toUpperCase()) !== expandedIndex ? expandedPool.pair.symbol : undefined,
+            mode,
+        } : {},
+        (params) => {
+            const next = parsePoolParams(params, pools);
+            setExpandedIndex(next.expandedIndex);
+            setMode(next.mode);
+        }
+    );
 
-    const [expandedIndex, setExpandedIndex] = useState(null);
-    const [mode, setMode] = useState('add'); // Track mode at parent level for dynamic positioning
+    // Open a pool once it shows up in the list (after create/register)
+    useEffect(() => {
+        if (!pendingOpen) return;
+        // Either orientation: an existing pool may already be listed the other way round
+        const wanted = [pendingOpen.token.address, pendingOpen.pair.address].map(a => a.toLowerCase()).sort().join();
+        const index = pools.findIndex(p => [p.token.address, p.pair.address].map(a => a.toLowerCase()).sort().join() === wanted);
+        if (index < 0) return;
+        setPendingOpen(null);
+        setMode('add');
+        setExpandedIndex(index);
+    }, [pools, pendingOpen]);
 
     const handleRefresh = async () => {
         if (refreshing) return;
@@ -707,12 +1058,6 @@ const Pool = () => {
         }
     };
 
-    const pools = [
-        { token: TOKENS.CAT, pair: TOKENS.USDC },
-        { token: TOKENS.DARC, pair: TOKENS.USDC },
-        { token: TOKENS.PANDA, pair: TOKENS.USDC },
-    ];
-
     return (
         <div className="max-w-7xl mx-auto px-4 sm:px-6 py-8">
             {/* Header Section */}
@@ -733,6 +1078,13 @@ const Pool = () => {
                 </div>
 
                 <div className="flex items-center gap-3">
+                    <button
+                        onClick={() => setIsCreateModalOpen(true)}
+                        className="flex items-center gap-2 px-4 sm:px-6 py-2 sm:py-3 bg-[#5cb849]/10 border border-[#5cb849]/30 text-[#5cb849] hover:bg-[#5cb849]/20 rounded-xl transition-all justify-center"
+                    >
+                        <PlusCircle className="w-3 h-3 sm:w-4 sm:h-4" />
+                        <span className="text-xs sm:text-sm font-bold uppercase tracking-wider">Create Pool</span>
+                    </button>
                     <button
                         onClick={handleRefresh}
                         disabled={refreshing}
@@ -763,9 +1115,9 @@ const Pool = () => {
                             if (idx === expandedIndex) {
                                 displacement = 'opacity-0 scale-110 pointer-events-none';
                             } else {
-                                // All non-selected cards move to the center column (idx 1)
-                                if (idx === 0) displacement = 'translate-x-[calc(100%+24px)] opacity-0 scale-90'; // Move Right to center
-                                else if (idx === 2) displacement = '-translate-x-[calc(100%+24px)] opacity-0 scale-90'; // Move Left to center
+                                // All non-selected cards move to the center column (column 1)
+                                if (idx % 3 === 0) displacement = 'translate-x-[calc(100%+24px)] opacity-0 scale-90'; // Move Right to center
+                                else if (idx % 3 === 2) displacement = '-translate-x-[calc(100%+24px)] opacity-0 scale-90'; // Move Left to center
                                 else displacement = 'opacity-0 scale-90'; // Middle card just fades/scales
                             }
                         }
@@ -777,6 +1129,7 @@ const Pool = () => {
                                     pair={pool.pair}
                                     provider={provider}
                                     signer={signer}
+                                    address={address}
                                     balances={balances}
                                     fetchBalances={fetchBalances}
                                     showTransaction={showTransaction}
@@ -798,7 +1151,7 @@ const Pool = () => {
 
                 {/* Expanded Focus View */}
                 {expandedIndex !== null && (
-                    <div className={`absolute inset-x-0 z-50 flex justify-center items-start pt-0 animate-in fade-in zoom-in duration-1000 transition-all ${mode === 'add' ? 'md:-top-64 -top-12' : 'md:-top-60 -top-8'}`}>
+                    <div className={`absolute inset-x-0 z-50 flex justify-center items-start pt-0 animate-in fade-in zoom-in duration-1000 transition-all ${mode !== 'remove' ? 'md:-top-64 -top-12' : 'md:-top-60 -top-8'}`}>
                         {/* Background Cards (The "Disappearing Behind" Effect) */}
                         <div className="absolute inset-0 flex justify-center items-start pt-0 pointer-events-none opacity-20 overflow-hidden h-full">
                             {pools.map((p, i) => i !== expandedIndex && (
@@ -815,6 +1168,7 @@ const Pool = () => {
                                 pair={pools[expandedIndex].pair}
                                 provider={provider}
                                 signer={signer}
+                                address={address}
                                 balances={balances}
                                 fetchBalances={fetchBalances}
                                 showTransaction={showTransaction}
@@ -856,18 +1210,35 @@ const Pool = () => {
                 ) : (
                     <>
                         {pools.some(pool => {
-                            const key = `LP_${pool.pair.symbol}_${pool.token.symbol}`;
+                            const key = getPoolKey(pool);
                             const bal = parseFloat((balances[key] || '0').replace(/,/g, ''));
                             return bal > 0;
                         }) ? (
-                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 items-start">
                                 {pools.map((pool, idx) => {
-                                    const key = `LP_${pool.pair.symbol}_${pool.token.symbol}`;
+                                    const key = getPoolKey(pool);
                                     const balString = balances[key] || '0.00';
                                     const bal = parseFloat(balString.replace(/,/g, ''));
 
                                     if (bal <= 0) return null;
 
+                                    const openManage = () => {
+                                        setExpandedIndex(idx);
+                                        setMode('remove');
+                                        window.scrollTo({ top: 0, behavior: 'smooth' });
+                                    };
+
+                                    if (positions[key]) {
+                                        return (
+                                            <LiquidityPosition
+                                                key={idx}
+                                                position={positions[key]}
+                                                lpBalance={balString}
+                                                onManage={openManage}
+                                            />
+                                        );
+                                    }
+
                                     return (
                                         <div key={idx} className="glass-card p-5 border-[#5cb849]/20 bg-[#0a0a0a] flex items-center justify-between group hover:border-[#5cb849]/40 transition-all">
                                             <div className="flex items-center gap-4">
@@ -885,11 +1256,7 @@ const Pool = () => {
                                                 </div>
                                             </div>
                                             <button
-                                                onClick={() => {
-                                                    setExpandedIndex(idx);
-                                                    setMode('remove');
-                                                    window.scrollTo({ top: 0, behavior: 'smooth' });
-                                                }}
+                                                onClick={openManage}
                                                 className="px-4 py-2 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] text-[10px] font-black uppercase tracking-wider text-gray-400 hover:text-white hover:bg-[#222] hover:border-[#5cb849]/30 transition-all"
                                             >
                                                 Manage
@@ -914,6 +1281,21 @@ const Pool = () => {
                 isOpen={isLPModalOpen}
                 onClose={() => setIsLPModalOpen(false)}
             />
+
+            {/* Create Pool Modal */}
+            <CreatePoolModal
+                isOpen={isCreateModalOpen}
+                onClose={() => setIsCreateModalOpen(false)}
+                provider={provider}
+                signer={signer}
+                address={address}
+                onCreated={({ token, pair }) => {
+                    // The registry event refreshes `pools`; open the card on the next render
+                    setIsCreateModalOpen(false);
+                    setPendingOpen({ token, pair });
+                    fetchBalances();
+                }}
+            />
         </div>
     );
 };
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useEthersProvider } from '../hooks/useEthers';
+import { getPoolHistory, computePoolAnalytics, parsePoolSlug, ANALYTICS_RANGES, POOL_FEE } from '../services/poolAnalyticsService';
+import { formatCompactNumber, formatCompactUSD } from '../utils/formatters';
+import { ArrowLeft, BarChart3, Loader2, AlertTriangle, RefreshCw } from 'lucide-react';
+
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 12;
+
+const formatPointTime = (timestamp, rangeKey) => {
+  const date = new Date(timestamp);
+  return rangeKey === '24H'
+    ? date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// Line chart over the analytics points; each series is scaled to its own range
+const SeriesChart = ({ title, points, series, rangeKey }) => {
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+
+  const paths = useMemo(() => series.map(({ key }) => {
+    const values = points.map(p => p[key]);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    return points.map((p, i) => {
+      const x = CHART_PADDING + (i / (points.length - 1)) * innerWidth;
+      const y = CHART_PADDING + innerHeight - ((p[key] - min) / range) * innerHeight;
+      return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
+    }).join(' ');
+  }), [points, series, innerWidth, innerHeight]);
+
+  const last = points[points.length - 1];
+
+  return (
+    <div className="glass-card p-4 sm:p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-white">{title}</h3>
+        <div className="flex items-center gap-3">
+          {series.map(({ key, label, color, format }) => (
+            <span key={key} className="flex items-center gap-1.5 text-xs text-gray-400">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: color }} />
+              {label}: <span className="text-white">{format(last[key])}</span>
+            </span>
+          ))}
+        </div>
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full">
+        {[0, 0.5, 1].map((ratio) => (
+          <line
+            key={ratio}
+            x1={CHART_PADDING}
+            x2={CHART_PADDING + innerWidth}
+            y1={CHART_PADDING + ratio * innerHeight}
+            y2={CHART_PADDING + ratio * innerHeight}
+            stroke="rgba(255, 255, 255, 0.05)"
+            strokeWidth="1"
+          />
+        ))}
+        {paths.map((d, i) => (
+          <path key={series[i].key} d={d} fill="none" stroke={series[i].color} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+        ))}
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-500 mt-1">
+        <span>{formatPointTime(points[0].timestamp, rangeKey)}</span>
+        <span>{formatPointTime(last.timestamp, rangeKey)}</span>
+      </div>
+    </div>
+  );
+};
+
+const StatCard = ({ label, value, sub }) => (
+  <div className="glass-card p-4">
+    <p className="text-[10px] text-gray-500 font-bold uppercase tracking-wider mb-1">{label}</p>
+    <p className="text-xl font-bold text-white">{value}</p>
+    {sub && <p className="text-xs text-gray-500 mt-1">{sub}</p>}
+  </div>
+);
+
+const PoolAnalytics = () => {
+  const { pair: slug } = useParams();
+  const provider = useEthersProvider();
+  // Memoised: registered (non built-in) tokens are rebuilt from storage on every lookup
+  const pool = useMemo(() => parsePoolSlug(slug), [slug]);
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [rangeKey, setRangeKey] = useState('7D');
+
+  const token = pool?.token;
+  const pair = pool?.pair;
+
+  const loadHistory = async () => {
+    if (!provider || !token || !pair) return;
+    setLoading(true);
+    try {
+      setHistory(await getPoolHistory(provider, token, pair));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setHistory(null);
+    loadHistory();
+  }, [provider, token, pair]);
+
+  const analytics = useMemo(
+    () => (history ? computePoolAnalytics(history, ANALYTICS_RANGES[rangeKey]) : null),
+    [history, rangeKey]
+  );
+
+  if (!pool) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <Link to="/pool" className="inline-flex items-center gap-2 text-sm text-gray-400 hover:text-white mb-6">
+          <ArrowLeft className="w-4 h-4" /> Back to pools
+        </Link>
+        <div className="glass-card p-12 text-center">
+          <p className="text-white font-semibold mb-1">Unknown pool</p>
+          <p className="text-sm text-gray-500">"{slug}" is not a supported pair.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const pairFormat = (value) => `${formatCompactNumber(value)} ${pair.symbol}`;
+  const tokenFormat = (value) => `${formatCompactNumber(value)} ${token.symbol}`;
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 py-8 space-y-6">
+      <Link to="/pool" className="inline-flex items-center gap-2 text-sm text-gray-400 hover:text-white">
+        <ArrowLeft className="w-4 h-4" /> Back to pools
+      </Link>
+
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <div className="flex -space-x-3">
+            <img src={pair.icon} alt={pair.symbol} className="w-10 h-10 rounded-full border-2 border-[#1a1a1a] bg-[#111] p-1 z-10" />
+            <img src={token.icon} alt={token.symbol} className="w-10 h-10 rounded-full border-2 border-[#1a1a1a] bg-[#111] p-1" />
+          </div>
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-white flex items-center gap-2">
+              {pair.symbol}/{token.symbol}
+              <BarChart3 className="w-5 h-5 text-[#5cb849]" />
+            </h1>
+            <p className="text-xs text-gray-500">{POOL_FEE * 100}% fee · {history?.source === 'onchain' ? 'On-chain logs' : 'Subgraph'}</p>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          {Object.keys(ANALYTICS_RANGES).map((key) => (
+            <button
+              key={key}
+              onClick={() => setRangeKey(key)}
+              className={`px-3 py-1 rounded text-sm font-medium transition-colors ${rangeKey === key
+                ? 'bg-[#5a8a3a] text-white'
+                : 'bg-[#1a1a1a] text-gray-400 hover:text-white'
+                }`}
+            >
+              {key}
+            </button>
+          ))}
+          <button
+            onClick={loadHistory}
+            disabled={loading}
+            className="p-2 rounded bg-[#1a1a1a] text-gray-400 hover:text-white disabled:opacity-50"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {loading && !analytics ? (
+        <div className="glass-card flex items-center justify-center h-[300px]">
+          <Loader2 className="w-10 h-10 text-[#5a8a3a] animate-spin" />
+        </div>
+      ) : !analytics ? (
+        <div className="glass-card p-12 text-center">
+          <p className="text-white font-semibold mb-1">Pool history unavailable</p>
+          <p className="text-sm text-gray-500">Neither the subgraph nor the RPC returned data for this pool. Try again shortly.</p>
+        </div>
+      ) : (
+        <>
+          {analytics.partial && (
+            <div className="p-3 rounded-xl bg-orange-500/10 border border-orange-500/20 text-xs text-orange-300 flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              History only covers events since {new Date(history.coverageStart).toLocaleString()}; figures for {rangeKey} are partial.
+            </div>
+          )}
+
+          {/* Stats */}
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <StatCard label="TVL" value={formatCompactUSD(analytics.tvl)} sub={`${tokenFormat(history.tokenReserve)} · ${pairFormat(history.pairReserve)}`} />
+            <StatCard label={`Volume ${rangeKey}`} value={formatCompactUSD(analytics.volume)} sub={`${analytics.swapCount} swaps`} />
+            <StatCard label={`Fees ${rangeKey}`} value={formatCompactUSD(analytics.fees)} sub={`${analytics.liquidityEvents} liquidity changes`} />
+            <StatCard label="Est. APR" value={`${analytics.apr.toFixed(2)}%`} sub={`From ${rangeKey} fees`} />
+          </div>
+
+          {/* Charts */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <SeriesChart
+              title={`Price (${analytics.priceChange >= 0 ? '+' : ''}${analytics.priceChange.toFixed(2)}%)`}
+              points={analytics.points}
+              rangeKey={rangeKey}
+              series={[{ key: 'price', label: `${pair.symbol} per ${token.symbol}`, color: '#5cb849', format: (v) => v.toFixed(6) }]}
+            />
+            <SeriesChart
+              title="Reserves"
+              points={analytics.points}
+              rangeKey={rangeKey}
+              series={[
+                { key: 'pairReserve', label: pair.symbol, color: '#5cb849', format: pairFormat },
+                { key: 'tokenReserve', label: token.symbol, color: '#60a5fa', format: tokenFormat },
+              ]}
+            />
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Reserves are rebuilt from swap and liquidity events. Values are in {pair.symbol}; APR assumes the {rangeKey} fee rate continues and excludes impermanent loss.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PoolAnalytics;
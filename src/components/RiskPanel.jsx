@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ShieldAlert, Bell } from 'lucide-react';
+import HealthFactorPreview from './HealthFactorPreview';
+import { formatUSD, formatTokenAmount } from '../utils/formatters';
+import {
+  getRiskSnapshot,
+  stressAccountState,
+  getLiquidationPrice,
+  getRiskAlertSettings,
+  saveRiskAlertSettings,
+} from '../services/riskService';
+
+const STRESS_ALL = 'ALL';
+
+// Liquidation prices, alert thresholds and a "what if X drops N%" stress test.
+// refreshKey changes (e.g. account data after a transaction) re-read the positions.
+const RiskPanel = ({ provider, address, refreshKey }) => {
+  const [snapshot, setSnapshot] = useState(null);
+  const [settings, setSettings] = useState(() => getRiskAlertSettings(address));
+  const [stressToken, setStressToken] = useState(STRESS_ALL);
+  const [stressDrop, setStressDrop] = useState(30);
+
+  useEffect(() => {
+    setSettings(getRiskAlertSettings(address));
+  }, [address]);
+
+  useEffect(() => {
+    if (!provider || !address) {
+      setSnapshot(null);
+      return;
+    }
+    let cancelled = false;
+    getRiskSnapshot(provider, address)
+      .then((result) => { if (!cancelled) setSnapshot(result); })
+      .catch((error) => console.warn('[RPC] Risk snapshot failed:', error.code || error.message));
+    return () => { cancelled = true; };
+  }, [provider, address, refreshKey]);
+
+  const positions = snapshot?.positions.filter(p => p.collateral > 0n || p.debt > 0n) || [];
+  // USDC is pegged, so "all" shocks the volatile tokens only
+  const shockable = positions.filter(p => p.token.symbol !== 'USDC');
+
+  const stressed = useMemo(() => {
+    if (!snapshot) return null;
+    const targets = stressToken === STRESS_ALL ? shockable.map(p => p.token.symbol) : [stressToken];
+    return stressAccountState(snapshot, Object.fromEntries(targets.map(symbol => [symbol, -stressDrop])));
+  }, [snapshot, stressToken, stressDrop]);
+
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveRiskAlertSettings(address, next);
+  };
+
+  if (!snapshot || positions.length === 0) return null;
+
+  const stressLabel = stressToken === STRESS_ALL ? 'all volatile tokens' : stressToken;
+
+  return (
+    <div className="glass-card p-4 sm:p-6 space-y-5">
+      <div className="flex items-center gap-2">
+        <ShieldAlert className="w-5 h-5 text-[#5a8a3a]" />
+        <h2 className="text-base sm:text-lg font-semibold text-white">Liquidation Risk</h2>
+      </div>
+
+      {/* Per-token liquidation prices */}
+      <div className="space-y-2">
+        {positions.map(({ token, reserve, collateral, debt }) => {
+          const liquidation = getLiquidationPrice(snapshot, token.symbol);
+          return (
+            <div key={token.symbol} className="flex items-center justify-between p-3 rounded-xl bg-[#111111] border border-[#2a2a2a] text-sm">
+              <div className="flex items-center gap-2">
+                <img src={token.icon} alt={token.symbol} className="w-5 h-5 rounded-full" />
+                <div>
+                  <p className="text-white font-medium">{token.symbol}</p>
+                  <p className="text-xs text-gray-500">
+                    {collateral > 0n && `${formatTokenAmount(collateral, token.decimals)} supplied`}
+                    {collateral > 0n && debt > 0n && ' · '}
+                    {debt > 0n && `${formatTokenAmount(debt, token.decimals)} borrowed`}
+                  </p>
+                </div>
+              </div>
+              <div className="text-right">
+                <p className="text-xs text-gray-500">Now {formatUSD(Number(reserve.priceUSD) / 1e18)}</p>
+                {liquidation ? (
+                  <p className={`font-medium ${Math.abs(liquidation.change) < 20 ? 'text-red-400' : 'text-orange-400'}`}>
+                    Liquidated at {formatUSD(liquidation.price)} ({liquidation.change > 0 ? '+' : ''}{liquidation.change.toFixed(1)}%)
+                  </p>
+                ) : (
+                  <p className="text-[#5a8a3a] font-medium">No liquidation price</p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Stress test */}
+      {shockable.length > 0 && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-400">
+            <span>What if</span>
+            <select
+              value={stressToken}
+              onChange={(e) => setStressToken(e.target.value)}
+              className="bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg px-2 py-1 text-white"
+            >
+              <option value={STRESS_ALL}>all volatile tokens</option>
+              {shockable.map(({ token }) => (
+                <option key={token.symbol} value={token.symbol}>{token.symbol}</option>
+              ))}
+            </select>
+            <span>drop {stressDrop}%?</span>
+          </div>
+          <input
+            type="range"
+            min="5"
+            max="90"
+            step="5"
+            value={stressDrop}
+            onChange={(e) => setStressDrop(Number(e.target.value))}
+            className="w-full accent-[#5a8a3a]"
+          />
+          <HealthFactorPreview before={snapshot.state} after={stressed} title={`If ${stressLabel} drop ${stressDrop}%`} />
+        </div>
+      )}
+
+      {/* Alert thresholds */}
+      <div className="space-y-3 border-t border-[#2a2a2a] pt-4">
+        <label className="flex items-center justify-between text-sm text-gray-400">
+          <span className="flex items-center gap-2"><Bell className="w-4 h-4" /> Health factor alerts</span>
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => updateSettings({ enabled: e.target.checked })}
+            className="accent-[#5a8a3a]"
+          />
+        </label>
+        {settings.enabled && (
+          <div className="grid grid-cols-2 gap-3">
+            {[['warning', 'Warn below'], ['critical', 'Critical below']].map(([key, label]) => (
+              <label key={key} className="text-xs text-gray-500">
+                {label}
+                <input
+                  type="number"
+                  min="1"
+                  step="0.05"
+                  value={settings[key]}
+                  onChange={(e) => {
+                    const value = parseFloat(e.target.value);
+                    if (value >= 1) updateSettings({ [key]: value });
+                  }}
+                  className="mt-1 w-full bg-[#1a1a1a] border border-[#2a2a2a] rounded-xl px-3 py-2 text-white"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RiskPanel;
@@ -1,6 +1,6 @@
 import React from 'react';
 import { NavLink, useLocation } from 'react-router-dom';
-import { Gauge, Repeat, Landmark, Coins, ScrollText, Wallet, X, ChevronDown, Home, Waves } from 'lucide-react';
+import { Gauge, Repeat, Landmark, Coins, ScrollText, Wallet, X, ChevronDown, Home, Waves, BarChart3 } from 'lucide-react';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
 
 const Sidebar = ({ isMobileOpen, setIsMobileOpen, isCollapsed = false, onToggleCollapse, className = '' }) => {
@@ -12,6 +12,7 @@ const Sidebar = ({ isMobileOpen, setIsMobileOpen, isCollapsed = false, onToggleC
     { id: 'swap', label: 'Swap', icon: Repeat, path: '/swap' },
     { id: 'pool', label: 'Pool', icon: Waves, path: '/pool' },
     { id: 'lend-borrow', label: 'Lend/Borrow', icon: Landmark, path: '/lend-borrow' },
+    { id: 'markets', label: 'Markets', icon: BarChart3, path: '/markets' },
     { id: 'faucet', label: 'Faucet', icon: Coins, path: '/faucet' },
     { id: 'activity', label: 'Activity', icon: ScrollText, path: '/activity' },
   ];
@@ -64,7 +65,7 @@ const Sidebar = ({ isMobileOpen, setIsMobileOpen, isCollapsed = false, onToggleC
         <nav className="flex-1 p-4 space-y-2">
           {menuItems.map((item) => {
             const Icon = item.icon;
-            const isActive = location.pathname === item.path;
+            const isActive = location.pathname === item.path || location.pathname.startsWith(`${item.path}/`);
 
             return (
               <NavLink
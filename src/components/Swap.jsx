@@ -1,17 +1,49 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useAccount } from 'wagmi';
+import { useSearchParams } from 'react-router-dom';
+import { formatUnits } from 'ethers';
 import { useEthersProvider, useEthersSigner } from '../hooks/useEthers';
 import { useBalances } from '../hooks/useBalances';
 import { useTokenPrices } from '../hooks/useTokenPrices';
+import { useSwapSettings, HIGH_SLIPPAGE } from '../hooks/useSwapSettings';
+import { useBlockNumber } from '../hooks/useBlockNumber';
+import { useDeepLink } from '../hooks/useDeepLink';
+import { usePools } from '../hooks/usePools';
 import { useNotifications } from './NotificationProvider';
-import { SWAPPABLE_TOKENS } from '../constants/tokens';
-import { getSwapAmountsOut, swapTokens, checkSwapAllowance, approveSwapToken, executeSwap, calculatePriceImpact, getSpotExchangeRate } from '../services/swapService';
-import { formatTokenAmount, formatUSD } from '../utils/formatters';
-import { ArrowDownUp, AlertTriangle, TrendingUp } from 'lucide-react';
+import { getAdverseQuoteMove, simulateSwap, swapTokens, checkSwapAllowance, approveSwapToken, executeSwap, executeExactOutputSwap, executeSwapChunk, simulateSplitSwap, decodeSwapReceipt, getSpotExchangeRate } from '../services/swapService';
+import { quoteTrade, requoteTrade, flipTrade, QUOTE_DRIVER } from '../services/quoteService';
+import { findBestRoute } from '../services/routeService';
+import { getRegisteredTokens } from '../services/poolRegistryService';
+import { buildSwapExecution, recordSwapExecution } from '../services/swapHistoryService';
+import { formatTokenAmount, formatInputAmount, formatUSD } from '../utils/formatters';
+import { parseTokenParam, parseAmountParam, buildShareLink } from '../utils/deepLinks';
+import { ArrowDownUp, AlertTriangle, TrendingUp, Layers, Settings, RefreshCw, Link2, Check } from 'lucide-react';
 import TokenSelector from './TokenSelector';
 import PriceChart from './PriceChart';
 import TransactionModal from './TransactionModal';
 import ProtocolStats from './ProtocolStats';
+import LimitOrders from './LimitOrders';
+import SwapHistory from './SwapHistory';
+import SwapSettings from './SwapSettings';
+
+const REQUOTE_MIN_INTERVAL = 4000; // ms - fast chains produce blocks quicker than we need to re-quote
+const STALE_QUOTE_AGE = 30; // seconds
+
+const formatQuoteRate = (quote) => {
+  const amountIn = parseFloat(formatUnits(quote.amountIn, quote.tokenIn.decimals));
+  const amountOut = parseFloat(formatUnits(quote.amountOut, quote.tokenOut.decimals));
+  return `1 ${quote.tokenIn.symbol} = ${(amountIn > 0 ? amountOut / amountIn : 0).toFixed(6)} ${quote.tokenOut.symbol}`;
+};
+
+// Form state from /swap?from=USDC&to=CAT&amount=500; unknown or duplicate tokens fall back to defaults.
+// Links resolve against every registered token, the same list the selectors offer.
+const parseSwapParams = (params) => {
+  const tokens = getRegisteredTokens();
+  const from = parseTokenParam(params.get('from'), tokens) || tokens[0];
+  let to = parseTokenParam(params.get('to'), tokens);
+  if (!to || to === from) to = from === tokens[1] ? tokens[0] : tokens[1];
+  return { from, to, amount: parseAmountParam(params.get('amount')) };
+};
 
 const Swap = () => {
   const { address, isConnected } = useAccount();
@@ -19,11 +51,18 @@ const Swap = () => {
   const signer = useEthersSigner();
   const { balances, fetchBalances } = useBalances(provider, address);
   const { prices: tokenPrices } = useTokenPrices(provider);
+  // Built-in tokens plus any a created or discovered pool made routable
+  const pools = usePools(provider);
+  const swappableTokens = useMemo(() => getRegisteredTokens(), [pools]);
   const { showTransaction, setIsBlurActive } = useNotifications();
-
-  const [fromToken, setFromToken] = useState(SWAPPABLE_TOKENS[0]);
-  const [toToken, setToToken] = useState(SWAPPABLE_TOKENS[1]);
-  const [fromAmount, setFromAmount] = useState('');
+  const { settings: swapSettings } = useSwapSettings();
+  const blockNumber = useBlockNumber(provider);
+
+  const [searchParams] = useSearchParams();
+  const [initialParams] = useState(() => parseSwapParams(searchParams));
+  const [fromToken, setFromToken] = useState(initialParams.from);
+  const [toToken, setToToken] = useState(initialParams.to);
+  const [fromAmount, setFromAmount] = useState(initialParams.amount);
   const [toAmount, setToAmount] = useState('');
   const [loading, setLoading] = useState(false);
   const [swapping, setSwapping] = useState(false);
@@ -32,7 +71,72 @@ const Swap = () => {
   const [priceImpact, setPriceImpact] = useState(null);
   const [loadingPriceImpact, setLoadingPriceImpact] = useState(false);
   const [spotExchangeRate, setSpotExchangeRate] = useState(null);
-  const [slippageTolerance, setSlippageTolerance] = useState(1); // Default 1% slippage
+  const [showSettings, setShowSettings] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const slippageTolerance = swapSettings.slippage;
+  const txOptions = { deadlineMinutes: swapSettings.deadlineMinutes };
+  const [quoteDriver, setQuoteDriver] = useState(QUOTE_DRIVER.INPUT); // Field the user last typed in
+  const isExactOutput = quoteDriver === QUOTE_DRIVER.OUTPUT;
+  const [requiredAmountIn, setRequiredAmountIn] = useState(0n); // Back-solved input (wei) in exact-output mode
+  const [splitChunks, setSplitChunks] = useState(1); // 1 = single swap
+  const [splitSimulation, setSplitSimulation] = useState(null);
+  const [loadingSplit, setLoadingSplit] = useState(false);
+  const [activeSplit, setActiveSplit] = useState(null); // Chunk plan frozen when the modal opens
+  const activeSplitRef = useRef(null);
+  const [quote, setQuote] = useState(null); // Latest quote, stamped with block number and time
+  const [acceptedQuote, setAcceptedQuote] = useState(null); // Quote the user confirmed in the modal
+  const [requoting, setRequoting] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const quoteRef = useRef(null);
+  quoteRef.current = quote;
+  // A failed or routeless quote leaves '0.00' in the output field, so check the quote itself
+  const hasQuote = !!quote && quote.amountIn > 0n && quote.amountOut > 0n;
+  const [lastExecution, setLastExecution] = useState(null); // Decoded fill of the last swap, for the modal
+  const splitFillsRef = useRef(null); // Running quoted/actual totals across split chunks
+
+  // Shareable link state: keep the URL in step with the form, and load links opened in place
+  const linkValues = { from: fromToken.symbol, to: toToken.symbol, amount: parseAmountParam(fromAmount.replace(/,/g, '')) };
+  useDeepLink(linkValues, (params) => {
+    const { from, to, amount } = parseSwapParams(params);
+    setQuoteDriver(QUOTE_DRIVER.INPUT);
+    setFromToken(from);
+    setToToken(to);
+    setFromAmount(amount);
+  });
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(buildShareLink('/swap', linkValues));
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.warn('Failed to copy link:', error.message);
+    }
+  };
+
+  const SPLIT_OPTIONS = [1, 2, 3, 4, 5];
+  const isSplitOrder = !isExactOutput && splitChunks > 1 && !!splitSimulation;
+
+  // Upper bound on the input spent in exact-output mode (quoted input + slippage)
+  const maxAmountInWei = isExactOutput && requiredAmountIn > 0n
+    ? (requiredAmountIn * BigInt(10000 + Math.round(slippageTolerance * 100))) / 10000n
+    : 0n;
+  const maxAmountIn = maxAmountInWei > 0n ? formatUnits(maxAmountInWei, fromToken.decimals) : '';
+  // Exact-output swaps sell the full maximum; this is what it buys at current reserves (wei)
+  const [maxAmountInOut, setMaxAmountInOut] = useState(null);
+  const targetOutWei = isExactOutput && quote ? quote.amountOut : 0n;
+  const expectedSurplus = maxAmountInOut !== null && maxAmountInOut > targetOutWei && targetOutWei > 0n
+    ? maxAmountInOut - targetOutWei
+    : null;
+
+  // Minimum received for an exact-input amount (wei) at the current slippage tolerance
+  const applySlippage = (amountWei) => (amountWei * BigInt(10000 - Math.round(slippageTolerance * 100))) / 10000n;
+
+  // Tick once a second so the quote age stays current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
 
   // Calculate spot exchange rate when tokens change (not when amount changes)
   useEffect(() => {
@@ -53,81 +157,297 @@ const Swap = () => {
   }, [fromToken, toToken, provider]); // Only recalculate when tokens change
 
   useEffect(() => {
-    if (fromAmount && fromToken && toToken && provider) {
-      const updateAmounts = async () => {
-        try {
-          setLoadingPriceImpact(true);
-
-          // Calculate output amount
-          const amountOut = await getSwapAmountsOut(
-            provider,
-            fromAmount,
-            fromToken,
-            toToken
-          );
-          setToAmount(formatTokenAmount(amountOut, toToken.decimals));
-
-          // Calculate price impact based on pool reserves
-          const impact = await calculatePriceImpact(
-            provider,
-            fromAmount,
-            fromToken,
-            toToken
-          );
-          setPriceImpact(impact);
-        } catch (error) {
-          console.error('Error calculating swap:', error);
-          setToAmount('0.00');
-          setPriceImpact(null);
-        } finally {
-          setLoadingPriceImpact(false);
+    if (maxAmountInWei === 0n || !provider) {
+      setMaxAmountInOut(null);
+      return;
+    }
+
+    let cancelled = false;
+    findBestRoute(provider, maxAmountInWei, fromToken, toToken)
+      .then((route) => {
+        if (!cancelled) setMaxAmountInOut(route ? route.amountOut : null);
+      })
+      .catch((error) => {
+        console.warn('[RPC] Exact-output surplus quote failed:', error.code || error.message);
+        if (!cancelled) setMaxAmountInOut(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [maxAmountInWei, fromToken, toToken, provider]);
+
+  // Quote from whichever field drives the trade; the other field is derived
+  const drivingAmount = isExactOutput ? toAmount : fromAmount;
+  useEffect(() => {
+    const clearDerived = (fallback) => {
+      setQuote(null);
+      setPriceImpact(null);
+      if (isExactOutput) {
+        setRequiredAmountIn(0n);
+        setFromAmount('');
+      } else {
+        setToAmount(fallback);
+      }
+    };
+
+    if (!drivingAmount || !fromToken || !toToken || !provider) {
+      clearDerived('');
+      return;
+    }
+
+    let cancelled = false;
+    const updateAmounts = async () => {
+      try {
+        setLoadingPriceImpact(true);
+        const { quote: nextQuote, priceImpact: impact } = await quoteTrade(provider, {
+          tokenIn: fromToken,
+          tokenOut: toToken,
+          amount: drivingAmount,
+          driver: quoteDriver,
+        });
+        if (cancelled) return;
+
+        setQuote(nextQuote);
+        setPriceImpact(impact);
+        if (isExactOutput) {
+          const amountInWei = nextQuote?.amountIn ?? 0n;
+          setRequiredAmountIn(amountInWei);
+          setFromAmount(amountInWei > 0n ? formatInputAmount(amountInWei, fromToken.decimals) : '');
+        } else {
+          setToAmount(formatTokenAmount(nextQuote?.amountOut ?? 0n, toToken.decimals));
         }
-      };
-      updateAmounts();
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Error calculating swap:', error);
+        clearDerived('0.00');
+      } finally {
+        if (!cancelled) setLoadingPriceImpact(false);
+      }
+    };
+    updateAmounts();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [drivingAmount, fromToken, toToken, provider, quoteDriver]);
+
+  // Re-quote the same trade whenever a new block arrives
+  useEffect(() => {
+    const current = quoteRef.current;
+    if (!current || !provider || blockNumber === null || loadingPriceImpact) return;
+    if (current.blockNumber !== null && blockNumber <= current.blockNumber) return;
+    if (Date.now() - current.timestamp < REQUOTE_MIN_INTERVAL) return;
+
+    let cancelled = false;
+    const requote = async () => {
+      setRequoting(true);
+      try {
+        const fresh = await requoteTrade(provider, current);
+
+        // Drop the result if the user changed the trade meanwhile
+        if (cancelled || !fresh || quoteRef.current !== current) return;
+
+        setQuote(fresh);
+        if (fresh.isExactOutput) {
+          setRequiredAmountIn(fresh.amountIn);
+          setFromAmount(formatInputAmount(fresh.amountIn, fresh.tokenIn.decimals));
+        } else {
+          setToAmount(formatTokenAmount(fresh.amountOut, fresh.tokenOut.decimals));
+        }
+      } finally {
+        if (!cancelled) setRequoting(false);
+      }
+    };
+    requote();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [blockNumber, provider, loadingPriceImpact]);
+
+  // Price moved against the rate the user confirmed by more than their slippage
+  const adverseMove = getAdverseQuoteMove(acceptedQuote, quote);
+  const priceUpdate = showModal && acceptedQuote && quote && adverseMove > slippageTolerance
+    ? {
+      previousRate: formatQuoteRate(acceptedQuote),
+      newRate: formatQuoteRate(quote),
+      change: adverseMove,
+    }
+    : null;
+
+  // Dry-run the exact params the first swap transaction will use
+  const handleSimulateSwap = async () => {
+    const plan = activeSplitRef.current;
+    const current = quoteRef.current;
+    let params;
+
+    if (plan) {
+      const chunk = plan.chunks[0];
+      params = { amountIn: chunk.amountIn, amountOutMin: applySlippage(chunk.amountOut), path: chunk.path };
+    } else if (current?.isExactOutput) {
+      params = { amountIn: maxAmountInWei, amountOutMin: current.amountOut, path: current.path };
+    } else if (current) {
+      params = { amountIn: current.amountIn, amountOutMin: applySlippage(current.amountOut), path: current.path };
     } else {
-      setToAmount('');
-      setPriceImpact(null);
+      return null;
     }
-  }, [fromAmount, fromToken, toToken, provider]);
+
+    return simulateSwap(provider, address, params, txOptions);
+  };
+
+  const handleAcceptPriceUpdate = async () => {
+    setAcceptedQuote(quote);
+    // Split plans were simulated against the old reserves - rebuild them
+    if (activeSplitRef.current) {
+      const simulation = await simulateSplitSwap(provider, fromAmount, fromToken, toToken, activeSplitRef.current.chunks.length);
+      if (simulation) {
+        activeSplitRef.current = simulation;
+        setActiveSplit(simulation);
+      }
+    }
+  };
+
+  // Split orders: simulate the chunked fill against the single-swap quote
+  useEffect(() => {
+    if (isExactOutput || splitChunks < 2 || !fromAmount || parseFloat(fromAmount) <= 0 || !provider) {
+      setSplitSimulation(null);
+      return;
+    }
+
+    let cancelled = false;
+    const simulate = async () => {
+      setLoadingSplit(true);
+      try {
+        const simulation = await simulateSplitSwap(provider, fromAmount, fromToken, toToken, splitChunks);
+        if (!cancelled) setSplitSimulation(simulation);
+      } catch (error) {
+        console.error('Error simulating split swap:', error);
+        if (!cancelled) setSplitSimulation(null);
+      } finally {
+        if (!cancelled) setLoadingSplit(false);
+      }
+    };
+    simulate();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fromAmount, fromToken, toToken, provider, splitChunks, isExactOutput]);
 
   useEffect(() => {
     const checkApproval = async () => {
-      if (provider && address && fromAmount && fromToken) {
-        const hasAllowance = await checkSwapAllowance(provider, address, fromToken, fromAmount);
+      // Exact-output swaps may spend up to the slippage-bounded maximum
+      const spendAmount = isExactOutput ? maxAmountIn : fromAmount;
+      if (provider && address && spendAmount && fromToken) {
+        const hasAllowance = await checkSwapAllowance(provider, address, fromToken, spendAmount);
         setRequiresApproval(!hasAllowance);
       }
     };
     checkApproval();
-  }, [provider, address, fromAmount, fromToken]);
+  }, [provider, address, fromAmount, fromToken, isExactOutput, maxAmountIn]);
 
   const handleSwap = async () => {
-    if (!isConnected || !signer || !fromAmount || !toAmount) return;
+    if (!isConnected || !signer || !fromAmount || !toAmount || !hasQuote) return;
+    const plan = isSplitOrder ? splitSimulation : null;
+
+    if (swapSettings.expertMode) {
+      await handleExpertSwap(plan);
+      return;
+    }
+
+    activeSplitRef.current = plan;
+    setActiveSplit(plan);
+    setAcceptedQuote(quote);
+    setLastExecution(null);
     setShowModal(true);
     setIsBlurActive(true);
   };
 
+  // Expert mode: send approval and swap(s) straight to the wallet, no modal
+  const handleExpertSwap = async (plan) => {
+    setSwapping(true);
+    try {
+      if (requiresApproval) {
+        await showTransaction('approve', handleApprove(), {
+          pendingMessage: `Approving ${fromToken.symbol}...`,
+          successMessage: `${fromToken.symbol} approved`,
+        });
+      }
+
+      if (plan) {
+        for (let i = 0; i < plan.chunks.length; i++) {
+          await handleExecuteChunk(i, plan);
+        }
+      } else {
+        await handleExecuteSwap();
+      }
+    } catch (error) {
+      // showTransaction already surfaced the failure
+      console.error('Expert mode swap failed:', error);
+    } finally {
+      setSwapping(false);
+    }
+  };
+
   const handleApprove = async () => {
     if (!signer || !fromAmount || !fromToken) return;
-    return await approveSwapToken(signer, fromToken, fromAmount);
+    return await approveSwapToken(signer, fromToken, isExactOutput ? maxAmountIn : fromAmount, {
+      infiniteApproval: swapSettings.infiniteApproval,
+    });
+  };
+
+  // Actual amounts (wei) from the Swap event(s) of a confirmed tx
+  const decodeFill = async (tx) => {
+    try {
+      const receipt = await tx.wait();
+      return decodeSwapReceipt(receipt, fromToken, toToken);
+    } catch (error) {
+      console.warn('[RPC] Swap receipt decode failed:', error.code || error.message);
+      return null;
+    }
+  };
+
+  // Store the fill next to its quote in the local swap history
+  const saveExecution = (hash, quoted, actual, chunks = 1) => {
+    const execution = buildSwapExecution({ hash, tokenIn: fromToken, tokenOut: toToken, quoted, actual, chunks });
+    recordSwapExecution(address, execution);
+    setLastExecution(execution);
   };
 
   const handleExecuteSwap = async () => {
     if (!signer || !fromAmount || !toAmount || !fromToken || !toToken) return;
-    // Calculate minimum output amount based on slippage tolerance
-    const slippageMultiplier = 1 - (slippageTolerance / 100);
-    const amountOutMin = (parseFloat(toAmount) * slippageMultiplier).toString();
-    const tx = await executeSwap(signer, fromAmount, fromToken, toToken, amountOutMin);
-
-    // Show notification
-    await showTransaction('swap', Promise.resolve(tx), {
-      pendingMessage: `Swapping ${fromAmount} ${fromToken.symbol} for ${toToken.symbol}...`,
-      successMessage: `Successfully swapped ${fromAmount} ${fromToken.symbol} for ${toAmount} ${toToken.symbol}`,
+    const executedQuote = quoteRef.current;
+    if (!executedQuote || executedQuote.amountOut === 0n) throw new Error('No route for this trade. Re-enter the amount to get a fresh quote.');
+    const soldAmount = isExactOutput ? formatInputAmount(maxAmountInWei, fromToken.decimals) : fromAmount;
+
+    let txPromise;
+    if (isExactOutput) {
+      // Sell the slippage-bounded input for at least toAmount; any surplus is extra output
+      txPromise = executeExactOutputSwap(signer, toAmount, fromToken, toToken, maxAmountIn, txOptions);
+    } else {
+      // Minimum output from the live quote less slippage tolerance
+      const amountOutMin = formatUnits(applySlippage(executedQuote.amountOut), toToken.decimals);
+      txPromise = executeSwap(signer, fromAmount, fromToken, toToken, amountOutMin, txOptions);
+    }
+
+    // Show notification - simulation failures surface here before the wallet opens
+    const tx = await showTransaction('swap', txPromise, {
+      pendingMessage: `Swapping ${soldAmount} ${fromToken.symbol} for ${toToken.symbol}...`,
+      successMessage: `Successfully swapped ${soldAmount} ${fromToken.symbol} for ${isExactOutput ? 'at least ' : ''}${toAmount} ${toToken.symbol}`,
       transactionData: {
         token: `${fromToken.symbol} → ${toToken.symbol}`,
-        amount: `${fromAmount} → ${toAmount}`,
+        amount: `${soldAmount} → ${toAmount}`,
       },
     });
 
+    const actual = await decodeFill(tx);
+    if (actual) {
+      saveExecution(tx.hash, { amountIn: executedQuote.amountIn, amountOut: executedQuote.amountOut }, actual);
+    }
+
+    setQuoteDriver(QUOTE_DRIVER.INPUT);
+    setRequiredAmountIn(0n);
     setFromAmount('');
     setToAmount('');
     fetchBalances();
@@ -141,14 +461,72 @@ const Swap = () => {
     return tx;
   };
 
+  // Split orders: one modal step per chunk, each with its own amountOutMin
+  const handleExecuteChunk = async (index, plan = activeSplitRef.current) => {
+    if (!signer || !plan) return;
+
+    const chunk = plan.chunks[index];
+    const chunkIn = formatInputAmount(chunk.amountIn, fromToken.decimals);
+    const chunkOut = formatTokenAmount(chunk.amountOut, toToken.decimals);
+    const tx = await showTransaction('swap', executeSwapChunk(signer, chunk, slippageTolerance, txOptions), {
+      pendingMessage: `Swapping chunk ${index + 1}/${plan.chunks.length}: ${chunkIn} ${fromToken.symbol} for ${toToken.symbol}...`,
+      successMessage: `Chunk ${index + 1}/${plan.chunks.length} swapped ${chunkIn} ${fromToken.symbol} for ${chunkOut} ${toToken.symbol}`,
+      transactionData: {
+        token: `${fromToken.symbol} → ${toToken.symbol}`,
+        amount: `${chunkIn} → ${chunkOut}`,
+      },
+    });
+
+    fetchBalances();
+
+    // Aggregate chunk fills and record them as one swap once the last chunk lands
+    if (index === 0) splitFillsRef.current = { hashes: [], quoted: { amountIn: 0n, amountOut: 0n }, actual: { amountIn: 0n, amountOut: 0n } };
+    const fills = splitFillsRef.current;
+    const actual = await decodeFill(tx);
+    if (fills && actual) {
+      fills.hashes.push(tx.hash);
+      fills.quoted.amountIn += chunk.amountIn;
+      fills.quoted.amountOut += chunk.amountOut;
+      fills.actual.amountIn += actual.amountIn;
+      fills.actual.amountOut += actual.amountOut;
+    }
+
+    if (index === plan.chunks.length - 1) {
+      if (fills?.hashes.length > 0) {
+        saveExecution(fills.hashes[fills.hashes.length - 1], fills.quoted, fills.actual, fills.hashes.length);
+      }
+      splitFillsRef.current = null;
+      setFromAmount('');
+      setToAmount('');
+      setSplitChunks(1);
+      setTimeout(() => {
+        fetchBalances();
+      }, 2000);
+    }
+
+    return tx;
+  };
+
+  const getTokenSymbol = (tokenAddress) =>
+    swappableTokens.find(t => t.address.toLowerCase() === tokenAddress.toLowerCase())?.symbol || `${tokenAddress.slice(0, 6)}...`;
+
+  // Flip keeps the typed amount exact, so the driver moves with its token
   const switchTokens = () => {
-    setFromToken(toToken);
-    setToToken(fromToken);
-    setFromAmount(toAmount);
-    setToAmount(fromAmount);
+    const flipped = flipTrade({ tokenIn: fromToken, tokenOut: toToken, amount: drivingAmount, driver: quoteDriver });
+    setFromToken(flipped.tokenIn);
+    setToToken(flipped.tokenOut);
+    setQuoteDriver(flipped.driver);
+    if (flipped.driver === QUOTE_DRIVER.OUTPUT) {
+      setToAmount(flipped.amount);
+      setFromAmount('');
+    } else {
+      setFromAmount(flipped.amount);
+      setToAmount('');
+    }
   };
 
   const setMaxAmount = () => {
+    setQuoteDriver(QUOTE_DRIVER.INPUT);
     setFromAmount((balances[fromToken.symbol] || '0').replace(/,/g, ''));
   };
 
@@ -168,12 +546,15 @@ const Swap = () => {
     const decimals = fromToken.decimals;
     const formattedAmount = percentageAmount.toFixed(decimals === 6 ? 2 : 6).replace(/\.?0+$/, '');
 
+    setQuoteDriver(QUOTE_DRIVER.INPUT);
     setFromAmount(formattedAmount);
   };
 
   const MINIMUM_SWAP_USD = 5;
 
-  const isInsufficientBalance = isConnected && fromAmount && fromToken && parseFloat(fromAmount) > parseFloat((balances[fromToken.symbol] || '0').replace(/,/g, ''));
+  // Exact-output swaps sell the full maximum, so that is what the wallet must hold
+  const requiredBalance = isExactOutput && maxAmountIn ? maxAmountIn : fromAmount;
+  const isInsufficientBalance = isConnected && fromAmount && fromToken && parseFloat(requiredBalance) > parseFloat((balances[fromToken.symbol] || '0').replace(/,/g, ''));
 
   const isBelowMinimum = () => {
     if (!isConnected || !fromAmount || !fromToken || !tokenPrices[fromToken.symbol]) return false;
@@ -187,7 +568,9 @@ const Swap = () => {
     if (!fromAmount || !toAmount) return 'Enter Amount';
     if (isInsufficientBalance) return 'Insufficient Balance';
     if (isBelowMinimum()) return `Minimum $${MINIMUM_SWAP_USD}`;
-    if (loadingPriceImpact) return 'Calculating...';
+    if (loadingPriceImpact || loadingSplit) return 'Calculating...';
+    if (!hasQuote) return 'No Route Found';
+    if (isSplitOrder) return `Swap in ${splitChunks} chunks`;
     return 'Swap';
   };
 
@@ -213,6 +596,7 @@ const Swap = () => {
   };
 
   const priceImpactDisplay = getPriceImpactDisplay();
+  const quoteAge = quote ? Math.max(0, Math.floor((now - quote.timestamp) / 1000)) : 0;
 
   return (
     <div className="max-w-7xl mx-auto">
@@ -221,12 +605,37 @@ const Swap = () => {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
         {/* Swap Form */}
         <div className="glass-card p-4 sm:p-6 space-y-4">
+          {/* Settings */}
+          <div className="flex items-center justify-end gap-2">
+            {swapSettings.expertMode && (
+              <span className="text-[10px] font-bold uppercase tracking-wider text-orange-400 bg-orange-500/10 px-2 py-0.5 rounded-md">Expert</span>
+            )}
+            <span className="text-xs text-gray-500">{slippageTolerance}% · {swapSettings.deadlineMinutes}m</span>
+            <button
+              onClick={handleCopyLink}
+              className="p-1.5 rounded-lg text-gray-400 hover:text-white hover:bg-white/5 transition-colors"
+              title={linkCopied ? 'Link copied' : 'Copy link to this swap'}
+            >
+              {linkCopied ? <Check className="w-4 h-4 text-[#5cb849]" /> : <Link2 className="w-4 h-4" />}
+            </button>
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              className={`p-1.5 rounded-lg transition-colors ${showSettings ? 'bg-[#5a8a3a]/20 text-[#5cb849]' : 'text-gray-400 hover:text-white hover:bg-white/5'}`}
+              title="Swap settings"
+            >
+              <Settings className="w-4 h-4" />
+            </button>
+          </div>
+          {showSettings && <SwapSettings onClose={() => setShowSettings(false)} />}
+
           {/* From Token */}
           <div>
-            <label className="text-sm text-gray-400 mb-2 block">From</label>
+            <label className="text-sm text-gray-400 mb-2 block">
+              From {isExactOutput && <span className="text-xs text-gray-500">(estimated)</span>}
+            </label>
             <div className="flex gap-2">
               <TokenSelector
-                tokens={SWAPPABLE_TOKENS.filter(t => t.symbol !== toToken.symbol)}
+                tokens={swappableTokens.filter(t => t.address.toLowerCase() !== toToken.address.toLowerCase())}
                 selectedToken={fromToken}
                 onSelect={(token) => setFromToken(token)}
                 className="w-40"
@@ -239,6 +648,7 @@ const Swap = () => {
                   onChange={(e) => {
                     // Remove any commas and ensure only numbers and decimal point
                     const cleaned = e.target.value.replace(/,/g, '').replace(/[^0-9.]/g, '');
+                    setQuoteDriver(QUOTE_DRIVER.INPUT);
                     setFromAmount(cleaned);
                   }}
                   placeholder="0.00"
@@ -287,10 +697,12 @@ const Swap = () => {
 
           {/* To Token */}
           <div>
-            <label className="text-sm text-gray-400 mb-2 block">To</label>
+            <label className="text-sm text-gray-400 mb-2 block">
+              To {!isExactOutput && toAmount && <span className="text-xs text-gray-500">(estimated)</span>}
+            </label>
             <div className="flex gap-2">
               <TokenSelector
-                tokens={SWAPPABLE_TOKENS.filter(t => t.symbol !== fromToken.symbol)}
+                tokens={swappableTokens.filter(t => t.address.toLowerCase() !== fromToken.address.toLowerCase())}
                 selectedToken={toToken}
                 onSelect={(token) => setToToken(token)}
                 className="w-40"
@@ -298,15 +710,29 @@ const Swap = () => {
               />
               <input
                 type="text"
+                inputMode="decimal"
                 value={toAmount}
-                readOnly
+                onChange={(e) => {
+                  // Typing here makes the output the driver (exact-output mode)
+                  const cleaned = e.target.value.replace(/,/g, '').replace(/[^0-9.]/g, '');
+                  setQuoteDriver(QUOTE_DRIVER.OUTPUT);
+                  setToAmount(cleaned);
+                }}
                 placeholder="0.00"
                 className="flex-1 bg-[#1a1a1a] border border-[#2a2a2a] rounded-xl px-4 py-3 text-white"
               />
             </div>
-            <p className="text-xs text-gray-500 mt-1">
-              Balance: {balances[toToken.symbol] || '0.00'}
-            </p>
+            <div className="flex items-center justify-between mt-1">
+              <p className="text-xs text-gray-500">
+                Balance: {balances[toToken.symbol] || '0.00'}
+              </p>
+              {quote && (
+                <p className={`text-xs flex items-center gap-1 ${quoteAge > STALE_QUOTE_AGE ? 'text-orange-400' : 'text-gray-500'}`}>
+                  <RefreshCw className={`w-3 h-3 ${requoting ? 'animate-spin' : ''}`} />
+                  {quote.blockNumber !== null ? `Block #${quote.blockNumber} · ` : ''}{quoteAge}s ago
+                </p>
+              )}
+            </div>
           </div>
 
           {/* Price Impact & Liquidity Info */}
@@ -356,6 +782,89 @@ const Swap = () => {
 
 
 
+              {/* Exact-output swaps sell the slippage-bounded input; the surplus is extra output */}
+              {isExactOutput && maxAmountIn && (
+                <div className="p-3 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] space-y-1">
+                  <div className="flex items-center justify-between text-xs">
+                    <span className="text-gray-400">Sold (incl. {slippageTolerance}% slippage)</span>
+                    <span className="text-white font-medium">
+                      {formatInputAmount(maxAmountInWei, fromToken.decimals)} {fromToken.symbol}
+                    </span>
+                  </div>
+                  {expectedSurplus !== null && (
+                    <div className="flex items-center justify-between text-xs">
+                      <span className="text-gray-400">Expected received</span>
+                      <span className="text-white font-medium">
+                        {formatTokenAmount(maxAmountInOut, toToken.decimals)} {toToken.symbol}
+                        <span className="text-[#5cb849]"> (+{formatTokenAmount(expectedSurplus, toToken.decimals)} surplus)</span>
+                      </span>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Split order - exact-input only */}
+              {!isExactOutput && (
+                <div className="p-3 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a] space-y-2">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2">
+                      <Layers className="w-4 h-4 text-gray-400" />
+                      <span className="text-xs text-gray-400">Split into chunks</span>
+                    </div>
+                    <div className="flex gap-1">
+                      {SPLIT_OPTIONS.map((count) => (
+                        <button
+                          key={count}
+                          onClick={() => setSplitChunks(count)}
+                          className={`px-2 py-0.5 text-xs font-medium rounded-lg transition-colors ${splitChunks === count
+                            ? 'bg-[#5a8a3a] text-white'
+                            : 'bg-[#111111] text-gray-400 hover:text-white'
+                            }`}
+                        >
+                          {count === 1 ? 'Off' : count}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {splitChunks > 1 && (loadingSplit ? (
+                    <p className="text-xs text-gray-500">Simulating split order...</p>
+                  ) : splitSimulation ? (
+                    <div className="space-y-1 text-xs">
+                      <div className="flex items-center justify-between">
+                        <span className="text-gray-500">Single swap rate</span>
+                        <span className="text-white">1 {fromToken.symbol} = {splitSimulation.singleRate.toFixed(6)} {toToken.symbol}</span>
+                      </div>
+                      <div className="flex items-center justify-between">
+                        <span className="text-gray-500">Blended rate ({splitChunks} chunks)</span>
+                        <span className="text-white">1 {fromToken.symbol} = {splitSimulation.blendedRate.toFixed(6)} {toToken.symbol}</span>
+                      </div>
+                      <div className="flex items-center justify-between">
+                        <span className="text-gray-500">Expected total</span>
+                        <span className={splitSimulation.improvement >= 0 ? 'text-green-400' : 'text-orange-400'}>
+                          {formatTokenAmount(splitSimulation.totalOut, toToken.decimals)} {toToken.symbol} ({splitSimulation.improvement >= 0 ? '+' : ''}{splitSimulation.improvement.toFixed(2)}%)
+                        </span>
+                      </div>
+                      <div className="pt-1 space-y-0.5">
+                        {splitSimulation.chunks.map((chunk, index) => (
+                          <div key={index} className="flex items-center justify-between text-gray-500">
+                            <span>#{index + 1} {chunk.path.map(getTokenSymbol).join(' → ')}</span>
+                            <span>{formatInputAmount(chunk.amountIn, fromToken.decimals)} → {formatTokenAmount(chunk.amountOut, toToken.decimals)}</span>
+                          </div>
+                        ))}
+                      </div>
+                      {splitSimulation.improvement <= 0 && (
+                        <p className="text-gray-500 pt-1">
+                          Splitting does not beat a single swap here; each chunk also pays its own gas.
+                        </p>
+                      )}
+                    </div>
+                  ) : (
+                    <p className="text-xs text-gray-500">Split simulation unavailable for this pair.</p>
+                  ))}
+                </div>
+              )}
+
               {/* Exchange Rate - Show stable spot rate */}
               {spotExchangeRate !== null && spotExchangeRate !== undefined ? (
                 <div className="p-3 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a]">
@@ -377,10 +886,17 @@ const Swap = () => {
             </div>
           )}
 
+          {slippageTolerance > HIGH_SLIPPAGE && (
+            <p className="text-xs text-orange-400 flex items-start gap-1">
+              <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+              <span>Slippage is set to {slippageTolerance}%. Your swap may be frontrun and fill at a much worse rate.</span>
+            </p>
+          )}
+
           {/* Swap Button */}
           <button
             onClick={handleSwap}
-            disabled={!isConnected || !fromAmount || !toAmount || swapping || isInsufficientBalance || isBelowMinimum() || loadingPriceImpact}
+            disabled={!isConnected || !fromAmount || !toAmount || !hasQuote || swapping || isInsufficientBalance || isBelowMinimum() || loadingPriceImpact || loadingSplit}
             className="w-full gradient-bg text-white py-3 rounded-2xl font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity shadow-md min-h-[44px]"
           >
             {getButtonText()}
@@ -414,6 +930,12 @@ const Swap = () => {
         </div>
       </div>
 
+      {/* Limit Orders */}
+      <LimitOrders balances={balances} onFilled={fetchBalances} />
+
+      {/* Executed swaps vs their quotes */}
+      <SwapHistory />
+
       {/* Protocol Statistics */}
       <ProtocolStats />
 
@@ -425,17 +947,26 @@ const Swap = () => {
             setShowModal(false);
             setIsBlurActive(false);
           }}
-          transactionType="swap"
+          transactionType={activeSplit ? 'split_swap' : 'swap'}
           fromToken={fromToken}
           toToken={toToken}
           fromAmount={fromAmount}
-          toAmount={toAmount}
+          toAmount={activeSplit ? formatTokenAmount(activeSplit.totalOut, toToken.decimals) : toAmount}
           onApprove={handleApprove}
           onExecute={handleExecuteSwap}
+          onExecuteChunk={handleExecuteChunk}
+          priceUpdate={priceUpdate}
+          onAcceptPriceUpdate={handleAcceptPriceUpdate}
+          onSimulate={handleSimulateSwap}
+          executionResult={lastExecution}
           requiresApproval={requiresApproval}
           transactionParams={{
             slippage: slippageTolerance,
+            chunkCount: activeSplit?.chunks.length,
+            blendedRate: activeSplit ? `1 ${fromToken?.symbol} = ${activeSplit.blendedRate.toFixed(6)} ${toToken?.symbol}` : undefined,
             exchangeRate: `1 ${fromToken?.symbol} = ${toAmount && fromAmount ? (parseFloat(toAmount) / parseFloat(fromAmount)).toFixed(6) : '0'} ${toToken?.symbol}`,
+            maxInput: isExactOutput && maxAmountIn ? `${formatInputAmount(maxAmountInWei, fromToken.decimals)} ${fromToken.symbol}` : undefined,
+            expectedOutput: isExactOutput && expectedSurplus !== null ? `${formatTokenAmount(maxAmountInOut, toToken.decimals)} ${toToken.symbol}` : undefined,
           }}
         />
       )}
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { useAccount } from 'wagmi';
+import { getSwapHistory, clearSwapHistory, SWAP_HISTORY_CHANGED_EVENT } from '../services/swapHistoryService';
+import { ARC_TESTNET } from '../constants/contracts';
+import { History, ExternalLink } from 'lucide-react';
+
+const formatAmount = (value) => {
+  const num = parseFloat(value);
+  if (!Number.isFinite(num)) return '0';
+  return num.toLocaleString(undefined, { maximumFractionDigits: 6 });
+};
+
+const formatTime = (timestamp) => {
+  const seconds = Math.floor((Date.now() - timestamp) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+// Local record of executed swaps: actual fill and realized price vs the quote
+const SwapHistory = () => {
+  const { address, isConnected } = useAccount();
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    const refresh = () => setEntries(getSwapHistory(address));
+    refresh();
+    window.addEventListener(SWAP_HISTORY_CHANGED_EVENT, refresh);
+    return () => window.removeEventListener(SWAP_HISTORY_CHANGED_EVENT, refresh);
+  }, [address]);
+
+  if (!isConnected || entries.length === 0) return null;
+
+  return (
+    <div className="glass-card p-4 sm:p-6 mt-4 sm:mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <History className="w-5 h-5 text-[#5a8a3a]" />
+          <h2 className="text-lg font-semibold text-white">Your Swaps</h2>
+        </div>
+        <button onClick={() => clearSwapHistory(address)} className="text-xs text-gray-500 hover:text-white">Clear</button>
+      </div>
+
+      <div className="space-y-2">
+        {entries.slice(0, 20).map((entry) => (
+          <div key={entry.hash} className="p-3 rounded-xl bg-[#1a1a1a] border border-[#2a2a2a]">
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-white font-medium">
+                {formatAmount(entry.amountIn)} {entry.fromSymbol} → {formatAmount(entry.amountOut)} {entry.toSymbol}
+              </span>
+              <span className={`text-xs font-medium ${entry.priceDiff >= 0 ? 'text-[#10B981]' : 'text-orange-400'}`}>
+                {entry.priceDiff >= 0 ? '+' : ''}{entry.priceDiff.toFixed(3)}%
+              </span>
+            </div>
+            <div className="flex items-center justify-between text-xs text-gray-500 mt-1">
+              <span>
+                1 {entry.fromSymbol} = {entry.realizedPrice.toFixed(6)} {entry.toSymbol}
+                {' '}(quoted {entry.quotedPrice.toFixed(6)})
+                {entry.chunks > 1 && ` · ${entry.chunks} chunks`}
+                {entry.source === 'limit' && ' · limit'}
+              </span>
+              <a
+                href={`${ARC_TESTNET.blockExplorers.default.url}/tx/${entry.hash}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-1 hover:text-white"
+              >
+                {formatTime(entry.timestamp)}
+                <ExternalLink className="w-3 h-3" />
+              </a>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SwapHistory;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, X } from 'lucide-react';
+import { useSwapSettings, validateSwapSettings, SLIPPAGE_PRESETS } from '../hooks/useSwapSettings';
+
+const Toggle = ({ enabled, onChange }) => (
+  <button
+    onClick={() => onChange(!enabled)}
+    className={`relative w-10 h-5 rounded-full transition-colors ${enabled ? 'bg-[#5a8a3a]' : 'bg-[#2a2a2a]'}`}
+  >
+    <span className={`absolute top-0.5 w-4 h-4 rounded-full bg-white transition-all ${enabled ? 'left-5' : 'left-0.5'}`} />
+  </button>
+);
+
+const FieldMessage = ({ error, warning }) => {
+  if (error) return <p className="text-xs text-red-400 mt-1">{error}</p>;
+  if (warning) {
+    return (
+      <p className="text-xs text-orange-400 mt-1 flex items-start gap-1">
+        <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+        <span>{warning}</span>
+      </p>
+    );
+  }
+  return null;
+};
+
+const SwapSettings = ({ onClose }) => {
+  const { settings, updateSettings, resetSettings } = useSwapSettings();
+  const [slippageInput, setSlippageInput] = useState('');
+  const [deadlineInput, setDeadlineInput] = useState(String(settings.deadlineMinutes));
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    setDeadlineInput(String(settings.deadlineMinutes));
+    setSlippageInput(SLIPPAGE_PRESETS.includes(settings.slippage) ? '' : String(settings.slippage));
+  }, [settings.deadlineMinutes, settings.slippage]);
+
+  const apply = (updates) => {
+    const result = updateSettings(updates);
+    setErrors(prev => {
+      const next = { ...prev };
+      for (const key of Object.keys(updates)) delete next[key];
+      return { ...next, ...result.errors };
+    });
+  };
+
+  const handleExpertMode = (enabled) => {
+    if (enabled && !window.confirm('Expert mode skips the confirmation modal and sends swaps straight to your wallet. Only enable it if you know what you are doing.')) {
+      return;
+    }
+    apply({ expertMode: enabled });
+  };
+
+  const { warnings } = validateSwapSettings(settings);
+
+  return (
+    <div className="p-4 rounded-xl bg-[#111111] border border-[#2a2a2a] space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-white">Swap Settings</h3>
+        <button onClick={onClose} className="p-1 hover:bg-white/5 rounded-full transition-colors">
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      {/* Slippage */}
+      <div>
+        <label className="text-xs text-gray-400 mb-2 block">Slippage tolerance</label>
+        <div className="flex gap-2">
+          {SLIPPAGE_PRESETS.map((preset) => (
+            <button
+              key={preset}
+              onClick={() => apply({ slippage: preset })}
+              className={`px-3 py-1 text-xs font-medium rounded-xl transition-colors border ${settings.slippage === preset
+                ? 'bg-[#5a8a3a] text-white border-[#5a8a3a]'
+                : 'bg-[#1a1a1a] text-gray-400 hover:text-white border-[#2a2a2a]'
+                }`}
+            >
+              {preset}%
+            </button>
+          ))}
+          <div className="relative flex-1">
+            <input
+              type="text"
+              inputMode="decimal"
+              value={slippageInput}
+              onChange={(e) => setSlippageInput(e.target.value.replace(/[^0-9.]/g, ''))}
+              onBlur={() => slippageInput && apply({ slippage: parseFloat(slippageInput) })}
+              placeholder="Custom"
+              className="w-full bg-[#1a1a1a] border border-[#2a2a2a] rounded-xl px-3 py-1 text-xs text-white pr-6"
+            />
+            <span className="absolute right-2 top-1/2 -translate-y-1/2 text-xs text-gray-500">%</span>
+          </div>
+        </div>
+        <FieldMessage error={errors.slippage} warning={warnings.slippage} />
+      </div>
+
+      {/* Deadline */}
+      <div>
+        <label className="text-xs text-gray-400 mb-2 block">Transaction deadline</label>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            inputMode="numeric"
+            value={deadlineInput}
+            onChange={(e) => setDeadlineInput(e.target.value.replace(/[^0-9]/g, ''))}
+            onBlur={() => apply({ deadlineMinutes: parseInt(deadlineInput, 10) })}
+            className="w-20 bg-[#1a1a1a] border border-[#2a2a2a] rounded-xl px-3 py-1 text-xs text-white"
+          />
+          <span className="text-xs text-gray-500">minutes</span>
+        </div>
+        <FieldMessage error={errors.deadlineMinutes} warning={warnings.deadlineMinutes} />
+      </div>
+
+      {/* Approvals */}
+      <div>
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="text-xs text-white">Infinite approvals</p>
+            <p className="text-xs text-gray-500">Approve once instead of the exact amount each swap</p>
+          </div>
+          <Toggle enabled={settings.infiniteApproval} onChange={(enabled) => apply({ infiniteApproval: enabled })} />
+        </div>
+        <FieldMessage warning={warnings.infiniteApproval} />
+      </div>
+
+      {/* Expert mode */}
+      <div>
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="text-xs text-white">Expert mode</p>
+            <p className="text-xs text-gray-500">Skip the confirmation modal</p>
+          </div>
+          <Toggle enabled={settings.expertMode} onChange={handleExpertMode} />
+        </div>
+      </div>
+
+      <button
+        onClick={() => {
+          resetSettings();
+          setErrors({});
+        }}
+        className="text-xs text-gray-500 hover:text-white transition-colors"
+      >
+        Reset to defaults
+      </button>
+    </div>
+  );
+};
+
+export default SwapSettings;
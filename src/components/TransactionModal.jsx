@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { createPortal } from 'react-dom';
-import { X, Loader2, CheckCircle2, Clock, ChevronRight, Gift, Rocket, ExternalLink } from 'lucide-react';
+import { formatUnits } from 'ethers';
+import { X, Loader2, CheckCircle2, Clock, ChevronRight, Gift, Rocket, ExternalLink, AlertTriangle } from 'lucide-react';
 import { ARC_TESTNET } from '../constants/contracts';
 import { TOKENS } from '../constants/tokens';
 import { formatUSD } from '../utils/formatters';
@@ -17,6 +18,15 @@ const TransactionModal = ({
   onApproveA,
   onApproveB,
   onExecute,
+  onExecuteChunk,
+  onSwap,
+  onRemove,
+  onWithdraw,
+  onBorrow,
+  priceUpdate = null,
+  onAcceptPriceUpdate,
+  onSimulate,
+  executionResult = null,
   requiresApproval = true,
   transactionParams = {},
 }) => {
@@ -29,11 +39,19 @@ const TransactionModal = ({
   // Save amounts when modal opens so they persist after parent clears them
   const [savedFromAmount, setSavedFromAmount] = useState('');
   const [savedToAmount, setSavedToAmount] = useState('');
+  // Swap step held back until the user accepts a moved price
+  const [gatedStep, setGatedStep] = useState(null);
+  // Pre-flight eth_call result for the first swap step: { status, error, gasCost }
+  const [simulation, setSimulation] = useState(null);
+  const [failedSimulationStep, setFailedSimulationStep] = useState(null);
 
   // Refs for managing timeouts and lifecycle
   const autoCloseTimeoutRef = useRef(null);
   const stepAdvanceTimeoutRef = useRef(null);
   const isMounted = useRef(false);
+  // Step handlers run from timeouts, so read the latest price update through a ref
+  const priceUpdateRef = useRef(priceUpdate);
+  priceUpdateRef.current = priceUpdate;
 
   useEffect(() => {
     isMounted.current = true;
@@ -50,6 +68,9 @@ const TransactionModal = ({
       setTransactionHash(null);
       setCurrentStep(0);
       setIsConfirmed(false);
+      setGatedStep(null);
+      setSimulation(null);
+      setFailedSimulationStep(null);
 
       const labels = getStepLabels();
       if (labels.length > 0) {
@@ -80,6 +101,8 @@ const TransactionModal = ({
     switch (transactionType) {
       case 'swap':
         return 'Swap';
+      case 'split_swap':
+        return 'Split Swap';
       case 'supply':
         return 'Supply Collateral';
       case 'withdraw':
@@ -94,12 +117,67 @@ const TransactionModal = ({
         return 'Add Liquidity';
       case 'remove_liquidity':
         return 'Remove Liquidity';
+      case 'zap_liquidity':
+        return 'Zap Liquidity';
+      case 'zap_out_liquidity':
+        return 'Zap Out';
+      case 'collateral_swap':
+        return 'Swap Collateral';
+      case 'debt_swap':
+        return 'Swap Debt';
+      case 'leverage':
+        return transactionParams.mode === 'unwind' ? 'Unwind Position' : 'Leverage Loop';
       default:
         return 'Transaction';
     }
   };
 
   const getStepLabels = () => {
+    // Split orders run one swap step per chunk, after the single approval
+    if (transactionType === 'split_swap') {
+      const chunkCount = transactionParams.chunkCount || 0;
+      const chunkSteps = Array.from({ length: chunkCount }, (_, index) => ({
+        label: `Swap chunk ${index + 1} of ${chunkCount}`,
+        key: `chunk${index}`,
+        chunkIndex: index,
+      }));
+      return requiresApproval
+        ? [{ label: `Approve ${fromToken?.symbol || 'Token'} for swap`, key: 'approve' }, ...chunkSteps]
+        : chunkSteps;
+    }
+
+    // Withdraw, swap and resupply; steps already done in an earlier attempt are skipped
+    if (transactionType === 'collateral_swap') {
+      const completed = transactionParams.completedSteps || [];
+      return [
+        { label: `Withdraw ${fromToken?.symbol || 'Token'} collateral`, key: 'withdraw' },
+        { label: `Approve ${fromToken?.symbol || 'Token'} for swap`, key: 'approveA' },
+        { label: `Swap ${fromToken?.symbol || 'Token'} to ${toToken?.symbol || 'Token'}`, key: 'swap' },
+        { label: `Approve ${toToken?.symbol || 'Token'} for supply`, key: 'approveB' },
+        { label: `Supply ${toToken?.symbol || 'Token'} collateral`, key: 'execute' },
+      ].filter(step => !completed.includes(step.key));
+    }
+
+    // Borrow fromToken, buy toToken with it and repay toToken; resumable like collateral swaps
+    if (transactionType === 'debt_swap') {
+      const completed = transactionParams.completedSteps || [];
+      return [
+        { label: `Borrow ${fromToken?.symbol || 'Token'}`, key: 'borrow' },
+        { label: `Approve ${fromToken?.symbol || 'Token'} for swap`, key: 'approveA' },
+        { label: `Swap ${fromToken?.symbol || 'Token'} to ${toToken?.symbol || 'Token'}`, key: 'swap' },
+        { label: `Repay ${toToken?.symbol || 'Token'} debt`, key: 'execute' },
+      ].filter(step => !completed.includes(step.key));
+    }
+
+    // Planned leverage/unwind steps, run in order through onExecuteChunk like split chunks
+    if (transactionType === 'leverage') {
+      return (transactionParams.stepLabels || []).map((label, index) => ({
+        label,
+        key: `chunk${index}`,
+        chunkIndex: index,
+      }));
+    }
+
     if (!requiresApproval) {
       return [{ label: getTransactionLabel(), key: 'execute' }];
     }
@@ -134,6 +212,21 @@ const TransactionModal = ({
         ];
       case 'remove_liquidity':
         return [{ label: 'Remove Liquidity', key: 'execute' }];
+      // Single-sided deposit: the other side's amount is only known once the swap lands
+      case 'zap_liquidity':
+        return [
+          { label: `Approve ${fromToken?.symbol || 'Token A'}`, key: 'approveA' },
+          { label: `Swap part to ${toToken?.symbol || 'Token B'}`, key: 'swap' },
+          { label: `Approve ${toToken?.symbol || 'Token B'}`, key: 'approveB' },
+          { label: 'Add Liquidity', key: 'execute' },
+        ];
+      // Remove both sides, then sell fromToken (the side the user does not want) into toToken
+      case 'zap_out_liquidity':
+        return [
+          { label: 'Remove Liquidity', key: 'remove' },
+          { label: `Approve ${fromToken?.symbol || 'Token'} for swap`, key: 'approve' },
+          { label: `Swap ${fromToken?.symbol || 'Token'} to ${toToken?.symbol || 'Token'}`, key: 'execute' },
+        ];
       default:
         return [{ label: getTransactionLabel(), key: 'execute' }];
     }
@@ -141,6 +234,125 @@ const TransactionModal = ({
 
   const steps = getStepLabels();
   const shouldShowSteps = steps.length > 1;
+  const completedChunks = steps.filter(s => s.key.startsWith('chunk') && stepStatus[s.key] === 'completed').length;
+  const totalChunks = steps.filter(s => s.key.startsWith('chunk')).length;
+
+  const completeTransaction = () => {
+    setIsConfirmed(true);
+
+    // Clear any pending timeouts
+    if (autoCloseTimeoutRef.current) clearTimeout(autoCloseTimeoutRef.current);
+
+    // Close modal after 15 seconds
+    autoCloseTimeoutRef.current = setTimeout(() => {
+      if (isMounted.current) {
+        onClose();
+        autoCloseTimeoutRef.current = null;
+      }
+    }, 15000);
+  };
+
+  const runStep = async (step, { priceAccepted = false, simulated = false } = {}) => {
+    // The first swap step waits for the user if the quote moved beyond tolerance.
+    // Later chunks are skipped: earlier chunks move the price themselves.
+    const isFirstSwapStep = step.key === 'execute' || step.key === 'chunk0';
+    if (isFirstSwapStep && !priceAccepted && priceUpdateRef.current) {
+      setStepStatus(prev => ({ ...prev, [step.key]: 'price_update' }));
+      setGatedStep(step);
+      return;
+    }
+
+    // Dry-run the swap before the wallet opens so known reverts never reach it
+    if (isFirstSwapStep && onSimulate && !simulated) {
+      setStepStatus(prev => ({ ...prev, [step.key]: 'processing' }));
+      setFailedSimulationStep(null);
+      setSimulation({ status: 'running' });
+
+      const result = await onSimulate();
+      if (!isMounted.current) return;
+
+      if (result && !result.success) {
+        setSimulation({ status: 'failed', error: result.error });
+        setStepStatus(prev => ({ ...prev, [step.key]: 'error' }));
+        setFailedSimulationStep(step);
+        return;
+      }
+
+      setSimulation({ status: result?.skipped ? 'skipped' : 'passed', gasCost: result?.gasCost ?? null });
+      if (result?.gasCost) {
+        const cost = parseFloat(formatUnits(result.gasCost, 18)); // native USDC, 18-decimal wei
+        setGasEstimate(cost < 0.01 ? '< $0.01' : formatUSD(cost));
+      }
+    }
+
+    if (step.key.startsWith('approve')) {
+      await handleMultiApprove(step.key);
+    } else if (step.key.startsWith('chunk')) {
+      await handleSequenceStep(step, onExecuteChunk && (() => onExecuteChunk(step.chunkIndex)));
+    } else if (step.key === 'swap') {
+      await handleSequenceStep(step, onSwap);
+    } else if (step.key === 'remove') {
+      await handleSequenceStep(step, onRemove);
+    } else if (step.key === 'withdraw') {
+      await handleSequenceStep(step, onWithdraw);
+    } else if (step.key === 'borrow') {
+      await handleSequenceStep(step, onBorrow);
+    } else if (step.key === 'execute') {
+      await handleExecute();
+    }
+  };
+
+  // Auto-advance to the step after `key`
+  const advanceFrom = (key) => {
+    const thisStepIndex = steps.findIndex(s => s.key === key);
+    const nextStepIndex = thisStepIndex + 1;
+    if (nextStepIndex >= steps.length) return false;
+
+    setCurrentStep(nextStepIndex);
+    const nextStep = steps[nextStepIndex];
+
+    setStepStatus(prev => ({ ...prev, [nextStep.key]: 'processing' }));
+
+    if (stepAdvanceTimeoutRef.current) clearTimeout(stepAdvanceTimeoutRef.current);
+
+    stepAdvanceTimeoutRef.current = setTimeout(async () => {
+      if (!isMounted.current) return;
+      await runStep(nextStep);
+      stepAdvanceTimeoutRef.current = null;
+    }, 500);
+    return true;
+  };
+
+  // Transaction step that is followed by more steps (split chunks, zap swap, zap-out removal, collateral/debt swap legs)
+  const handleSequenceStep = async (step, send) => {
+    if (!send || !isMounted.current) return;
+
+    setStepStatus(prev => ({ ...prev, [step.key]: 'processing' }));
+    try {
+      const tx = await send();
+      if (!isMounted.current) return;
+
+      if (tx?.hash) {
+        setTransactionHash(tx.hash);
+        setStepStatus(prev => ({ ...prev, [step.key]: 'mining' }));
+
+        // Each step must land before the next one is quoted against its reserves
+        if (tx.wait) {
+          await tx.wait();
+          if (!isMounted.current) return;
+        }
+      }
+
+      setStepStatus(prev => ({ ...prev, [step.key]: 'completed' }));
+      if (!advanceFrom(step.key)) {
+        completeTransaction();
+      }
+    } catch (error) {
+      if (!isMounted.current) return;
+      console.error('Step execution error:', error);
+      setStepStatus(prev => ({ ...prev, [step.key]: 'error' }));
+    }
+  };
 
   const handleExecute = async () => {
     if (!onExecute || !isMounted.current) return;
@@ -163,18 +375,7 @@ const TransactionModal = ({
       }
 
       setStepStatus(prev => ({ ...prev, execute: 'completed' }));
-      setIsConfirmed(true);
-
-      // Clear any pending timeouts
-      if (autoCloseTimeoutRef.current) clearTimeout(autoCloseTimeoutRef.current);
-
-      // Close modal after 15 seconds
-      autoCloseTimeoutRef.current = setTimeout(() => {
-        if (isMounted.current) {
-          onClose();
-          autoCloseTimeoutRef.current = null;
-        }
-      }, 15000);
+      completeTransaction();
     } catch (error) {
       if (!isMounted.current) return;
       console.error('Execution error:', error);
@@ -201,29 +402,7 @@ const TransactionModal = ({
       setStepStatus(prev => ({ ...prev, [key]: 'completed' }));
 
       // Auto-advance to next step
-      const thisStepIndex = steps.findIndex(s => s.key === key);
-      const nextStepIndex = thisStepIndex + 1;
-
-      if (nextStepIndex < steps.length) {
-        setCurrentStep(nextStepIndex);
-        const nextStep = steps[nextStepIndex];
-
-        setStepStatus(prev => ({ ...prev, [nextStep.key]: 'processing' }));
-
-        if (stepAdvanceTimeoutRef.current) clearTimeout(stepAdvanceTimeoutRef.current);
-
-        stepAdvanceTimeoutRef.current = setTimeout(async () => {
-          if (!isMounted.current) return;
-          if (nextStep) {
-            if (nextStep.key === 'execute') {
-              await handleExecute();
-            } else if (nextStep.key.startsWith('approve')) {
-              await handleMultiApprove(nextStep.key);
-            }
-          }
-          stepAdvanceTimeoutRef.current = null;
-        }, 500);
-      }
+      advanceFrom(key);
 
     } catch (error) {
       if (!isMounted.current) return;
@@ -236,15 +415,27 @@ const TransactionModal = ({
     await handleMultiApprove('approve');
   };
 
+  const handleAcceptPriceUpdate = async () => {
+    const step = gatedStep;
+    if (!step) return;
+    setGatedStep(null);
+    setStepStatus(prev => ({ ...prev, [step.key]: 'processing' }));
+    if (onAcceptPriceUpdate) await onAcceptPriceUpdate();
+    if (!isMounted.current) return;
+    await runStep(step, { priceAccepted: true });
+  };
+
+  const handleRetrySimulation = async () => {
+    const step = failedSimulationStep;
+    if (!step) return;
+    await runStep(step, { priceAccepted: true });
+  };
+
   const handleCombined = async () => {
     const currentStepObj = steps[currentStep];
     if (!currentStepObj) return;
 
-    if (currentStepObj.key.startsWith('approve')) {
-      await handleMultiApprove(currentStepObj.key);
-    } else if (currentStepObj.key === 'execute') {
-      await handleExecute();
-    }
+    await runStep(currentStepObj);
   };
 
   const getStepIcon = (stepIndex) => {
@@ -255,7 +446,7 @@ const TransactionModal = ({
       return <CheckCircle2 className="w-5 h-5 text-[#5a8a3a]" />;
     }
     if (stepIndex === currentStep) {
-      if (status === 'processing') {
+      if (status === 'processing' || status === 'mining') {
         return <Loader2 className="w-5 h-5 text-[#5a8a3a] animate-spin" />;
       }
       if (status === 'completed') {
@@ -264,14 +455,24 @@ const TransactionModal = ({
       if (status === 'error') {
         return <X className="w-5 h-5 text-red-400" />;
       }
+      if (status === 'price_update') {
+        return <AlertTriangle className="w-5 h-5 text-orange-400" />;
+      }
     }
     return <div className="w-5 h-5 rounded-full border-2 border-gray-600" />;
   };
 
+  // Collateral/debt swaps and leverage loops can retry the failed step in place: earlier steps already landed
+  const canRetry = () => {
+    const currentStepObj = steps[currentStep];
+    return (transactionType === 'collateral_swap' || transactionType === 'debt_swap' || transactionType === 'leverage') &&
+      !!currentStepObj && stepStatus[currentStepObj.key] === 'error';
+  };
+
   const canProceed = () => {
     const currentStepObj = steps[currentStep];
     if (!currentStepObj) return false;
-    return stepStatus[currentStepObj.key] === 'pending';
+    return stepStatus[currentStepObj.key] === 'pending' || canRetry();
   };
 
   const getButtonText = () => {
@@ -287,6 +488,8 @@ const TransactionModal = ({
       return 'Processing...';
     }
 
+    if (canRetry()) return 'Retry Step';
+
     if (currentStepObj.key.startsWith('approve')) {
       const tokenSymbol = currentStepObj.key === 'approveA' ? fromToken?.symbol :
         currentStepObj.key === 'approveB' ? toToken?.symbol : fromToken?.symbol;
@@ -336,7 +539,67 @@ const TransactionModal = ({
 
           {/* Asset Summary Box (Relay Style) */}
           <div className="bg-[#111111] border border-[#1a1a1a] rounded-2xl p-5 mb-8 text-left space-y-4">
-            {transactionType === 'add_liquidity' || transactionType === 'remove_liquidity' ? (
+            {transactionType === 'zap_liquidity' ? (
+              <div>
+                <p className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-3">
+                  Zapped {truncateAmount(savedFromAmount)} {fromToken?.symbol} into
+                </p>
+                {[
+                  { token: fromToken, amount: executionResult?.depositA },
+                  { token: toToken, amount: executionResult?.depositB },
+                ].map(({ token, amount }, idx) => (
+                  <div key={token?.symbol || idx} className="flex items-center justify-between bg-white/5 p-3 rounded-xl border border-white/5 mb-2">
+                    <div className="flex items-center gap-3">
+                      {token?.icon ? (
+                        <img src={token.icon} alt={token.symbol} className="w-8 h-8 rounded-full" />
+                      ) : (
+                        <div className="w-8 h-8 rounded-full bg-[#5a8a3a]/20" />
+                      )}
+                      <span className="text-base font-bold text-white">
+                        {truncateAmount(amount, 6)} {token?.symbol}
+                      </span>
+                    </div>
+                    {idx === 1 && transactionHash && (
+                      <span className="text-[10px] font-mono text-[#5a8a3a] bg-[#5a8a3a]/10 px-2 py-1 rounded-md">
+                        {transactionHash.slice(0, 6)}...{transactionHash.slice(-4)}
+                      </span>
+                    )}
+                  </div>
+                ))}
+                {/* Whatever could not be paired at the pool ratio never left the wallet */}
+                {executionResult && (
+                  <div className="flex justify-between text-sm mt-3">
+                    <span className="text-gray-500">Left in wallet</span>
+                    <span className="text-gray-300">
+                      {truncateAmount(executionResult.dustA, 6)} {fromToken?.symbol} + {truncateAmount(executionResult.dustB, 6)} {toToken?.symbol}
+                    </span>
+                  </div>
+                )}
+              </div>
+            ) : transactionType === 'zap_out_liquidity' ? (
+              <div>
+                <p className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-3">
+                  Removed {truncateAmount(savedFromAmount)} LP into
+                </p>
+                <div className="flex items-center justify-between bg-white/5 p-3 rounded-xl border border-white/5">
+                  <div className="flex items-center gap-3">
+                    {toToken?.icon ? (
+                      <img src={toToken.icon} alt={toToken.symbol} className="w-8 h-8 rounded-full" />
+                    ) : (
+                      <div className="w-8 h-8 rounded-full bg-[#5a8a3a]/20" />
+                    )}
+                    <span className="text-base font-bold text-white">
+                      {truncateAmount(executionResult?.amountOut || savedToAmount, 6)} {toToken?.symbol}
+                    </span>
+                  </div>
+                  {transactionHash && (
+                    <span className="text-[10px] font-mono text-[#5a8a3a] bg-[#5a8a3a]/10 px-2 py-1 rounded-md">
+                      {transactionHash.slice(0, 6)}...{transactionHash.slice(-4)}
+                    </span>
+                  )}
+                </div>
+              </div>
+            ) : transactionType === 'add_liquidity' || transactionType === 'remove_liquidity' ? (
               <div>
                 <p className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-3">
                   {transactionType === 'add_liquidity' ? 'Added' : 'Removed'}
@@ -373,11 +636,11 @@ const TransactionModal = ({
                   )}
                 </div>
               </div>
-            ) : transactionType === 'swap' ? (
+            ) : transactionType === 'swap' || transactionType === 'split_swap' || transactionType === 'collateral_swap' || transactionType === 'debt_swap' || transactionType === 'leverage' ? (
               <>
                 <div>
                   <p className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2">
-                    Sent
+                    {transactionType === 'leverage' ? transactionParams.sentLabel : 'Sent'}
                   </p>
                   <div className="flex items-center gap-3">
                     {fromToken?.icon ? (
@@ -387,14 +650,16 @@ const TransactionModal = ({
                         <Gift className="w-3.5 h-3.5 text-[#5a8a3a]" />
                       </div>
                     )}
-                    <span className="text-base sm:text-lg font-bold text-white">{truncateAmount(savedFromAmount)} {fromToken?.symbol}</span>
+                    <span className="text-base sm:text-lg font-bold text-white">{truncateAmount(executionResult?.amountIn || savedFromAmount)} {fromToken?.symbol}</span>
                   </div>
                 </div>
 
                 <div className="h-px bg-[#1a1a1a] w-full" />
 
                 <div>
-                  <p className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2">Received</p>
+                  <p className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2">
+                    {transactionType === 'leverage' ? transactionParams.receivedLabel : 'Received'}
+                  </p>
                   <div className="flex items-center justify-between">
                     <div className="flex items-center gap-3">
                       {toToken?.icon ? (
@@ -405,7 +670,7 @@ const TransactionModal = ({
                         </div>
                       )}
                       <span className="text-base sm:text-lg font-bold text-white">
-                        {truncateAmount(savedToAmount)} {toToken?.symbol}
+                        {truncateAmount(executionResult?.amountOut || savedToAmount)} {toToken?.symbol}
                       </span>
                     </div>
                     {transactionHash && (
@@ -415,6 +680,29 @@ const TransactionModal = ({
                     )}
                   </div>
                 </div>
+
+                {/* Fill decoded from the Swap event vs the quote */}
+                {executionResult && (
+                  <>
+                    <div className="h-px bg-[#1a1a1a] w-full" />
+                    <div className="space-y-2 text-sm">
+                      <div className="flex justify-between">
+                        <span className="text-gray-500">Quoted</span>
+                        <span className="text-gray-300">{truncateAmount(executionResult.quotedAmountOut)} {toToken?.symbol}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-500">Realized price</span>
+                        <span className="text-gray-300">1 {fromToken?.symbol} = {executionResult.realizedPrice.toFixed(6)} {toToken?.symbol}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-500">vs quote</span>
+                        <span className={executionResult.priceDiff >= 0 ? 'text-[#10B981]' : 'text-orange-400'}>
+                          {executionResult.priceDiff >= 0 ? '+' : ''}{executionResult.priceDiff.toFixed(3)}%
+                        </span>
+                      </div>
+                    </div>
+                  </>
+                )}
               </>
             ) : transactionType === 'faucet' ? (
               <div>
@@ -517,7 +805,7 @@ const TransactionModal = ({
         </div>
 
         {/* Liquidity Overview - Pair Icons */}
-        {(transactionType === 'add_liquidity' || transactionType === 'remove_liquidity') && (
+        {(transactionType === 'add_liquidity' || transactionType === 'remove_liquidity' || transactionType === 'zap_liquidity' || transactionType === 'zap_out_liquidity') && (
           <div className="mb-6 bg-[#111111] border border-[#2a2a2a] rounded-2xl p-6">
             <div className="text-center">
               <div className="flex items-center justify-center mb-4">
@@ -531,20 +819,26 @@ const TransactionModal = ({
                 </div>
               </div>
               <p className="text-white text-lg font-black tracking-tight">
-                {fromAmount} {fromToken?.symbol} + {toAmount} {toToken?.symbol}
+                {transactionType === 'zap_liquidity'
+                  ? `${fromAmount} ${fromToken?.symbol} → ${transactionParams.pair || 'LP'}`
+                  : transactionType === 'zap_out_liquidity'
+                    ? `${fromAmount} LP → ~${toAmount} ${toToken?.symbol}`
+                    : `${fromAmount} ${fromToken?.symbol} + ${toAmount} ${toToken?.symbol}`}
               </p>
               <p className="text-[10px] text-[#5cb849] font-bold uppercase tracking-widest mt-1">
-                {transactionType === 'remove_liquidity' ? 'Removing Liquidity' : 'Providing Liquidity'}
+                {transactionType === 'remove_liquidity' ? 'Removing Liquidity'
+                  : transactionType === 'zap_liquidity' ? 'Single-Sided Zap'
+                    : transactionType === 'zap_out_liquidity' ? `Zap Out to ${toToken?.symbol}` : 'Providing Liquidity'}
               </p>
             </div>
           </div>
         )}
 
         {/* Transaction Overview - Wrapped in bordered card like Relay */}
-        {(transactionType !== 'faucet' && transactionType !== 'add_liquidity' && transactionType !== 'remove_liquidity') && (
+        {(transactionType !== 'faucet' && !transactionType.endsWith('liquidity')) && (
           <div className="mb-6 bg-[#111111] border border-[#2a2a2a] rounded-2xl p-4">
             {/* For Swap: Show two tokens with arrow */}
-            {transactionType === 'swap' ? (
+            {transactionType === 'swap' || transactionType === 'split_swap' || transactionType === 'collateral_swap' || transactionType === 'debt_swap' || transactionType === 'leverage' ? (
               <div className="flex items-center justify-between">
                 <div className="flex-1 text-center">
                   <div className="flex items-center justify-center mb-2">
@@ -647,11 +941,118 @@ const TransactionModal = ({
                       {index === currentStep && stepStatus[step.key] === 'processing' && (
                         <p className="text-xs text-[#5a8a3a] mt-1">Confirm in wallet...</p>
                       )}
+                      {index === currentStep && stepStatus[step.key] === 'mining' && (
+                        <p className="text-xs text-gray-400 mt-1">Waiting for confirmation...</p>
+                      )}
                     </div>
                   </div>
                 ))}
               </div>
             </div>
+
+            {/* Split order progress */}
+            {totalChunks > 0 && (
+              <div className="mt-4 pt-4 border-t border-[#2a2a2a]">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-xs text-gray-500">{transactionType === 'leverage' ? 'Steps completed' : 'Chunks filled'}</span>
+                  <span className="text-xs text-white font-medium">{completedChunks} / {totalChunks}</span>
+                </div>
+                <div className="h-1.5 bg-[#1a1a1a] rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-[#5a8a3a] transition-all duration-500"
+                    style={{ width: `${(completedChunks / totalChunks) * 100}%` }}
+                  />
+                </div>
+                {transactionType === 'split_swap' && steps.some(s => s.key.startsWith('chunk') && stepStatus[s.key] === 'error') && completedChunks > 0 && (
+                  <p className="text-xs text-orange-400 mt-2">
+                    Order partially filled: {completedChunks} of {totalChunks} chunks were swapped before the failure.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Zap stopped between the swap and the deposit */}
+            {transactionType === 'zap_liquidity' && stepStatus.swap === 'completed' && (stepStatus.approveB === 'error' || stepStatus.execute === 'error') && (
+              <p className="text-xs text-orange-400 mt-4 pt-4 border-t border-[#2a2a2a]">
+                The swap went through but nothing was deposited. The {toToken?.symbol} it bought and the rest of your {fromToken?.symbol} are in your wallet.
+              </p>
+            )}
+            {transactionType === 'zap_out_liquidity' && stepStatus.remove === 'completed' && (stepStatus.approve === 'error' || stepStatus.execute === 'error') && (
+              <p className="text-xs text-orange-400 mt-4 pt-4 border-t border-[#2a2a2a]">
+                Liquidity was removed but the swap did not go through. Both {fromToken?.symbol} and {toToken?.symbol} are in your wallet.
+              </p>
+            )}
+            {transactionType === 'collateral_swap' && canRetry() && (
+              <p className="text-xs text-orange-400 mt-4 pt-4 border-t border-[#2a2a2a]">
+                Completed steps are saved. Retry now, or close and resume the collateral swap later from Lend & Borrow.
+              </p>
+            )}
+            {transactionType === 'leverage' && canRetry() && (
+              <p className="text-xs text-orange-400 mt-4 pt-4 border-t border-[#2a2a2a]">
+                {completedChunks} of {totalChunks} steps landed. Each planned step keeps your health factor above the safety margin,
+                so the position is safe to leave here. Retry, or close and re-plan from the current position.
+              </p>
+            )}
+            {transactionType === 'debt_swap' && canRetry() && (
+              <p className="text-xs text-orange-400 mt-4 pt-4 border-t border-[#2a2a2a]">
+                {stepStatus.borrow === 'error'
+                  ? 'Nothing was borrowed yet. Retry, or close to cancel.'
+                  : stepStatus.execute === 'error'
+                    ? `The ${toToken?.symbol} was bought and is in your wallet. Retry the repayment, or repay it later from the Repay tab.`
+                    : `The borrowed ${fromToken?.symbol} is in your wallet. Retry, or close and roll back by repaying it from Lend & Borrow.`}
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Price moved while the modal was open */}
+        {gatedStep && (
+          <div className="mb-6 bg-orange-500/10 border border-orange-500/30 rounded-2xl p-4">
+            <div className="flex items-start gap-2 mb-3">
+              <AlertTriangle className="w-4 h-4 text-orange-400 mt-0.5 shrink-0" />
+              <div>
+                <p className="text-sm font-semibold text-white">Price updated — accept new rate?</p>
+                {priceUpdate && (
+                  <p className="text-xs text-gray-400 mt-1">
+                    {priceUpdate.previousRate} → {priceUpdate.newRate}
+                    {' '}({priceUpdate.change.toFixed(2)}% worse)
+                  </p>
+                )}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={onClose}
+                className="bg-[#1a1a1a] hover:bg-[#222222] text-white py-2 rounded-xl font-bold text-xs border border-[#2a2a2a] uppercase tracking-wider"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleAcceptPriceUpdate}
+                className="bg-[#5a8a3a] hover:bg-[#6b9a4a] text-white py-2 rounded-xl font-bold text-xs uppercase tracking-wider"
+              >
+                Accept
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Simulation failed - the wallet was never opened */}
+        {simulation?.status === 'failed' && (
+          <div className="mb-6 bg-red-500/10 border border-red-500/30 rounded-2xl p-4">
+            <div className="flex items-start gap-2 mb-3">
+              <AlertTriangle className="w-4 h-4 text-red-400 mt-0.5 shrink-0" />
+              <div>
+                <p className="text-sm font-semibold text-white">This swap would fail</p>
+                <p className="text-xs text-gray-400 mt-1">{simulation.error}</p>
+              </div>
+            </div>
+            <button
+              onClick={handleRetrySimulation}
+              className="w-full bg-[#1a1a1a] hover:bg-[#222222] text-white py-2 rounded-xl font-bold text-xs border border-[#2a2a2a] uppercase tracking-wider"
+            >
+              Simulate Again
+            </button>
           </div>
         )}
 
@@ -688,6 +1089,36 @@ const TransactionModal = ({
               <span className="text-xs text-white font-medium">Auto {transactionParams.slippage}%</span>
             </div>
           )}
+          {transactionParams.maxInput && (
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500">Sold</span>
+              <span className="text-xs text-white font-medium">{transactionParams.maxInput}</span>
+            </div>
+          )}
+          {transactionParams.expectedOutput && (
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500">Expected Received</span>
+              <span className="text-xs text-white font-medium">{transactionParams.expectedOutput}</span>
+            </div>
+          )}
+          {onSimulate && (
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500">Simulation</span>
+              <span className={`text-xs font-medium ${simulation?.status === 'failed' ? 'text-red-400' : simulation?.status === 'passed' ? 'text-[#5cb849]' : 'text-gray-400'}`}>
+                {simulation?.status === 'running' ? 'Simulating...' :
+                  simulation?.status === 'passed' ? 'Will succeed' :
+                    simulation?.status === 'failed' ? 'Would revert' :
+                      simulation?.status === 'skipped' ? 'Unavailable' :
+                        requiresApproval ? 'After approval' : 'Pending'}
+              </span>
+            </div>
+          )}
+          {transactionParams.blendedRate && (
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500">Blended Rate</span>
+              <span className="text-xs text-white font-medium">{transactionParams.blendedRate}</span>
+            </div>
+          )}
           {transactionParams.exchangeRate && (
             <div className="flex items-center justify-between">
               <span className="text-xs text-gray-500">Exchange Rate</span>
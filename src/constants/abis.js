@@ -50,9 +50,12 @@ export const LENDING_POOL_ABI = [
   'function getUserAccountData(address user) external view returns (uint256 totalCollateralUSD, uint256 totalDebtUSD, uint256 availableBorrowsUSD, uint256 healthFactor)',
   'function getUserCollateral(address user, address token) external view returns (uint256)',
   'function getUserDebt(address user, address token) external view returns (uint256)',
+  // ltv is a WAD fraction (0.8e18 = 80%) and priceUSD is WAD USD per whole token, the same
+  // 1e18 fixed point as getUserAccountData's USD values and health factor
   'function getReserveData(address token) external view returns (uint256 availableLiquidity, uint256 totalSupplied, uint256 totalBorrowed, uint256 ltv, uint256 priceUSD)',
   'event CollateralSupplied(address indexed user, address indexed token, uint256 amount)',
   'event CollateralWithdrawn(address indexed user, address indexed token, uint256 amount)',
+  // interestRate is the annual borrow rate as a WAD fraction (0.05e18 = 5% APR)
   'event TokenBorrowed(address indexed user, address indexed token, uint256 amount, uint256 interestRate)',
   'event TokenRepaid(address indexed user, address indexed token, uint256 amount)',
 ];
@@ -33,3 +33,10 @@ export const TOKENS = {
 
 export const SWAPPABLE_TOKENS = [TOKENS.CAT, TOKENS.DARC, TOKENS.PANDA, TOKENS.USDC];
 export const LENDABLE_TOKENS = [TOKENS.CAT, TOKENS.DARC, TOKENS.PANDA, TOKENS.USDC];
+
+// AMM pools the app lists; LP balances are keyed LP_<pair>_<token>
+export const LIQUIDITY_POOLS = [
+  { token: TOKENS.CAT, pair: TOKENS.USDC },
+  { token: TOKENS.DARC, pair: TOKENS.USDC },
+  { token: TOKENS.PANDA, pair: TOKENS.USDC },
+];
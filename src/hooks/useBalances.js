@@ -1,9 +1,13 @@
 import { useState, useEffect } from 'react';
 import { getAllBalances } from '../services/tokenService';
+import { getPoolPosition, SHARE_DECIMALS } from '../services/positionService';
 import { formatTokenAmount } from '../utils/formatters';
-import { TOKENS } from '../constants/tokens';
+import { getRegisteredTokens } from '../services/poolRegistryService';
+import { getPoolKey } from '../utils/pools';
+import { usePools } from './usePools';
 
 export function useBalances(provider, address) {
+  const pools = usePools(provider);
   const [balances, setBalances] = useState({
     CAT: '0.00',
     DARC: '0.00',
@@ -20,6 +24,8 @@ export function useBalances(provider, address) {
     PANDA: 0n,
     USDC: 0n,
   });
+  // Exact pool positions (bigint model from positionService), keyed like the LP balances
+  const [poolPositions, setPoolPositions] = useState({});
 
   const fetchBalances = async () => {
     if (!provider || !address) {
@@ -38,21 +44,36 @@ export function useBalances(provider, address) {
         PANDA: 0n,
         USDC: 0n,
       });
+      setPoolPositions({});
       return;
     }
 
     try {
-      const raw = await getAllBalances(provider, address);
+      // Every token in a listed pool (built-in, discovered or user-created)
+      const [raw, positions] = await Promise.all([
+        getAllBalances(provider, address, pools),
+        Promise.all(pools.map(({ token, pair }) => getPoolPosition(provider, address, token, pair))),
+      ]);
       setRawBalances(raw);
 
+      const tokenBalances = {};
+      for (const token of getRegisteredTokens()) {
+        if (token.symbol in raw) tokenBalances[token.symbol] = formatTokenAmount(raw[token.symbol], token.decimals);
+      }
+
+      // LP shares are shown at SHARE_DECIMALS, with or without a position read
+      const nextPositions = {};
+      const lpBalances = {};
+      pools.forEach((pool, i) => {
+        const key = getPoolKey(pool);
+        if (positions[i]) nextPositions[key] = positions[i];
+        lpBalances[key] = formatTokenAmount(positions[i]?.shares ?? raw[key], SHARE_DECIMALS);
+      });
+      setPoolPositions(nextPositions);
+
       setBalances({
-        CAT: formatTokenAmount(raw.CAT, TOKENS.CAT.decimals),
-        DARC: formatTokenAmount(raw.DARC, TOKENS.DARC.decimals),
-        PANDA: formatTokenAmount(raw.PANDA, TOKENS.PANDA.decimals),
-        USDC: formatTokenAmount(raw.USDC, TOKENS.USDC.decimals),
-        LP_USDC_CAT: formatTokenAmount(raw.LP_USDC_CAT, 18),
-        LP_USDC_DARC: formatTokenAmount(raw.LP_USDC_DARC, 18),
-        LP_USDC_PANDA: formatTokenAmount(raw.LP_USDC_PANDA, 18),
+        ...tokenBalances,
+        ...lpBalances,
       });
     } catch (error) {
       console.error('Error fetching balances in hook:', error);
@@ -84,9 +105,10 @@ export function useBalances(provider, address) {
         PANDA: 0n,
         USDC: 0n,
       });
+      setPoolPositions({});
     }
-  }, [provider, address]);
+  }, [provider, address, pools]);
 
-  return { balances, rawBalances, fetchBalances };
+  return { balances, rawBalances, poolPositions, fetchBalances };
 }
 
@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+
+// Latest block number, updated from the provider's block subscription
+export function useBlockNumber(provider) {
+  const [blockNumber, setBlockNumber] = useState(null);
+
+  useEffect(() => {
+    if (!provider) return;
+
+    let active = true;
+    const handleBlock = (number) => {
+      if (active) setBlockNumber(number);
+    };
+
+    provider.getBlockNumber().then(handleBlock).catch(() => {});
+    provider.on('block', handleBlock);
+
+    return () => {
+      active = false;
+      provider.off('block', handleBlock);
+    };
+  }, [provider]);
+
+  return blockNumber;
+}
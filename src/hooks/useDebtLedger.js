@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatUnits } from 'ethers';
+import { LENDABLE_TOKENS } from '../constants/tokens';
+import { getDebtLedger } from '../services/debtLedgerService';
+
+// Stable refreshKey from per-symbol debts (wei): cents-level rounding so interest accruing
+// between polls does not rebuild the ledger, while any borrow or repay does
+export const getDebtLedgerKey = (debts) =>
+  LENDABLE_TOKENS.map(t => Number(formatUnits(debts[t.symbol] || 0n, t.decimals)).toFixed(2)).join(',');
+
+// Debt ledgers keyed by token symbol. Changing refreshKey (e.g. after a borrow/repay) re-reads them.
+export function useDebtLedger(provider, address, refreshKey) {
+  const [ledger, setLedger] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!provider || !address) {
+      setLedger({});
+      return;
+    }
+
+    setLoading(true);
+    try {
+      setLedger(await getDebtLedger(provider, address));
+    } catch (error) {
+      console.warn('[RPC] Debt ledger fetch failed:', error.code || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [provider, address]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  return { ledger, loading, refresh };
+}
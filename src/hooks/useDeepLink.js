@@ -0,0 +1,31 @@
+import { useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { toSearchString } from '../utils/deepLinks';
+
+/**
+ * Keep a page's form state and its query string in sync.
+ * values: params to mirror into the URL (empty values are dropped)
+ * applyParams(searchParams): called when the URL changes from outside,
+ * e.g. a link opened while the page is already mounted.
+ * Pages read the initial URL themselves when initialising state.
+ */
+export function useDeepLink(values, applyParams) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const writtenRef = useRef(searchParams.toString());
+  const applyRef = useRef(applyParams);
+  applyRef.current = applyParams;
+
+  const search = searchParams.toString();
+  useEffect(() => {
+    if (search === writtenRef.current) return;
+    writtenRef.current = search;
+    applyRef.current(new URLSearchParams(search));
+  }, [search]);
+
+  const nextSearch = toSearchString(values);
+  useEffect(() => {
+    if (nextSearch === writtenRef.current) return;
+    writtenRef.current = nextSearch;
+    setSearchParams(nextSearch, { replace: true });
+  }, [nextSearch, setSearchParams]);
+}
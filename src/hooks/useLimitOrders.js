@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useNotifications } from '../components/NotificationProvider';
+import {
+  getLimitOrders,
+  saveLimitOrder,
+  cancelLimitOrder,
+  markLimitOrderFilled,
+  clearClosedLimitOrders,
+  expireLimitOrders,
+  findTriggeredLimitOrders,
+  getTriggeredLimitOrders,
+  setTriggeredLimitOrders,
+  requestLimitOrderFill,
+  LIMIT_ORDERS_CHANGED_EVENT,
+} from '../services/limitOrderService';
+
+const POLL_INTERVAL = 15000; // 15 seconds
+
+// Watch open orders while the app is open, on every page, and notify each time an
+// order becomes fillable, with a link to its Fill modal. Mounted once in the app layout.
+export function useLimitOrderWatcher(provider, address) {
+  const { addNotification } = useNotifications();
+  // navigate changes with the route; read it from a ref so page changes do not restart the watcher
+  const navigateRef = useRef(null);
+  navigateRef.current = useNavigate();
+  const notifiedRef = useRef(new Set());
+
+  useEffect(() => {
+    setTriggeredLimitOrders(address, []);
+    if (!address) return;
+
+    let cancelled = false;
+
+    const check = async () => {
+      const current = expireLimitOrders(address);
+
+      if (!provider || !current.some(o => o.status === 'open')) {
+        setTriggeredLimitOrders(address, []);
+        notifiedRef.current.clear();
+        return;
+      }
+
+      try {
+        const ready = await findTriggeredLimitOrders(provider, current);
+        if (cancelled) return;
+        setTriggeredLimitOrders(address, ready);
+
+        // Forget orders that stopped being fillable, so crossing the target again alerts again
+        const readyIds = new Set(ready.map(({ order }) => order.id));
+        for (const id of notifiedRef.current) {
+          if (!readyIds.has(id)) notifiedRef.current.delete(id);
+        }
+
+        for (const { order, executionRate } of ready) {
+          if (notifiedRef.current.has(order.id)) continue;
+          notifiedRef.current.add(order.id);
+          addNotification({
+            type: 'warning',
+            persistent: true,
+            title: 'Limit order ready',
+            message: `1 ${order.fromSymbol} = ${executionRate.toFixed(6)} ${order.toSymbol} (target ${order.targetRate}). Approve and sign the swap to fill it.`,
+            cta: {
+              label: 'Fill order',
+              onClick: () => {
+                navigateRef.current('/swap');
+                requestLimitOrderFill(order.id);
+              },
+            },
+          });
+        }
+      } catch (error) {
+        console.warn('Limit order check failed:', error.message);
+      }
+    };
+
+    check();
+    const interval = setInterval(check, POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [provider, address, addNotification]);
+}
+
+// The wallet's orders and the watcher's latest triggers, with order actions
+export function useLimitOrders(address) {
+  const [orders, setOrders] = useState([]);
+  const [triggered, setTriggered] = useState([]);
+
+  const refresh = useCallback(() => {
+    setOrders(address ? getLimitOrders(address) : []);
+    setTriggered(getTriggeredLimitOrders(address));
+  }, [address]);
+
+  useEffect(() => {
+    refresh();
+    window.addEventListener(LIMIT_ORDERS_CHANGED_EVENT, refresh);
+    return () => window.removeEventListener(LIMIT_ORDERS_CHANGED_EVENT, refresh);
+  }, [refresh]);
+
+  const saveOrder = useCallback((order) => saveLimitOrder(address, order), [address]);
+
+  const cancelOrder = useCallback((id) => {
+    cancelLimitOrder(address, id);
+  }, [address]);
+
+  const markFilled = useCallback((id, txHash) => {
+    markLimitOrderFilled(address, id, txHash);
+  }, [address]);
+
+  const clearClosed = useCallback(() => {
+    clearClosedLimitOrders(address);
+  }, [address]);
+
+  // Drop triggers for orders edited, cancelled or filled since the last check
+  const openIds = new Set(orders.filter(o => o.status === 'open').map(o => o.id));
+  const readyOrders = triggered.filter(t => {
+    const current = orders.find(o => o.id === t.order.id);
+    return openIds.has(t.order.id) && current?.targetRate === t.order.targetRate && current?.amountIn === t.order.amountIn;
+  });
+
+  return { orders, triggered: readyOrders, saveOrder, cancelOrder, markFilled, clearClosed };
+}
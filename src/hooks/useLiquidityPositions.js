@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getUserLiquidityEvents, getLiquidityPosition } from '../services/positionService';
+import { getPoolKey } from '../utils/pools';
+
+// LP positions (keyed like the LP balances, see getPoolKey) for the given pools, with entry/hold/IL figures.
+// Changing refreshKey (e.g. LP balances) re-reads them.
+export function useLiquidityPositions(provider, address, pools, refreshKey) {
+  const [positions, setPositions] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!provider || !address) {
+      setPositions({});
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const events = await getUserLiquidityEvents(provider, address).catch((error) => {
+        console.warn('[RPC] Liquidity event scan failed:', error.code || error.message);
+        return [];
+      });
+      const results = await Promise.all(
+        pools.map(({ token, pair }) => getLiquidityPosition(provider, address, token, pair, events))
+      );
+
+      const next = {};
+      pools.forEach((pool, i) => {
+        if (results[i]) next[getPoolKey(pool)] = results[i];
+      });
+      setPositions(next);
+    } finally {
+      setLoading(false);
+    }
+  }, [provider, address, pools]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  return { positions, loading, refresh };
+}
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+import { getRegisteredPools, discoverPools, POOL_REGISTRY_CHANGED_EVENT } from '../services/poolRegistryService';
+
+// Listed pools ({ token, pair }), updated when a pool is created, registered or discovered.
+// With a provider, also kicks off discovery (throttled and shared inside the registry).
+export function usePools(provider) {
+  const [pools, setPools] = useState(getRegisteredPools);
+
+  useEffect(() => {
+    const refresh = () => setPools(getRegisteredPools());
+    window.addEventListener(POOL_REGISTRY_CHANGED_EVENT, refresh);
+    return () => window.removeEventListener(POOL_REGISTRY_CHANGED_EVENT, refresh);
+  }, []);
+
+  useEffect(() => {
+    if (provider) discoverPools(provider);
+  }, [provider]);
+
+  return pools;
+}
@@ -0,0 +1,62 @@
+import { useEffect, useRef } from 'react';
+import { useNotifications } from '../components/NotificationProvider';
+import {
+  getRiskSnapshot,
+  getRiskAlertSettings,
+  getRiskLevel,
+  formatHealthFactor,
+  RISK_ALERTS_CHANGED_EVENT,
+} from '../services/riskService';
+
+const POLL_INTERVAL = 30000; // 30 seconds
+const LEVEL_RANK = { safe: 0, warning: 1, critical: 2 };
+
+// Watch the wallet's lending health factor while the app is open and raise a
+// notification each time it drops into the warning or critical band.
+export function useRiskAlerts(provider, address) {
+  const { addNotification } = useNotifications();
+  const levelRef = useRef('safe');
+
+  useEffect(() => {
+    levelRef.current = 'safe';
+    if (!provider || !address) return;
+
+    let cancelled = false;
+
+    const check = async () => {
+      const settings = getRiskAlertSettings(address);
+      if (!settings.enabled) return;
+
+      try {
+        const { state } = await getRiskSnapshot(provider, address);
+        if (cancelled) return;
+
+        const level = getRiskLevel(state.healthFactor, settings);
+        if (LEVEL_RANK[level] > LEVEL_RANK[levelRef.current]) {
+          const healthFactor = formatHealthFactor(state.healthFactor);
+          addNotification({
+            type: level === 'critical' ? 'error' : 'warning',
+            persistent: true,
+            title: level === 'critical' ? 'Liquidation risk' : 'Health factor dropping',
+            message: level === 'critical'
+              ? `Health factor is ${healthFactor}, below your ${settings.critical} alert. Repay debt or add collateral now.`
+              : `Health factor is ${healthFactor}, below your ${settings.warning} alert.`,
+          });
+        }
+        levelRef.current = level;
+      } catch (error) {
+        console.warn('[RPC] Risk check failed:', error.code || error.message);
+      }
+    };
+
+    check();
+    const interval = setInterval(check, POLL_INTERVAL);
+    window.addEventListener(RISK_ALERTS_CHANGED_EVENT, check);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      window.removeEventListener(RISK_ALERTS_CHANGED_EVENT, check);
+    };
+  }, [provider, address, addNotification]);
+}
@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_DEADLINE_MINUTES } from '../services/swapService';
+
+const STORAGE_KEY = 'swap-settings';
+const SETTINGS_CHANGED_EVENT = 'swapSettingsChanged';
+
+export const SLIPPAGE_PRESETS = [0.1, 0.5, 1];
+export const MAX_SLIPPAGE = 50;
+export const HIGH_SLIPPAGE = 5;
+export const MAX_DEADLINE_MINUTES = 4320; // 3 days
+export const LONG_DEADLINE_MINUTES = 60;
+
+export const DEFAULT_SWAP_SETTINGS = {
+  slippage: 1, // percent
+  deadlineMinutes: DEFAULT_DEADLINE_MINUTES,
+  expertMode: false, // skip the confirmation modal
+  infiniteApproval: false,
+};
+
+/**
+ * Validate settings. Returns { errors, warnings } keyed by setting name;
+ * errors block saving, warnings are shown next to the field.
+ */
+export function validateSwapSettings(settings) {
+  const errors = {};
+  const warnings = {};
+
+  const slippage = Number(settings.slippage);
+  if (!Number.isFinite(slippage) || slippage <= 0) {
+    errors.slippage = 'Enter a slippage above 0%';
+  } else if (slippage > MAX_SLIPPAGE) {
+    errors.slippage = `Slippage cannot exceed ${MAX_SLIPPAGE}%`;
+  } else if (slippage > HIGH_SLIPPAGE) {
+    warnings.slippage = 'High slippage - your swap may be frontrun and fill at a much worse rate';
+  } else if (slippage < 0.05) {
+    warnings.slippage = 'Very low slippage - your swap may fail';
+  }
+
+  const deadline = Number(settings.deadlineMinutes);
+  if (!Number.isInteger(deadline) || deadline < 1) {
+    errors.deadlineMinutes = 'Deadline must be a whole number of minutes, at least 1';
+  } else if (deadline > MAX_DEADLINE_MINUTES) {
+    errors.deadlineMinutes = `Deadline cannot exceed ${MAX_DEADLINE_MINUTES} minutes`;
+  } else if (deadline > LONG_DEADLINE_MINUTES) {
+    warnings.deadlineMinutes = 'A long deadline lets a stuck transaction execute at a stale price';
+  }
+
+  if (settings.infiniteApproval) {
+    warnings.infiniteApproval = 'The router can spend any amount of approved tokens until you revoke it';
+  }
+
+  return { errors, warnings };
+}
+
+function loadSwapSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const settings = { ...DEFAULT_SWAP_SETTINGS, ...saved };
+    // Fall back to defaults for anything invalid (e.g. hand-edited storage)
+    const { errors } = validateSwapSettings(settings);
+    for (const key of Object.keys(errors)) {
+      settings[key] = DEFAULT_SWAP_SETTINGS[key];
+    }
+    return settings;
+  } catch (error) {
+    return { ...DEFAULT_SWAP_SETTINGS };
+  }
+}
+
+// Persistent swap settings shared by every component that uses them
+export function useSwapSettings() {
+  const [settings, setSettings] = useState(loadSwapSettings);
+
+  // Keep multiple mounted consumers in sync
+  useEffect(() => {
+    const handleChange = () => setSettings(loadSwapSettings());
+    window.addEventListener(SETTINGS_CHANGED_EVENT, handleChange);
+    return () => window.removeEventListener(SETTINGS_CHANGED_EVENT, handleChange);
+  }, []);
+
+  // Returns the validation result; settings are only saved when error-free
+  const updateSettings = useCallback((updates) => {
+    const next = { ...loadSwapSettings(), ...updates };
+    const validation = validateSwapSettings(next);
+    if (Object.keys(validation.errors).length > 0) return validation;
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setSettings(next);
+    window.dispatchEvent(new CustomEvent(SETTINGS_CHANGED_EVENT));
+    return validation;
+  }, []);
+
+  const resetSettings = useCallback(() => {
+    localStorage.removeItem(STORAGE_KEY);
+    setSettings({ ...DEFAULT_SWAP_SETTINGS });
+    window.dispatchEvent(new CustomEvent(SETTINGS_CHANGED_EVENT));
+  }, []);
+
+  return { settings, updateSettings, resetSettings };
+}
@@ -206,6 +206,120 @@ export async function fetchWalletTransactions(walletAddress, limit = 20) {
   return [];
 }
 
+/**
+ * Fetch swap and liquidity events touching one pool since a unix time (seconds)
+ * Liquidity rows carry token0 as tokenIn and token1 as tokenOut.
+ * Returns null when the subgraph is unavailable so callers can fall back to logs
+ */
+export async function fetchPoolEvents(symbolA, symbolB, since, limit = 1000) {
+  const subgraphData = await querySubgraph(`
+    query GetPoolEvents($tokens: [String!], $since: BigInt, $limit: Int) {
+      transactions(
+        first: $limit,
+        orderBy: timestamp,
+        orderDirection: desc,
+        where: {
+          type_in: ["swap", "add_liquidity", "remove_liquidity"],
+          tokenIn_in: $tokens,
+          tokenOut_in: $tokens,
+          timestamp_gte: $since
+        }
+      ) {
+        txHash
+        blockNumber
+        timestamp
+        type
+        tokenIn
+        tokenOut
+        amountIn
+        amountOut
+      }
+    }
+  `, { tokens: [symbolA, symbolB], since: String(since), limit });
+
+  if (subgraphData && subgraphData.transactions) {
+    return subgraphData.transactions.map(tx => ({
+      ...tx,
+      blockNumber: parseInt(tx.blockNumber, 10),
+      timestamp: parseInt(tx.timestamp, 10) * 1000,
+      amountIn: parseFloat(tx.amountIn),
+      amountOut: tx.amountOut ? parseFloat(tx.amountOut) : 0,
+    }));
+  }
+
+  return null;
+}
+
+/**
+ * Borrow and repay rows for one wallet since the beginning, oldest first.
+ * Amounts stay strings (human units) so callers can parse them exactly.
+ * Returns null when the subgraph is unavailable so callers can fall back to logs
+ */
+export async function fetchDebtEvents(walletAddress, limit = 1000) {
+  const subgraphData = await querySubgraph(`
+    query GetDebtEvents($wallet: String, $limit: Int) {
+      transactions(
+        first: $limit,
+        orderBy: timestamp,
+        orderDirection: asc,
+        where: { wallet: $wallet, type_in: ["borrow", "repay"] }
+      ) {
+        txHash
+        blockNumber
+        timestamp
+        type
+        tokenIn
+        amountIn
+      }
+    }
+  `, { wallet: walletAddress.toLowerCase(), limit });
+
+  if (subgraphData && subgraphData.transactions) {
+    return subgraphData.transactions.map(tx => ({
+      ...tx,
+      blockNumber: parseInt(tx.blockNumber, 10),
+      timestamp: parseInt(tx.timestamp, 10) * 1000,
+    }));
+  }
+
+  return null;
+}
+
+/**
+ * Token pairs that have ever received liquidity, from add_liquidity rows
+ * (tokenIn/tokenOut are token0/token1). Deduplicated, unordered.
+ * Returns null when the subgraph is unavailable so callers can fall back to logs
+ */
+export async function fetchLiquidityPairs(limit = 1000) {
+  const subgraphData = await querySubgraph(`
+    query GetLiquidityPairs($limit: Int) {
+      transactions(
+        first: $limit,
+        orderBy: timestamp,
+        orderDirection: desc,
+        where: { type: "add_liquidity" }
+      ) {
+        tokenIn
+        tokenOut
+      }
+    }
+  `, { limit });
+
+  if (subgraphData && subgraphData.transactions) {
+    const seen = new Set();
+    const pairs = [];
+    for (const { tokenIn, tokenOut } of subgraphData.transactions) {
+      const key = [tokenIn, tokenOut].map(t => t.toLowerCase()).sort().join('|');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      pairs.push([tokenIn, tokenOut]);
+    }
+    return pairs;
+  }
+
+  return null;
+}
+
 export function getBackendUrl() {
   return SUBGRAPH_URL;
 }
@@ -0,0 +1,202 @@
+import { ethers } from 'ethers';
+import { CONTRACTS } from '../constants/contracts';
+import { LENDING_POOL_ABI, ERC20_ABI } from '../constants/abis';
+import { LENDABLE_TOKENS } from '../constants/tokens';
+import { projectAccountState, isBelowStepMargin } from './riskService';
+import { findBestRoute } from './routeService';
+import { executeSwapChunk, decodeSwapReceipt } from './swapService';
+
+// Collateral swap: withdraw token A, swap it to token B on the router, approve and
+// supply B. Every intermediate state is checked against riskService's
+// MIN_STEP_HEALTH_FACTOR, and progress is saved per wallet so a failed or abandoned
+// swap can be resumed.
+
+export const COLLATERAL_SWAP_STEPS = ['withdraw', 'approveA', 'swap', 'approveB', 'execute'];
+export const COLLATERAL_SWAP_CHANGED_EVENT = 'collateralSwapChanged';
+
+const STORAGE_PREFIX = 'collateral-swap';
+const storageKey = (address) => `${STORAGE_PREFIX}:${address.toLowerCase()}`;
+
+const findToken = (symbol) => LENDABLE_TOKENS.find(t => t.symbol === symbol);
+
+/**
+ * Account state after each step of swapping `amountIn` of fromToken collateral for
+ * `amountOut` of toToken: [{ key, label, state }]. The swap itself does not touch
+ * the pool, so the state between withdraw and supply is the weakest point.
+ */
+export function projectCollateralSwap(accountState, { fromToken, toToken, fromReserve, toReserve, amountIn, amountOut }) {
+  const afterWithdraw = projectAccountState(accountState, [
+    { action: 'withdraw', token: fromToken, reserve: fromReserve, amount: amountIn },
+  ]);
+  const afterSupply = projectAccountState(afterWithdraw, [
+    { action: 'supply', token: toToken, reserve: toReserve, amount: amountOut },
+  ]);
+  return [
+    { key: 'withdraw', label: `Withdraw ${fromToken.symbol}`, state: afterWithdraw },
+    { key: 'swap', label: `Swap to ${toToken.symbol}`, state: afterWithdraw },
+    { key: 'execute', label: `Supply ${toToken.symbol}`, state: afterSupply },
+  ];
+}
+
+// Largest withdrawal of fromToken (wei, up to `collateral`) that keeps the margin
+export function getMaxSafeSwapAmount(accountState, fromToken, fromReserve, collateral) {
+  const safeAt = (amount) => !isBelowStepMargin(projectAccountState(accountState, [
+    { action: 'withdraw', token: fromToken, reserve: fromReserve, amount },
+  ]));
+  if (safeAt(collateral)) return collateral;
+
+  let low = 0n;
+  let high = collateral;
+  while (high - low > 1n) {
+    const mid = (low + high) / 2n;
+    if (safeAt(mid)) low = mid;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Quote and risk-check a collateral swap. amountIn is wei of fromToken; amountOutMin
+ * applies the slippage tolerance (percent). Returns { fromToken, toToken, amountIn,
+ * expectedOut, amountOutMin, path, stages, minHealthFactor, safe } or null without a route.
+ */
+export async function previewCollateralSwap(provider, accountState, reserves, { fromToken, toToken, amountIn, slippage }) {
+  if (!provider || !fromToken || !toToken || !amountIn || amountIn <= 0n) return null;
+
+  const route = await findBestRoute(provider, amountIn, fromToken, toToken);
+  if (!route) return null;
+
+  const slippageBps = BigInt(Math.round(slippage * 100));
+  const amountOutMin = (route.amountOut * (10000n - slippageBps)) / 10000n;
+  // Check risk against the worst fill the swap will accept
+  const stages = projectCollateralSwap(accountState, {
+    fromToken,
+    toToken,
+    fromReserve: reserves[fromToken.symbol],
+    toReserve: reserves[toToken.symbol],
+    amountIn,
+    amountOut: amountOutMin,
+  });
+
+  const healthFactors = stages.map(s => s.state.healthFactor).filter(hf => hf !== null);
+  const minHealthFactor = healthFactors.length > 0
+    ? healthFactors.reduce((min, hf) => (hf < min ? hf : min))
+    : null;
+
+  return {
+    fromToken,
+    toToken,
+    amountIn,
+    expectedOut: route.amountOut,
+    amountOutMin,
+    path: route.path,
+    stages,
+    minHealthFactor,
+    safe: !stages.some(s => isBelowStepMargin(s.state)),
+  };
+}
+
+// ========== PROGRESS ==========
+
+/**
+ * The wallet's unfinished collateral swap, or null:
+ * { from, to (symbols), amountIn, expectedOut, received (wei strings), slippage, completed: [step keys] }
+ */
+export function getPendingCollateralSwap(address) {
+  if (!address) return null;
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(address)) || 'null');
+    if (!saved || !findToken(saved.from) || !findToken(saved.to)) return null;
+    return saved;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function savePendingCollateralSwap(address, progress) {
+  if (progress && progress.completed.length < COLLATERAL_SWAP_STEPS.length) {
+    localStorage.setItem(storageKey(address), JSON.stringify(progress));
+  } else {
+    localStorage.removeItem(storageKey(address));
+  }
+  window.dispatchEvent(new CustomEvent(COLLATERAL_SWAP_CHANGED_EVENT));
+}
+
+export const clearPendingCollateralSwap = (address) => savePendingCollateralSwap(address, null);
+
+// Progress record for a fresh swap from a preview
+export const startCollateralSwap = (preview, slippage) => ({
+  from: preview.fromToken.symbol,
+  to: preview.toToken.symbol,
+  amountIn: preview.amountIn.toString(),
+  expectedOut: preview.expectedOut.toString(),
+  received: null,
+  slippage,
+  completed: [],
+});
+
+// ========== STEPS ==========
+// Each step waits for its receipt so progress is only recorded once it landed.
+// Approvals return null when the allowance already covers the amount.
+
+export async function withdrawSwapCollateral(signer, progress) {
+  if (!signer) throw new Error('Signer not available');
+
+  const lendingPool = new ethers.Contract(CONTRACTS.LENDING_POOL, LENDING_POOL_ABI, signer);
+  const tx = await lendingPool.withdrawCollateral(findToken(progress.from).address, BigInt(progress.amountIn));
+  await tx.wait();
+  return tx;
+}
+
+async function approveIfNeeded(signer, token, spender, amount) {
+  const tokenContract = new ethers.Contract(token.address, ERC20_ABI, signer);
+  const allowance = await tokenContract.allowance(await signer.getAddress(), spender);
+  if (allowance >= amount) return null;
+
+  const tx = await tokenContract.approve(spender, amount);
+  await tx.wait();
+  return tx;
+}
+
+export async function approveSwapCollateral(signer, progress) {
+  if (!signer) throw new Error('Signer not available');
+  return approveIfNeeded(signer, findToken(progress.from), CONTRACTS.SWAP_ROUTER, BigInt(progress.amountIn));
+}
+
+/**
+ * Swap the withdrawn collateral along a freshly routed path. The minimum output stays
+ * tied to the quote the risk check used. Returns { tx, received (wei) }.
+ */
+export async function swapCollateral(signer, progress, { deadlineMinutes } = {}) {
+  if (!signer) throw new Error('Signer not available');
+
+  const fromToken = findToken(progress.from);
+  const toToken = findToken(progress.to);
+  const amountIn = BigInt(progress.amountIn);
+
+  const route = await findBestRoute(signer.provider, amountIn, fromToken, toToken);
+  if (!route) throw new Error(`No liquidity route from ${fromToken.symbol} to ${toToken.symbol}`);
+
+  const chunk = { amountIn, amountOut: BigInt(progress.expectedOut), path: route.path };
+  const tx = await executeSwapChunk(signer, chunk, progress.slippage, { deadlineMinutes });
+  const receipt = await tx.wait();
+
+  // Without a decodable Swap event, assume the worst fill the swap allowed
+  const fill = decodeSwapReceipt(receipt, fromToken, toToken);
+  const slippageBps = BigInt(Math.round(progress.slippage * 100));
+  return { tx, received: fill ? fill.amountOut : (chunk.amountOut * (10000n - slippageBps)) / 10000n };
+}
+
+export async function approveSwapSupply(signer, progress) {
+  if (!signer) throw new Error('Signer not available');
+  return approveIfNeeded(signer, findToken(progress.to), CONTRACTS.LENDING_POOL, BigInt(progress.received));
+}
+
+export async function supplySwappedCollateral(signer, progress) {
+  if (!signer) throw new Error('Signer not available');
+
+  const lendingPool = new ethers.Contract(CONTRACTS.LENDING_POOL, LENDING_POOL_ABI, signer);
+  const tx = await lendingPool.supplyCollateral(findToken(progress.to).address, BigInt(progress.received));
+  await tx.wait();
+  return tx;
+}
@@ -0,0 +1,214 @@
+import { ethers } from 'ethers';
+import { CONTRACTS } from '../constants/contracts';
+import { LENDING_POOL_ABI } from '../constants/abis';
+import { LENDABLE_TOKENS } from '../constants/tokens';
+import { fetchDebtEvents } from './backendService';
+import { getUserDebt } from './lendingService';
+import { rateToPercent } from './marketService';
+import { getLogsChunked, MAX_LOG_BLOCKS } from '../utils/logs';
+
+// Debt ledger: the wallet's borrow/repay history per token, split into principal
+// and accrued interest. Interest between events is modelled as simple interest at
+// the rate recorded on the latest borrow; the current figure comes from getUserDebt.
+
+const CACHE_PREFIX = 'debt-events';
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const RECEIPT_BATCH_SIZE = 10;
+
+// Mined receipts never change: tx hash -> the debt events it emitted, with their user
+const receiptEventCache = new Map();
+
+const lendingInterface = new ethers.Interface(LENDING_POOL_ABI);
+const DEBT_TOPICS = ['TokenBorrowed', 'TokenRepaid'].map(name => lendingInterface.getEvent(name).topicHash);
+
+const cacheKey = (address) => `${CACHE_PREFIX}:${address.toLowerCase()}`;
+
+function loadEventCache(address) {
+  try {
+    const saved = localStorage.getItem(cacheKey(address));
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// TokenBorrowed/TokenRepaid log -> ledger event (without timestamp)
+function toDebtEvent(log) {
+  const parsed = lendingInterface.parseLog(log);
+  if (!parsed) return null;
+  return {
+    type: parsed.name === 'TokenBorrowed' ? 'borrow' : 'repay',
+    token: parsed.args.token.toLowerCase(),
+    amount: parsed.args.amount.toString(),
+    rate: parsed.name === 'TokenBorrowed' ? parsed.args.interestRate.toString() : null,
+    blockNumber: log.blockNumber,
+    hash: log.transactionHash,
+  };
+}
+
+// Debt events in a receipt, each with its indexed user (topic 1)
+function getReceiptDebtEvents(receipt) {
+  const events = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== CONTRACTS.LENDING_POOL.toLowerCase() || !DEBT_TOPICS.includes(log.topics[0])) continue;
+    const event = toDebtEvent(log);
+    if (event) events.push({ ...event, user: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)) });
+  }
+  return events;
+}
+
+// Fetch receipts not seen yet, RECEIPT_BATCH_SIZE at a time
+async function loadReceiptEvents(provider, hashes) {
+  const missing = hashes.filter(hash => !receiptEventCache.has(hash));
+  for (let i = 0; i < missing.length; i += RECEIPT_BATCH_SIZE) {
+    const batch = missing.slice(i, i + RECEIPT_BATCH_SIZE);
+    const receipts = await Promise.all(batch.map(hash => provider.getTransactionReceipt(hash)));
+    receipts.forEach((receipt, j) => {
+      // Not mined yet (or unknown to this RPC): try again next refresh
+      if (receipt) receiptEventCache.set(batch[j], getReceiptDebtEvents(receipt));
+    });
+  }
+}
+
+// Subgraph rows only name the transactions; exact amounts and rates come from their receipts.
+// An empty result falls back to logs too, as the subgraph may simply not index this wallet yet.
+async function getEventsFromSubgraph(provider, userAddress) {
+  const rows = await fetchDebtEvents(userAddress);
+  if (!rows || rows.length === 0) return null;
+
+  const hashes = [...new Set(rows.map(row => row.txHash))];
+  await loadReceiptEvents(provider, hashes);
+  const timestamps = Object.fromEntries(rows.map(row => [row.txHash, row.timestamp]));
+  const user = ethers.getAddress(userAddress);
+
+  const events = [];
+  for (const hash of hashes) {
+    for (const { user: eventUser, ...event } of receiptEventCache.get(hash) || []) {
+      // Only the wallet's own events
+      if (eventUser === user) events.push({ ...event, timestamp: timestamps[hash] });
+    }
+  }
+  return events;
+}
+
+// Log fallback, scanned incrementally with results cached per wallet
+async function getEventsFromLogs(provider, userAddress) {
+  const cached = loadEventCache(userAddress);
+  const latest = await provider.getBlockNumber();
+  const fromBlock = cached ? cached.lastBlock + 1 : Math.max(0, latest - MAX_LOG_BLOCKS);
+  if (fromBlock > latest) return cached.events;
+
+  const topics = [DEBT_TOPICS, ethers.zeroPadValue(userAddress, 32)];
+  const logs = await getLogsChunked(provider, { address: CONTRACTS.LENDING_POOL, topics }, fromBlock, latest);
+
+  const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+  const blocks = await Promise.all(blockNumbers.map(n => provider.getBlock(n)));
+  const timestampOf = Object.fromEntries(blocks.map((block, i) => [blockNumbers[i], block.timestamp * 1000]));
+
+  const events = [
+    ...(cached?.events || []),
+    ...logs.map(toDebtEvent).filter(Boolean).map(event => ({ ...event, timestamp: timestampOf[event.blockNumber] })),
+  ];
+
+  localStorage.setItem(cacheKey(userAddress), JSON.stringify({ lastBlock: latest, events }));
+  return events;
+}
+
+/**
+ * The wallet's borrow/repay events, oldest first: { type, token (lowercase address),
+ * amount (wei string), rate (wei string, borrows only), blockNumber, hash, timestamp }.
+ * Subgraph first, chunked log scan as fallback.
+ */
+export async function getDebtEvents(provider, userAddress) {
+  if (!provider || !userAddress) return [];
+
+  let events = null;
+  try {
+    events = await getEventsFromSubgraph(provider, userAddress);
+  } catch (error) {
+    console.warn('[RPC] Debt receipts fetch failed:', error.code || error.message);
+  }
+  if (!events) events = await getEventsFromLogs(provider, userAddress);
+
+  return [...events].sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+// Simple interest on principal at an annual rate (percent) over elapsed ms
+const accrue = (principal, ratePercent, elapsedMs) =>
+  elapsedMs > 0 && ratePercent > 0
+    ? (principal * BigInt(Math.round(ratePercent * 100)) * BigInt(Math.round(elapsedMs))) / (10000n * BigInt(YEAR_MS))
+    : 0n;
+
+/**
+ * Replay one token's events into a ledger. Repayments settle accrued interest first.
+ * currentDebt (wei, from getUserDebt) anchors the final point, so interest today is exact.
+ */
+export function buildTokenLedger(token, events, currentDebt, now = Date.now()) {
+  let principal = 0n;
+  let interest = 0n;
+  let ratePercent = 0;
+  let lastTime = null;
+  let totalBorrowed = 0n;
+  let totalRepaid = 0n;
+  const entries = [];
+
+  for (const event of events) {
+    if (lastTime !== null) interest += accrue(principal, ratePercent, event.timestamp - lastTime);
+    lastTime = event.timestamp;
+
+    const amount = BigInt(event.amount);
+    if (event.type === 'borrow') {
+      principal += amount;
+      totalBorrowed += amount;
+      ratePercent = rateToPercent(event.rate);
+    } else {
+      totalRepaid += amount;
+      const towardInterest = amount < interest ? amount : interest;
+      interest -= towardInterest;
+      const towardPrincipal = amount - towardInterest;
+      principal = principal > towardPrincipal ? principal - towardPrincipal : 0n;
+    }
+
+    entries.push({ ...event, principal, interest, debt: principal + interest });
+  }
+
+  // Today: trust the pool's figure; what exceeds outstanding principal is interest
+  if (currentDebt < principal) principal = currentDebt;
+  interest = currentDebt - principal;
+  const points = [
+    ...entries.map(e => ({ timestamp: e.timestamp, principal: e.principal, debt: e.debt })),
+    { timestamp: now, principal, debt: currentDebt },
+  ];
+
+  return {
+    token,
+    principal,
+    interest,
+    debt: currentDebt,
+    totalBorrowed,
+    totalRepaid,
+    ratePercent,
+    entries,
+    points,
+  };
+}
+
+/**
+ * Ledgers for every lendable token the wallet has borrowed (or still owes), keyed by symbol.
+ */
+export async function getDebtLedger(provider, userAddress) {
+  if (!provider || !userAddress) return {};
+
+  const [events, debts] = await Promise.all([
+    getDebtEvents(provider, userAddress),
+    Promise.all(LENDABLE_TOKENS.map(token => getUserDebt(provider, userAddress, token.address))),
+  ]);
+
+  const ledger = {};
+  LENDABLE_TOKENS.forEach((token, i) => {
+    const tokenEvents = events.filter(e => e.token === token.address.toLowerCase());
+    if (tokenEvents.length === 0 && debts[i] === 0n) return;
+    ledger[token.symbol] = buildTokenLedger(token, tokenEvents, debts[i]);
+  });
+  return ledger;
+}
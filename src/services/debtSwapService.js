@@ -0,0 +1,199 @@
+import { formatUnits } from 'ethers';
+import { LENDABLE_TOKENS } from '../constants/tokens';
+import { borrowTokens, repayTokens, getUserDebt } from './lendingService';
+import { projectAccountState, toUSD, isBelowStepMargin } from './riskService';
+import { findBestRouteForOutput } from './routeService';
+import {
+  checkSwapAllowance,
+  approveSwapToken,
+  executeExactOutputSwap,
+  decodeSwapReceipt,
+} from './swapService';
+
+// Debt swap (refinancing): borrow token B, swap all of it for at least the token A needed
+// on the router, and repay A. The borrow carries the slippage tolerance as headroom so the
+// swap survives small price moves; any A bought above the target is repaid as well.
+// Progress is saved per wallet so a failed sequence can be resumed or rolled back
+// (repaying the borrowed B).
+
+export const DEBT_SWAP_STEPS = ['borrow', 'approveA', 'swap', 'execute'];
+export const DEBT_SWAP_CHANGED_EVENT = 'debtSwapChanged';
+
+const STORAGE_PREFIX = 'debt-swap';
+const storageKey = (address) => `${STORAGE_PREFIX}:${address.toLowerCase()}`;
+
+const findToken = (symbol) => LENDABLE_TOKENS.find(t => t.symbol === symbol);
+
+/**
+ * Plan refinancing `repayAmount` (wei) of repayToken debt with borrowToken, priced with
+ * getReserveData. Returns { repayToken, borrowToken, repayAmount, swapAmountIn,
+ * borrowAmount, path, debts: [{ token, before, after, beforeUSD, afterUSD }],
+ * afterBorrow, after, problem } or null without a route. problem is null when the
+ * sequence can run, otherwise 'capacity' | 'liquidity' | 'margin'.
+ */
+export async function previewDebtSwap(provider, accountState, reserves, userDebt, { repayToken, borrowToken, repayAmount, slippage }) {
+  if (!provider || !repayToken || !borrowToken || !repayAmount || repayAmount <= 0n) return null;
+
+  const route = await findBestRouteForOutput(provider, repayAmount, borrowToken, repayToken);
+  if (!route) return null;
+
+  const slippageBps = BigInt(Math.round(slippage * 100));
+  const borrowAmount = (route.amountIn * (10000n + slippageBps)) / 10000n;
+
+  const borrowReserve = reserves[borrowToken.symbol];
+  const repayReserve = reserves[repayToken.symbol];
+  const afterBorrow = projectAccountState(accountState, [
+    { action: 'borrow', token: borrowToken, reserve: borrowReserve, amount: borrowAmount },
+  ]);
+  const after = projectAccountState(afterBorrow, [
+    { action: 'repay', token: repayToken, reserve: repayReserve, amount: repayAmount },
+  ]);
+
+  const debts = LENDABLE_TOKENS.map((token) => {
+    const before = userDebt[token.symbol] || 0n;
+    let afterDebt = before;
+    if (token.symbol === borrowToken.symbol) afterDebt = before + borrowAmount;
+    if (token.symbol === repayToken.symbol) afterDebt = before > repayAmount ? before - repayAmount : 0n;
+    const priceUSD = reserves[token.symbol]?.priceUSD || 0n;
+    return {
+      token,
+      before,
+      after: afterDebt,
+      beforeUSD: toUSD(before, token, priceUSD),
+      afterUSD: toUSD(afterDebt, token, priceUSD),
+    };
+  }).filter(d => d.before > 0n || d.after > 0n);
+
+  // The borrow lands first, so it must fit the current limit and keep the margin on its own
+  let problem = null;
+  if (toUSD(borrowAmount, borrowToken, borrowReserve.priceUSD) > accountState.availableUSD) problem = 'capacity';
+  else if (borrowAmount > borrowReserve.availableLiquidity) problem = 'liquidity';
+  else if (isBelowStepMargin(afterBorrow)) problem = 'margin';
+
+  return {
+    repayToken,
+    borrowToken,
+    repayAmount,
+    swapAmountIn: route.amountIn,
+    borrowAmount,
+    path: route.path,
+    debts,
+    afterBorrow,
+    after,
+    problem,
+  };
+}
+
+// ========== PROGRESS ==========
+
+/**
+ * The wallet's unfinished debt swap, or null: { repay, borrow (symbols), repayAmount,
+ * borrowAmount, spent, received (wei strings), slippage, completed: [step keys] }
+ */
+export function getPendingDebtSwap(address) {
+  if (!address) return null;
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(address)) || 'null');
+    if (!saved || !findToken(saved.repay) || !findToken(saved.borrow)) return null;
+    return saved;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function savePendingDebtSwap(address, progress) {
+  if (progress && progress.completed.length < DEBT_SWAP_STEPS.length) {
+    localStorage.setItem(storageKey(address), JSON.stringify(progress));
+  } else {
+    localStorage.removeItem(storageKey(address));
+  }
+  window.dispatchEvent(new CustomEvent(DEBT_SWAP_CHANGED_EVENT));
+}
+
+export const clearPendingDebtSwap = (address) => savePendingDebtSwap(address, null);
+
+// Progress record for a fresh debt swap from a preview
+export const startDebtSwap = (preview, slippage) => ({
+  repay: preview.repayToken.symbol,
+  borrow: preview.borrowToken.symbol,
+  repayAmount: preview.repayAmount.toString(),
+  borrowAmount: preview.borrowAmount.toString(),
+  spent: null,
+  received: null,
+  slippage,
+  completed: [],
+});
+
+// ========== STEPS ==========
+// Built on the single-action lending and swap services, which take decimal strings.
+
+const asDecimal = (amount, token) => formatUnits(BigInt(amount), token.decimals);
+
+export async function borrowForDebtSwap(signer, progress) {
+  const token = findToken(progress.borrow);
+  const tx = await borrowTokens(signer, token, asDecimal(progress.borrowAmount, token));
+  await tx.wait();
+  return tx;
+}
+
+// Null when the router can already spend the borrowed amount
+export async function approveDebtSwap(signer, progress) {
+  const token = findToken(progress.borrow);
+  const amount = asDecimal(progress.borrowAmount, token);
+  if (await checkSwapAllowance(signer.provider, await signer.getAddress(), token, amount)) return null;
+
+  const tx = await approveSwapToken(signer, token, amount);
+  await tx.wait();
+  return tx;
+}
+
+/**
+ * Sell the borrowed amount for at least repayAmount of the repay token. Returns
+ * { tx, spent (wei of the borrowed token), received (wei of the repay token) }.
+ */
+export async function swapForDebtSwap(signer, progress, { deadlineMinutes } = {}) {
+  const repayToken = findToken(progress.repay);
+  const borrowToken = findToken(progress.borrow);
+
+  const tx = await executeExactOutputSwap(
+    signer,
+    asDecimal(progress.repayAmount, repayToken),
+    borrowToken,
+    repayToken,
+    asDecimal(progress.borrowAmount, borrowToken),
+    { deadlineMinutes },
+  );
+  const receipt = await tx.wait();
+
+  // Without a decodable Swap event, assume the minimum the swap allowed
+  const fill = decodeSwapReceipt(receipt, borrowToken, repayToken);
+  return fill
+    ? { tx, spent: fill.amountIn, received: fill.amountOut }
+    : { tx, spent: BigInt(progress.borrowAmount), received: BigInt(progress.repayAmount) };
+}
+
+// Repay everything the swap bought, capped at the live debt (repaying more than is owed reverts)
+export async function repayForDebtSwap(signer, progress) {
+  const token = findToken(progress.repay);
+  const debt = await getUserDebt(signer.provider, await signer.getAddress(), token.address);
+  const bought = getDebtSwapRepayAmount(progress);
+  const amount = bought < debt ? bought : debt;
+
+  const tx = await repayTokens(signer, token, asDecimal(amount, token));
+  await tx.wait();
+  return tx;
+}
+
+// Rollback before the swap: repay the borrowed tokens that are still in the wallet
+export async function rollbackDebtSwap(signer, progress) {
+  const token = findToken(progress.borrow);
+  return repayTokens(signer, token, asDecimal(progress.borrowAmount, token));
+}
+
+// Repay tokens the swap bought (wei): the target until the swap landed, then the actual fill
+export const getDebtSwapRepayAmount = (progress) =>
+  BigInt(progress.received ?? progress.repayAmount);
+
+// Borrowed tokens the swap did not use (wei), once the swap landed
+export const getDebtSwapLeftover = (progress) =>
+  (progress.spent === null ? 0n : BigInt(progress.borrowAmount) - BigInt(progress.spent));
@@ -34,6 +34,45 @@ export async function getUserAccountData(provider, userAddress) {
   }
 }
 
+// Fractions and USD values from the pool are 18-decimal fixed point
+export const WAD = 10n ** 18n;
+// Fallback when getReserveData cannot be read (the pool's advertised 80%)
+export const DEFAULT_LTV = (80n * WAD) / 100n;
+
+// Known precompile addresses that aren't in the lending pool
+const USDC_PRECOMPILE = '0x3600000000000000000000000000000000000000';
+
+/**
+ * Reserve parameters for one token: { availableLiquidity, totalSupplied, totalBorrowed,
+ * ltv (WAD fraction), priceUSD (WAD per whole token) }. USDC is priced at $1.
+ */
+export async function getReserveData(provider, token) {
+  const isUsdc = token.address.toLowerCase() === USDC_PRECOMPILE.toLowerCase();
+  const fallback = {
+    availableLiquidity: 0n,
+    totalSupplied: 0n,
+    totalBorrowed: 0n,
+    ltv: DEFAULT_LTV,
+    priceUSD: isUsdc ? WAD : 0n,
+  };
+  if (!provider) return fallback;
+
+  try {
+    const lendingPool = new ethers.Contract(CONTRACTS.LENDING_POOL, LENDING_POOL_ABI, provider);
+    const data = await lendingPool.getReserveData(token.address);
+    return {
+      availableLiquidity: data[0],
+      totalSupplied: data[1],
+      totalBorrowed: data[2],
+      ltv: data[3],
+      priceUSD: isUsdc ? WAD : data[4],
+    };
+  } catch (error) {
+    console.warn('[RPC] Reserve data fetch failed:', error.code || error.message);
+    return fallback;
+  }
+}
+
 export async function getUserCollateral(provider, userAddress, tokenAddress) {
   if (!provider || !userAddress) return 0n;
 
@@ -188,3 +227,91 @@ export async function repayTokens(signer, token, amount) {
   return tx;
 }
 
+
+// Repay-all: interest keeps accruing between reading the debt and the repay landing,
+// so the approval carries headroom and any leftover dust is repaid in follow-up rounds.
+export const REPAY_ALL_BUFFER_BPS = 50n; // 0.5%
+const MAX_REPAY_ALL_ROUNDS = 3;
+
+export function getRepayAllApproval(debt) {
+  return debt + (debt * REPAY_ALL_BUFFER_BPS) / 10000n + 1n;
+}
+
+export async function checkRepayAllAllowance(provider, userAddress, token) {
+  if (!provider || !userAddress || !token) return false;
+
+  try {
+    const tokenContract = new ethers.Contract(token.address, ERC20_ABI, provider);
+    const [debt, allowance] = await Promise.all([
+      getUserDebt(provider, userAddress, token.address),
+      tokenContract.allowance(userAddress, CONTRACTS.LENDING_POOL),
+    ]);
+    return allowance >= getRepayAllApproval(debt);
+  } catch (error) {
+    console.error('Error checking allowance:', error);
+    return false;
+  }
+}
+
+// Approve the live debt plus REPAY_ALL_BUFFER_BPS
+export async function approveRepayAll(signer, token) {
+  if (!signer) throw new Error('Signer not available');
+
+  const lendingPool = new ethers.Contract(CONTRACTS.LENDING_POOL, LENDING_POOL_ABI, signer);
+  const tokenContract = new ethers.Contract(token.address, ERC20_ABI, signer);
+  const debt = await lendingPool.getUserDebt(await signer.getAddress(), token.address);
+
+  const tx = await tokenContract.approve(CONTRACTS.LENDING_POOL, getRepayAllApproval(debt));
+  return tx;
+}
+
+/**
+ * Repay a token's debt down to zero. Each round re-reads the live debt and repays exactly
+ * that, so the pool never sees more than is owed; dust accrued while a round was pending
+ * is picked up by the next one. onTransaction(tx, round) may take over waiting for each
+ * repay (e.g. to surface notifications); otherwise rounds are awaited here.
+ * Returns { repaid, remainingDebt, cleared, rounds, lastTx }.
+ */
+export async function repayAll(signer, token, { onTransaction } = {}) {
+  if (!signer) throw new Error('Signer not available');
+
+  const lendingPool = new ethers.Contract(CONTRACTS.LENDING_POOL, LENDING_POOL_ABI, signer);
+  const tokenContract = new ethers.Contract(token.address, ERC20_ABI, signer);
+  const userAddress = await signer.getAddress();
+
+  let repaid = 0n;
+  let rounds = 0;
+  let lastTx = null;
+
+  while (rounds < MAX_REPAY_ALL_ROUNDS) {
+    const debt = await lendingPool.getUserDebt(userAddress, token.address);
+    if (debt === 0n) break;
+
+    const [balance, allowance] = await Promise.all([
+      tokenContract.balanceOf(userAddress),
+      tokenContract.allowance(userAddress, CONTRACTS.LENDING_POOL),
+    ]);
+    if (balance < debt) {
+      if (rounds === 0) throw new Error(`Insufficient ${token.symbol} balance to repay the full debt.`);
+      break;
+    }
+    // Dust rounds top up the approval if the first round's headroom was used up
+    if (allowance < debt) {
+      const approveTx = await tokenContract.approve(CONTRACTS.LENDING_POOL, getRepayAllApproval(debt));
+      await approveTx.wait();
+    }
+
+    const tx = await lendingPool.repay(token.address, debt);
+    if (onTransaction) {
+      await onTransaction(tx, rounds);
+    } else {
+      await tx.wait();
+    }
+    repaid += debt;
+    rounds += 1;
+    lastTx = tx;
+  }
+
+  const remainingDebt = await lendingPool.getUserDebt(userAddress, token.address);
+  return { repaid, remainingDebt, cleared: remainingDebt === 0n, rounds, lastTx };
+}
@@ -0,0 +1,275 @@
+import { formatUnits } from 'ethers';
+import {
+  WAD,
+  supplyCollateral,
+  withdrawCollateral,
+  borrowTokens,
+  repayTokens,
+  repayAll,
+  getUserDebt,
+} from './lendingService';
+import { projectAccountState, getLiquidationPrice, MIN_STEP_HEALTH_FACTOR } from './riskService';
+import { getMaxSafeSwapAmount } from './collateralSwapService';
+import { findBestRoute, findBestRouteForOutput } from './routeService';
+import {
+  checkSwapAllowance,
+  approveSwapToken,
+  executeSwapChunk,
+  decodeSwapReceipt,
+} from './swapService';
+
+// Leverage loops: supply collateral token C, borrow debt token D, swap D to C and supply
+// again, until collateral reaches target x the initial deposit. Unwind reverses it:
+// withdraw C, swap to D, repay D. Plans are projected with riskService; every step keeps
+// the health factor at or above MIN_STEP_HEALTH_FACTOR, so stopping after any step is safe.
+// Swaps are quoted one by one against current reserves and sized on the minimum output
+// the slippage tolerance allows; execution re-quotes each swap and sends it with the
+// planned minimum as its on-chain floor, so no swap can fill below what the plan assumed.
+
+export const MAX_LEVERAGE_LOOPS = 8;
+export const MAX_LEVERAGE = 5;
+
+// Loops stop once the remaining target is under 1% of it
+const TARGET_TOLERANCE_BPS = 100n;
+// Unwind buys this much more than the remaining debt so interest accrued meanwhile is covered
+const UNWIND_DEBT_BUFFER_BPS = 50n;
+
+const bps = (value, basisPoints) => (value * basisPoints) / 10000n;
+const minBigInt = (a, b) => (a < b ? a : b);
+const slippageBpsOf = (slippage) => BigInt(Math.round(slippage * 100));
+
+// Positions (riskService snapshot shape) with collateral/debt of two tokens adjusted
+const adjustPositions = (positions, symbol, field, delta) =>
+  positions.map(p => (p.token.symbol === symbol ? { ...p, [field]: p[field] + delta } : p));
+
+// Largest borrow of `token` (wei) that keeps both the borrow limit and the step margin
+function getMaxSafeBorrow(state, token, reserve) {
+  if (reserve.priceUSD === 0n) return 0n;
+  const marginDebtUSD = (state.borrowLimitUSD * state.hfScale) / MIN_STEP_HEALTH_FACTOR;
+  const headroomUSD = minBigInt(state.availableUSD, marginDebtUSD > state.debtUSD ? marginDebtUSD - state.debtUSD : 0n);
+  // 1% under the limit so price ticks between plan and execution do not tip it over
+  const usable = bps(headroomUSD, 9900n);
+  const available = (usable * 10n ** BigInt(token.decimals)) / reserve.priceUSD;
+  return minBigInt(available, reserve.availableLiquidity);
+}
+
+/**
+ * Plan looping `amount` (wei of collateralToken, from the wallet) up to targetLeverage
+ * (collateral added / amount). snapshot is { state, positions } as from getRiskSnapshot.
+ * Returns { mode, collateralToken, debtToken, steps, loops, leverage, totalBorrowed,
+ * totalCollateral, before, after, liquidationPrice, reachedTarget }. Each step is
+ * { kind: 'supply' | 'borrow' | 'swap', token, tokenOut?, amount, minOut?, loop, state }.
+ */
+export async function planLeverage(provider, snapshot, { collateralToken, debtToken, amount, targetLeverage, slippage }) {
+  if (!provider || !collateralToken || !debtToken || !amount || amount <= 0n) return null;
+
+  const position = (symbol) => snapshot.positions.find(p => p.token.symbol === symbol);
+  const collateralReserve = position(collateralToken.symbol).reserve;
+  const debtReserve = position(debtToken.symbol).reserve;
+  const slippageBps = slippageBpsOf(slippage);
+
+  let state = projectAccountState(snapshot.state, [
+    { action: 'supply', token: collateralToken, reserve: collateralReserve, amount },
+  ]);
+  let positions = adjustPositions(snapshot.positions, collateralToken.symbol, 'collateral', amount);
+  const steps = [{ kind: 'supply', token: collateralToken, amount, loop: 0, state }];
+
+  const target = (amount * BigInt(Math.round(targetLeverage * 100))) / 100n;
+  let totalCollateral = amount;
+  let totalBorrowed = 0n;
+  let loops = 0;
+
+  while (loops < MAX_LEVERAGE_LOOPS && target - totalCollateral > bps(target, TARGET_TOLERANCE_BPS)) {
+    const remaining = target - totalCollateral;
+    const neededRoute = await findBestRouteForOutput(provider, remaining, debtToken, collateralToken);
+    if (!neededRoute) break;
+
+    const borrowAmount = minBigInt(
+      bps(neededRoute.amountIn, 10000n + slippageBps),
+      getMaxSafeBorrow(state, debtToken, debtReserve),
+    );
+    if (borrowAmount <= 0n) break;
+
+    const route = await findBestRoute(provider, borrowAmount, debtToken, collateralToken);
+    if (!route) break;
+    const minOut = bps(route.amountOut, 10000n - slippageBps);
+    if (minOut <= 0n) break;
+
+    loops += 1;
+    state = projectAccountState(state, [{ action: 'borrow', token: debtToken, reserve: debtReserve, amount: borrowAmount }]);
+    steps.push({ kind: 'borrow', token: debtToken, amount: borrowAmount, loop: loops, state });
+    steps.push({ kind: 'swap', token: debtToken, tokenOut: collateralToken, amount: borrowAmount, minOut, loop: loops, state });
+    state = projectAccountState(state, [{ action: 'supply', token: collateralToken, reserve: collateralReserve, amount: minOut }]);
+    steps.push({ kind: 'supply', token: collateralToken, amount: minOut, useReceived: true, loop: loops, state });
+
+    positions = adjustPositions(positions, debtToken.symbol, 'debt', borrowAmount);
+    positions = adjustPositions(positions, collateralToken.symbol, 'collateral', minOut);
+    totalCollateral += minOut;
+    totalBorrowed += borrowAmount;
+  }
+
+  return {
+    mode: 'leverage',
+    collateralToken,
+    debtToken,
+    steps,
+    loops,
+    leverage: Number((totalCollateral * 10000n) / amount) / 10000,
+    totalBorrowed,
+    totalCollateral,
+    before: snapshot.state,
+    after: state,
+    liquidationPrice: getLiquidationPrice({ state, positions }, collateralToken.symbol),
+    reachedTarget: target - totalCollateral <= bps(target, TARGET_TOLERANCE_BPS),
+  };
+}
+
+/**
+ * Plan repaying all debtToken debt by selling collateralToken collateral, in as many
+ * withdraw -> swap -> repay loops as the step margin requires. Same shape as
+ * planLeverage, plus remainingDebt (wei, planned) and totalWithdrawn.
+ */
+export async function planUnwind(provider, snapshot, { collateralToken, debtToken, slippage }) {
+  if (!provider || !collateralToken || !debtToken) return null;
+
+  const position = (symbol) => snapshot.positions.find(p => p.token.symbol === symbol);
+  const collateralReserve = position(collateralToken.symbol).reserve;
+  const debtReserve = position(debtToken.symbol).reserve;
+  const slippageBps = slippageBpsOf(slippage);
+
+  let state = snapshot.state;
+  let positions = snapshot.positions;
+  let collateral = position(collateralToken.symbol).collateral;
+  let remainingDebt = position(debtToken.symbol).debt;
+  if (remainingDebt === 0n || collateral === 0n) return null;
+
+  const steps = [];
+  let totalWithdrawn = 0n;
+  let totalRepaid = 0n;
+  let loops = 0;
+
+  while (loops < MAX_LEVERAGE_LOOPS && remainingDebt > 0n) {
+    const wanted = bps(remainingDebt, 10000n + slippageBps + UNWIND_DEBT_BUFFER_BPS);
+    const neededRoute = await findBestRouteForOutput(provider, wanted, collateralToken, debtToken);
+    if (!neededRoute) break;
+
+    const withdrawAmount = minBigInt(
+      neededRoute.amountIn,
+      getMaxSafeSwapAmount(state, collateralToken, collateralReserve, collateral),
+    );
+    if (withdrawAmount <= 0n) break;
+
+    const route = await findBestRoute(provider, withdrawAmount, collateralToken, debtToken);
+    if (!route) break;
+    const minOut = bps(route.amountOut, 10000n - slippageBps);
+    const repayAmount = minBigInt(minOut, remainingDebt);
+    if (repayAmount <= 0n) break;
+
+    loops += 1;
+    state = projectAccountState(state, [{ action: 'withdraw', token: collateralToken, reserve: collateralReserve, amount: withdrawAmount }]);
+    steps.push({ kind: 'withdraw', token: collateralToken, amount: withdrawAmount, loop: loops, state });
+    steps.push({ kind: 'swap', token: collateralToken, tokenOut: debtToken, amount: withdrawAmount, minOut, loop: loops, state });
+    state = projectAccountState(state, [{ action: 'repay', token: debtToken, reserve: debtReserve, amount: repayAmount }]);
+    steps.push({ kind: 'repay', token: debtToken, amount: repayAmount, useReceived: true, loop: loops, state });
+
+    positions = adjustPositions(positions, collateralToken.symbol, 'collateral', -withdrawAmount);
+    positions = adjustPositions(positions, debtToken.symbol, 'debt', -repayAmount);
+    collateral -= withdrawAmount;
+    remainingDebt -= repayAmount;
+    totalWithdrawn += withdrawAmount;
+    totalRepaid += repayAmount;
+  }
+
+  return {
+    mode: 'unwind',
+    collateralToken,
+    debtToken,
+    steps,
+    loops,
+    totalWithdrawn,
+    totalRepaid,
+    remainingDebt,
+    before: snapshot.state,
+    after: state,
+    liquidationPrice: getLiquidationPrice({ state, positions }, collateralToken.symbol),
+    reachedTarget: remainingDebt === 0n,
+  };
+}
+
+// Highest leverage reachable if every loop could borrow the full LTV: 1 / (1 - ltv)
+export function getTheoreticalMaxLeverage(collateralReserve) {
+  const ltv = collateralReserve?.ltv || 0n;
+  if (ltv >= WAD) return MAX_LEVERAGE;
+  return Math.min(MAX_LEVERAGE, Number(WAD) / Number(WAD - ltv));
+}
+
+// Step label for the transaction modal
+export function describeLeverageStep(step) {
+  const amount = Number(formatUnits(step.amount, step.token.decimals)).toLocaleString('en-US', { maximumFractionDigits: 4 });
+  const prefix = `Loop ${step.loop}: `;
+  switch (step.kind) {
+    case 'supply':
+      return step.loop === 0 ? `Supply ${amount} ${step.token.symbol}` : `${prefix}Supply ${step.token.symbol}`;
+    case 'borrow':
+      return `${prefix}Borrow ${amount} ${step.token.symbol}`;
+    case 'swap':
+      return `${prefix}Swap ${amount} ${step.token.symbol} to ${step.tokenOut.symbol}`;
+    case 'withdraw':
+      return `${prefix}Withdraw ${amount} ${step.token.symbol}`;
+    case 'repay':
+      return `${prefix}Repay ${step.token.symbol}`;
+    default:
+      return step.kind;
+  }
+}
+
+/**
+ * Send one planned step and wait for it. context carries the last swap's actual output
+ * ({ received }) into the following supply/repay. Returns the transaction.
+ */
+export async function executeLeverageStep(signer, step, context, { slippage, deadlineMinutes } = {}) {
+  if (!signer) throw new Error('Signer not available');
+  const decimal = (amount, token) => formatUnits(amount, token.decimals);
+  const amount = step.useReceived && context.received !== undefined ? context.received : step.amount;
+
+  let tx;
+  if (step.kind === 'supply') {
+    tx = await supplyCollateral(signer, step.token, decimal(amount, step.token));
+  } else if (step.kind === 'borrow') {
+    tx = await borrowTokens(signer, step.token, decimal(amount, step.token));
+  } else if (step.kind === 'withdraw') {
+    tx = await withdrawCollateral(signer, step.token, decimal(amount, step.token));
+  } else if (step.kind === 'swap') {
+    const userAddress = await signer.getAddress();
+    const amountIn = decimal(step.amount, step.token);
+    if (!(await checkSwapAllowance(signer.provider, userAddress, step.token, amountIn))) {
+      const approveTx = await approveSwapToken(signer, step.token, amountIn);
+      await approveTx.wait();
+    }
+
+    // Earlier loops moved the pool; refuse a fill below what the risk plan assumed
+    const route = await findBestRoute(signer.provider, step.amount, step.token, step.tokenOut);
+    if (!route || route.amountOut < step.minOut) {
+      throw new Error(`Price moved: ${step.token.symbol} to ${step.tokenOut.symbol} now returns less than planned. Re-plan and try again.`);
+    }
+    // On-chain floor: the planned minimum, or the live quote less slippage if that is higher
+    const liveFloor = bps(route.amountOut, 10000n - slippageBpsOf(slippage));
+    const amountOutMin = liveFloor > step.minOut ? liveFloor : step.minOut;
+    tx = await executeSwapChunk(signer, { amountIn: step.amount, amountOut: amountOutMin, path: route.path }, 0, { deadlineMinutes });
+    const receipt = await tx.wait();
+    const fill = decodeSwapReceipt(receipt, step.token, step.tokenOut);
+    context.received = fill ? fill.amountOut : step.minOut;
+    return tx;
+  } else if (step.kind === 'repay') {
+    const debt = await getUserDebt(signer.provider, await signer.getAddress(), step.token.address);
+    // Enough to clear the debt: let repay-all settle it including interest dust
+    if (amount >= debt) {
+      const result = await repayAll(signer, step.token);
+      return result.lastTx;
+    }
+    tx = await repayTokens(signer, step.token, decimal(amount, step.token));
+  }
+
+  await tx.wait();
+  return tx;
+}
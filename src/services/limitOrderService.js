@@ -0,0 +1,184 @@
+import { formatUnits } from 'ethers';
+import { getSpotExchangeRate, getSwapAmountsOut } from './swapService';
+import { SWAPPABLE_TOKENS } from '../constants/tokens';
+
+// Limit orders live in the browser only: they are watched while the app is
+// open (useLimitOrderWatcher, mounted in the app layout) and filled by a
+// regular swap the user signs when the target is hit.
+
+const STORAGE_PREFIX = 'limit-orders';
+export const LIMIT_ORDERS_CHANGED_EVENT = 'limitOrdersChanged';
+
+// Orders the watcher last found fillable; in memory only, as entries hold bigint quotes
+let triggeredState = { address: null, entries: [] };
+
+// Order a "Limit order ready" notification asked to fill, until the order list picks it up
+export const LIMIT_ORDER_FILL_REQUESTED_EVENT = 'limitOrderFillRequested';
+let requestedFillId = null;
+
+const storageKey = (address) => `${STORAGE_PREFIX}:${address.toLowerCase()}`;
+
+export const findSwappableToken = (symbol) => SWAPPABLE_TOKENS.find(t => t.symbol === symbol) || null;
+
+export function getLimitOrders(address) {
+  if (!address) return [];
+
+  try {
+    const saved = localStorage.getItem(storageKey(address));
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.warn('Failed to read limit orders:', error.message);
+    return [];
+  }
+}
+
+function saveLimitOrders(address, orders) {
+  localStorage.setItem(storageKey(address), JSON.stringify(orders));
+  window.dispatchEvent(new CustomEvent(LIMIT_ORDERS_CHANGED_EVENT));
+  return orders;
+}
+
+// Triggered entries ({ order, spotRate, executionRate, amountOut }) from the last check
+export const getTriggeredLimitOrders = (address) =>
+  (address && triggeredState.address === address.toLowerCase() ? triggeredState.entries : []);
+
+export function setTriggeredLimitOrders(address, entries) {
+  triggeredState = { address: address ? address.toLowerCase() : null, entries };
+  window.dispatchEvent(new CustomEvent(LIMIT_ORDERS_CHANGED_EVENT));
+}
+
+export const getRequestedLimitOrderFill = () => requestedFillId;
+
+// Ask the order list to open this order's Fill modal; kept until cleared so a list mounted later sees it
+export function requestLimitOrderFill(id) {
+  requestedFillId = id;
+  window.dispatchEvent(new CustomEvent(LIMIT_ORDER_FILL_REQUESTED_EVENT));
+}
+
+export function clearRequestedLimitOrderFill() {
+  requestedFillId = null;
+}
+
+/**
+ * Create an order, or replace the open order with the same id (edit)
+ * order: { id?, fromSymbol, toSymbol, amountIn, targetRate, expiresAt }
+ * targetRate is "1 fromSymbol >= targetRate toSymbol"; expiresAt is ms or null
+ */
+export function saveLimitOrder(address, order) {
+  if (!address) throw new Error('Wallet not connected');
+  if (!findSwappableToken(order.fromSymbol) || !findSwappableToken(order.toSymbol)) {
+    throw new Error('Unsupported token');
+  }
+  if (order.fromSymbol === order.toSymbol) throw new Error('Tokens must differ');
+  if (!(parseFloat(order.amountIn) > 0)) throw new Error('Enter an amount');
+  if (!(parseFloat(order.targetRate) > 0)) throw new Error('Enter a target rate');
+
+  const orders = getLimitOrders(address);
+  const existing = order.id ? orders.find(o => o.id === order.id) : null;
+  if (existing && existing.status !== 'open') {
+    throw new Error('Only open orders can be edited');
+  }
+
+  const saved = {
+    id: existing?.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    fromSymbol: order.fromSymbol,
+    toSymbol: order.toSymbol,
+    amountIn: String(order.amountIn),
+    targetRate: parseFloat(order.targetRate),
+    expiresAt: order.expiresAt || null,
+    createdAt: existing?.createdAt || Date.now(),
+    status: 'open',
+  };
+
+  saveLimitOrders(address, existing
+    ? orders.map(o => (o.id === saved.id ? saved : o))
+    : [saved, ...orders]);
+
+  return saved;
+}
+
+function updateLimitOrder(address, id, updates) {
+  const orders = getLimitOrders(address).map(o => (o.id === id ? { ...o, ...updates } : o));
+  return saveLimitOrders(address, orders);
+}
+
+export function cancelLimitOrder(address, id) {
+  return updateLimitOrder(address, id, { status: 'cancelled', closedAt: Date.now() });
+}
+
+export function markLimitOrderFilled(address, id, txHash) {
+  return updateLimitOrder(address, id, { status: 'filled', txHash, closedAt: Date.now() });
+}
+
+// Drop cancelled/filled/expired orders from storage
+export function clearClosedLimitOrders(address) {
+  return saveLimitOrders(address, getLimitOrders(address).filter(o => o.status === 'open'));
+}
+
+/**
+ * Mark open orders past their expiry as expired. Returns the updated list.
+ */
+export function expireLimitOrders(address, now = Date.now()) {
+  const orders = getLimitOrders(address);
+  let changed = false;
+
+  const updated = orders.map((o) => {
+    if (o.status === 'open' && o.expiresAt && o.expiresAt <= now) {
+      changed = true;
+      return { ...o, status: 'expired', closedAt: now };
+    }
+    return o;
+  });
+
+  return changed ? saveLimitOrders(address, updated) : orders;
+}
+
+/**
+ * Check open orders against the market. The spot rate is fetched once per
+ * pair as a cheap filter; orders whose pair crosses the target are then
+ * quoted at their full size, since price impact can keep a large order
+ * below target even when the spot rate is above it.
+ *
+ * Returns [{ order, spotRate, executionRate, amountOut }] for orders ready to fill.
+ */
+export async function findTriggeredLimitOrders(provider, orders) {
+  if (!provider) return [];
+
+  const open = orders.filter(o => o.status === 'open');
+  const spotRates = new Map();
+
+  for (const order of open) {
+    const pair = `${order.fromSymbol}:${order.toSymbol}`;
+    if (!spotRates.has(pair)) {
+      const rate = await getSpotExchangeRate(provider, findSwappableToken(order.fromSymbol), findSwappableToken(order.toSymbol));
+      spotRates.set(pair, rate);
+    }
+  }
+
+  const triggered = [];
+  for (const order of open) {
+    const spotRate = spotRates.get(`${order.fromSymbol}:${order.toSymbol}`);
+    if (spotRate === null || spotRate === undefined || spotRate < order.targetRate) continue;
+
+    const tokenIn = findSwappableToken(order.fromSymbol);
+    const tokenOut = findSwappableToken(order.toSymbol);
+    const amountOut = await getSwapAmountsOut(provider, order.amountIn, tokenIn, tokenOut);
+    if (amountOut === 0n) continue;
+
+    const executionRate = parseFloat(formatUnits(amountOut, tokenOut.decimals)) / parseFloat(order.amountIn);
+    if (executionRate >= order.targetRate) {
+      triggered.push({ order, spotRate, executionRate, amountOut });
+    }
+  }
+
+  return triggered;
+}
+
+// Minimum output that still honours the limit price: amountIn * targetRate
+export function getLimitOrderMinOut(order) {
+  const tokenOut = findSwappableToken(order.toSymbol);
+  const decimals = tokenOut?.decimals === 6 ? 6 : 8;
+  const scale = 10 ** decimals;
+  // Truncate so rounding can never ask for more than the target
+  return (Math.floor(parseFloat(order.amountIn) * order.targetRate * scale) / scale).toFixed(decimals);
+}
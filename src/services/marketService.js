@@ -0,0 +1,108 @@
+import { ethers, formatUnits } from 'ethers';
+import { CONTRACTS } from '../constants/contracts';
+import { LENDING_POOL_ABI } from '../constants/abis';
+import { LENDABLE_TOKENS } from '../constants/tokens';
+import { getReserveData } from './lendingService';
+import { getLogsChunked, MAX_LOG_BLOCKS } from '../utils/logs';
+
+// Lending pool markets: per-reserve liquidity, utilization and LTV from getReserveData,
+// with borrow rates taken from the interestRate of recent TokenBorrowed events.
+
+const CACHE_KEY = 'lending-borrows';
+const MAX_CACHED_BORROWS = 1000;
+
+const lendingInterface = new ethers.Interface(LENDING_POOL_ABI);
+
+// TokenBorrowed's interestRate (WAD fraction, see the ABI) as a percent
+export const rateToPercent = (rate) => Number(formatUnits(BigInt(rate), 16));
+
+function loadBorrowCache() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CACHE_KEY) || 'null');
+    return saved && Array.isArray(saved.events) ? saved : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * TokenBorrowed events from every user, oldest first: { token (lowercase), user,
+ * amount, rate (wei strings), blockNumber, hash }. Scanned incrementally and cached;
+ * only the most recent MAX_CACHED_BORROWS are kept.
+ */
+export async function getBorrowEvents(provider) {
+  if (!provider) return [];
+
+  const cached = loadBorrowCache();
+  const latest = await provider.getBlockNumber();
+  const fromBlock = cached ? cached.lastBlock + 1 : Math.max(0, latest - MAX_LOG_BLOCKS);
+  if (fromBlock > latest) return cached.events;
+
+  const topics = [lendingInterface.getEvent('TokenBorrowed').topicHash];
+  const logs = await getLogsChunked(provider, { address: CONTRACTS.LENDING_POOL, topics }, fromBlock, latest);
+
+  const events = [
+    ...(cached?.events || []),
+    ...logs.map((log) => {
+      const parsed = lendingInterface.parseLog(log);
+      return {
+        token: parsed.args.token.toLowerCase(),
+        user: parsed.args.user,
+        amount: parsed.args.amount.toString(),
+        rate: parsed.args.interestRate.toString(),
+        blockNumber: log.blockNumber,
+        hash: log.transactionHash,
+      };
+    }),
+  ].slice(-MAX_CACHED_BORROWS);
+
+  localStorage.setItem(CACHE_KEY, JSON.stringify({ lastBlock: latest, events }));
+  return events;
+}
+
+/**
+ * One entry per LENDABLE_TOKENS reserve. Token amounts are wei, USD values and
+ * percentages are numbers: { token, availableLiquidity, totalSupplied, totalBorrowed,
+ * priceUSD, suppliedUSD, borrowedUSD, availableUSD, utilization, ltv, borrowRate,
+ * avgBorrowRate, borrows }. Rates are null for markets without recent borrows.
+ */
+export async function getMarkets(provider) {
+  const [reserves, events] = await Promise.all([
+    Promise.all(LENDABLE_TOKENS.map(token => getReserveData(provider, token))),
+    getBorrowEvents(provider).catch((error) => {
+      console.warn('[RPC] Borrow event scan failed:', error.code || error.message);
+      return [];
+    }),
+  ]);
+
+  return LENDABLE_TOKENS.map((token, i) => {
+    const reserve = reserves[i];
+    const priceUSD = Number(reserve.priceUSD) / 1e18;
+    const toUSDNumber = (amount) => parseFloat(formatUnits(amount, token.decimals)) * priceUSD;
+
+    const borrows = events.filter(e => e.token === token.address.toLowerCase());
+    const borrowedTotal = borrows.reduce((sum, e) => sum + BigInt(e.amount), 0n);
+    // Amount-weighted so a dust borrow does not swing the average
+    const avgBorrowRate = borrowedTotal > 0n
+      ? borrows.reduce((sum, e) => sum + rateToPercent(e.rate) * Number((BigInt(e.amount) * 1000000n) / borrowedTotal), 0) / 1000000
+      : null;
+
+    return {
+      token,
+      availableLiquidity: reserve.availableLiquidity,
+      totalSupplied: reserve.totalSupplied,
+      totalBorrowed: reserve.totalBorrowed,
+      priceUSD,
+      suppliedUSD: toUSDNumber(reserve.totalSupplied),
+      borrowedUSD: toUSDNumber(reserve.totalBorrowed),
+      availableUSD: toUSDNumber(reserve.availableLiquidity),
+      utilization: reserve.totalSupplied > 0n
+        ? Number((reserve.totalBorrowed * 1000000n) / reserve.totalSupplied) / 10000
+        : 0,
+      ltv: Number(reserve.ltv) / 1e16,
+      borrowRate: borrows.length > 0 ? rateToPercent(borrows[borrows.length - 1].rate) : null,
+      avgBorrowRate,
+      borrows: borrows.slice(-20).reverse(),
+    };
+  });
+}
@@ -0,0 +1,217 @@
+import { ethers, formatUnits } from 'ethers';
+import { CONTRACTS } from '../constants/contracts';
+import { SWAP_ROUTER_ABI, LIQUIDITY_POOL_ABI } from '../constants/abis';
+import { findTokenBySymbol } from './poolRegistryService';
+import { getPoolReserves } from './poolService';
+import { fetchPoolEvents } from './backendService';
+import { getLogsChunked, LOG_CHUNK_BLOCKS, MAX_LOG_BLOCKS } from '../utils/logs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const ANALYTICS_RANGES = {
+  '24H': DAY,
+  '7D': 7 * DAY,
+  '30D': 30 * DAY,
+};
+
+export const POOL_FEE = 0.003; // 0.3% of every swap input stays in the pool
+
+const HISTORY_WINDOW = ANALYTICS_RANGES['30D'];
+const CHART_POINTS = 30;
+
+const poolEventInterface = new ethers.Interface([
+  ...SWAP_ROUTER_ABI.filter(fragment => fragment.startsWith('event')),
+  ...LIQUIDITY_POOL_ABI.filter(fragment => fragment.startsWith('event')),
+]);
+
+const sameRef = (ref, token) =>
+  !!ref && (ref.toLowerCase() === token.address.toLowerCase() || ref.toLowerCase() === token.symbol.toLowerCase());
+
+// URL slug for /pool/:pair, e.g. CAT-USDC
+export const getPoolSlug = (token, pair) => `${token.symbol}-${pair.symbol}`;
+
+export function parsePoolSlug(slug) {
+  const [tokenSymbol, pairSymbol] = (slug || '').toUpperCase().split('-');
+  const token = findTokenBySymbol(tokenSymbol);
+  const pair = findTokenBySymbol(pairSymbol);
+  return token && pair && token !== pair ? { token, pair } : null;
+}
+
+/**
+ * Reserve change an event applied to the token/pair pool, in human units.
+ * tokenA/tokenB are addresses (logs) or symbols (subgraph); liquidity events use
+ * token0 as tokenA. Returns null for events on other pools.
+ */
+function toPoolEvent({ type, timestamp, tokenA, tokenB, amountA, amountB }, token, pair) {
+  if (type === 'swap') {
+    if (sameRef(tokenA, token) && sameRef(tokenB, pair)) {
+      return { type, timestamp, tokenDelta: amountA, pairDelta: -amountB, volume: amountB };
+    }
+    if (sameRef(tokenA, pair) && sameRef(tokenB, token)) {
+      return { type, timestamp, tokenDelta: -amountB, pairDelta: amountA, volume: amountA };
+    }
+    return null;
+  }
+
+  const sign = type === 'add_liquidity' ? 1 : -1;
+  if (sameRef(tokenA, token) && sameRef(tokenB, pair)) {
+    return { type, timestamp, tokenDelta: sign * amountA, pairDelta: sign * amountB, volume: 0 };
+  }
+  if (sameRef(tokenA, pair) && sameRef(tokenB, token)) {
+    return { type, timestamp, tokenDelta: sign * amountB, pairDelta: sign * amountA, volume: 0 };
+  }
+  return null;
+}
+
+// On-chain fallback: router logs (capped at MAX_LOG_BLOCKS), timestamps interpolated between block headers
+async function fetchPoolEventsFromLogs(provider, token, pair, since) {
+  const latest = await provider.getBlock('latest');
+  const sample = await provider.getBlock(Math.max(0, latest.number - LOG_CHUNK_BLOCKS));
+  const msPerBlock = ((latest.timestamp - sample.timestamp) * 1000) / Math.max(1, latest.number - sample.number) || 1000;
+  const wantedBlocks = Math.ceil((latest.timestamp * 1000 - since) / msPerBlock);
+  const fromBlock = Math.max(0, latest.number - Math.min(wantedBlocks, MAX_LOG_BLOCKS));
+  const first = await provider.getBlock(fromBlock);
+
+  const span = Math.max(1, latest.number - fromBlock);
+  // Events of other pools are dropped by toPoolEvent, so only this pool's decimals matter
+  const decimalsFor = (ref) => [token, pair].find(t => sameRef(ref, t))?.decimals ?? 18;
+  const timestampOf = (blockNumber) =>
+    (first.timestamp + ((blockNumber - fromBlock) * (latest.timestamp - first.timestamp)) / span) * 1000;
+
+  const topics = [['Swap', 'LiquidityAdded', 'LiquidityRemoved'].map(name => poolEventInterface.getEvent(name).topicHash)];
+  const logs = await getLogsChunked(provider, { address: CONTRACTS.SWAP_ROUTER, topics }, fromBlock, latest.number);
+  const events = [];
+
+  for (const log of logs) {
+    const parsed = poolEventInterface.parseLog(log);
+    if (!parsed) continue;
+
+    const isSwap = parsed.name === 'Swap';
+    const tokenA = isSwap ? parsed.args.tokenIn : parsed.args.token0;
+    const tokenB = isSwap ? parsed.args.tokenOut : parsed.args.token1;
+    const event = toPoolEvent({
+      type: isSwap ? 'swap' : parsed.name === 'LiquidityAdded' ? 'add_liquidity' : 'remove_liquidity',
+      timestamp: timestampOf(log.blockNumber),
+      tokenA,
+      tokenB,
+      amountA: parseFloat(formatUnits(isSwap ? parsed.args.amountIn : parsed.args.amount0, decimalsFor(tokenA))),
+      amountB: parseFloat(formatUnits(isSwap ? parsed.args.amountOut : parsed.args.amount1, decimalsFor(tokenB))),
+    }, token, pair);
+    if (event) events.push(event);
+  }
+
+  return { events, coverageStart: first.timestamp * 1000 };
+}
+
+/**
+ * Current reserves plus 30 days of swap/liquidity events for one pool.
+ * Subgraph first; if it is unavailable or has nothing for the pool, router logs.
+ * coverageStart is the oldest time the events are complete from.
+ */
+export async function getPoolHistory(provider, token, pair) {
+  if (!provider || !token || !pair) return null;
+
+  try {
+    const reserves = await getPoolReserves(provider, token, pair);
+    if (!reserves) return null;
+
+    const tokenIsToken0 = reserves.token0.toLowerCase() === token.address.toLowerCase();
+    const fetchedAt = Date.now();
+    const since = fetchedAt - HISTORY_WINDOW;
+
+    let events = [];
+    let coverageStart = since;
+    let source = 'subgraph';
+
+    const rows = await fetchPoolEvents(token.symbol, pair.symbol, Math.floor(since / 1000));
+    if (rows && rows.length > 0) {
+      events = rows
+        .map(row => toPoolEvent({
+          type: row.type,
+          timestamp: row.timestamp,
+          tokenA: row.tokenIn,
+          tokenB: row.tokenOut,
+          amountA: row.amountIn,
+          amountB: row.amountOut,
+        }, token, pair))
+        .filter(Boolean);
+      // A full page means older events were cut off
+      if (rows.length >= 1000) coverageStart = rows[rows.length - 1].timestamp;
+    } else {
+      ({ events, coverageStart } = await fetchPoolEventsFromLogs(provider, token, pair, since));
+      source = 'onchain';
+    }
+
+    return {
+      token,
+      pair,
+      tokenReserve: parseFloat(formatUnits(tokenIsToken0 ? reserves.reserve0 : reserves.reserve1, token.decimals)),
+      pairReserve: parseFloat(formatUnits(tokenIsToken0 ? reserves.reserve1 : reserves.reserve0, pair.decimals)),
+      events: events.sort((a, b) => b.timestamp - a.timestamp), // newest first
+      coverageStart: Math.max(coverageStart, since),
+      fetchedAt,
+      source,
+    };
+  } catch (error) {
+    console.warn('[RPC] Pool history fetch failed:', error.code || error.message);
+    return null;
+  }
+}
+
+/**
+ * Volume, fees, APR and chart series for a time range of a pool history.
+ * Reserves are rebuilt by undoing events backwards from the current reserves.
+ * Values are in pair-token units (USDC for every pool today).
+ */
+export function computePoolAnalytics(history, rangeMs) {
+  const end = history.fetchedAt;
+  const start = Math.max(end - rangeMs, history.coverageStart);
+  const { events } = history;
+
+  let tokenReserve = history.tokenReserve;
+  let pairReserve = history.pairReserve;
+  let next = 0;
+  const points = [];
+
+  for (let i = CHART_POINTS - 1; i >= 0; i--) {
+    const timestamp = start + (i * (end - start)) / (CHART_POINTS - 1);
+    while (next < events.length && events[next].timestamp > timestamp) {
+      tokenReserve -= events[next].tokenDelta;
+      pairReserve -= events[next].pairDelta;
+      next++;
+    }
+    points.unshift({
+      timestamp,
+      tokenReserve: Math.max(0, tokenReserve),
+      pairReserve: Math.max(0, pairReserve),
+      price: tokenReserve > 0 ? pairReserve / tokenReserve : 0,
+    });
+  }
+
+  const inRange = events.filter(e => e.timestamp >= start);
+  const swaps = inRange.filter(e => e.type === 'swap');
+  const volume = swaps.reduce((sum, e) => sum + e.volume, 0);
+  const fees = volume * POOL_FEE;
+
+  // Both sides are worth the same at the pool price, so TVL is twice the pair side
+  const tvl = history.pairReserve * 2;
+  const averageTvl = points.reduce((sum, p) => sum + p.pairReserve * 2, 0) / points.length;
+  const days = Math.max((end - start) / DAY, 1 / 24);
+  const apr = averageTvl > 0 ? ((fees / days) * 365 / averageTvl) * 100 : 0;
+
+  const firstPrice = points[0].price;
+  const lastPrice = points[points.length - 1].price;
+
+  return {
+    volume,
+    fees,
+    apr,
+    tvl,
+    swapCount: swaps.length,
+    liquidityEvents: inRange.length - swaps.length,
+    price: lastPrice,
+    priceChange: firstPrice > 0 ? ((lastPrice - firstPrice) / firstPrice) * 100 : 0,
+    points,
+    partial: history.coverageStart > end - rangeMs,
+  };
+}
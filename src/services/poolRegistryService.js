@@ -0,0 +1,185 @@
+import { ethers } from 'ethers';
+import { TOKENS, LIQUIDITY_POOLS } from '../constants/tokens';
+import { CONTRACTS } from '../constants/contracts';
+import { LIQUIDITY_POOL_ABI } from '../constants/abis';
+import { getTokenInfo } from './tokenService';
+import { fetchLiquidityPairs } from './backendService';
+import { getLogsChunked, MAX_LOG_BLOCKS } from '../utils/logs';
+import { getPoolTokens } from '../utils/pools';
+
+// Pools the app lists: the built-in LIQUIDITY_POOLS, pools discovered from the
+// router's LiquidityAdded events, and pools created (or found) from the UI.
+// Pools live on-chain for everyone, so the list is not per wallet.
+
+const STORAGE_KEY = 'pool-registry';
+const DISCOVERY_KEY = 'pool-discovery';
+const DISCOVERY_INTERVAL = 5 * 60 * 1000;
+export const POOL_REGISTRY_CHANGED_EVENT = 'poolRegistryChanged';
+
+const liquidityInterface = new ethers.Interface(LIQUIDITY_POOL_ABI);
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const samePool = (a, b) =>
+  (sameAddress(a.token.address, b.token.address) && sameAddress(a.pair.address, b.pair.address)) ||
+  (sameAddress(a.token.address, b.pair.address) && sameAddress(a.pair.address, b.token.address));
+
+const isPool = (p) => !!p?.token?.address && !!p?.pair?.address;
+
+function loadSavedPools() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(isPool) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// { lastBlock, pools } from the last discovery run; lastBlock is the log scan cursor
+function loadDiscovery() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DISCOVERY_KEY) || 'null');
+    return {
+      lastBlock: Number.isInteger(saved?.lastBlock) ? saved.lastBlock : null,
+      pools: Array.isArray(saved?.pools) ? saved.pools.filter(isPool) : [],
+    };
+  } catch (error) {
+    return { lastBlock: null, pools: [] };
+  }
+}
+
+// Built-in pools first, then discovered ones, then ones added from the UI
+export function getRegisteredPools() {
+  const pools = [...LIQUIDITY_POOLS];
+  for (const pool of [...loadDiscovery().pools, ...loadSavedPools()]) {
+    if (!pools.some(p => samePool(p, pool))) pools.push(pool);
+  }
+  return pools;
+}
+
+// Every token that appears in a listed pool, built-in tokens first
+export const getRegisteredTokens = () => getPoolTokens(getRegisteredPools());
+
+export function findTokenBySymbol(symbol) {
+  if (!symbol) return null;
+  const wanted = symbol.toUpperCase();
+  return getRegisteredTokens().find(t => t.symbol.toUpperCase() === wanted) || null;
+}
+
+/**
+ * Add token/pair to the list. Symbols key balances and URLs, so a symbol
+ * already used by a different token is rejected. Returns false if already listed.
+ */
+export function registerPool(token, pair) {
+  const pool = { token, pair };
+  if (getRegisteredPools().some(p => samePool(p, pool))) return false;
+
+  for (const t of [token, pair]) {
+    const clash = findTokenBySymbol(t.symbol);
+    if (clash && !sameAddress(clash.address, t.address)) {
+      throw new Error(`Another token already uses the symbol ${t.symbol}`);
+    }
+  }
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify([...loadSavedPools(), pool]));
+  window.dispatchEvent(new CustomEvent(POOL_REGISTRY_CHANGED_EVENT));
+  return true;
+}
+
+// Pool shape for a token pair: USDC (or a built-in token) is the quote side when there is one
+function orientPool(tokenA, tokenB) {
+  const isQuote = (t) => sameAddress(t.address, TOKENS.USDC.address);
+  if (isQuote(tokenA) || (!isQuote(tokenB) && TOKENS[tokenA.symbol] && !TOKENS[tokenB.symbol])) {
+    return { token: tokenB, pair: tokenA };
+  }
+  return { token: tokenA, pair: tokenB };
+}
+
+// Token pairs (address or symbol refs) from the subgraph, else from router logs.
+// Subgraph rows only carry symbols, so ones that do not resolve send discovery to the logs too.
+async function findLiquidityPairs(provider, lastBlock) {
+  const pairs = await fetchLiquidityPairs();
+  if (pairs && pairs.every(refs => refs.every(ref => ethers.isAddress(ref) || findTokenBySymbol(ref)))) {
+    return { pairs, lastBlock };
+  }
+
+  const latest = await provider.getBlockNumber();
+  const fromBlock = lastBlock !== null ? lastBlock + 1 : Math.max(0, latest - MAX_LOG_BLOCKS);
+  if (fromBlock > latest) return { pairs: [], lastBlock };
+
+  const topics = [liquidityInterface.getEvent('LiquidityAdded').topicHash];
+  const logs = await getLogsChunked(provider, { address: CONTRACTS.SWAP_ROUTER, topics }, fromBlock, latest);
+  return {
+    pairs: logs.map((log) => {
+      const parsed = liquidityInterface.parseLog(log);
+      return [parsed.args.token0, parsed.args.token1];
+    }),
+    lastBlock: latest,
+  };
+}
+
+async function resolveToken(provider, ref, cache) {
+  const key = ref.toLowerCase();
+  if (!(key in cache)) {
+    cache[key] = ethers.isAddress(ref)
+      ? getRegisteredTokens().find(t => sameAddress(t.address, ref)) || await getTokenInfo(provider, ref).catch(() => null)
+      : findTokenBySymbol(ref);
+  }
+  return cache[key];
+}
+
+async function runDiscovery(provider) {
+  const discovery = loadDiscovery();
+  const { pairs, lastBlock } = await findLiquidityPairs(provider, discovery.lastBlock);
+
+  const known = getRegisteredPools();
+  const found = [];
+  const tokenCache = {};
+  for (const [refA, refB] of pairs) {
+    const [tokenA, tokenB] = await Promise.all([resolveToken(provider, refA, tokenCache), resolveToken(provider, refB, tokenCache)]);
+    if (!tokenA || !tokenB || sameAddress(tokenA.address, tokenB.address)) continue;
+
+    const pool = orientPool(tokenA, tokenB);
+    if ([...known, ...found].some(p => samePool(p, pool))) continue;
+
+    // Symbols key balances and URLs; a token reusing a listed symbol is left out
+    const clash = [pool.token, pool.pair].find(t => {
+      const listed = findTokenBySymbol(t.symbol) || found.flatMap(p => [p.token, p.pair]).find(f => f.symbol === t.symbol);
+      return listed && !sameAddress(listed.address, t.address);
+    });
+    if (clash) {
+      console.warn(`[Pools] Skipping discovered pool ${pool.token.symbol}/${pool.pair.symbol}: symbol ${clash.symbol} is taken`);
+      continue;
+    }
+    found.push(pool);
+  }
+
+  localStorage.setItem(DISCOVERY_KEY, JSON.stringify({ lastBlock, pools: [...discovery.pools, ...found] }));
+  if (found.length > 0) window.dispatchEvent(new CustomEvent(POOL_REGISTRY_CHANGED_EVENT));
+  return getRegisteredPools();
+}
+
+let discoveryPromise = null;
+let lastDiscoveryAt = 0;
+
+/**
+ * Find pools that received liquidity (subgraph first, chunked router log scan as
+ * fallback) and add them to the registry. Runs at most every DISCOVERY_INTERVAL
+ * unless forced; concurrent callers share one run. Resolves to the full pool list.
+ */
+export async function discoverPools(provider, { force = false } = {}) {
+  if (!provider) return getRegisteredPools();
+  if (discoveryPromise) return discoveryPromise;
+  if (!force && Date.now() - lastDiscoveryAt < DISCOVERY_INTERVAL) return getRegisteredPools();
+
+  discoveryPromise = runDiscovery(provider)
+    .catch((error) => {
+      console.warn('[RPC] Pool discovery failed:', error.code || error.message);
+      return getRegisteredPools();
+    })
+    .finally(() => {
+      lastDiscoveryAt = Date.now();
+      discoveryPromise = null;
+    });
+  return discoveryPromise;
+}
@@ -36,25 +36,15 @@ export async function removeLiquidity(signer, tokenA, tokenB, shares) {
 
     const poolContract = new ethers.Contract(CONTRACTS.SWAP_ROUTER, LIQUIDITY_POOL_ABI, signer);
 
-    // In this AMM, LP tokens are 18 decimals by default for calculation
-    // If 'shares' matches the large integer seen (e.g. 2000 * 10^18), we pass it directly
-    // Ideally the UI passes a BigInt or string that is already parsed.
-    // If the UI passes a human-readable string, we parse it as 18 decimals (standard for this contract's share)
-    // However, shares logic: shares = amount0 + amount1. 
-    // The UI uses 'amountLP' which is likely user-friendly string. 
-    // But since shares ~ Amount(Dark), it's 18 decimals.
-
-    // We assume 'shares' passed in is already BigInt or Wei String if from UI?
-    // Let's assume the UI passes the raw user input string "2000.5" or similar.
-    // We need to parse it. Since typical LP share here is dominated by 18-dec token, we treat it as 18 decimals.
-
-    const sharesWei = typeof shares === 'string' ? parseTokenAmount(shares, 18) : shares;
+    // Shares are raw contract units (bigint); callers convert user input with
+    // parseShares() from positionService first.
+    if (typeof shares !== 'bigint') throw new Error('Shares must be a bigint amount');
 
     // Remove liquidity
     const tx = await poolContract.removeLiquidity(
         tokenA.address,
         tokenB.address,
-        sharesWei
+        shares
     );
 
     return tx;
@@ -81,6 +71,25 @@ export async function getPoolReserves(provider, tokenA, tokenB) {
     }
 }
 
+// Whether tokenA/tokenB already has a pool. The router hands out an id for any pair,
+// so a pool only exists once its stored tokens are set.
+export async function findPool(provider, tokenA, tokenB) {
+    if (!provider || !tokenA || !tokenB) return null;
+
+    const poolContract = new ethers.Contract(CONTRACTS.SWAP_ROUTER, LIQUIDITY_POOL_ABI, provider);
+    const poolId = await poolContract.getPoolId(tokenA.address, tokenB.address);
+    const pool = await poolContract.pools(poolId);
+
+    return {
+        poolId,
+        exists: pool.token0 !== ethers.ZeroAddress,
+        token0: pool.token0,
+        token1: pool.token1,
+        reserve0: pool.reserve0,
+        reserve1: pool.reserve1,
+    };
+}
+
 export async function getPoolTotalSupply(provider, tokenA, tokenB) {
     if (!provider || !tokenA || !tokenB) return 0n;
 
@@ -0,0 +1,270 @@
+import { ethers, formatUnits, parseUnits } from 'ethers';
+import { CONTRACTS } from '../constants/contracts';
+import { LIQUIDITY_POOL_ABI } from '../constants/abis';
+import { getLogsChunked, MAX_LOG_BLOCKS } from '../utils/logs';
+
+// LP positions: what the user's shares redeem for now, what they put in, and
+// how that compares with simply holding the deposited tokens.
+
+const CACHE_PREFIX = 'lp-events';
+
+const liquidityInterface = new ethers.Interface(LIQUIDITY_POOL_ABI);
+
+const cacheKey = (address) => `${CACHE_PREFIX}:${address.toLowerCase()}`;
+
+function loadEventCache(address) {
+  try {
+    const saved = localStorage.getItem(cacheKey(address));
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The user's own LiquidityAdded/LiquidityRemoved events, oldest first.
+ * Scanned incrementally: results and the last scanned block are cached per wallet.
+ * Amounts are wei strings so the cache survives JSON.
+ */
+export async function getUserLiquidityEvents(provider, userAddress) {
+  if (!provider || !userAddress) return [];
+
+  const cached = loadEventCache(userAddress);
+  const latest = await provider.getBlockNumber();
+  const fromBlock = cached ? cached.lastBlock + 1 : Math.max(0, latest - MAX_LOG_BLOCKS);
+  if (fromBlock > latest) return cached.events;
+
+  const topics = [
+    [liquidityInterface.getEvent('LiquidityAdded').topicHash, liquidityInterface.getEvent('LiquidityRemoved').topicHash],
+    ethers.zeroPadValue(userAddress, 32),
+  ];
+  const logs = await getLogsChunked(provider, { address: CONTRACTS.SWAP_ROUTER, topics }, fromBlock, latest);
+
+  const events = [
+    ...(cached?.events || []),
+    ...logs.map((log) => {
+      const parsed = liquidityInterface.parseLog(log);
+      return {
+        type: parsed.name === 'LiquidityAdded' ? 'add' : 'remove',
+        token0: parsed.args.token0,
+        token1: parsed.args.token1,
+        amount0: parsed.args.amount0.toString(),
+        amount1: parsed.args.amount1.toString(),
+        blockNumber: log.blockNumber,
+        hash: log.transactionHash,
+      };
+    }),
+  ];
+
+  localStorage.setItem(cacheKey(userAddress), JSON.stringify({ lastBlock: latest, events }));
+  return events;
+}
+
+/**
+ * Exact on-chain state of one pool from the user's side, all bigint:
+ * { token, pair, poolId, reserveToken, reservePair, totalShares, shares }.
+ * Returned for empty pools and zero balances too, so add previews work everywhere.
+ */
+export async function getPoolPosition(provider, userAddress, token, pair) {
+  if (!provider || !token || !pair) return null;
+
+  try {
+    const pool = new ethers.Contract(CONTRACTS.SWAP_ROUTER, LIQUIDITY_POOL_ABI, provider);
+    const poolId = await pool.getPoolId(token.address, pair.address);
+    const [poolData, totalShares, shares] = await Promise.all([
+      pool.pools(poolId),
+      pool.totalLiquidity(poolId),
+      userAddress ? pool.userLiquidity(poolId, userAddress) : 0n,
+    ]);
+
+    const tokenIs0 = poolData.token0.toLowerCase() === token.address.toLowerCase();
+    const reserveToken = tokenIs0 ? poolData.reserve0 : poolData.reserve1;
+    const reservePair = tokenIs0 ? poolData.reserve1 : poolData.reserve0;
+
+    return {
+      token,
+      pair,
+      poolId,
+      reserveToken,
+      reservePair,
+      totalShares,
+      shares,
+    };
+  } catch (error) {
+    console.warn('[RPC] Pool position fetch failed:', error.code || error.message);
+    return null;
+  }
+}
+
+// Shares are plain integers (the raw sum of deposits, see previewAdd) with no decimals
+// of their own. All share math stays in bigint; they are only displayed at 18 decimals,
+// the scale the rest of the app has always shown LP balances at.
+export const SHARE_DECIMALS = 18;
+
+// Shares (bigint) <-> display string at SHARE_DECIMALS
+export const formatShares = (shares) => formatUnits(shares ?? 0n, SHARE_DECIMALS);
+
+export function parseShares(value) {
+  if (!value) return 0n;
+  try {
+    return parseUnits(value.toString(), SHARE_DECIMALS);
+  } catch (error) {
+    return 0n;
+  }
+}
+
+// Percent of the pool `shares` out of `totalShares`, to 4 decimals
+const shareOfPool = (shares, totalShares) =>
+  totalShares > 0n ? Number((shares * 1000000n) / totalShares) / 10000 : 0;
+
+/**
+ * What burning `shares` pays out, rounded down like the contract.
+ * Returns { shares, tokenAmount, pairAmount (wei), shareOfPool (percent of the pool burned) }.
+ */
+export function previewRemove(position, shares) {
+  if (!position || position.totalShares === 0n || shares <= 0n) {
+    return { shares: 0n, tokenAmount: 0n, pairAmount: 0n, shareOfPool: 0 };
+  }
+
+  const burned = shares > position.totalShares ? position.totalShares : shares;
+  return {
+    shares: burned,
+    tokenAmount: (position.reserveToken * burned) / position.totalShares,
+    pairAmount: (position.reservePair * burned) / position.totalShares,
+    shareOfPool: shareOfPool(burned, position.totalShares),
+  };
+}
+
+/**
+ * Shares minted for depositing amountToken/amountPair (wei). The pool contract mints
+ * the raw sum of both amounts on every deposit ("Share = Token A (Raw) + Token B (Raw)",
+ * as the Pool page explains), whatever the current reserves.
+ * Returns { shares, shareOfPool (percent held after the deposit, including existing shares) }.
+ */
+export function previewAdd(position, amountToken, amountPair) {
+  if (!position || amountToken <= 0n || amountPair <= 0n) return { shares: 0n, shareOfPool: 0 };
+
+  const { totalShares } = position;
+  const minted = amountToken + amountPair;
+
+  return {
+    shares: minted,
+    shareOfPool: shareOfPool(position.shares + minted, totalShares + minted),
+  };
+}
+
+/**
+ * Net deposit for one pool from the user's events, in human units.
+ * Each deposit is valued at the price implied by its own ratio (deposits go in at
+ * the pool ratio), removals are subtracted the same way.
+ * Returns { tokenAmount, pairAmount, entryValue, deposits } in pair-token units.
+ */
+function summarizeDeposits(events, token, pair) {
+  let tokenAmount = 0;
+  let pairAmount = 0;
+  let entryValue = 0;
+  let deposits = 0;
+
+  const tokenAddress = token.address.toLowerCase();
+  const pairAddress = pair.address.toLowerCase();
+
+  for (const event of events) {
+    const token0 = event.token0.toLowerCase();
+    const token1 = event.token1.toLowerCase();
+    const tokenIs0 = token0 === tokenAddress && token1 === pairAddress;
+    if (!tokenIs0 && !(token0 === pairAddress && token1 === tokenAddress)) continue;
+
+    const tokenDelta = parseFloat(formatUnits(tokenIs0 ? event.amount0 : event.amount1, token.decimals));
+    const pairDelta = parseFloat(formatUnits(tokenIs0 ? event.amount1 : event.amount0, pair.decimals));
+    const sign = event.type === 'add' ? 1 : -1;
+
+    tokenAmount += sign * tokenDelta;
+    pairAmount += sign * pairDelta;
+    // Value both legs at the deposit's own price, i.e. twice the pair leg
+    entryValue += sign * pairDelta * 2;
+    if (event.type === 'add') deposits++;
+  }
+
+  return {
+    tokenAmount: Math.max(0, tokenAmount),
+    pairAmount: Math.max(0, pairAmount),
+    entryValue: Math.max(0, entryValue),
+    deposits,
+  };
+}
+
+/**
+ * Current LP position for token/pair. Values are in pair-token units (USDC).
+ * ilValue/ilPercent compare the position with holding the net deposited tokens;
+ * negative means the LP position is worth less (fees earned are included).
+ * Returns null when the user holds no shares.
+ */
+export async function getLiquidityPosition(provider, userAddress, token, pair, events = []) {
+  if (!provider || !userAddress || !token || !pair) return null;
+
+  const position = await getPoolPosition(provider, userAddress, token, pair);
+  if (!position || position.shares === 0n || position.totalShares === 0n) return null;
+
+  const { reserveToken, reservePair } = position;
+  const redeem = previewRemove(position, position.shares);
+
+  const tokenAmount = parseFloat(formatUnits(redeem.tokenAmount, token.decimals));
+  const pairAmount = parseFloat(formatUnits(redeem.pairAmount, pair.decimals));
+  const price = reserveToken > 0n
+    ? parseFloat(formatUnits(reservePair, pair.decimals)) / parseFloat(formatUnits(reserveToken, token.decimals))
+    : 0;
+  const value = pairAmount + tokenAmount * price;
+
+  const deposited = summarizeDeposits(events, token, pair);
+  const hasHistory = deposited.deposits > 0;
+  const holdValue = deposited.pairAmount + deposited.tokenAmount * price;
+  const ilValue = hasHistory ? value - holdValue : 0;
+
+  return {
+    ...position,
+    redeemToken: redeem.tokenAmount,
+    redeemPair: redeem.pairAmount,
+    tokenAmount,
+    pairAmount,
+    price,
+    value,
+    shareOfPool: redeem.shareOfPool,
+    hasHistory,
+    entryValue: deposited.entryValue,
+    entryPrice: deposited.tokenAmount > 0 ? deposited.pairAmount / deposited.tokenAmount : 0,
+    holdToken: deposited.tokenAmount,
+    holdPair: deposited.pairAmount,
+    holdValue,
+    ilValue,
+    ilPercent: hasHistory && holdValue > 0 ? (ilValue / holdValue) * 100 : 0,
+  };
+}
+
+/**
+ * What-if: the token's price moves by movePercent against the pair token.
+ * Arbitrage keeps reserve product constant, so pooled amounts scale by
+ * 1/sqrt(r) (token) and sqrt(r) (pair) for a price ratio r.
+ */
+export function simulatePriceMove(position, movePercent) {
+  const ratio = Math.max(0, 1 + movePercent / 100);
+  const sqrtRatio = Math.sqrt(ratio);
+  const price = position.price * ratio;
+
+  const tokenAmount = sqrtRatio > 0 ? position.tokenAmount / sqrtRatio : 0;
+  const pairAmount = position.pairAmount * sqrtRatio;
+  const value = pairAmount + tokenAmount * price;
+
+  // Baseline: keep today's redeemable tokens instead of staying in the pool
+  const holdValue = position.pairAmount + position.tokenAmount * price;
+  const ilValue = value - holdValue;
+
+  return {
+    price,
+    tokenAmount,
+    pairAmount,
+    value,
+    holdValue,
+    ilValue,
+    ilPercent: holdValue > 0 ? (ilValue / holdValue) * 100 : 0,
+  };
+}
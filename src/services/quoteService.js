@@ -0,0 +1,55 @@
+import { formatUnits } from 'ethers';
+import { getSwapQuote, getSwapQuoteForOutput, calculatePriceImpact } from './swapService';
+
+// Shared quoting for swap forms. A trade is quoted from its "driver": the
+// field the user typed in. The other side is derived from the best route
+// over current pool reserves.
+
+export const QUOTE_DRIVER = {
+  INPUT: 'input', // amount is the exact input, output is estimated
+  OUTPUT: 'output', // amount is the exact output, input is back-solved
+};
+
+const NO_LIQUIDITY_IMPACT = { priceImpact: null, error: 'Not enough liquidity for this output', liquidityDepth: 0, path: 0 };
+
+/**
+ * Quote a trade from whichever side drives it.
+ * trade: { tokenIn, tokenOut, amount (human string), driver }
+ * Returns { quote, priceImpact }; quote is null when no route can fill it.
+ */
+export async function quoteTrade(provider, { tokenIn, tokenOut, amount, driver }) {
+  if (driver === QUOTE_DRIVER.OUTPUT) {
+    const quote = await getSwapQuoteForOutput(provider, amount, tokenIn, tokenOut);
+    if (!quote || quote.amountIn === 0n) return { quote: null, priceImpact: NO_LIQUIDITY_IMPACT };
+
+    const priceImpact = await calculatePriceImpact(provider, formatUnits(quote.amountIn, tokenIn.decimals), tokenIn, tokenOut);
+    return { quote, priceImpact };
+  }
+
+  const [quote, priceImpact] = await Promise.all([
+    getSwapQuote(provider, amount, tokenIn, tokenOut),
+    calculatePriceImpact(provider, amount, tokenIn, tokenOut),
+  ]);
+  return { quote, priceImpact };
+}
+
+// Re-read an existing quote against fresh reserves, keeping its driving side fixed
+export async function requoteTrade(provider, quote) {
+  return quote.isExactOutput
+    ? getSwapQuoteForOutput(provider, formatUnits(quote.amountOut, quote.tokenOut.decimals), quote.tokenIn, quote.tokenOut)
+    : getSwapQuote(provider, formatUnits(quote.amountIn, quote.tokenIn.decimals), quote.tokenIn, quote.tokenOut);
+}
+
+/**
+ * Reverse a trade's direction. The typed amount stays exact and moves with
+ * its token: selling exactly 500 USDC becomes buying exactly 500 USDC, so an
+ * input-driven trade flips to output-driven and vice versa.
+ */
+export function flipTrade({ tokenIn, tokenOut, amount, driver }) {
+  return {
+    tokenIn: tokenOut,
+    tokenOut: tokenIn,
+    amount,
+    driver: driver === QUOTE_DRIVER.OUTPUT ? QUOTE_DRIVER.INPUT : QUOTE_DRIVER.OUTPUT,
+  };
+}
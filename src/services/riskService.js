@@ -0,0 +1,194 @@
+import { WAD, getUserAccountData, getUserCollateral, getUserDebt, getReserveData } from './lendingService';
+import { LENDABLE_TOKENS } from '../constants/tokens';
+
+// Lending account risk: projected state after pending actions, price stress tests,
+// liquidation prices and alert thresholds. Account values are WAD bigints (USD).
+
+// USD value (WAD) of `amount` wei of token at priceUSD (WAD per whole token)
+export const toUSD = (amount, token, priceUSD) => (amount * priceUSD) / 10n ** BigInt(token.decimals);
+
+// Health factor (WAD), or null when there is no debt
+const healthFactorOf = (borrowLimitUSD, debtUSD, hfScale) =>
+  debtUSD > 0n ? (borrowLimitUSD * hfScale) / debtUSD : null;
+
+/**
+ * Account state from getUserAccountData. The borrow limit is debt + available borrows.
+ * The pool may weigh collateral by a liquidation threshold rather than LTV, so the
+ * on-chain health factor is kept as a scale (hfScale) that projections reuse.
+ */
+export function getAccountState(accountData) {
+  const collateralUSD = accountData?.totalCollateralUSD || 0n;
+  const debtUSD = accountData?.totalDebtUSD || 0n;
+  const availableUSD = accountData?.availableBorrowsUSD || 0n;
+  const borrowLimitUSD = debtUSD + availableUSD;
+  const onChainHF = accountData?.healthFactor || 0n;
+
+  const hfScale = debtUSD > 0n && borrowLimitUSD > 0n && onChainHF > 0n
+    ? (onChainHF * debtUSD) / borrowLimitUSD
+    : WAD;
+
+  return {
+    collateralUSD,
+    debtUSD,
+    borrowLimitUSD,
+    availableUSD,
+    hfScale,
+    healthFactor: debtUSD > 0n ? (onChainHF > 0n ? onChainHF : healthFactorOf(borrowLimitUSD, debtUSD, hfScale)) : null,
+  };
+}
+
+/**
+ * Apply pending actions to an account state. Each change is
+ * { action: 'supply' | 'withdraw' | 'borrow' | 'repay', token, reserve, amount (wei) }
+ * where reserve comes from getReserveData (priceUSD, ltv).
+ */
+export function projectAccountState(state, changes) {
+  let { collateralUSD, debtUSD, borrowLimitUSD } = state;
+
+  for (const { action, token, reserve, amount } of changes) {
+    if (!token || !reserve || !amount || amount <= 0n) continue;
+    const valueUSD = toUSD(amount, token, reserve.priceUSD);
+    const powerUSD = (valueUSD * reserve.ltv) / WAD;
+
+    if (action === 'supply') {
+      collateralUSD += valueUSD;
+      borrowLimitUSD += powerUSD;
+    } else if (action === 'withdraw') {
+      collateralUSD = collateralUSD > valueUSD ? collateralUSD - valueUSD : 0n;
+      borrowLimitUSD = borrowLimitUSD > powerUSD ? borrowLimitUSD - powerUSD : 0n;
+    } else if (action === 'borrow') {
+      debtUSD += valueUSD;
+    } else if (action === 'repay') {
+      debtUSD = debtUSD > valueUSD ? debtUSD - valueUSD : 0n;
+    }
+  }
+
+  return {
+    ...state,
+    collateralUSD,
+    debtUSD,
+    borrowLimitUSD,
+    availableUSD: borrowLimitUSD > debtUSD ? borrowLimitUSD - debtUSD : 0n,
+    healthFactor: healthFactorOf(borrowLimitUSD, debtUSD, state.hfScale),
+  };
+}
+
+// True when a projected state is liquidatable (health factor under 1.0)
+export const isLiquidatable = (state) => state.healthFactor !== null && state.healthFactor < WAD;
+
+// The lowest health factor a step of a multi-transaction flow may leave the account at
+export const MIN_STEP_HEALTH_FACTOR = (12n * WAD) / 10n; // 1.2
+
+// Below MIN_STEP_HEALTH_FACTOR; no debt (null) is always safe
+export const isBelowStepMargin = (state) => state.healthFactor !== null && state.healthFactor < MIN_STEP_HEALTH_FACTOR;
+
+// Display helper: "1.42", "∞" without debt
+export const formatHealthFactor = (healthFactor) =>
+  healthFactor === null ? '∞' : (Number(healthFactor) / 1e18).toFixed(2);
+
+/**
+ * Everything the risk checks need for one wallet: the account state plus, per
+ * lendable token, { token, reserve, collateral, debt } (wei).
+ */
+export async function getRiskSnapshot(provider, userAddress) {
+  const accountData = await getUserAccountData(provider, userAddress);
+  const positions = await Promise.all(LENDABLE_TOKENS.map(async (token) => {
+    const [reserve, collateral, debt] = await Promise.all([
+      getReserveData(provider, token),
+      getUserCollateral(provider, userAddress, token.address),
+      getUserDebt(provider, userAddress, token.address),
+    ]);
+    return { token, reserve, collateral, debt };
+  }));
+  return { state: getAccountState(accountData), positions };
+}
+
+/**
+ * Account state if token prices move by `shocks` ({ SYMBOL: percent change, e.g. -30 }).
+ * Collateral and borrowing power move with collateral held, debt with debt owed.
+ */
+export function stressAccountState({ state, positions }, shocks) {
+  let { collateralUSD, debtUSD, borrowLimitUSD } = state;
+
+  for (const { token, reserve, collateral, debt } of positions) {
+    const change = shocks[token.symbol];
+    if (!change) continue;
+    const deltaPrice = (reserve.priceUSD * BigInt(Math.round(change * 100))) / 10000n;
+
+    const collateralDelta = toUSD(collateral, token, deltaPrice);
+    collateralUSD += collateralDelta;
+    borrowLimitUSD += (collateralDelta * reserve.ltv) / WAD;
+    debtUSD += toUSD(debt, token, deltaPrice);
+  }
+
+  const clamp = (value) => (value > 0n ? value : 0n);
+  return projectAccountState({
+    ...state,
+    collateralUSD: clamp(collateralUSD),
+    debtUSD: clamp(debtUSD),
+    borrowLimitUSD: clamp(borrowLimitUSD),
+  }, []);
+}
+
+/**
+ * Price of `symbol` at which the health factor reaches 1.0, other prices unchanged:
+ * { price (USD number), change (percent from now) }, or null if no move in that
+ * token's price can liquidate the account (or it already is liquidatable).
+ */
+export function getLiquidationPrice({ state, positions }, symbol) {
+  const position = positions.find(p => p.token.symbol === symbol);
+  if (!position || state.debtUSD === 0n || isLiquidatable(state)) return null;
+
+  const { token, reserve, collateral, debt } = position;
+  const price = Number(reserve.priceUSD) / 1e18;
+  if (price <= 0) return null;
+
+  const unit = 10 ** token.decimals;
+  const scale = Number(state.hfScale) / 1e18;
+  const ltv = Number(reserve.ltv) / 1e18;
+  const collateralAmount = Number(collateral) / unit;
+  const debtAmount = Number(debt) / unit;
+
+  // HF(p) = scale * (limitOther + collateral * ltv * p) / (debtOther + debt * p) = 1
+  const limitOther = Number(state.borrowLimitUSD) / 1e18 - collateralAmount * ltv * price;
+  const debtOther = Number(state.debtUSD) / 1e18 - debtAmount * price;
+  const denominator = scale * collateralAmount * ltv - debtAmount;
+  if (denominator === 0) return null;
+
+  const liquidationPrice = (debtOther - scale * limitOther) / denominator;
+  // Only a price the token can actually reach, in the direction that hurts
+  if (liquidationPrice <= 0 || (denominator > 0 && liquidationPrice >= price) || (denominator < 0 && liquidationPrice <= price)) {
+    return null;
+  }
+  return { price: liquidationPrice, change: ((liquidationPrice - price) / price) * 100 };
+}
+
+// Alert thresholds per wallet; an alert fires when the health factor drops below one of them
+const ALERT_PREFIX = 'risk-alerts';
+export const RISK_ALERTS_CHANGED_EVENT = 'riskAlertsChanged';
+export const DEFAULT_RISK_ALERTS = { enabled: true, warning: 1.5, critical: 1.1 };
+
+export function getRiskAlertSettings(address) {
+  if (!address) return DEFAULT_RISK_ALERTS;
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${ALERT_PREFIX}:${address.toLowerCase()}`) || 'null');
+    return { ...DEFAULT_RISK_ALERTS, ...saved };
+  } catch (error) {
+    return DEFAULT_RISK_ALERTS;
+  }
+}
+
+export function saveRiskAlertSettings(address, settings) {
+  if (!address) return;
+  localStorage.setItem(`${ALERT_PREFIX}:${address.toLowerCase()}`, JSON.stringify(settings));
+  window.dispatchEvent(new CustomEvent(RISK_ALERTS_CHANGED_EVENT));
+}
+
+// 'safe' | 'warning' | 'critical' for a health factor under the given settings
+export function getRiskLevel(healthFactor, settings) {
+  if (healthFactor === null) return 'safe';
+  const value = Number(healthFactor) / 1e18;
+  if (value < settings.critical) return 'critical';
+  if (value < settings.warning) return 'warning';
+  return 'safe';
+}
@@ -0,0 +1,402 @@
+import { ethers } from 'ethers';
+import { CONTRACTS } from '../constants/contracts';
+import { SWAPPABLE_TOKENS } from '../constants/tokens';
+import { SWAP_ROUTER_ABI } from '../constants/abis';
+import { getPoolReserves } from './poolService';
+import { getRegisteredPools, POOL_REGISTRY_CHANGED_EVENT } from './poolRegistryService';
+
+// ========== POOL GRAPH CACHE ==========
+
+const POOL_GRAPH_TTL = 5 * 60 * 1000; // 5 minutes - pools are rarely created
+const MAX_HOPS = 3;
+const FEE_NUMERATOR = 997n; // 0.3% AMM fee
+const FEE_DENOMINATOR = 1000n;
+
+const graphCache = Object.assign(Object.create(null), {
+  graph: null,
+  pools: null,
+  lastUpdated: null,
+  pending: null,
+});
+
+const normalize = (address) => address.toLowerCase();
+
+/**
+ * Token pairs to look up: every pair of built-in tokens, plus every pool in the
+ * registry (created, imported or discovered), so pools with new tokens are routable.
+ */
+function getCandidatePairs() {
+  const pairs = [];
+  const seen = new Set();
+  const add = (tokenA, tokenB) => {
+    const a = normalize(tokenA.address);
+    const b = normalize(tokenB.address);
+    const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+    if (a !== b && !seen.has(key)) {
+      seen.add(key);
+      pairs.push([tokenA, tokenB]);
+    }
+  };
+
+  for (let i = 0; i < SWAPPABLE_TOKENS.length; i++) {
+    for (let j = i + 1; j < SWAPPABLE_TOKENS.length; j++) {
+      add(SWAPPABLE_TOKENS[i], SWAPPABLE_TOKENS[j]);
+    }
+  }
+  for (const { token, pair } of getRegisteredPools()) add(token, pair);
+
+  return pairs;
+}
+
+/**
+ * Discover every pool the router knows about among the candidate pairs.
+ * The router has no pool enumeration, so each token pair is resolved
+ * through getPoolId/pools and kept only if it holds reserves on both sides.
+ */
+async function discoverPools(provider, pairs) {
+  const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, provider);
+
+  const results = await Promise.all(pairs.map(async ([tokenA, tokenB]) => {
+    try {
+      const poolId = await swapRouter.getPoolId(tokenA.address, tokenB.address);
+      const pool = await swapRouter.pools(poolId);
+      if (pool.reserve0 === 0n || pool.reserve1 === 0n) return null;
+
+      return {
+        poolId,
+        token0: pool.token0,
+        token1: pool.token1,
+        reserve0: pool.reserve0,
+        reserve1: pool.reserve1,
+      };
+    } catch (error) {
+      console.warn(`[RPC] Pool lookup failed for ${tokenA.symbol}/${tokenB.symbol}:`, error.code || error.message);
+      return null;
+    }
+  }));
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Build an adjacency map (address -> Set of neighbour addresses) from a pool list
+ */
+export function buildTokenGraph(pools) {
+  const graph = new Map();
+
+  const link = (from, to) => {
+    if (!graph.has(from)) graph.set(from, new Set());
+    graph.get(from).add(to);
+  };
+
+  for (const pool of pools) {
+    const a = normalize(pool.token0);
+    const b = normalize(pool.token1);
+    link(a, b);
+    link(b, a);
+  }
+
+  return graph;
+}
+
+/**
+ * Get the cached pool graph, refreshing it when stale
+ */
+export async function getPoolGraph(provider, { force = false } = {}) {
+  if (!provider) return { graph: new Map(), pools: [] };
+
+  const isFresh = graphCache.lastUpdated && Date.now() - graphCache.lastUpdated < POOL_GRAPH_TTL;
+  if (!force && isFresh && graphCache.graph) {
+    return { graph: graphCache.graph, pools: graphCache.pools };
+  }
+
+  // Share a single in-flight discovery between concurrent quote requests
+  if (!graphCache.pending) {
+    graphCache.pending = discoverPools(provider, getCandidatePairs())
+      .then((pools) => {
+        // Keep the last good graph if discovery came back empty (RPC hiccup)
+        if (pools.length > 0 || !graphCache.graph) {
+          graphCache.pools = pools;
+          graphCache.graph = buildTokenGraph(pools);
+          graphCache.lastUpdated = Date.now();
+        }
+        return { graph: graphCache.graph, pools: graphCache.pools };
+      })
+      .finally(() => {
+        graphCache.pending = null;
+      });
+  }
+
+  return graphCache.pending;
+}
+
+/**
+ * Force the next route lookup to rediscover pools (e.g. after liquidity changes)
+ */
+export function invalidatePoolGraph() {
+  graphCache.lastUpdated = null;
+}
+
+// A pool created, imported or discovered may open new routes
+if (typeof window !== 'undefined') {
+  window.addEventListener(POOL_REGISTRY_CHANGED_EVENT, invalidatePoolGraph);
+}
+
+/**
+ * Enumerate every simple path between two tokens up to maxHops pools long
+ */
+export function findCandidatePaths(graph, fromAddress, toAddress, maxHops = MAX_HOPS) {
+  const from = normalize(fromAddress);
+  const to = normalize(toAddress);
+  const paths = [];
+
+  const walk = (current, path) => {
+    if (current === to) {
+      paths.push(path);
+      return;
+    }
+    if (path.length > maxHops) return;
+
+    for (const next of graph.get(current) || []) {
+      if (!path.includes(next)) {
+        walk(next, [...path, next]);
+      }
+    }
+  };
+
+  if (from !== to) walk(from, [from]);
+
+  // Shorter paths first so ties resolve to fewer hops
+  return paths.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Pick the path with the best getAmountsOut result for the given input.
+ * Returns { path, amounts, amountOut } or null when no route has liquidity.
+ */
+export async function findBestRoute(provider, amountInWei, tokenIn, tokenOut) {
+  if (!provider || !amountInWei || amountInWei === 0n || !tokenIn || !tokenOut) {
+    return null;
+  }
+
+  const { graph } = await getPoolGraph(provider);
+  const candidates = findCandidatePaths(graph, tokenIn.address, tokenOut.address);
+  if (candidates.length === 0) return null;
+
+  const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, provider);
+
+  const quotes = await Promise.all(candidates.map(async (path) => {
+    try {
+      const amounts = await swapRouter.getAmountsOut(amountInWei, path);
+      return { path: path.map((address) => ethers.getAddress(address)), amounts: [...amounts], amountOut: amounts[amounts.length - 1] };
+    } catch (error) {
+      // A path can revert when one of its hops is too shallow for the amount
+      return null;
+    }
+  }));
+
+  let best = null;
+  for (const quote of quotes) {
+    if (quote && quote.amountOut > 0n && (!best || quote.amountOut > best.amountOut)) {
+      best = quote;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Constant-product inverse: input needed to take amountOut out of a pool
+ */
+export function getAmountIn(amountOut, reserveIn, reserveOut) {
+  if (amountOut <= 0n || reserveIn <= 0n || amountOut >= reserveOut) return null;
+  const numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+  const denominator = (reserveOut - amountOut) * FEE_NUMERATOR;
+  return numerator / denominator + 1n;
+}
+
+/**
+ * Back-solve the input for a path by walking its hops in reverse against
+ * live reserves, then confirm with getAmountsOut so router rounding can
+ * never leave the trade short of amountOutWei.
+ */
+async function solvePathForOutput(provider, swapRouter, path, amountOutWei) {
+  const amounts = new Array(path.length);
+  amounts[path.length - 1] = amountOutWei;
+
+  for (let i = path.length - 1; i > 0; i--) {
+    const pool = await getPoolReserves(provider, { address: path[i - 1] }, { address: path[i] });
+    if (!pool) return null;
+
+    const inIsToken0 = normalize(path[i - 1]) === normalize(pool.token0);
+    const reserveIn = inIsToken0 ? pool.reserve0 : pool.reserve1;
+    const reserveOut = inIsToken0 ? pool.reserve1 : pool.reserve0;
+
+    const hopIn = getAmountIn(amounts[i], reserveIn, reserveOut);
+    if (hopIn === null) return null;
+    amounts[i - 1] = hopIn;
+  }
+
+  let amountIn = amounts[0];
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const quoted = await swapRouter.getAmountsOut(amountIn, path);
+    const out = quoted[quoted.length - 1];
+    if (out >= amountOutWei) {
+      return { path, amountIn, amounts: [...quoted], amountOut: out };
+    }
+    // Scale up proportionally to the shortfall and re-check
+    amountIn += (amountIn * (amountOutWei - out)) / (out > 0n ? out : 1n) + 1n;
+  }
+
+  return null;
+}
+
+/**
+ * Pick the path that needs the least input to receive exactly amountOutWei.
+ * Returns { path, amountIn, amounts, amountOut } or null when no route can fill it.
+ */
+export async function findBestRouteForOutput(provider, amountOutWei, tokenIn, tokenOut) {
+  if (!provider || !amountOutWei || amountOutWei === 0n || !tokenIn || !tokenOut) {
+    return null;
+  }
+
+  const { graph } = await getPoolGraph(provider);
+  const candidates = findCandidatePaths(graph, tokenIn.address, tokenOut.address);
+  if (candidates.length === 0) return null;
+
+  const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, provider);
+
+  const solutions = await Promise.all(candidates.map(async (candidate) => {
+    try {
+      const path = candidate.map((address) => ethers.getAddress(address));
+      return await solvePathForOutput(provider, swapRouter, path, amountOutWei);
+    } catch (error) {
+      return null;
+    }
+  }));
+
+  let best = null;
+  for (const solution of solutions) {
+    if (solution && (!best || solution.amountIn < best.amountIn)) {
+      best = solution;
+    }
+  }
+
+  return best;
+}
+
+// ========== SPLIT ORDERS ==========
+
+/**
+ * Constant-product forward quote: output for amountIn against one pool
+ */
+export function getAmountOut(amountIn, reserveIn, reserveOut) {
+  if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) return 0n;
+  const amountInWithFee = amountIn * FEE_NUMERATOR;
+  return (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+}
+
+const pairKey = (a, b) => [normalize(a), normalize(b)].sort().join(':');
+
+/**
+ * Walk a path against a local reserve map. Returns the per-hop amounts,
+ * or null if any hop is missing from the map.
+ */
+function quotePathLocally(reserves, path, amountIn) {
+  const amounts = [amountIn];
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const pool = reserves.get(pairKey(path[i], path[i + 1]));
+    if (!pool) return null;
+
+    const inIsToken0 = normalize(path[i]) === normalize(pool.token0);
+    const reserveIn = inIsToken0 ? pool.reserve0 : pool.reserve1;
+    const reserveOut = inIsToken0 ? pool.reserve1 : pool.reserve0;
+    amounts.push(getAmountOut(amounts[i], reserveIn, reserveOut));
+  }
+
+  return amounts;
+}
+
+/**
+ * Apply a quoted swap to the local reserve map so the next chunk
+ * sees the price the previous one left behind
+ */
+function applyPathLocally(reserves, path, amounts) {
+  for (let i = 0; i < path.length - 1; i++) {
+    const key = pairKey(path[i], path[i + 1]);
+    const pool = reserves.get(key);
+    const inIsToken0 = normalize(path[i]) === normalize(pool.token0);
+
+    reserves.set(key, inIsToken0
+      ? { ...pool, reserve0: pool.reserve0 + amounts[i], reserve1: pool.reserve1 - amounts[i + 1] }
+      : { ...pool, reserve0: pool.reserve0 - amounts[i + 1], reserve1: pool.reserve1 + amounts[i] });
+  }
+}
+
+function bestLocalPath(reserves, candidates, amountIn) {
+  let best = null;
+  for (const path of candidates) {
+    const amounts = quotePathLocally(reserves, path, amountIn);
+    if (!amounts) continue;
+    const amountOut = amounts[amounts.length - 1];
+    if (amountOut > 0n && (!best || amountOut > best.amountOut)) {
+      best = { path, amounts, amountOut };
+    }
+  }
+  return best;
+}
+
+/**
+ * Simulate selling amountInWei as chunkCount equal sequential swaps. Every
+ * chunk takes the best path against reserves already moved by the chunks
+ * before it, so large orders can spread across parallel routes. The whole
+ * amount as a single swap is quoted from the same snapshot for comparison.
+ *
+ * Returns { chunks: [{ amountIn, amountOut, path, amounts }], totalOut, singleOut, singlePath }
+ * or null when no route exists.
+ */
+export async function simulateSplitRoute(provider, amountInWei, tokenIn, tokenOut, chunkCount) {
+  if (!provider || !amountInWei || amountInWei === 0n || !tokenIn || !tokenOut || chunkCount < 1) {
+    return null;
+  }
+
+  const { graph, pools } = await getPoolGraph(provider);
+  const candidates = findCandidatePaths(graph, tokenIn.address, tokenOut.address)
+    .map((path) => path.map((address) => ethers.getAddress(address)));
+  if (candidates.length === 0) return null;
+
+  // Re-read reserves for the snapshot - the cached graph can be minutes old
+  const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, provider);
+  const freshPools = await Promise.all(pools.map(async (pool) => {
+    try {
+      const live = await swapRouter.pools(pool.poolId);
+      return { ...pool, reserve0: live.reserve0, reserve1: live.reserve1 };
+    } catch (error) {
+      return pool;
+    }
+  }));
+
+  const snapshot = new Map(freshPools.map((pool) => [pairKey(pool.token0, pool.token1), pool]));
+
+  const single = bestLocalPath(snapshot, candidates, amountInWei);
+  if (!single) return null;
+
+  const reserves = new Map(snapshot);
+  const baseChunk = amountInWei / BigInt(chunkCount);
+  const chunks = [];
+  let totalOut = 0n;
+
+  for (let i = 0; i < chunkCount; i++) {
+    // Last chunk absorbs the division remainder
+    const chunkIn = i === chunkCount - 1 ? amountInWei - baseChunk * BigInt(chunkCount - 1) : baseChunk;
+    const best = bestLocalPath(reserves, candidates, chunkIn);
+    if (!best) return null;
+
+    applyPathLocally(reserves, best.path, best.amounts);
+    chunks.push({ amountIn: chunkIn, amountOut: best.amountOut, path: best.path, amounts: best.amounts });
+    totalOut += best.amountOut;
+  }
+
+  return { chunks, totalOut, singleOut: single.amountOut, singlePath: single.path };
+}
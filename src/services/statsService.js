@@ -3,6 +3,7 @@ import { CONTRACTS } from '../constants/contracts';
 import { LENDING_POOL_ABI, SWAP_ROUTER_ABI } from '../constants/abis';
 import { LENDABLE_TOKENS, TOKENS } from '../constants/tokens';
 import { fetchBackendStats } from './backendService';
+import { discoverPools } from './poolRegistryService';
 
 // ========== CACHING CONFIGURATION ==========
 
@@ -15,13 +16,6 @@ const statsCache = Object.assign(Object.create(null), {
   source: null, // 'backend' or 'onchain'
 });
 
-// AMM Trading pairs (token paired with USDC)
-const AMM_PAIRS = [
-  { token: TOKENS.CAT, pair: TOKENS.USDC },
-  { token: TOKENS.DARC, pair: TOKENS.USDC },
-  { token: TOKENS.PANDA, pair: TOKENS.USDC },
-];
-
 /**
  * Utility: Retry a function up to N times with delay
  */
@@ -75,7 +69,22 @@ export async function getTotalTVL(provider) {
     }
 
     // ========== AMM POOL TVL ==========
-    for (const { token, pair } of AMM_PAIRS) {
+    // Every listed pool (built-in + discovered). USDC counts as $1, lendable tokens use the
+    // oracle price; a side without a price is valued at the other side (pools hold 50/50 value).
+    const ammPools = await discoverPools(provider);
+    const oraclePrices = {};
+    const priceOf = async (token) => {
+      if (token.address.toLowerCase() === TOKENS.USDC.address.toLowerCase()) return 10n ** 18n;
+      if (!LENDABLE_TOKENS.some(t => t.address.toLowerCase() === token.address.toLowerCase())) return null;
+      if (!(token.address in oraclePrices)) {
+        const reserveData = await withRetry(() => lendingPool.getReserveData(token.address));
+        oraclePrices[token.address] = reserveData[4] || 0n;
+      }
+      return oraclePrices[token.address];
+    };
+    const valueOf = (amount, token, priceUSD) => (amount * 10n ** BigInt(18 - token.decimals) * priceUSD) / 10n ** 18n;
+
+    for (const { token, pair } of ammPools) {
       try {
         const poolId = await withRetry(() => swapRouter.getPoolId(token.address, pair.address));
         const poolData = await withRetry(() => swapRouter.pools(poolId));
@@ -86,29 +95,23 @@ export async function getTotalTVL(provider) {
         if (reserve0 === 0n && reserve1 === 0n) continue;
 
         const token0Address = poolData[0];
-        let tokenReserve, usdcReserve;
+        let tokenReserve, pairReserve;
 
         if (token0Address && token0Address.toLowerCase() === token.address.toLowerCase()) {
           tokenReserve = reserve0;
-          usdcReserve = reserve1;
+          pairReserve = reserve1;
         } else {
           tokenReserve = reserve1;
-          usdcReserve = reserve0;
+          pairReserve = reserve0;
         }
 
-        const reserveData = await withRetry(() => lendingPool.getReserveData(token.address));
-        const tokenPriceUSD = reserveData[4] || 0n;
-
-        const tokenScalingFactor = 10n ** BigInt(18 - token.decimals);
-        const normalizedTokenReserve = tokenReserve * tokenScalingFactor;
-        const tokenValueUSD = (normalizedTokenReserve * tokenPriceUSD) / 10n ** 18n;
+        const [tokenPriceUSD, pairPriceUSD] = await Promise.all([priceOf(token), priceOf(pair)]);
+        if (tokenPriceUSD === null && pairPriceUSD === null) continue;
 
-        const usdcScalingFactor = 10n ** BigInt(18 - pair.decimals);
-        const normalizedUsdcReserve = usdcReserve * usdcScalingFactor;
-        const usdcPriceUSD = 10n ** 18n;
-        const usdcValueUSD = (normalizedUsdcReserve * usdcPriceUSD) / 10n ** 18n;
+        const tokenValueUSD = tokenPriceUSD !== null ? valueOf(tokenReserve, token, tokenPriceUSD) : null;
+        const pairValueUSD = pairPriceUSD !== null ? valueOf(pairReserve, pair, pairPriceUSD) : null;
 
-        ammTVL += tokenValueUSD + usdcValueUSD;
+        ammTVL += (tokenValueUSD ?? pairValueUSD) + (pairValueUSD ?? tokenValueUSD);
       } catch (error) {
         console.error(`Error fetching AMM pool data for ${token.symbol}/${pair.symbol}:`, error.message);
       }
@@ -0,0 +1,73 @@
+import { formatUnits } from 'ethers';
+
+// Executed swaps as decoded from their receipts, kept in the browser so the
+// user can compare what they got against what they were quoted.
+
+const STORAGE_PREFIX = 'swap-history';
+const MAX_ENTRIES = 100;
+export const SWAP_HISTORY_CHANGED_EVENT = 'swapHistoryChanged';
+
+const storageKey = (address) => `${STORAGE_PREFIX}:${address.toLowerCase()}`;
+
+export function getSwapHistory(address) {
+  if (!address) return [];
+
+  try {
+    const saved = localStorage.getItem(storageKey(address));
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.warn('Failed to read swap history:', error.message);
+    return [];
+  }
+}
+
+function saveSwapHistory(address, entries) {
+  localStorage.setItem(storageKey(address), JSON.stringify(entries.slice(0, MAX_ENTRIES)));
+  window.dispatchEvent(new CustomEvent(SWAP_HISTORY_CHANGED_EVENT));
+}
+
+const toNumber = (wei, decimals) => parseFloat(formatUnits(wei, decimals));
+
+/**
+ * Compare an executed swap with its quote.
+ * quoted / actual: { amountIn, amountOut } in wei (actual from decodeSwapReceipt)
+ * priceDiff is the realized price vs the quoted price in percent;
+ * positive means the swap filled better than quoted.
+ */
+export function buildSwapExecution({ hash, tokenIn, tokenOut, quoted, actual, chunks = 1, source = 'swap' }) {
+  const amountIn = toNumber(actual.amountIn, tokenIn.decimals);
+  const amountOut = toNumber(actual.amountOut, tokenOut.decimals);
+  const quotedIn = toNumber(quoted.amountIn, tokenIn.decimals);
+  const quotedOut = toNumber(quoted.amountOut, tokenOut.decimals);
+
+  const realizedPrice = amountIn > 0 ? amountOut / amountIn : 0;
+  const quotedPrice = quotedIn > 0 ? quotedOut / quotedIn : 0;
+  const priceDiff = quotedPrice > 0 ? ((realizedPrice - quotedPrice) / quotedPrice) * 100 : 0;
+
+  return {
+    hash,
+    timestamp: Date.now(),
+    source,
+    chunks,
+    fromSymbol: tokenIn.symbol,
+    toSymbol: tokenOut.symbol,
+    amountIn: formatUnits(actual.amountIn, tokenIn.decimals),
+    amountOut: formatUnits(actual.amountOut, tokenOut.decimals),
+    quotedAmountIn: formatUnits(quoted.amountIn, tokenIn.decimals),
+    quotedAmountOut: formatUnits(quoted.amountOut, tokenOut.decimals),
+    realizedPrice,
+    quotedPrice,
+    priceDiff,
+  };
+}
+
+export function recordSwapExecution(address, execution) {
+  if (!address || !execution) return;
+  saveSwapHistory(address, [execution, ...getSwapHistory(address)]);
+}
+
+export function clearSwapHistory(address) {
+  if (!address) return;
+  localStorage.removeItem(storageKey(address));
+  window.dispatchEvent(new CustomEvent(SWAP_HISTORY_CHANGED_EVENT));
+}
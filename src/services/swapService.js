@@ -1,38 +1,142 @@
 import { ethers, formatUnits } from 'ethers';
 import { getPoolReserves } from './poolService';
+import { findBestRoute, findBestRouteForOutput, simulateSplitRoute } from './routeService';
+import { getRegisteredTokens } from './poolRegistryService';
 import { CONTRACTS } from '../constants/contracts';
-import { TOKENS } from '../constants/tokens';
 import { SWAP_ROUTER_ABI, ERC20_ABI } from '../constants/abis';
 import { parseTokenAmount } from '../utils/formatters';
 
+export const DEFAULT_DEADLINE_MINUTES = 20;
+
+// Router deadline (unix seconds) from the user's deadline setting
+const getDeadline = (deadlineMinutes = DEFAULT_DEADLINE_MINUTES) =>
+  Math.floor(Date.now() / 1000) + 60 * deadlineMinutes;
+
 export async function getSwapAmountsOut(provider, amountIn, tokenIn, tokenOut) {
   if (!provider || !amountIn || amountIn === '0' || !tokenIn || !tokenOut) {
     return 0n;
   }
 
   try {
-    const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, provider);
     const amountInWei = parseTokenAmount(amountIn, tokenIn.decimals);
 
-    // STAC-STYLE PATHING: 
-    // Always check if we need to go through USDC for better liquidity
-    const USDC_ADDRESS = CONTRACTS.USDC;
-    let path = [tokenIn.address, tokenOut.address];
+    // Best path across every known pool (direct or multi-hop)
+    const route = await findBestRoute(provider, amountInWei, tokenIn, tokenOut);
+    return route ? route.amountOut : 0n;
+  } catch (error) {
+    console.warn('[RPC] Swap amounts fetch failed:', error.code || error.message);
+    return 0n;
+  }
+}
 
-    // If neither token is USDC, route through USDC
-    if (tokenIn.address.toLowerCase() !== USDC_ADDRESS.toLowerCase() &&
-      tokenOut.address.toLowerCase() !== USDC_ADDRESS.toLowerCase()) {
-      path = [tokenIn.address, USDC_ADDRESS, tokenOut.address];
-    }
+// Exact-output quote: input (wei) required to receive exactly amountOut of tokenOut
+export async function getSwapAmountsIn(provider, amountOut, tokenIn, tokenOut) {
+  if (!provider || !amountOut || amountOut === '0' || !tokenIn || !tokenOut) {
+    return 0n;
+  }
 
-    const amounts = await swapRouter.getAmountsOut(amountInWei, path);
-    return amounts[amounts.length - 1];
+  try {
+    const amountOutWei = parseTokenAmount(amountOut, tokenOut.decimals);
+    const route = await findBestRouteForOutput(provider, amountOutWei, tokenIn, tokenOut);
+    return route ? route.amountIn : 0n;
   } catch (error) {
-    console.warn('[RPC] Swap amounts fetch failed:', error.code || error.message);
+    console.warn('[RPC] Swap amounts-in fetch failed:', error.code || error.message);
     return 0n;
   }
 }
 
+// Quote object stamped with the block it was read at, so callers can tell how old it is.
+// { tokenIn, tokenOut, amountIn, amountOut (wei), path, isExactOutput, blockNumber, timestamp }
+async function stampQuote(provider, route, tokenIn, tokenOut, isExactOutput, amountIn) {
+  const blockNumber = await provider.getBlockNumber().catch(() => null);
+  return {
+    tokenIn,
+    tokenOut,
+    amountIn,
+    amountOut: route.amountOut,
+    path: route.path,
+    isExactOutput,
+    blockNumber,
+    timestamp: Date.now(),
+  };
+}
+
+export async function getSwapQuote(provider, amountIn, tokenIn, tokenOut) {
+  if (!provider || !amountIn || amountIn === '0' || !tokenIn || !tokenOut) return null;
+
+  try {
+    const amountInWei = parseTokenAmount(amountIn, tokenIn.decimals);
+    const route = await findBestRoute(provider, amountInWei, tokenIn, tokenOut);
+    if (!route) return null;
+    return await stampQuote(provider, route, tokenIn, tokenOut, false, amountInWei);
+  } catch (error) {
+    console.warn('[RPC] Swap quote failed:', error.code || error.message);
+    return null;
+  }
+}
+
+export async function getSwapQuoteForOutput(provider, amountOut, tokenIn, tokenOut) {
+  if (!provider || !amountOut || amountOut === '0' || !tokenIn || !tokenOut) return null;
+
+  try {
+    const amountOutWei = parseTokenAmount(amountOut, tokenOut.decimals);
+    const route = await findBestRouteForOutput(provider, amountOutWei, tokenIn, tokenOut);
+    if (!route) return null;
+    // Keep the requested output rather than the (possibly slightly higher) routed output
+    return await stampQuote(provider, { ...route, amountOut: amountOutWei }, tokenIn, tokenOut, true, route.amountIn);
+  } catch (error) {
+    console.warn('[RPC] Swap quote-for-output failed:', error.code || error.message);
+    return null;
+  }
+}
+
+// How far (percent) a newer quote moved against the user: less output for
+// exact-input quotes, more input for exact-output quotes. Negative = better.
+export function getAdverseQuoteMove(previous, current) {
+  if (!previous || !current) return 0;
+  if (previous.isExactOutput) {
+    if (previous.amountIn === 0n) return 0;
+    return Number(((current.amountIn - previous.amountIn) * 1000000n) / previous.amountIn) / 10000;
+  }
+  if (previous.amountOut === 0n) return 0;
+  return Number(((previous.amountOut - current.amountOut) * 1000000n) / previous.amountOut) / 10000;
+}
+
+const swapEventInterface = new ethers.Interface(SWAP_ROUTER_ABI);
+
+/**
+ * Read the executed amounts from the router's Swap events in a receipt.
+ * Multi-hop swaps emit one event per hop, so input is taken from hops
+ * selling tokenIn and output from hops buying tokenOut.
+ * Returns { amountIn, amountOut } in wei, or null if no Swap event was found.
+ */
+export function decodeSwapReceipt(receipt, tokenIn, tokenOut) {
+  if (!receipt?.logs) return null;
+
+  const router = CONTRACTS.SWAP_ROUTER.toLowerCase();
+  let amountIn = 0n;
+  let amountOut = 0n;
+  let found = false;
+
+  for (const log of receipt.logs) {
+    if (log.address?.toLowerCase() !== router) continue;
+
+    let parsed = null;
+    try {
+      parsed = swapEventInterface.parseLog({ topics: [...log.topics], data: log.data });
+    } catch (error) {
+      continue;
+    }
+    if (parsed?.name !== 'Swap') continue;
+
+    found = true;
+    if (parsed.args.tokenIn.toLowerCase() === tokenIn.address.toLowerCase()) amountIn += parsed.args.amountIn;
+    if (parsed.args.tokenOut.toLowerCase() === tokenOut.address.toLowerCase()) amountOut += parsed.args.amountOut;
+  }
+
+  return found && amountOut > 0n ? { amountIn, amountOut } : null;
+}
+
 // Get spot exchange rate (1 token = X) - stable rate regardless of swap amount
 export async function getSpotExchangeRate(provider, tokenIn, tokenOut) {
   if (!provider || !tokenIn || !tokenOut) {
@@ -40,25 +144,15 @@ export async function getSpotExchangeRate(provider, tokenIn, tokenOut) {
   }
 
   try {
-    const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, provider);
-
     // Use exactly 1 unit of the input token (1 token with proper decimals)
     // This gives us the spot price for 1 token
     const oneTokenAmount = '1';
     const oneTokenWei = parseTokenAmount(oneTokenAmount, tokenIn.decimals);
 
-    // Determine path
-    const USDC_ADDRESS = CONTRACTS.USDC;
-    let path = [tokenIn.address, tokenOut.address];
-
-    if (tokenIn.address.toLowerCase() !== USDC_ADDRESS.toLowerCase() &&
-      tokenOut.address.toLowerCase() !== USDC_ADDRESS.toLowerCase()) {
-      path = [tokenIn.address, USDC_ADDRESS, tokenOut.address];
-    }
-
-    // Get output for 1 token
-    const amounts = await swapRouter.getAmountsOut(oneTokenWei, path);
-    const amountOut = amounts[amounts.length - 1];
+    // Get output for 1 token along the best route
+    const route = await findBestRoute(provider, oneTokenWei, tokenIn, tokenOut);
+    if (!route) return null;
+    const amountOut = route.amountOut;
 
     // Convert both to human-readable format using formatUnits
     // Input: 1 token (already in correct format)
@@ -90,50 +184,188 @@ export async function checkSwapAllowance(provider, userAddress, tokenIn, amountI
   }
 }
 
-export async function approveSwapToken(signer, tokenIn, amountIn) {
+// options.infiniteApproval approves MaxUint256 instead of the exact amount
+export async function approveSwapToken(signer, tokenIn, amountIn, { infiniteApproval = false } = {}) {
   if (!signer) throw new Error('Signer not available');
 
   const tokenInContract = new ethers.Contract(tokenIn.address, ERC20_ABI, signer);
-  const amountInWei = parseTokenAmount(amountIn, tokenIn.decimals);
+  const amountInWei = infiniteApproval ? ethers.MaxUint256 : parseTokenAmount(amountIn, tokenIn.decimals);
 
   const tx = await tokenInContract.approve(CONTRACTS.SWAP_ROUTER, amountInWei);
   return tx;
 }
 
-export async function executeSwap(signer, amountIn, tokenIn, tokenOut, amountOutMin) {
-  if (!signer) throw new Error('Signer not available');
+// ========== SIMULATION ==========
+
+// OpenZeppelin v5 ERC20 custom errors
+const ERC20_ERROR_SELECTORS = {
+  '0xfb8f41b2': 'allowance', // ERC20InsufficientAllowance(address,uint256,uint256)
+  '0xe450d38c': 'balance', // ERC20InsufficientBalance(address,uint256,uint256)
+};
+
+const SWAP_REVERT_MESSAGES = {
+  output: 'The price moved beyond your slippage tolerance - this swap would return less than your minimum received.',
+  expired: 'The transaction deadline has already passed. Try again, or raise the deadline in swap settings.',
+  allowance: 'The router is not approved to spend enough of this token. Approve it and try again.',
+  balance: 'Your wallet balance is too low for this swap.',
+  liquidity: 'There is not enough liquidity in the pool for this swap.',
+};
+
+// Turn a revert from eth_call / estimateGas into a message a user can act on
+export function decodeSwapRevert(error) {
+  const data = error?.data || error?.info?.error?.data || error?.error?.data;
+  if (typeof data === 'string' && data.length >= 10) {
+    const kind = ERC20_ERROR_SELECTORS[data.slice(0, 10).toLowerCase()];
+    if (kind) return SWAP_REVERT_MESSAGES[kind];
+  }
+
+  const reason = [error?.reason, error?.revert?.args?.[0], error?.shortMessage, error?.message]
+    .filter(Boolean)
+    .join(' ');
+
+  if (/insufficient.?output|output amount|slippage|amountOutMin/i.test(reason)) return SWAP_REVERT_MESSAGES.output;
+  if (/expired|deadline/i.test(reason)) return SWAP_REVERT_MESSAGES.expired;
+  if (/allowance/i.test(reason)) return SWAP_REVERT_MESSAGES.allowance;
+  if (/balance/i.test(reason)) return SWAP_REVERT_MESSAGES.balance;
+  if (/liquidity/i.test(reason)) return SWAP_REVERT_MESSAGES.liquidity;
+  if (error?.reason) return `Swap would fail: ${error.reason}`;
+  return 'Swap would fail on-chain. Check your amounts and try again.';
+}
+
+async function simulateSwapCall(provider, userAddress, args) {
+  const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, provider);
+
+  try {
+    const amounts = await swapRouter.swapExactTokensForTokens.staticCall(...args, { from: userAddress });
+
+    // A failed estimate alone shouldn't block a swap that passed eth_call
+    let gasLimit = null;
+    let gasCost = null;
+    try {
+      gasLimit = await swapRouter.swapExactTokensForTokens.estimateGas(...args, { from: userAddress });
+      const feeData = await provider.getFeeData();
+      if (feeData.gasPrice) gasCost = gasLimit * feeData.gasPrice;
+    } catch (error) {
+      console.warn('[RPC] Swap gas estimate failed:', error.code || error.message);
+    }
+
+    return { success: true, amounts: [...amounts], gasLimit, gasCost, error: null };
+  } catch (error) {
+    // Only a revert means the swap would fail; RPC hiccups leave the decision to the wallet
+    if (error.code && error.code !== 'CALL_EXCEPTION') {
+      console.warn('[RPC] Swap simulation unavailable:', error.code || error.message);
+      return { success: true, skipped: true, amounts: null, gasLimit: null, gasCost: null, error: null };
+    }
+    return { success: false, amounts: null, gasLimit: null, gasCost: null, error: decodeSwapRevert(error) };
+  }
+}
+
+/**
+ * Dry-run swapExactTokensForTokens from the user's address via eth_call, then
+ * estimate its gas. gasCost is in native wei (USDC on Arc).
+ * Returns { success, amounts, gasLimit, gasCost, error }.
+ */
+export async function simulateSwap(provider, userAddress, { amountIn, amountOutMin, path }, { deadlineMinutes } = {}) {
+  if (!provider || !userAddress) {
+    return { success: false, amounts: null, gasLimit: null, gasCost: null, error: 'Wallet not connected' };
+  }
+  return simulateSwapCall(provider, userAddress, [amountIn, amountOutMin, path, userAddress, getDeadline(deadlineMinutes)]);
+}
+
+// Simulate, then send with the exact same params - the wallet only opens for swaps that will succeed
+async function sendSimulatedSwap(signer, amountInWei, amountOutMinWei, path, deadlineMinutes) {
+  const userAddress = await signer.getAddress();
+  const args = [amountInWei, amountOutMinWei, path, userAddress, getDeadline(deadlineMinutes)];
+
+  const simulation = await simulateSwapCall(signer.provider, userAddress, args);
+  if (!simulation.success) throw new Error(simulation.error);
 
   const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, signer);
+  // 20% headroom over the estimate
+  const overrides = simulation.gasLimit ? { gasLimit: (simulation.gasLimit * 120n) / 100n } : {};
+
+  return swapRouter.swapExactTokensForTokens(...args, overrides);
+}
+
+// Resolve the best router path for a signer-side swap
+async function resolveSwapPath(signer, amountInWei, tokenIn, tokenOut) {
+  const route = await findBestRoute(signer.provider, amountInWei, tokenIn, tokenOut);
+  if (!route) throw new Error(`No liquidity route from ${tokenIn.symbol} to ${tokenOut.symbol}`);
+  return route.path;
+}
+
+export async function executeSwap(signer, amountIn, tokenIn, tokenOut, amountOutMin, { deadlineMinutes } = {}) {
+  if (!signer) throw new Error('Signer not available');
+
   const amountInWei = parseTokenAmount(amountIn, tokenIn.decimals);
   const amountOutMinWei = parseTokenAmount(amountOutMin, tokenOut.decimals);
-  const userAddress = await signer.getAddress();
+  const path = await resolveSwapPath(signer, amountInWei, tokenIn, tokenOut);
 
-  // STAC-STYLE PATHING
-  const USDC_ADDRESS = CONTRACTS.USDC;
-  let path = [tokenIn.address, tokenOut.address];
+  return sendSimulatedSwap(signer, amountInWei, amountOutMinWei, path, deadlineMinutes);
+}
+
+// Exact-output swap: the router only exposes exact-input swaps, so this sells the full
+// amountInMax with amountOut as the minimum. The slippage headroom absorbs price moves
+// until inclusion; any output above amountOut is the price improvement. The input is
+// re-solved against live reserves first so a swap that can no longer reach amountOut
+// fails before the wallet opens.
+export async function executeExactOutputSwap(signer, amountOut, tokenIn, tokenOut, amountInMax, { deadlineMinutes } = {}) {
+  if (!signer) throw new Error('Signer not available');
 
-  if (tokenIn.address.toLowerCase() !== USDC_ADDRESS.toLowerCase() &&
-    tokenOut.address.toLowerCase() !== USDC_ADDRESS.toLowerCase()) {
-    path = [tokenIn.address, USDC_ADDRESS, tokenOut.address];
+  const amountOutWei = parseTokenAmount(amountOut, tokenOut.decimals);
+  const amountInMaxWei = parseTokenAmount(amountInMax, tokenIn.decimals);
+
+  const route = await findBestRouteForOutput(signer.provider, amountOutWei, tokenIn, tokenOut);
+  if (!route) throw new Error(`No liquidity route from ${tokenIn.symbol} to ${tokenOut.symbol}`);
+  if (route.amountIn > amountInMaxWei) {
+    throw new Error(`Price moved: ${formatUnits(route.amountIn, tokenIn.decimals)} ${tokenIn.symbol} now required, above your maximum of ${amountInMax}`);
   }
 
-  const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+  return sendSimulatedSwap(signer, amountInMaxWei, amountOutWei, route.path, deadlineMinutes);
+}
 
-  const tx = await swapRouter.swapExactTokensForTokens(
-    amountInWei,
-    amountOutMinWei,
-    path,
-    userAddress,
-    deadline
-  );
+// Simulate a split order: amountIn sold as chunkCount sequential swaps vs one swap
+export async function simulateSplitSwap(provider, amountIn, tokenIn, tokenOut, chunkCount) {
+  if (!provider || !amountIn || amountIn === '0' || !tokenIn || !tokenOut || chunkCount < 2) {
+    return null;
+  }
 
-  return tx;
+  try {
+    const amountInWei = parseTokenAmount(amountIn, tokenIn.decimals);
+    const simulation = await simulateSplitRoute(provider, amountInWei, tokenIn, tokenOut, chunkCount);
+    if (!simulation) return null;
+
+    const amountInNum = parseFloat(formatUnits(amountInWei, tokenIn.decimals));
+    const blendedRate = parseFloat(formatUnits(simulation.totalOut, tokenOut.decimals)) / amountInNum;
+    const singleRate = parseFloat(formatUnits(simulation.singleOut, tokenOut.decimals)) / amountInNum;
+
+    return {
+      ...simulation,
+      blendedRate,
+      singleRate,
+      // Positive when splitting returns more than a single swap
+      improvement: singleRate > 0 ? ((blendedRate - singleRate) / singleRate) * 100 : 0,
+    };
+  } catch (error) {
+    console.warn('[RPC] Split swap simulation failed:', error.code || error.message);
+    return null;
+  }
 }
 
-export async function swapTokens(signer, amountIn, tokenIn, tokenOut, amountOutMin) {
+// Execute one chunk of a simulated split order along its simulated path.
+// amountOutMin is the chunk's simulated output less the slippage tolerance (percent).
+export async function executeSwapChunk(signer, chunk, slippageTolerance, { deadlineMinutes } = {}) {
+  if (!signer) throw new Error('Signer not available');
+
+  const slippageBps = BigInt(Math.round(slippageTolerance * 100));
+  const amountOutMinWei = (chunk.amountOut * (10000n - slippageBps)) / 10000n;
+
+  return sendSimulatedSwap(signer, chunk.amountIn, amountOutMinWei, chunk.path, deadlineMinutes);
+}
+
+export async function swapTokens(signer, amountIn, tokenIn, tokenOut, amountOutMin, { deadlineMinutes, infiniteApproval = false } = {}) {
   if (!signer) throw new Error('Signer not available');
 
-  const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, signer);
   const tokenInContract = new ethers.Contract(tokenIn.address, ERC20_ABI, signer);
 
   const amountInWei = parseTokenAmount(amountIn, tokenIn.decimals);
@@ -141,31 +373,14 @@ export async function swapTokens(signer, amountIn, tokenIn, tokenOut, amountOutM
   const allowance = await tokenInContract.allowance(userAddress, CONTRACTS.SWAP_ROUTER);
 
   if (allowance < amountInWei) {
-    const approveTx = await tokenInContract.approve(CONTRACTS.SWAP_ROUTER, amountInWei);
+    const approveTx = await tokenInContract.approve(CONTRACTS.SWAP_ROUTER, infiniteApproval ? ethers.MaxUint256 : amountInWei);
     await approveTx.wait();
   }
 
-  // STAC-STYLE PATHING
-  const USDC_ADDRESS = CONTRACTS.USDC;
-  let path = [tokenIn.address, tokenOut.address];
-
-  if (tokenIn.address.toLowerCase() !== USDC_ADDRESS.toLowerCase() &&
-    tokenOut.address.toLowerCase() !== USDC_ADDRESS.toLowerCase()) {
-    path = [tokenIn.address, USDC_ADDRESS, tokenOut.address];
-  }
-
-  const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+  const path = await resolveSwapPath(signer, amountInWei, tokenIn, tokenOut);
   const amountOutMinWei = parseTokenAmount(amountOutMin, tokenOut.decimals);
 
-  const tx = await swapRouter.swapExactTokensForTokens(
-    amountInWei,
-    amountOutMinWei,
-    path,
-    userAddress,
-    deadline
-  );
-
-  return tx;
+  return sendSimulatedSwap(signer, amountInWei, amountOutMinWei, path, deadlineMinutes);
 }
 
 
@@ -179,29 +394,22 @@ export async function calculatePriceImpact(provider, amountIn, tokenIn, tokenOut
     const swapRouter = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, provider);
     const amountInWei = parseTokenAmount(amountIn, tokenIn.decimals);
 
-    // Determine swap path
-    const USDC_ADDRESS = CONTRACTS.USDC;
-    let path = [tokenIn.address, tokenOut.address];
-
-    if (tokenIn.address.toLowerCase() !== USDC_ADDRESS.toLowerCase() &&
-      tokenOut.address.toLowerCase() !== USDC_ADDRESS.toLowerCase()) {
-      path = [tokenIn.address, USDC_ADDRESS, tokenOut.address];
+    // Get actual output for the swap along the best route - if one exists, liquidity EXISTS
+    const route = await findBestRoute(provider, amountInWei, tokenIn, tokenOut);
+    if (!route) {
+      return {
+        priceImpact: null,
+        error: 'No liquidity in pool',
+        liquidityDepth: 0,
+        path: 0
+      };
     }
+    const { path, amounts: actualAmounts, amountOut: actualAmountOut } = route;
 
-    // Get actual output for the swap - if this succeeds, liquidity EXISTS
-    const actualAmounts = await swapRouter.getAmountsOut(amountInWei, path);
-    const actualAmountOut = actualAmounts[actualAmounts.length - 1];
-
-    // Helper function to get token decimals from address
-    const getTokenDecimals = (tokenAddress) => {
-      const addr = tokenAddress.toLowerCase();
-      if (addr === CONTRACTS.USDC.toLowerCase()) return 6;
-      if (addr === CONTRACTS.CAT.toLowerCase()) return TOKENS.CAT.decimals;
-      if (addr === CONTRACTS.DARC.toLowerCase()) return TOKENS.DARC.decimals;
-      if (addr === CONTRACTS.PANDA.toLowerCase()) return TOKENS.PANDA.decimals;
-      // Default to 18 for unknown tokens
-      return 18;
-    };
+    // Hop tokens come from registry pools, so their decimals are listed there
+    const registeredTokens = getRegisteredTokens();
+    const getHopDecimals = (tokenAddress) =>
+      registeredTokens.find(t => t.address.toLowerCase() === tokenAddress.toLowerCase())?.decimals ?? 18;
 
     // Get spot exchange rate (1 token) for comparison
     const spotAmountIn = parseTokenAmount('1', tokenIn.decimals);
@@ -209,9 +417,8 @@ export async function calculatePriceImpact(provider, amountIn, tokenIn, tokenOut
     const spotAmountOut = spotAmounts[spotAmounts.length - 1];
 
     // Convert to readable amounts
-    const tokenOutDecimals = getTokenDecimals(tokenOut.address);
-    const actualOutReadable = Number(actualAmountOut) / (10 ** tokenOutDecimals);
-    const spotOutReadable = Number(spotAmountOut) / (10 ** tokenOutDecimals);
+    const actualOutReadable = Number(actualAmountOut) / (10 ** tokenOut.decimals);
+    const spotOutReadable = Number(spotAmountOut) / (10 ** tokenOut.decimals);
     const amountInNum = parseFloat(amountIn);
 
     // Calculate actual exchange rate for this swap
@@ -233,8 +440,8 @@ export async function calculatePriceImpact(provider, amountIn, tokenIn, tokenOut
       const hopAmountOut = actualAmounts[i + 1];
 
       // Get token decimals
-      const hopTokenInDecimals = getTokenDecimals(hopTokenInAddr);
-      const hopTokenOutDecimals = getTokenDecimals(hopTokenOutAddr);
+      const hopTokenInDecimals = i === 0 ? tokenIn.decimals : getHopDecimals(hopTokenInAddr);
+      const hopTokenOutDecimals = i === path.length - 2 ? tokenOut.decimals : getHopDecimals(hopTokenOutAddr);
 
       // Try to get pool reserves for swap size calculation, but don't fail if we can't
       let pool = null;
@@ -1,7 +1,8 @@
 import { ethers } from 'ethers';
 import { ERC20_ABI, SWAP_ROUTER_ABI } from '../constants/abis';
-import { TOKENS } from '../constants/tokens';
+import { TOKENS, LIQUIDITY_POOLS } from '../constants/tokens';
 import { CONTRACTS } from '../constants/contracts';
+import { getPoolKey, getPoolTokens } from '../utils/pools';
 
 // Known precompile addresses that don't support standard ERC20 calls
 const USDC_PRECOMPILE = '0x3600000000000000000000000000000000000000';
@@ -35,6 +36,35 @@ export async function getTokenBalance(provider, tokenAddress, userAddress) {
   }
 }
 
+// Letter badge for tokens without a bundled icon
+export function getFallbackTokenIcon(symbol) {
+  const letter = (symbol || '?').slice(0, 1).toUpperCase();
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64"><circle cx="32" cy="32" r="32" fill="#1a1a1a"/><text x="32" y="42" font-family="sans-serif" font-size="28" font-weight="700" fill="#5cb849" text-anchor="middle">${letter}</text></svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Read an arbitrary ERC-20's symbol/decimals into the app's token shape:
+ * { symbol, name, address, decimals, icon }. Throws if the address is not a token.
+ */
+export async function getTokenInfo(provider, tokenAddress) {
+  if (!provider) throw new Error('Provider not available');
+  if (!ethers.isAddress(tokenAddress)) throw new Error('Not a valid address');
+
+  const address = ethers.getAddress(tokenAddress);
+  const known = Object.values(TOKENS).find(t => t.address.toLowerCase() === address.toLowerCase());
+  if (known) return known;
+
+  const tokenContract = new ethers.Contract(address, ERC20_ABI, provider);
+  try {
+    const [symbol, decimals] = await Promise.all([tokenContract.symbol(), tokenContract.decimals()]);
+    return { symbol, name: symbol, address, decimals: Number(decimals), icon: getFallbackTokenIcon(symbol) };
+  } catch (error) {
+    console.warn('[RPC] Token metadata fetch failed:', error.code || error.message);
+    throw new Error('Address is not an ERC-20 token on this network');
+  }
+}
+
 export async function getPoolLiquidity(provider, poolId, userAddress) {
   if (!provider || !poolId || !userAddress || poolId.startsWith('0x0000')) return 0n;
 
@@ -48,79 +78,58 @@ export async function getPoolLiquidity(provider, poolId, userAddress) {
   }
 }
 
-export async function getAllBalances(provider, userAddress) {
+const emptyBalances = (pools) => {
+  const balances = {};
+  for (const token of getPoolTokens(pools)) balances[token.symbol] = 0n;
+  for (const pool of pools) balances[getPoolKey(pool)] = 0n;
+  return balances;
+};
+
+/**
+ * Wallet balances (bigint) keyed by symbol for every token in `pools`, plus LP
+ * shares keyed LP_<pair>_<token>. Pass the registry's pools to include discovered ones.
+ */
+export async function getAllBalances(provider, userAddress, pools = LIQUIDITY_POOLS) {
   if (!provider || !userAddress) {
-    return {
-      CAT: 0n,
-      DARC: 0n,
-      PANDA: 0n,
-      USDC: 0n,
-      LP_USDC_CAT: 0n,
-      LP_USDC_DARC: 0n,
-      LP_USDC_PANDA: 0n,
-    };
+    return emptyBalances(pools);
   }
 
   try {
     // Verify user address is valid
     if (!ethers.isAddress(userAddress)) {
       console.error('Invalid user address:', userAddress);
-      return {
-        CAT: 0n,
-        DARC: 0n,
-        PANDA: 0n,
-        USDC: 0n,
-        LP_USDC_CAT: 0n,
-        LP_USDC_DARC: 0n,
-        LP_USDC_PANDA: 0n,
-      };
+      return emptyBalances(pools);
     }
 
+    const tokens = getPoolTokens(pools);
+    const ammContract = new ethers.Contract(CONTRACTS.SWAP_ROUTER, SWAP_ROUTER_ABI, provider);
+
     // Fetch balances with better error handling per token
-    const balancePromises = [
-      getTokenBalance(provider, TOKENS.CAT.address, userAddress).catch(err => {
-        console.error('Error fetching CAT balance:', err);
-        return 0n;
-      }),
-      getTokenBalance(provider, TOKENS.DARC.address, userAddress).catch(err => {
-        console.error('Error fetching DARC balance:', err);
-        return 0n;
-      }),
-      getTokenBalance(provider, TOKENS.PANDA.address, userAddress).catch(err => {
-        console.error('Error fetching PANDA balance:', err);
-        return 0n;
-      }),
-      getTokenBalance(provider, TOKENS.USDC.address, userAddress).catch(err => {
-        console.error('Error fetching USDC balance:', err);
-        return 0n;
-      }),
-      getPoolLiquidity(provider, CONTRACTS.POOL_ID_USDC_CAT, userAddress).catch(() => 0n),
-      getPoolLiquidity(provider, CONTRACTS.POOL_ID_USDC_DARC, userAddress).catch(() => 0n),
-      getPoolLiquidity(provider, CONTRACTS.POOL_ID_USDC_PANDA, userAddress).catch(() => 0n),
-    ];
-
-    const balances = await Promise.all(balancePromises);
-
-    return {
-      CAT: balances[0] || 0n,
-      DARC: balances[1] || 0n,
-      PANDA: balances[2] || 0n,
-      USDC: balances[3] || 0n,
-      LP_USDC_CAT: balances[4] || 0n,
-      LP_USDC_DARC: balances[5] || 0n,
-      LP_USDC_PANDA: balances[6] || 0n,
-    };
+    const [tokenBalances, lpBalances] = await Promise.all([
+      Promise.all(tokens.map(token =>
+        getTokenBalance(provider, token.address, userAddress).catch(err => {
+          console.error(`Error fetching ${token.symbol} balance:`, err);
+          return 0n;
+        })
+      )),
+      Promise.all(pools.map(({ token, pair }) =>
+        ammContract.getPoolId(token.address, pair.address)
+          .then(poolId => getPoolLiquidity(provider, poolId, userAddress))
+          .catch(() => 0n)
+      )),
+    ]);
+
+    const balances = {};
+    tokens.forEach((token, i) => {
+      balances[token.symbol] = tokenBalances[i] || 0n;
+    });
+    pools.forEach((pool, i) => {
+      balances[getPoolKey(pool)] = lpBalances[i] || 0n;
+    });
+    return balances;
   } catch (error) {
     console.error('Error fetching all balances:', error.message);
-    return {
-      CAT: 0n,
-      DARC: 0n,
-      PANDA: 0n,
-      USDC: 0n,
-      LP_USDC_CAT: 0n,
-      LP_USDC_DARC: 0n,
-      LP_USDC_PANDA: 0n,
-    };
+    return emptyBalances(pools);
   }
 }
 
@@ -0,0 +1,211 @@
+import { ethers } from 'ethers';
+import { getPoolReserves, getPoolTotalSupply } from './poolService';
+import { getAmountOut } from './routeService';
+import { executeSwapChunk } from './swapService';
+import { CONTRACTS } from '../constants/contracts';
+import { LIQUIDITY_POOL_ABI } from '../constants/abis';
+import { parseTokenAmount } from '../utils/formatters';
+
+// Single-sided liquidity: sell part of one token for the other, then deposit
+// both at the pool ratio. Whatever cannot be paired stays in the wallet.
+// Zap-out is the reverse: remove both sides, then sell one into the other.
+
+const liquidityInterface = new ethers.Interface(LIQUIDITY_POOL_ABI);
+
+const bigintSqrt = (value) => {
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+};
+
+/**
+ * Portion of amountIn to swap so the remainder and the swap output match the
+ * post-swap pool ratio, accounting for the 0.3% fee (the swap itself moves the price):
+ * s = (sqrt(r * (3988009 * r + 3988000 * a)) - 1997 * r) / 1994
+ */
+export function getZapSwapAmount(amountIn, reserveIn) {
+  if (amountIn <= 0n || reserveIn <= 0n) return 0n;
+  return (bigintSqrt(reserveIn * (3988009n * reserveIn + 3988000n * amountIn)) - 1997n * reserveIn) / 1994n;
+}
+
+// Pool reserves oriented as { reserveIn, reserveOut } for inputToken -> outputToken
+async function getOrientedReserves(provider, inputToken, outputToken) {
+  const pool = await getPoolReserves(provider, inputToken, outputToken);
+  if (!pool) return null;
+  const inIsToken0 = pool.token0.toLowerCase() === inputToken.address.toLowerCase();
+  return {
+    reserveIn: inIsToken0 ? pool.reserve0 : pool.reserve1,
+    reserveOut: inIsToken0 ? pool.reserve1 : pool.reserve0,
+  };
+}
+
+/**
+ * Balanced deposit for `available` input and `received` output against the current reserves.
+ * The scarcer side is used in full; the excess of the other side is dust.
+ */
+function balanceDeposit(available, received, reserveIn, reserveOut) {
+  const outForAll = (available * reserveOut) / reserveIn;
+  if (outForAll <= received) {
+    return { depositIn: available, depositOut: outForAll, dustIn: 0n, dustOut: received - outForAll };
+  }
+  const depositIn = (received * reserveIn) / reserveOut;
+  return { depositIn, depositOut: received, dustIn: available - depositIn, dustOut: 0n };
+}
+
+/**
+ * Plan a zap of `amount` (human string) of inputToken into the inputToken/outputToken pool.
+ * All amounts are wei: { inputToken, outputToken, amountIn, swapAmount, expectedOut,
+ * depositIn, depositOut, dustIn, dustOut, priceImpact (percent) }. Null without liquidity.
+ */
+export async function previewZap(provider, inputToken, outputToken, amount) {
+  if (!provider || !inputToken || !outputToken || !amount || parseFloat(amount) <= 0) return null;
+
+  try {
+    const reserves = await getOrientedReserves(provider, inputToken, outputToken);
+    if (!reserves || reserves.reserveIn === 0n || reserves.reserveOut === 0n) return null;
+
+    const { reserveIn, reserveOut } = reserves;
+    const amountIn = parseTokenAmount(amount, inputToken.decimals);
+    const swapAmount = getZapSwapAmount(amountIn, reserveIn);
+    const expectedOut = getAmountOut(swapAmount, reserveIn, reserveOut);
+    if (swapAmount === 0n || expectedOut === 0n) return null;
+
+    // Deposit is priced against the reserves the swap leaves behind
+    const deposit = balanceDeposit(amountIn - swapAmount, expectedOut, reserveIn + swapAmount, reserveOut - expectedOut);
+    const spotOut = (swapAmount * reserveOut) / reserveIn;
+
+    return {
+      inputToken,
+      outputToken,
+      amountIn,
+      swapAmount,
+      expectedOut,
+      ...deposit,
+      priceImpact: spotOut > 0n ? Number(((spotOut - expectedOut) * 1000000n) / spotOut) / 10000 : 0,
+    };
+  } catch (error) {
+    console.warn('[RPC] Zap preview failed:', error.code || error.message);
+    return null;
+  }
+}
+
+// Swap leg of a zap, direct through the pool, with amountOutMin from the slippage tolerance (percent)
+export async function executeZapSwap(signer, zap, slippageTolerance, { deadlineMinutes } = {}) {
+  const chunk = {
+    amountIn: zap.swapAmount,
+    amountOut: zap.expectedOut,
+    path: [ethers.getAddress(zap.inputToken.address), ethers.getAddress(zap.outputToken.address)],
+  };
+  return executeSwapChunk(signer, chunk, slippageTolerance, { deadlineMinutes });
+}
+
+/**
+ * Deposit leg after the swap landed: `received` is the actual swap output (wei).
+ * Re-reads reserves so the deposit matches the pool ratio at send time.
+ */
+export async function getZapDeposit(provider, zap, received) {
+  const reserves = await getOrientedReserves(provider, zap.inputToken, zap.outputToken);
+  if (!reserves || reserves.reserveIn === 0n || reserves.reserveOut === 0n) {
+    throw new Error(`No ${zap.inputToken.symbol}/${zap.outputToken.symbol} liquidity to deposit into`);
+  }
+  return balanceDeposit(zap.amountIn - zap.swapAmount, received, reserves.reserveIn, reserves.reserveOut);
+}
+
+/**
+ * Plan removing `shares` (wei) of the outputToken/otherToken pool straight into outputToken.
+ * The other side is swapped against the reserves the removal leaves behind.
+ * All amounts are wei: { outputToken, otherToken, shares, redeemOutput, redeemOther,
+ * swapOut, totalOut, priceImpact (percent) }. Null without liquidity.
+ */
+export async function previewZapOut(provider, outputToken, otherToken, shares) {
+  if (!provider || !outputToken || !otherToken || !shares || shares <= 0n) return null;
+
+  try {
+    const [reserves, totalShares] = await Promise.all([
+      getOrientedReserves(provider, otherToken, outputToken),
+      getPoolTotalSupply(provider, otherToken, outputToken),
+    ]);
+    if (!reserves || totalShares === 0n || shares > totalShares) return null;
+
+    const { reserveIn, reserveOut } = reserves;
+    const redeemOther = (reserveIn * shares) / totalShares;
+    const redeemOutput = (reserveOut * shares) / totalShares;
+
+    const remainingIn = reserveIn - redeemOther;
+    const remainingOut = reserveOut - redeemOutput;
+    const swapOut = remainingIn > 0n && remainingOut > 0n ? getAmountOut(redeemOther, remainingIn, remainingOut) : 0n;
+    const spotOut = remainingIn > 0n ? (redeemOther * remainingOut) / remainingIn : 0n;
+
+    return {
+      outputToken,
+      otherToken,
+      shares,
+      redeemOutput,
+      redeemOther,
+      swapOut,
+      totalOut: redeemOutput + swapOut,
+      priceImpact: spotOut > 0n ? Number(((spotOut - swapOut) * 1000000n) / spotOut) / 10000 : 0,
+    };
+  } catch (error) {
+    console.warn('[RPC] Zap-out preview failed:', error.code || error.message);
+    return null;
+  }
+}
+
+// Amounts a removeLiquidity receipt paid out, from its LiquidityRemoved event:
+// { [tokenAddressLowercase]: wei }, or null if the event is missing
+export function decodeRemoveReceipt(receipt) {
+  const router = CONTRACTS.SWAP_ROUTER.toLowerCase();
+  for (const log of receipt?.logs || []) {
+    if (log.address?.toLowerCase() !== router) continue;
+
+    let parsed = null;
+    try {
+      parsed = liquidityInterface.parseLog({ topics: [...log.topics], data: log.data });
+    } catch (error) {
+      continue;
+    }
+    if (parsed?.name !== 'LiquidityRemoved') continue;
+
+    return {
+      [parsed.args.token0.toLowerCase()]: parsed.args.amount0,
+      [parsed.args.token1.toLowerCase()]: parsed.args.amount1,
+    };
+  }
+  return null;
+}
+
+/**
+ * Swap leg of a zap-out: sell `amountIn` (wei, what the removal actually paid out)
+ * of the other token. The minimum output comes from the confirmed preview's swapOut,
+ * scaled to amountIn, less the slippage tolerance; a live quote below that floor is
+ * refused rather than sent. Resolves to { tx, expectedOut }.
+ */
+export async function executeZapOutSwap(signer, zap, amountIn, slippageTolerance, { deadlineMinutes } = {}) {
+  const reserves = await getOrientedReserves(signer.provider, zap.otherToken, zap.outputToken);
+  if (!reserves || reserves.reserveIn === 0n || reserves.reserveOut === 0n) {
+    throw new Error(`No ${zap.otherToken.symbol}/${zap.outputToken.symbol} liquidity to swap through`);
+  }
+
+  const previewedOut = zap.redeemOther > 0n ? (zap.swapOut * amountIn) / zap.redeemOther : 0n;
+  const slippageBps = BigInt(Math.round(slippageTolerance * 100));
+  const amountOutMin = (previewedOut * (10000n - slippageBps)) / 10000n;
+
+  const expectedOut = getAmountOut(amountIn, reserves.reserveIn, reserves.reserveOut);
+  if (expectedOut < amountOutMin) {
+    throw new Error(`Price moved: ${zap.otherToken.symbol} now sells for less ${zap.outputToken.symbol} than your slippage allows. Your removed tokens are in your wallet.`);
+  }
+
+  const chunk = {
+    amountIn,
+    amountOut: previewedOut,
+    path: [ethers.getAddress(zap.otherToken.address), ethers.getAddress(zap.outputToken.address)],
+  };
+  const tx = await executeSwapChunk(signer, chunk, slippageTolerance, { deadlineMinutes });
+  return { tx, expectedOut };
+}
@@ -0,0 +1,25 @@
+// CSV export helpers. columns: [{ label, value: (row) => string | number }]
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCSV(rows, columns) {
+  const header = columns.map(c => escapeCell(c.label)).join(',');
+  const body = rows.map(row => columns.map(c => escapeCell(c.value(row))).join(','));
+  return [header, ...body].join('\n');
+}
+
+// Save rows as a .csv file through a temporary download link
+export function downloadCSV(filename, rows, columns) {
+  const blob = new Blob([toCSV(rows, columns)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,35 @@
+import { TOKENS } from '../constants/tokens';
+
+// Query-string helpers for shareable links like /swap?from=USDC&to=CAT&amount=500
+
+// Token for a ?token=SYMBOL param, or null if unknown or not in the allowed list
+export function parseTokenParam(symbol, allowed = Object.values(TOKENS)) {
+  if (!symbol) return null;
+  const wanted = symbol.toUpperCase();
+  return allowed.find(t => t.symbol.toUpperCase() === wanted) || null;
+}
+
+// Positive plain decimal string, or '' for anything else
+export function parseAmountParam(value) {
+  if (!value || !/^\d*\.?\d+$/.test(value)) return '';
+  return parseFloat(value) > 0 ? value : '';
+}
+
+// Value for an enum-like param, or null if not one of the options
+export function parseOptionParam(value, options) {
+  return options.includes(value) ? value : null;
+}
+
+// Search string from a params object, skipping empty values
+export function toSearchString(values) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined && value !== null && value !== '') params.set(key, value);
+  }
+  return params.toString();
+}
+
+export function buildShareLink(path, values) {
+  const search = toSearchString(values);
+  return `${window.location.origin}${path}${search ? `?${search}` : ''}`;
+}
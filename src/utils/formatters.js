@@ -35,6 +35,18 @@ export function parseTokenAmount(amount, decimals = 18) {
   }
 }
 
+// Plain decimal string for input fields (no grouping), truncated to maxDecimals
+export function formatInputAmount(amount, decimals = 18, maxDecimals = 6) {
+  if (!amount) return '';
+  try {
+    const [whole, fraction = ''] = formatUnits(amount, decimals).split('.');
+    const trimmed = fraction.slice(0, maxDecimals).replace(/0+$/, '');
+    return trimmed ? `${whole}.${trimmed}` : whole;
+  } catch (error) {
+    return '';
+  }
+}
+
 export function formatAddress(address) {
   if (!address) return '';
   return `${address.slice(0, 6)}...${address.slice(-4)}`;
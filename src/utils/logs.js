@@ -0,0 +1,14 @@
+// RPC log helpers. Public RPCs cap eth_getLogs ranges, so scans are chunked.
+
+export const LOG_CHUNK_BLOCKS = 10000;
+export const MAX_LOG_BLOCKS = 500000; // Cap on how far back a fallback scan goes
+
+// eth_getLogs over [fromBlock, toBlock] in LOG_CHUNK_BLOCKS-sized requests
+export async function getLogsChunked(provider, filter, fromBlock, toBlock) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_BLOCKS) {
+    const end = Math.min(start + LOG_CHUNK_BLOCKS - 1, toBlock);
+    logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+  }
+  return logs;
+}
@@ -0,0 +1,18 @@
+import { TOKENS } from '../constants/tokens';
+
+// Pool shape helpers shared by the pool registry and balance reads, so LP keys
+// and token lists are built one way everywhere. Pools are { token, pair }.
+
+// Key of a pool's LP balance and position, e.g. LP_USDC_CAT
+export const getPoolKey = ({ token, pair }) => `LP_${pair.symbol}_${token.symbol}`;
+
+// Every token that appears in the given pools, built-in tokens first
+export function getPoolTokens(pools) {
+  const tokens = Object.values(TOKENS);
+  for (const { token, pair } of pools) {
+    for (const t of [token, pair]) {
+      if (!tokens.some(known => known.address.toLowerCase() === t.address.toLowerCase())) tokens.push(t);
+    }
+  }
+  return tokens;
+}